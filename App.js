@@ -5,30 +5,40 @@
  * and initializes the main navigation system.
  * 
  * Key Components:
+ * - ConnectivityProvider: Tracks online/offline state
  * - AppProvider: Wraps the entire app with global state management
  * - AppNavigator: Handles all navigation between screens
+ * - NetworkStatus: Global offline banner with retry
  * - StatusBar: Controls the device status bar appearance
  * 
  * @author Driver App Team
  * @version 1.0.0
  */
 
+import { View, StyleSheet } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import AppNavigator from './src/navigation/AppNavigator';
+import NetworkStatus from './src/components/common/NetworkStatus';
 import { AppProvider } from './src/context/AppContext';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { ConnectivityProvider, useConnectivity } from './src/context/ConnectivityContext';
 
 /**
  * App Content Component
  * 
- * Renders navigation with theme-aware StatusBar
+ * Renders navigation with theme-aware StatusBar and the global offline banner
  */
 function AppContent() {
   const { theme, isDarkMode } = useTheme();
+  const { isOnline, checkConnectivity } = useConnectivity();
   
   return (
     <>
       <AppNavigator />
+      {/* Offline banner floats above the tab bar on every screen */}
+      <View style={styles.networkStatus} pointerEvents="box-none">
+        <NetworkStatus isConnected={isOnline} onRetry={checkConnectivity} />
+      </View>
       <StatusBar style={theme.statusBar} />
     </>
   );
@@ -45,10 +55,21 @@ function AppContent() {
 export default function App() {
   return (
     <ThemeProvider>
-      <AppProvider>
-        {/* Main navigation system with all screen routing */}
-        <AppContent />
-      </AppProvider>
+      <ConnectivityProvider>
+        <AppProvider>
+          {/* Main navigation system with all screen routing */}
+          <AppContent />
+        </AppProvider>
+      </ConnectivityProvider>
     </ThemeProvider>
   );
 }
+
+const styles = StyleSheet.create({
+  networkStatus: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 90,                          // Clear of the bottom tab bar
+  },
+});
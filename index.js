@@ -19,6 +19,10 @@
 
 import { registerRootComponent } from 'expo';
 
+// Define the background location task before anything else so the OS can
+// deliver locations even when the app was launched headless
+import './src/utils/backgroundLocation';
+
 import App from './App';
 
 // Register the main App component as the root component
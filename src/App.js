@@ -1,6 +1,7 @@
 import React from 'react';
 import { AppProvider } from './context/AppContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { ConnectivityProvider } from './context/ConnectivityContext';
 import AppNavigator from './navigation/AppNavigator';
 import ErrorBoundary from './components/common/ErrorBoundary';
 
@@ -30,9 +31,11 @@ export default function App() {
       }}
     >
       <ThemeProvider>
-        <AppProvider>
-          <AppNavigator />
-        </AppProvider>
+        <ConnectivityProvider>
+          <AppProvider>
+            <AppNavigator />
+          </AppProvider>
+        </ConnectivityProvider>
       </ThemeProvider>
     </ErrorBoundary>
   );
@@ -2,13 +2,23 @@
  * Authentication Service
  * 
  * Handles OAuth token authentication for the driver app.
- * Manages login, token storage, and automatic token refresh.
+ * Manages login, token storage, automatic token refresh and password reset.
+ * 
+ * Tokens are persisted through tokenStore (secure storage on device).
+ * The app is a public OAuth client: no client secret is shipped with it.
+ * 
+ * A failed refresh ends the session only when the token endpoint rejects the
+ * refresh token (400/401, error category AUTH). Timeouts and dropped
+ * connections (category NETWORK) keep the tokens so the refresh is retried.
  */
 
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 
 import Constants from 'expo-constants';
+import { ENDPOINTS } from './endpoints';
+import { API_BASE_URL } from './config';
+import tokenStore from './tokenStore';
+import { ERROR_CATEGORIES } from '../utils/errorLogger';
 
 // Create separate client for auth endpoints (no /api prefix)
 // Uses environment variables with fallback to defaults
@@ -27,17 +37,8 @@ const AUTH_ENDPOINTS = {
   TOKEN: '/oauth/token',
 };
 
-const STORAGE_KEYS = {
-  ACCESS_TOKEN: '@access_token',
-  REFRESH_TOKEN: '@refresh_token', 
-  TOKEN_EXPIRY: '@token_expiry',
-};
-
 const AUTH_CONFIG = {
   CLIENT_ID: Constants.expoConfig?.extra?.oauthClientId || '3',
-  CLIENT_SECRET: Constants.expoConfig?.extra?.oauthClientSecret || 'AB4am1uiyOlqxwfy87LeArGcvezXQe8um2TR2a31',
-  DEFAULT_USERNAME: Constants.expoConfig?.extra?.defaultUsername || 'driver@transend.ca',
-  DEFAULT_PASSWORD: Constants.expoConfig?.extra?.defaultPassword || 'driver@123',
   SCOPE: '*',
 };
 
@@ -52,12 +53,19 @@ export const authService = {
    * @param {string} password - Driver password
    * @returns {Promise<Object>} Authentication response
    */
-  login: async function(username = AUTH_CONFIG.DEFAULT_USERNAME, password = AUTH_CONFIG.DEFAULT_PASSWORD) {
+  login: async function(username, password) {
+    if (!username || !password) {
+      return {
+        success: false,
+        message: 'Username and password are required',
+        data: null,
+      };
+    }
+
     try {
       const response = await authClient.post(AUTH_ENDPOINTS.TOKEN, {
         grant_type: 'password',
         client_id: AUTH_CONFIG.CLIENT_ID,
-        client_secret: AUTH_CONFIG.CLIENT_SECRET,
         username,
         password,
         scope: AUTH_CONFIG.SCOPE,
@@ -66,15 +74,8 @@ export const authService = {
       if (response.data.access_token) {
         const { access_token, refresh_token, expires_in } = response.data;
         
-        // Calculate expiry time
-        const expiryTime = Date.now() + (expires_in * 1000);
-        
         // Store tokens
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, access_token),
-          AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refresh_token),
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, expiryTime.toString()),
-        ]);
+        await tokenStore.saveTokens({ access_token, refresh_token, expires_in });
 
         return {
           success: true,
@@ -94,9 +95,21 @@ export const authService = {
       };
     } catch (error) {
       console.error('Login error:', error);
+
+      // OAuth server rejects bad credentials with 400/401 and an error_description
+      if (error.response?.status === 400 || error.response?.status === 401) {
+        return {
+          success: false,
+          message: error.response?.data?.message || 'Invalid username or password',
+          data: null,
+        };
+      }
+
       return {
         success: false,
-        message: error.response?.data?.message || 'Login failed',
+        message: error.response?.data?.message ||
+                 error.response?.data?.error_description ||
+                 (error.response ? 'Login failed' : 'Network error. Please check your internet connection.'),
         data: null,
       };
     }
@@ -105,24 +118,33 @@ export const authService = {
   /**
    * Get stored access token
    * 
+   * An expired token is refreshed first. When the refresh fails for network
+   * reasons (e.g. a cold start in a dead zone) the stored token is returned
+   * anyway: the session is still valid and the API client refreshes it on the
+   * first 401 once the connection is back, while the app works from cache.
+   * 
    * @returns {Promise<string|null>} Access token or null
    */
   getAccessToken: async function() {
     try {
-      const token = await AsyncStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
-      const expiryTime = await AsyncStorage.getItem(STORAGE_KEYS.TOKEN_EXPIRY);
+      const token = await tokenStore.getAccessToken();
+      const expiryTime = await tokenStore.getTokenExpiry();
 
       if (!token || !expiryTime) {
         return null;
       }
 
       // Check if token is expired
-      if (Date.now() >= parseInt(expiryTime)) {
+      if (Date.now() >= expiryTime) {
         console.log('Token expired, attempting refresh...');
         const refreshResult = await authService.refreshToken();
         if (refreshResult.success) {
           return refreshResult.data.access_token;
         }
+        if (refreshResult.error?.category === ERROR_CATEGORIES.NETWORK) {
+          console.log('Token refresh unavailable offline, keeping session');
+          return token;
+        }
         return null;
       }
 
@@ -136,17 +158,21 @@ export const authService = {
   /**
    * Refresh access token using refresh token
    * 
-   * @returns {Promise<Object>} Refresh response
+   * Stored tokens are cleared only when the token endpoint rejects the
+   * refresh token; on other failures they are kept for a later retry.
+   * 
+   * @returns {Promise<Object>} Refresh response; failures carry error.category (AUTH when rejected, NETWORK otherwise)
    */
   refreshToken: async function() {
     try {
-      const refreshToken = await AsyncStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+      const refreshToken = await tokenStore.getRefreshToken();
       
       if (!refreshToken) {
         return {
           success: false,
           message: 'No refresh token available',
           data: null,
+          error: { category: ERROR_CATEGORIES.AUTH },
         };
       }
 
@@ -154,22 +180,14 @@ export const authService = {
         grant_type: 'refresh_token',
         refresh_token: refreshToken,
         client_id: AUTH_CONFIG.CLIENT_ID,
-        client_secret: AUTH_CONFIG.CLIENT_SECRET,
         scope: AUTH_CONFIG.SCOPE,
       });
 
       if (response.data.access_token) {
         const { access_token, refresh_token, expires_in } = response.data;
         
-        // Calculate expiry time
-        const expiryTime = Date.now() + (expires_in * 1000);
-        
         // Store new tokens
-        await Promise.all([
-          AsyncStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, access_token),
-          AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refresh_token),
-          AsyncStorage.setItem(STORAGE_KEYS.TOKEN_EXPIRY, expiryTime.toString()),
-        ]);
+        await tokenStore.saveTokens({ access_token, refresh_token, expires_in });
 
         return {
           success: true,
@@ -189,12 +207,22 @@ export const authService = {
       };
     } catch (error) {
       console.error('Refresh token error:', error);
-      // Clear stored tokens if refresh fails
-      await authService.logout();
+
+      // Only a rejected refresh token ends the session; keep it through outages
+      const status = error.response?.status;
+      const isRejected = status === 400 || status === 401;
+      if (isRejected) {
+        await authService.logout();
+      }
+
       return {
         success: false,
         message: error.response?.data?.message || 'Token refresh failed',
         data: null,
+        error: {
+          category: isRejected ? ERROR_CATEGORIES.AUTH : ERROR_CATEGORIES.NETWORK,
+          status,
+        },
       };
     }
   },
@@ -205,14 +233,84 @@ export const authService = {
    * @returns {Promise<void>}
    */
   logout: async function() {
+    await tokenStore.clear();
+  },
+
+  /**
+   * Request a password reset
+   * 
+   * Asks the backend to email a reset code/link to the driver.
+   * Unauthenticated call against the /api base URL.
+   * 
+   * @param {string} email - Driver email address
+   * @returns {Promise<Object>} Result with success and message
+   */
+  forgotPassword: async function(email) {
     try {
-      await Promise.all([
-        AsyncStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN),
-        AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN),
-        AsyncStorage.removeItem(STORAGE_KEYS.TOKEN_EXPIRY),
-      ]);
+      const response = await authClient.post(
+        ENDPOINTS.AUTH.FORGOT_PASSWORD,
+        { email },
+        { baseURL: API_BASE_URL }
+      );
+
+      return {
+        success: response.data?.success !== false,
+        message: response.data?.message || 'Password reset instructions have been sent to your email',
+        data: response.data?.data || null,
+      };
     } catch (error) {
-      console.error('Logout error:', error);
+      console.error('Forgot password error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message ||
+                 (error.response ? 'Unable to send reset instructions' : 'Network error. Please check your internet connection.'),
+        data: null,
+      };
+    }
+  },
+
+  /**
+   * Reset password with an emailed token
+   * 
+   * @param {string} token - Reset token from the email or deep link
+   * @param {string} password - New password
+   * @param {string} [email] - Driver email (required by some backends alongside the token)
+   * @returns {Promise<Object>} Result with success and message
+   */
+  resetPassword: async function(token, password, email) {
+    try {
+      const response = await authClient.post(
+        ENDPOINTS.AUTH.RESET_PASSWORD,
+        {
+          token,
+          password,
+          password_confirmation: password,
+          ...(email && { email }),
+        },
+        { baseURL: API_BASE_URL }
+      );
+
+      return {
+        success: response.data?.success !== false,
+        message: response.data?.message || 'Your password has been reset',
+        data: response.data?.data || null,
+      };
+    } catch (error) {
+      console.error('Reset password error:', error);
+
+      // Laravel returns 422 with field errors for expired tokens or weak passwords
+      const fieldErrors = error.response?.data?.errors || error.response?.data?.data;
+      const firstFieldError = fieldErrors && typeof fieldErrors === 'object'
+        ? Object.values(fieldErrors).flat().find(Boolean)
+        : null;
+
+      return {
+        success: false,
+        message: firstFieldError ||
+                 error.response?.data?.message ||
+                 (error.response ? 'Unable to reset password' : 'Network error. Please check your internet connection.'),
+        data: null,
+      };
     }
   },
 
@@ -227,33 +325,24 @@ export const authService = {
   },
 
   /**
-   * Auto-login on app start
+   * Restore session on app start
+   * 
+   * Checks whether valid (or refreshable) tokens are already stored. Offline,
+   * an expired token still restores the session so cached data is shown.
+   * Never logs in on its own - the driver must sign in via the Login screen
+   * when no session exists. Tokens left in AsyncStorage by older versions
+   * are moved to secure storage first.
    * 
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<boolean>} Whether a session was restored
    */
-  autoLogin: async function() {
+  restoreSession: async function() {
     try {
-      // Check if we have valid tokens
+      await tokenStore.migrateLegacyTokens();
       const isAuth = await this.isAuthenticated();
-      
-      if (isAuth) {
-        console.log('User already authenticated');
-        return true;
-      }
-
-      // Attempt login with default credentials
-      console.log('Attempting auto-login...');
-      const loginResult = await this.login();
-      
-      if (loginResult.success) {
-        console.log('Auto-login successful');
-        return true;
-      }
-
-      console.log('Auto-login failed:', loginResult.message);
-      return false;
+      console.log(isAuth ? 'Existing session restored' : 'No stored session');
+      return isAuth;
     } catch (error) {
-      console.error('Auto-login error:', error);
+      console.error('Restore session error:', error);
       return false;
     }
   },
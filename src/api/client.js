@@ -9,6 +9,7 @@
  * - Request interceptors for authentication headers
  * - Response interceptors for error handling
  * - OAuth token management
+ * - Single-flight token refresh on 401 with request replay
  * - Centralized error handling
  * 
  * @author Driver App Team
@@ -16,25 +17,11 @@
  */
 
 import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import Constants from 'expo-constants';
+import { API_BASE_URL } from './config';
 import { logApiError, logNetworkError, getUserFriendlyMessage, ERROR_CATEGORIES } from '../utils/errorLogger';
-
-/**
- * Environment Configuration
- * 
- * Configure different API endpoints for various environments.
- * Uses environment variables from Constants with fallback to defaults.
- */
-
-const ENVIRONMENTS = {
-  development: Constants.expoConfig?.extra?.apiBaseUrlDev || 'https://devtrans.transend.ca/api',
-  staging: Constants.expoConfig?.extra?.apiBaseUrlStaging || 'https://stagingapi.transend.ca/api',
-  production: Constants.expoConfig?.extra?.apiBaseUrlProd || 'https://api.transend.ca/api'
-};
-
-// Set current environment - uses Constants or defaults to development
-const CURRENT_ENVIRONMENT = Constants.expoConfig?.extra?.currentEnvironment || 'development';
+import authService from './auth';
+import tokenStore from './tokenStore';
+import { emitSessionExpired } from './sessionEvents';
 
 /**
  * API Client Instance
@@ -43,7 +30,7 @@ const CURRENT_ENVIRONMENT = Constants.expoConfig?.extra?.currentEnvironment || '
  * All API calls throughout the app will use this configured client.
  */
 const apiClient = axios.create({
-  baseURL: ENVIRONMENTS[CURRENT_ENVIRONMENT],
+  baseURL: API_BASE_URL,
   timeout: 60000, // 60 second timeout (increased for slower networks)
   headers: {
     'Content-Type': 'application/json',
@@ -56,28 +43,14 @@ const apiClient = axios.create({
 });
 
 /**
- * Authentication Token Storage
+ * Get stored authentication token
  * 
- * Tokens are stored in AsyncStorage for persistence across app restarts.
+ * Tokens live in tokenStore (secure storage on device).
  * The auth service manages token lifecycle and refresh.
- */
-const STORAGE_KEYS = {
-  ACCESS_TOKEN: '@access_token',
-};
-
-/**
- * Get stored authentication token
  * 
  * @returns {Promise<string|null>} Access token or null
  */
-const getStoredToken = async () => {
-  try {
-    return await AsyncStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
-  } catch (error) {
-    console.error('Error getting stored token:', error);
-    return null;
-  }
-};
+const getStoredToken = () => tokenStore.getAccessToken();
 
 /**
  * Set Authentication Token
@@ -89,7 +62,7 @@ const getStoredToken = async () => {
  */
 export const setAuthToken = async (token) => {
   try {
-    await AsyncStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, token);
+    await tokenStore.saveTokens({ access_token: token });
   } catch (error) {
     console.error('Error storing auth token:', error);
   }
@@ -101,11 +74,60 @@ export const setAuthToken = async (token) => {
  * Removes the authentication token. Call this on logout.
  */
 export const clearAuthToken = async () => {
-  try {
-    await AsyncStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-  } catch (error) {
-    console.error('Error clearing auth token:', error);
+  await tokenStore.clear();
+};
+
+/**
+ * Token Refresh Queue
+ * 
+ * Only one refresh runs at a time. Requests that fail with 401 while a
+ * refresh is in flight wait in pendingRequests and are replayed (or
+ * rejected) once it settles. The session only expires when the refresh token
+ * itself is rejected; a refresh that fails for network reasons rejects the
+ * waiting requests but keeps the driver signed in.
+ */
+let isRefreshing = false;
+let pendingRequests = [];
+
+/**
+ * Settle all queued requests
+ * 
+ * @param {string|null} token - New access token, or null if refresh failed
+ */
+const flushPendingRequests = (token) => {
+  pendingRequests.forEach(({ resolve, reject }) => (token ? resolve(token) : reject()));
+  pendingRequests = [];
+};
+
+/**
+ * Refresh the access token once for all concurrent callers
+ * 
+ * @returns {Promise<string|null>} New access token, or null if refresh failed
+ */
+const refreshAccessToken = () => {
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => {
+      pendingRequests.push({ resolve, reject });
+    }).catch(() => null);
   }
+
+  isRefreshing = true;
+
+  return authService.refreshToken()
+    .catch((error) => {
+      console.error('Token refresh error:', error);
+      return { success: false, message: error.message, data: null, error: { category: ERROR_CATEGORIES.NETWORK } };
+    })
+    .then((result) => {
+      const token = result.success ? result.data.access_token : null;
+      isRefreshing = false;
+      flushPendingRequests(token);
+
+      if (!token && result.error?.category === ERROR_CATEGORIES.AUTH) {
+        emitSessionExpired('refresh_failed');
+      }
+      return token;
+    });
 };
 
 /**
@@ -189,7 +211,20 @@ apiClient.interceptors.response.use(
 
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Expired or revoked token - refresh once and replay the request
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
+      originalRequest._retry = true;
+
+      const token = await refreshAccessToken();
+      if (token) {
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return apiClient(originalRequest);
+      }
+    }
+
     const url = error.config?.url || 'unknown';
     const method = error.config?.method?.toUpperCase() || 'GET';
     const request = {
@@ -216,8 +251,8 @@ apiClient.interceptors.response.use(
 
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          clearAuthToken();
+          // Unauthorized after refresh - tokens are cleared by authService and
+          // AppContext returns to login on the session-expired event
           break;
         case 403:
           // Forbidden
@@ -0,0 +1,30 @@
+/**
+ * API Environment Configuration
+ *
+ * Resolves the API base URL for the current environment.
+ * Shared by the main API client and the auth service (for the
+ * unauthenticated password reset endpoints).
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import Constants from 'expo-constants';
+
+/**
+ * Environment Configuration
+ *
+ * Configure different API endpoints for various environments.
+ * Uses environment variables from Constants with fallback to defaults.
+ */
+export const ENVIRONMENTS = {
+  development: Constants.expoConfig?.extra?.apiBaseUrlDev || 'https://devtrans.transend.ca/api',
+  staging: Constants.expoConfig?.extra?.apiBaseUrlStaging || 'https://stagingapi.transend.ca/api',
+  production: Constants.expoConfig?.extra?.apiBaseUrlProd || 'https://api.transend.ca/api'
+};
+
+// Set current environment - uses Constants or defaults to development
+export const CURRENT_ENVIRONMENT = Constants.expoConfig?.extra?.currentEnvironment || 'development';
+
+// Base URL for all /api requests
+export const API_BASE_URL = ENVIRONMENTS[CURRENT_ENVIRONMENT];
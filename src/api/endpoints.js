@@ -58,6 +58,11 @@ export const ENDPOINTS = {
     PICKUP: '/jobs/{id}/pickup',                  // POST: Mark job as picked up
     DELIVER: '/jobs/{id}/deliver',                // POST: Mark job as delivered
     CANCEL: '/jobs/{id}/cancel',                  // POST: Cancel a job
+    REJECT: '/jobs/{id}/reject',                  // POST: Decline a new job
+    EXCEPTION: '/jobs/{id}/exception',            // POST: Report a failed delivery attempt
+    GEOFENCE_EVENT: '/jobs/{id}/geofence-events', // POST: Arrival/departure at a pickup or drop-off
+    DELAY: '/jobs/{id}/delay',                    // POST: Tell dispatch the driver is running late
+    TRIP_LOG: '/jobs/{id}/trip-log',              // POST: GPS trace and mileage for a finished job
   },
 
   /**
@@ -91,6 +96,7 @@ export const ENDPOINTS = {
    */
   LOCATION: {
     UPDATE: '/driver/location',                   // POST: Update driver location (publishes to Kafka)
+    BATCH: '/driver/location/batch',              // POST: Upload several buffered locations at once
     TRACK_JOB: '/location/track/{jobId}',        // GET: Get job tracking info
   },
 
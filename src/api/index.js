@@ -20,6 +20,10 @@ export { ENDPOINTS, buildEndpoint, HTTP_METHODS, STATUS_CODES, CONTENT_TYPES } f
 // Authentication service
 export { default as authService } from './auth';
 
+// Session identity (driver_id of the signed-in driver)
+export { default as sessionIdentity } from './session';
+export { onSessionExpired, emitSessionExpired } from './sessionEvents';
+
 // API services
 export { driverService, jobService, notificationService, locationService } from './services';
 
@@ -17,13 +17,105 @@
 
 import apiClient, { handleApiResponse, createFormData } from './client';
 import { ENDPOINTS } from './endpoints';
+import { sessionIdentity } from './session';
 import { logApiError, getUserFriendlyMessage, ERROR_CATEGORIES } from '../utils/errorLogger';
 
+/**
+ * Request options for multipart file uploads
+ * 
+ * React Native FormData requires NO Content-Type header - it sets it automatically
+ * with the boundary (the request interceptor removes it for FormData).
+ */
+const FILE_UPLOAD_CONFIG = {
+  timeout: 120000, // 2 minutes timeout for file uploads (large files may take time)
+  maxContentLength: Infinity, // Allow large file uploads
+  maxBodyLength: Infinity, // Allow large request bodies
+};
+
+/**
+ * Append a local file to multipart FormData
+ * 
+ * @param {FormData} formData - Form to append to
+ * @param {string} key - Form field name
+ * @param {Object} file - File { uri, type|mimeType, name }
+ * @param {string} [defaultName] - File name (without extension) when the file has none
+ */
+const appendFileToFormData = (formData, key, file, defaultName = key) => {
+  // expo-document-picker / expo-image-picker return file://, content:// or ph:// URIs
+  const fileUri = file.uri;
+  
+  // Determine MIME type based on file extension if not provided
+  let mimeType = file.type || file.mimeType;
+  if (!mimeType) {
+    const extension = (file.name || fileUri).split('.').pop()?.toLowerCase();
+    if (extension === 'pdf') {
+      mimeType = 'application/pdf';
+    } else if (['jpg', 'jpeg'].includes(extension)) {
+      mimeType = 'image/jpeg';
+    } else if (extension === 'png') {
+      mimeType = 'image/png';
+    } else {
+      mimeType = 'application/pdf'; // Default
+    }
+  }
+  
+  // Ensure filename has proper extension
+  const fileName = file.name || `${defaultName}.${mimeType.includes('pdf') ? 'pdf' : 'jpg'}`;
+  
+  // React Native FormData expects object with uri, type, and name
+  formData.append(key, {
+    uri: fileUri,
+    type: mimeType,
+    name: fileName,
+  });
+  
+  console.log(`Added ${key} to FormData:`, {
+    name: fileName,
+    type: mimeType,
+    uri: fileUri.substring(0, 50) + '...', // Log partial URI for debugging
+  });
+};
+
+/**
+ * Post a job status action
+ * 
+ * Sent as JSON, or as multipart/form-data when it carries files (BOL or
+ * proof-of-delivery photos). In multipart bodies booleans become "1"/"0" and
+ * arrays/objects (e.g. scan_log) are JSON-encoded.
+ * 
+ * @param {string} url - Endpoint URL
+ * @param {Object} fields - Text fields
+ * @param {Array} [files] - Files to attach: [{ key, file, name }]
+ * @returns {Promise<Object>} API result
+ */
+const postJobAction = (url, fields, files = []) => {
+  if (files.length === 0) {
+    return handleApiResponse(apiClient.post(url, fields));
+  }
+
+  const formData = new FormData();
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (value === null || value === undefined) return;
+    if (typeof value === 'boolean') {
+      formData.append(key, value ? '1' : '0');
+    } else {
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  });
+  files.forEach(({ key, file, name }) => appendFileToFormData(formData, key, file, name));
+
+  return handleApiResponse(apiClient.post(url, formData, FILE_UPLOAD_CONFIG));
+};
+
 /**
  * Driver API Service Class
  * 
  * Contains all driver-related API methods.
  * Each method returns a standardized response format: { success, message, data, error? }
+ * 
+ * driver_id is taken from the session identity unless passed explicitly.
+ * Calls reject with an AuthenticationError when no driver is signed in.
  */
 export const driverService = {
   /**
@@ -32,14 +124,15 @@ export const driverService = {
    * Retrieves the complete driver profile information using authenticated API call.
    * 
    * API: GET /driver/profile
-   * Request: { "driver_id": 1 } (as query param or body)
+   * Request: { "driver_id": number } (as query param or body)
    * Headers: Authorization: Bearer {token}
    * Response: { success: true, message: "Delivery Man", data: { user: {...}, meta: {...} } }
    * 
-   * @param {number} [driverId=1] - Optional driver ID (defaults to 1)
+   * @param {number} [explicitDriverId] - Optional driver ID (defaults to the session driver)
    * @returns {Promise<Object>} Driver profile data with user and meta information
    */
-  getProfile: async (driverId = 1) => {
+  getProfile: async (explicitDriverId) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
     try {
       console.log(`🔵 [API] GET /driver/profile - driver_id=${driverId}`);
       
@@ -95,7 +188,7 @@ export const driverService = {
    * Response: { success: true, message: "Profile updated successfully", data: { user: {...}, meta: {...} } }
    * 
    * @param {Object} profileData - Updated profile information
-   * @param {number} profileData.driver_id - Driver ID (required)
+   * @param {number} [profileData.driver_id] - Driver ID (defaults to the session driver)
    * @param {string} profileData.first_name - Driver's first name (required)
    * @param {string} profileData.last_name - Driver's last name (required) 
    * @param {string} profileData.phone - Driver's phone number (required)
@@ -104,8 +197,8 @@ export const driverService = {
    * @returns {Promise<Object>} Update result with updated user data and meta information
    */
   updateProfile: async (profileData) => {
+    const driverId = sessionIdentity.requireDriverId(profileData.driver_id);
     try {
-      const driverId = profileData.driver_id || 1;
       console.log(`🟢 [API] POST /driver/profile/update - driver_id=${driverId}`);
       
       // Build request body matching API specification
@@ -168,8 +261,8 @@ export const driverService = {
    * @returns {Promise<Object>} Driver documents data with all document statuses
    */
   getDocuments: async () => {
+    const driverId = sessionIdentity.requireDriverId();
     try {
-      const driverId = 1; // Always use driver_id=1 for documents
       console.log(`🔵 [API] GET /driver/documents - driver_id=${driverId}`);
       
       const response = await apiClient.get(ENDPOINTS.DRIVER.DOCUMENTS, {
@@ -203,7 +296,7 @@ export const driverService = {
    * Response: { success: true, message: "Documents updated successfully", data: { documents: {...}, meta: {...} } }
    * 
    * @param {Object} documents - Document files to upload
-   * @param {number} documents.driver_id - Driver ID (required)
+   * @param {number} [documents.driver_id] - Driver ID (defaults to the session driver)
    * @param {Object} [documents.driver_license_front] - Front of driver license file { uri, type, name }
    * @param {Object} [documents.driver_license_back] - Back of driver license file { uri, type, name }
    * @param {Object} [documents.insurance] - Insurance document file { uri, type, name }
@@ -213,8 +306,8 @@ export const driverService = {
    * @returns {Promise<Object>} Upload result with documents and meta data
    */
   updateDocuments: async (documents) => {
+    const driverId = sessionIdentity.requireDriverId(documents.driver_id);
     try {
-      const driverId = documents.driver_id || 1;
       console.log(`🟢 [API] POST /driver/documents/update - driver_id=${driverId}`, {
         documentKeys: Object.keys(documents).filter(key => key !== 'driver_id'),
       });
@@ -238,71 +331,18 @@ export const driverService = {
       
       documentKeys.forEach(key => {
         if (documents[key] && documents[key].uri) {
-          const file = documents[key];
-          
-          // Ensure URI is properly formatted for React Native
-          // Handle both file:// and content:// URIs, and ensure proper encoding
-          let fileUri = file.uri;
-          
-          // For React Native, ensure the URI is properly formatted
-          // If it's already a file:// or content:// URI, use it as is
-          // Otherwise, ensure it's a valid local file path
-          if (!fileUri.startsWith('file://') && !fileUri.startsWith('content://') && !fileUri.startsWith('ph://')) {
-            // If it's a relative path, it should already be handled by expo-document-picker
-            // But let's ensure it's accessible
-            fileUri = file.uri;
-          }
-          
-          // Determine MIME type based on file extension if not provided
-          let mimeType = file.type || file.mimeType;
-          if (!mimeType) {
-            const extension = (file.name || fileUri).split('.').pop()?.toLowerCase();
-            if (extension === 'pdf') {
-              mimeType = 'application/pdf';
-            } else if (['jpg', 'jpeg'].includes(extension)) {
-              mimeType = 'image/jpeg';
-            } else if (extension === 'png') {
-              mimeType = 'image/png';
-            } else {
-              mimeType = 'application/pdf'; // Default
-            }
-          }
-          
-          // Ensure filename has proper extension
-          let fileName = file.name || `${key}.${mimeType.includes('pdf') ? 'pdf' : 'jpg'}`;
-          
-          // React Native FormData expects object with uri, type, and name
-          // Format: { uri: string, type: string, name: string }
-          formData.append(key, {
-            uri: fileUri,
-            type: mimeType,
-            name: fileName,
-          });
-          
-          console.log(`Added ${key} to FormData:`, {
-            name: fileName,
-            type: mimeType,
-            uri: fileUri.substring(0, 50) + '...', // Log partial URI for debugging
-          });
+          appendFileToFormData(formData, key, documents[key]);
         }
       });
       
       console.log('FormData prepared, sending request...');
       console.log('FormData entries count:', formData._parts?.length || 'unknown');
       
-      // For file uploads, increase timeout and ensure proper headers
-      // React Native FormData requires NO Content-Type header - it sets it automatically with boundary
-      // The interceptor already removes Content-Type for FormData
+      // For file uploads, increase timeout (Authorization header is added by interceptor)
       const response = await apiClient.post(
         ENDPOINTS.DRIVER.DOCUMENTS_UPDATE, 
         formData,
-        {
-          timeout: 120000, // 2 minutes timeout for file uploads (large files may take time)
-          // Do NOT set Content-Type header - React Native handles this automatically
-          // Authorization header is added by interceptor
-          maxContentLength: Infinity, // Allow large file uploads
-          maxBodyLength: Infinity, // Allow large request bodies
-        }
+        FILE_UPLOAD_CONFIG
       );
       
       console.log('Documents update response:', response.data);
@@ -344,14 +384,15 @@ export const driverService = {
    * Retrieves dashboard data including job counts and new jobs using authenticated API call.
    * 
    * API: GET /driver/dashboard
-   * Request: { "driver_id": 1 } (as query param or body)
+   * Request: { "driver_id": number } (as query param or body)
    * Headers: Authorization: Bearer {token}
    * Response: { success: true, message: "Delivery Man", data: { counts: {...}, new_jobs: [...], meta: {...} } }
    * 
-   * @param {number} [driverId=1] - Optional driver ID (defaults to 1)
+   * @param {number} [explicitDriverId] - Optional driver ID (defaults to the session driver)
    * @returns {Promise<Object>} Dashboard data with job statistics, new jobs, and meta information
    */
-  getDashboard: async (driverId = 1) => {
+  getDashboard: async (explicitDriverId) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
     try {
       console.log(`🔵 [API] GET/POST /driver/dashboard - driver_id=${driverId}`);
       
@@ -425,17 +466,18 @@ export const driverService = {
    * Headers: Authorization: Bearer {token}
    * Response: { success: true, message: "Driver marked absent and parcels updated successfully.", data: { meta: {...} } }
    * 
-   * @param {number} driverId - Driver ID (required)
+   * @param {number|null} explicitDriverId - Driver ID (null uses the session driver)
    * @param {string} absentDate - Absence date in YYYY-MM-DD format (required)
    * @returns {Promise<Object>} Absence marking result with success status and message
    */
-  markAbsent: async (driverId, absentDate) => {
+  markAbsent: async (explicitDriverId, absentDate) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
     try {
       console.log(`🟢 [API] POST /driver/mark-absent - driver_id=${driverId}, absent_date=${absentDate}`);
       
       // Validate inputs
-      if (!driverId || !absentDate) {
-        throw new Error('Driver ID and absent date are required');
+      if (!absentDate) {
+        throw new Error('Absent date is required');
       }
 
       // Format date to YYYY-MM-DD if needed
@@ -502,16 +544,13 @@ export const driverService = {
          * Headers: Authorization: Bearer {token}
          * Response: { success: true, message: "dashboard.current_jobs", data: { jobs: [...], meta: {...} } }
          * 
-         * @param {number} driverId - Driver ID (required)
+         * @param {number} [explicitDriverId] - Driver ID (defaults to the session driver)
          * @returns {Promise<Object>} Current jobs data with jobs array and meta information
          */
-        getCurrentJobs: async (driverId) => {
+        getCurrentJobs: async (explicitDriverId) => {
+          const driverId = sessionIdentity.requireDriverId(explicitDriverId);
           try {
             console.log(`🔵 [API] POST /driver/current-jobs - driver_id=${driverId}`);
-            
-            if (!driverId) {
-              throw new Error('Driver ID is required');
-            }
 
             const requestBody = {
               driver_id: driverId,
@@ -556,16 +595,17 @@ export const driverService = {
          * Headers: Authorization: Bearer {token}
          * Response: { success: true, message: "dashboard.job_details", data: { job: {...}, meta: {...} } }
          * 
-         * @param {number} driverId - Driver ID (required)
+         * @param {number|null} explicitDriverId - Driver ID (null uses the session driver)
          * @param {number} parcelId - Parcel/Job ID (required)
          * @returns {Promise<Object>} Job details data with job object and meta information
          */
-        getJobDetails: async (driverId, parcelId) => {
+        getJobDetails: async (explicitDriverId, parcelId) => {
+          const driverId = sessionIdentity.requireDriverId(explicitDriverId);
           try {
             console.log(`🔵 [API] POST /driver/job-details - driver_id=${driverId}, parcel_id=${parcelId}`);
             
-            if (!driverId || !parcelId) {
-              throw new Error('Driver ID and parcel ID are required');
+            if (!parcelId) {
+              throw new Error('Parcel ID is required');
             }
 
             const requestBody = {
@@ -616,17 +656,18 @@ export const driverService = {
          * Headers: Authorization: Bearer {token}
          * Response: { success: true, message: "dashboard.my_rides", data: { rides: [...], meta: {...} } }
          * 
-         * @param {number} driverId - Driver ID (required)
+         * @param {number|null} explicitDriverId - Driver ID (null uses the session driver)
          * @param {string} status - Ride status filter (e.g., "delivered", "accepted", "picked_up", "cancelled")
          * @returns {Promise<Object>} Rides data with rides array and meta information
          */
-        getDriverRides: async (driverId, status) => {
+        getDriverRides: async (explicitDriverId, status) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
     try {
       console.log(`🔵 [API] POST /driver/my-rides - driver_id=${driverId}, status=${status}`);
       
       // Validate inputs
-      if (!driverId || !status) {
-        throw new Error('Driver ID and status are required');
+      if (!status) {
+        throw new Error('Status is required');
       }
 
       const requestBody = {
@@ -708,11 +749,16 @@ export const jobService = {
    * @param {Object} filters - Optional filters for job list
    * @param {string} filters.status - Filter by job status
    * @param {number} filters.limit - Limit number of results
+   * @param {number} [filters.driver_id] - Driver ID (defaults to the session driver)
    * @returns {Promise<Object>} Job list data
    */
   getJobs: async (filters = {}) => {
+    const params = {
+      ...filters,
+      driver_id: sessionIdentity.requireDriverId(filters.driver_id),
+    };
     return handleApiResponse(
-      apiClient.get(ENDPOINTS.JOBS.LIST, { params: filters })
+      apiClient.get(ENDPOINTS.JOBS.LIST, { params })
     );
   },
 
@@ -722,41 +768,195 @@ export const jobService = {
    * Accepts a job assignment.
    * 
    * @param {number} jobId - ID of the job to accept
+   * @param {Object} [acceptData] - Optional data (e.g. performed_at for replayed offline actions)
    * @returns {Promise<Object>} Accept result
    */
-  acceptJob: async (jobId) => {
+  acceptJob: async (jobId, acceptData = {}) => {
     return handleApiResponse(
-      apiClient.post(ENDPOINTS.JOBS.ACCEPT.replace('{id}', jobId))
+      apiClient.post(ENDPOINTS.JOBS.ACCEPT.replace('{id}', jobId), acceptData)
     );
   },
 
   /**
    * Mark Job as Picked Up
    * 
-   * Updates job status to picked up.
+   * Updates job status to picked up. LTL/FTL pickups include the confirmed
+   * load; with a BOL photo the request is sent as multipart/form-data.
    * 
    * @param {number} jobId - ID of the job
    * @param {Object} pickupData - Pickup information
+   * @param {number} [pickupData.piece_count] - Pieces counted by the driver
+   * @param {number} [pickupData.total_weight] - Total weight confirmed by the driver
+   * @param {boolean} [pickupData.has_discrepancy] - Counted load differs from the booking
+   * @param {string} [pickupData.discrepancy_note] - Driver's explanation of the discrepancy
+   * @param {string} [pickupData.seal_number] - Trailer seal number
+   * @param {Object} [pickupData.bol_photo] - Bill-of-lading photo { uri, type, name }
+   * @param {Array} [pickupData.scan_log] - Label scans from utils/parcelScan
    * @returns {Promise<Object>} Pickup result
    */
   pickupJob: async (jobId, pickupData = {}) => {
-    return handleApiResponse(
-      apiClient.post(ENDPOINTS.JOBS.PICKUP.replace('{id}', jobId), pickupData)
-    );
+    const { bol_photo: bolPhoto, ...fields } = pickupData;
+    const files = bolPhoto ? [{ key: 'bol_photo', file: bolPhoto, name: `bol_${jobId}` }] : [];
+    return postJobAction(ENDPOINTS.JOBS.PICKUP.replace('{id}', jobId), fields, files);
   },
 
   /**
    * Mark Job as Delivered
    * 
-   * Updates job status to delivered.
+   * Updates job status to delivered. When proof of delivery is included the
+   * request is sent as multipart/form-data (photos as files, other fields as text).
    * 
    * @param {number} jobId - ID of the job
    * @param {Object} deliveryData - Delivery information
+   * @param {Array} [deliveryData.photos] - Proof photos { uri, type, name }, sent as photos[]
+   * @param {string} [deliveryData.signature] - Signature image as a base64 PNG data URL
+   * @param {string} [deliveryData.recipient_name] - Printed name of the person who received the delivery
+   * @param {number} [deliveryData.latitude] - Latitude where the delivery was completed
+   * @param {number} [deliveryData.longitude] - Longitude where the delivery was completed
+   * @param {string} [deliveryData.delivered_at] - ISO 8601 time the proof was captured
+   * @param {Array} [deliveryData.scan_log] - Label scans from utils/parcelScan
+   * @param {boolean} [deliveryData.is_late] - Delivered after the scheduled window (utils/eta)
    * @returns {Promise<Object>} Delivery result
    */
   deliverJob: async (jobId, deliveryData = {}) => {
+    const { photos = [], ...fields } = deliveryData;
+    const files = photos.map((photo, index) => ({
+      key: 'photos[]',
+      file: photo,
+      name: `delivery_${jobId}_${index + 1}`,
+    }));
+    return postJobAction(ENDPOINTS.JOBS.DELIVER.replace('{id}', jobId), fields, files);
+  },
+
+  /**
+   * Cancel Job
+   * 
+   * Cancels an accepted or picked-up job. With a photo the request is sent
+   * as multipart/form-data.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} cancelData - Cancellation information
+   * @param {string} cancelData.reason_code - CANCELLATION_REASONS code
+   * @param {string} [cancelData.note] - Driver's note
+   * @param {Object} [cancelData.photo] - Supporting photo { uri, type, name }
+   * @returns {Promise<Object>} Cancel result
+   */
+  cancelJob: async (jobId, cancelData = {}) => {
+    const { photo, ...fields } = cancelData;
+    const files = photo ? [{ key: 'photo', file: photo, name: `cancel_${jobId}` }] : [];
+    return postJobAction(ENDPOINTS.JOBS.CANCEL.replace('{id}', jobId), fields, files);
+  },
+
+  /**
+   * Reject Job
+   * 
+   * Declines a new job offered to the driver.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} rejectData - Rejection information (same fields as cancelJob)
+   * @returns {Promise<Object>} Reject result
+   */
+  rejectJob: async (jobId, rejectData = {}) => {
+    const { photo, ...fields } = rejectData;
+    const files = photo ? [{ key: 'photo', file: photo, name: `reject_${jobId}` }] : [];
+    return postJobAction(ENDPOINTS.JOBS.REJECT.replace('{id}', jobId), fields, files);
+  },
+
+  /**
+   * Report Delivery Exception
+   * 
+   * Records a failed delivery attempt with evidence and, optionally, a
+   * reattempt window. With photos the request is sent as multipart/form-data.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} exceptionData - Exception information
+   * @param {string} exceptionData.reason_code - DELIVERY_EXCEPTION_REASONS code
+   * @param {string} [exceptionData.note] - Driver's note
+   * @param {Array} [exceptionData.photos] - Evidence photos { uri, type, name }, sent as photos[]
+   * @param {number} [exceptionData.latitude] - Latitude of the attempt
+   * @param {number} [exceptionData.longitude] - Longitude of the attempt
+   * @param {string} [exceptionData.attempted_at] - ISO 8601 time of the attempt
+   * @param {string} [exceptionData.reattempt_window_start] - ISO 8601 start of the reattempt window
+   * @param {string} [exceptionData.reattempt_window_end] - ISO 8601 end of the reattempt window
+   * @returns {Promise<Object>} Exception result
+   */
+  reportException: async (jobId, exceptionData = {}) => {
+    const { photos = [], ...fields } = exceptionData;
+    const files = photos.map((photo, index) => ({
+      key: 'photos[]',
+      file: photo,
+      name: `exception_${jobId}_${index + 1}`,
+    }));
+    return postJobAction(ENDPOINTS.JOBS.EXCEPTION.replace('{id}', jobId), fields, files);
+  },
+
+  /**
+   * Send Geofence Event
+   * 
+   * Records an automatic arrival at or departure from a pickup or drop-off,
+   * used by the backend for dwell-time reporting.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} eventData - Event information
+   * @param {string} eventData.event - 'arrived' | 'departed'
+   * @param {string} eventData.stop_type - 'pickup' | 'dropoff'
+   * @param {string} eventData.occurred_at - ISO 8601 time of the event
+   * @param {number} eventData.latitude - Latitude of the fix that triggered it
+   * @param {number} eventData.longitude - Longitude of the fix that triggered it
+   * @param {number} [eventData.dwell_seconds] - Time spent inside (departures)
+   * @returns {Promise<Object>} Event result
+   */
+  sendGeofenceEvent: async (jobId, eventData) => {
     return handleApiResponse(
-      apiClient.post(ENDPOINTS.JOBS.DELIVER.replace('{id}', jobId), deliveryData)
+      apiClient.post(ENDPOINTS.JOBS.GEOFENCE_EVENT.replace('{id}', jobId), eventData)
+    );
+  },
+
+  /**
+   * Send Delay Notice
+   * 
+   * Tells dispatch the driver will miss the job's scheduled window so the
+   * customer can be informed.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} delayData - Delay information
+   * @param {string} delayData.stop_type - 'pickup' | 'dropoff'
+   * @param {string} [delayData.estimated_arrival] - ISO 8601 estimated arrival
+   * @param {number} delayData.late_by_minutes - Estimated delay past the window
+   * @param {string} [delayData.note] - Driver's note
+   * @param {number} [delayData.latitude] - Driver's latitude
+   * @param {number} [delayData.longitude] - Driver's longitude
+   * @returns {Promise<Object>} Delay notice result
+   */
+  sendDelayNotice: async (jobId, delayData) => {
+    return handleApiResponse(
+      apiClient.post(ENDPOINTS.JOBS.DELAY.replace('{id}', jobId), delayData)
+    );
+  },
+
+  /**
+   * Submit Trip Log
+   * 
+   * Uploads the GPS trace and mileage recorded for a delivered or cancelled
+   * job, used for mileage reimbursement.
+   * 
+   * @param {number} jobId - ID of the job
+   * @param {Object} tripData - Trip information
+   * @param {string} tripData.status - 'completed' | 'cancelled'
+   * @param {string} tripData.started_at - ISO 8601 time the job was accepted
+   * @param {string} [tripData.picked_up_at] - ISO 8601 time of pickup
+   * @param {string} tripData.ended_at - ISO 8601 time the job ended
+   * @param {number} tripData.empty_km - Kilometres driven to the pickup
+   * @param {number} tripData.loaded_km - Kilometres driven with the load
+   * @param {number} tripData.total_km - Total kilometres
+   * @param {number} [tripData.start_odometer] - Odometer reading at the start (km)
+   * @param {number} [tripData.end_odometer] - Odometer reading at the end (km)
+   * @param {Array} tripData.trace - Points { latitude, longitude, timestamp, loaded }
+   * @returns {Promise<Object>} Trip log result
+   */
+  submitTripLog: async (jobId, tripData) => {
+    return handleApiResponse(
+      apiClient.post(ENDPOINTS.JOBS.TRIP_LOG.replace('{id}', jobId), tripData)
     );
   },
 };
@@ -824,19 +1024,20 @@ export const locationService = {
    * Headers: Authorization: Bearer {token}
    * Response: { success: true, message: "Location published to Kafka topic: transend.driver.livetracker", data: {...} }
    * 
-   * @param {number} driverId - Driver ID (required)
+   * @param {number|null} explicitDriverId - Driver ID (null uses the session driver)
    * @param {number} latitude - Latitude coordinate (required)
    * @param {number} longitude - Longitude coordinate (required)
    * @param {string} [timestamp] - ISO 8601 timestamp (optional, defaults to current time)
    * @returns {Promise<Object>} Location update result with success status and message
    */
-  updateLocation: async (driverId, latitude, longitude, timestamp) => {
+  updateLocation: async (explicitDriverId, latitude, longitude, timestamp) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
     try {
       console.log(`🟢 [API] POST /driver/location - driver_id=${driverId}, lat=${latitude}, lng=${longitude}`);
       
       // Validate inputs
-      if (!driverId || latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
-        throw new Error('Driver ID, latitude, and longitude are required');
+      if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+        throw Object.assign(new Error('Latitude and longitude are required'), { category: ERROR_CATEGORIES.VALIDATION });
       }
 
       // Use provided timestamp or generate current ISO 8601 timestamp
@@ -861,29 +1062,69 @@ export const locationService = {
       console.log('Location update API response:', response.data);
       return await handleApiResponse(Promise.resolve(response));
     } catch (error) {
+      if (error.category === ERROR_CATEGORIES.VALIDATION) {
+        throw error;
+      }
+
+      // The client rejects with { status, data, category }; status is 0 when no response arrived
+      const status = error.response?.status ?? (error.status > 0 ? error.status : undefined);
+      const details = error.response?.data?.data ?? error.data;
+
       console.error('Location update API error:', {
-        status: error.response?.status,
-        data: error.response?.data,
+        status,
+        data: details,
         message: error.message,
       });
 
-      if (error.response?.status === 401) {
-        throw new Error('Authentication required. Please login again.');
+      // Thrown errors keep the HTTP response so callers can tell rejections from outages
+      const response = status ? { status, data: details } : undefined;
+
+      if (status === 401) {
+        throw Object.assign(new Error('Authentication required. Please login again.'), { response });
       }
 
-      if (error.response?.status === 422 && error.response?.data?.data) {
-        const validationErrors = error.response.data.data;
-        const errorMessages = Object.values(validationErrors).flat();
-        throw new Error(errorMessages.join(', '));
+      if (status === 422 && details && typeof details === 'object') {
+        const errorMessages = Object.values(details).flat();
+        throw Object.assign(new Error(errorMessages.join(', ')), { response });
       }
 
       const errorMessage = error.response?.data?.message || 
                           error.response?.data?.error || 
                           error.message || 
                           'Failed to update location';
-      throw new Error(errorMessage);
+      throw Object.assign(new Error(errorMessage), { response, category: error.category });
     }
   },
+
+  /**
+   * Update Driver Location (Batch)
+   * 
+   * Uploads several buffered locations in one request, oldest first, each
+   * with the time it was recorded (utils/locationBuffer).
+   * 
+   * API: POST /driver/location/batch
+   * Request Body: { driver_id: number, locations: [{ latitude, longitude, timestamp }] }
+   * Headers: Authorization: Bearer {token}
+   * 
+   * @param {number|null} explicitDriverId - Driver ID (null uses the session driver)
+   * @param {Array} points - Locations { latitude, longitude, timestamp }
+   * @returns {Promise<Object>} API result ({ success, message, data, error })
+   */
+  updateLocationBatch: async (explicitDriverId, points) => {
+    const driverId = sessionIdentity.requireDriverId(explicitDriverId);
+    console.log(`🟢 [API] POST /driver/location/batch - driver_id=${driverId}, points=${points.length}`);
+
+    return handleApiResponse(
+      apiClient.post(ENDPOINTS.LOCATION.BATCH, {
+        driver_id: driverId,
+        locations: points.map(point => ({
+          latitude: parseFloat(point.latitude),
+          longitude: parseFloat(point.longitude),
+          timestamp: point.timestamp,
+        })),
+      })
+    );
+  },
 };
 
 // Export all services
@@ -0,0 +1,164 @@
+/**
+ * Session Identity
+ *
+ * Holds the driver_id of the signed-in driver so API services never have to
+ * guess it. The identity is resolved once per session (after login or session
+ * restore) and persisted so it survives app restarts alongside the tokens.
+ *
+ * Resolution order:
+ * 1. The `sub` claim of the OAuth access token (Passport issues JWTs)
+ * 2. GET /driver/profile, which the backend scopes to the bearer token
+ *
+ * Services call requireDriverId() which throws an AuthenticationError when no
+ * identity is known - there is no fallback driver.
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from './client';
+import tokenStore from './tokenStore';
+import { ENDPOINTS } from './endpoints';
+import { AuthenticationError } from '../utils/errors';
+
+const STORAGE_KEYS = {
+  DRIVER_ID: '@driver_id',
+};
+
+// In-memory copy of the resolved identity (source of truth while the app runs)
+let currentDriverId = null;
+
+/**
+ * Normalize a driver ID value
+ *
+ * @param {*} value - Raw ID from token, API or storage
+ * @returns {number|null} Positive integer ID or null if invalid
+ */
+const normalizeDriverId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Decode the payload of a JWT access token
+ *
+ * @param {string} token - JWT access token
+ * @returns {Object|null} Decoded payload or null if the token is not a JWT
+ */
+const decodeTokenPayload = (token) => {
+  try {
+    const [, payload] = token.split('.');
+    if (!payload) {
+      return null;
+    }
+
+    // base64url -> base64 with padding
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return JSON.parse(global.atob(padded));
+  } catch (error) {
+    console.log('Access token is not a decodable JWT:', error.message);
+    return null;
+  }
+};
+
+export const sessionIdentity = {
+  /**
+   * Get the current driver ID
+   *
+   * @returns {number|null} Driver ID or null if no session identity is known
+   */
+  getDriverId: () => currentDriverId,
+
+  /**
+   * Get the driver ID for an API call
+   *
+   * @param {number} [explicitId] - Driver ID passed by the caller (takes precedence)
+   * @returns {number} Driver ID
+   * @throws {AuthenticationError} When no driver identity is known
+   */
+  requireDriverId: (explicitId) => {
+    const driverId = normalizeDriverId(explicitId) || currentDriverId;
+    if (!driverId) {
+      throw new AuthenticationError('No driver session. Please login again.');
+    }
+    return driverId;
+  },
+
+  /**
+   * Set and persist the driver ID
+   *
+   * @param {number|string} driverId - Driver ID
+   * @returns {Promise<number|null>} Stored driver ID or null if invalid
+   */
+  setDriverId: async (driverId) => {
+    const id = normalizeDriverId(driverId);
+    currentDriverId = id;
+
+    try {
+      if (id) {
+        await AsyncStorage.setItem(STORAGE_KEYS.DRIVER_ID, String(id));
+      } else {
+        await AsyncStorage.removeItem(STORAGE_KEYS.DRIVER_ID);
+      }
+    } catch (error) {
+      console.error('Error saving driver ID:', error);
+    }
+
+    return id;
+  },
+
+  /**
+   * Resolve the driver identity for the current tokens
+   *
+   * Uses the persisted ID when available, otherwise the token `sub` claim,
+   * otherwise the profile endpoint.
+   *
+   * @returns {Promise<number|null>} Resolved driver ID or null if it could not be determined
+   */
+  resolve: async () => {
+    try {
+      const storedId = normalizeDriverId(await AsyncStorage.getItem(STORAGE_KEYS.DRIVER_ID));
+      if (storedId) {
+        currentDriverId = storedId;
+        return storedId;
+      }
+
+      const token = await tokenStore.getAccessToken();
+      const tokenId = token ? normalizeDriverId(decodeTokenPayload(token)?.sub) : null;
+      if (tokenId) {
+        return await sessionIdentity.setDriverId(tokenId);
+      }
+
+      // Profile endpoint identifies the driver from the bearer token
+      const response = await apiClient.get(ENDPOINTS.DRIVER.PROFILE);
+      const profileId = normalizeDriverId(response.data?.data?.user?.id);
+      if (profileId) {
+        return await sessionIdentity.setDriverId(profileId);
+      }
+
+      console.error('Driver identity missing from profile response');
+      return null;
+    } catch (error) {
+      console.error('Resolve driver identity error:', error?.message || error);
+      return null;
+    }
+  },
+
+  /**
+   * Forget the driver identity (on logout)
+   *
+   * @returns {Promise<void>}
+   */
+  clear: async () => {
+    currentDriverId = null;
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.DRIVER_ID);
+    } catch (error) {
+      console.error('Error clearing driver ID:', error);
+    }
+  },
+};
+
+export default sessionIdentity;
@@ -0,0 +1,43 @@
+/**
+ * Session Events
+ *
+ * Minimal publish/subscribe channel for session lifecycle events raised by
+ * the API layer. The API client has no access to React state or navigation,
+ * so it emits here and AppContext reacts (e.g. returning to the Login screen).
+ *
+ * Usage:
+ * const unsubscribe = onSessionExpired((reason) => { ... });
+ * emitSessionExpired('refresh_failed');
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+const sessionExpiredListeners = new Set();
+
+/**
+ * Subscribe to session-expired events
+ *
+ * @param {Function} listener - Called with the expiry reason
+ * @returns {Function} Unsubscribe function
+ */
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+/**
+ * Notify subscribers that the session can no longer be used
+ *
+ * @param {string} [reason] - Why the session expired (for logging)
+ */
+export const emitSessionExpired = (reason = 'unknown') => {
+  console.warn('Session expired:', reason);
+  sessionExpiredListeners.forEach((listener) => {
+    try {
+      listener(reason);
+    } catch (error) {
+      console.error('Session expired listener error:', error);
+    }
+  });
+};
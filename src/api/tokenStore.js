@@ -0,0 +1,187 @@
+/**
+ * Token Store
+ *
+ * Single place where OAuth tokens are persisted. Both the auth service and
+ * the API client read tokens through this module instead of touching storage
+ * directly.
+ *
+ * Storage is pluggable via setTokenStoreBackend(). By default tokens are kept
+ * in the device keychain/keystore (expo-secure-store). Web has no secure
+ * storage, so it falls back to AsyncStorage there.
+ *
+ * Older app versions kept tokens in plain AsyncStorage; migrateLegacyTokens()
+ * moves them into the active backend once and deletes the plain copies.
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+/**
+ * Token keys
+ *
+ * SecureStore keys may only contain alphanumerics, ".", "-" and "_".
+ */
+const TOKEN_KEYS = {
+  ACCESS_TOKEN: 'driver_access_token',
+  REFRESH_TOKEN: 'driver_refresh_token',
+  TOKEN_EXPIRY: 'driver_token_expiry',
+};
+
+// Plain AsyncStorage keys used before tokens moved to secure storage
+const LEGACY_KEYS = {
+  ACCESS_TOKEN: '@access_token',
+  REFRESH_TOKEN: '@refresh_token',
+  TOKEN_EXPIRY: '@token_expiry',
+};
+
+/**
+ * Encrypted backend (iOS Keychain / Android Keystore)
+ */
+export const secureStoreBackend = {
+  getItem: (key) => SecureStore.getItemAsync(key),
+  setItem: (key, value) => SecureStore.setItemAsync(key, value),
+  removeItem: (key) => SecureStore.deleteItemAsync(key),
+};
+
+/**
+ * Unencrypted backend (web, where no secure storage exists)
+ */
+export const asyncStorageBackend = {
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+};
+
+let backend = Platform.OS === 'web' ? asyncStorageBackend : secureStoreBackend;
+
+/**
+ * Replace the storage backend
+ *
+ * @param {Object} newBackend - Object with async getItem, setItem and removeItem
+ */
+export const setTokenStoreBackend = (newBackend) => {
+  backend = newBackend;
+};
+
+export const tokenStore = {
+  /**
+   * Get the stored access token
+   *
+   * @returns {Promise<string|null>} Access token or null
+   */
+  getAccessToken: async () => {
+    try {
+      return await backend.getItem(TOKEN_KEYS.ACCESS_TOKEN);
+    } catch (error) {
+      console.error('Error reading access token:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Get the stored refresh token
+   *
+   * @returns {Promise<string|null>} Refresh token or null
+   */
+  getRefreshToken: async () => {
+    try {
+      return await backend.getItem(TOKEN_KEYS.REFRESH_TOKEN);
+    } catch (error) {
+      console.error('Error reading refresh token:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Get the access token expiry time
+   *
+   * @returns {Promise<number|null>} Expiry as epoch milliseconds or null
+   */
+  getTokenExpiry: async () => {
+    try {
+      const expiry = await backend.getItem(TOKEN_KEYS.TOKEN_EXPIRY);
+      return expiry ? parseInt(expiry, 10) : null;
+    } catch (error) {
+      console.error('Error reading token expiry:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Store a token response from the OAuth server
+   *
+   * @param {Object} tokens - Token data
+   * @param {string} tokens.access_token - Access token
+   * @param {string} [tokens.refresh_token] - Refresh token
+   * @param {number} [tokens.expires_in] - Lifetime in seconds
+   * @returns {Promise<void>}
+   */
+  saveTokens: async ({ access_token, refresh_token, expires_in }) => {
+    const writes = [backend.setItem(TOKEN_KEYS.ACCESS_TOKEN, access_token)];
+
+    if (refresh_token) {
+      writes.push(backend.setItem(TOKEN_KEYS.REFRESH_TOKEN, refresh_token));
+    }
+
+    if (expires_in) {
+      const expiryTime = Date.now() + (expires_in * 1000);
+      writes.push(backend.setItem(TOKEN_KEYS.TOKEN_EXPIRY, expiryTime.toString()));
+    }
+
+    await Promise.all(writes);
+  },
+
+  /**
+   * Remove all stored tokens
+   *
+   * @returns {Promise<void>}
+   */
+  clear: async () => {
+    try {
+      await Promise.all(Object.values(TOKEN_KEYS).map(key => backend.removeItem(key)));
+    } catch (error) {
+      console.error('Error clearing tokens:', error);
+    }
+  },
+
+  /**
+   * Move tokens saved by older app versions out of AsyncStorage
+   *
+   * Safe to call on every launch - it does nothing once the legacy keys are gone.
+   *
+   * @returns {Promise<boolean>} Whether tokens were migrated
+   */
+  migrateLegacyTokens: async () => {
+    try {
+      const [[, accessToken], [, refreshToken], [, expiry]] = await AsyncStorage.multiGet([
+        LEGACY_KEYS.ACCESS_TOKEN,
+        LEGACY_KEYS.REFRESH_TOKEN,
+        LEGACY_KEYS.TOKEN_EXPIRY,
+      ]);
+
+      if (!accessToken && !refreshToken) {
+        return false;
+      }
+
+      const writes = [];
+      if (accessToken) writes.push(backend.setItem(TOKEN_KEYS.ACCESS_TOKEN, accessToken));
+      if (refreshToken) writes.push(backend.setItem(TOKEN_KEYS.REFRESH_TOKEN, refreshToken));
+      if (expiry) writes.push(backend.setItem(TOKEN_KEYS.TOKEN_EXPIRY, expiry));
+      await Promise.all(writes);
+
+      // Only delete the plain copies once the secure copies are written
+      await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+      console.log('Migrated stored tokens to secure storage');
+      return true;
+    } catch (error) {
+      console.error('Token migration error:', error);
+      return false;
+    }
+  },
+};
+
+export default tokenStore;
@@ -0,0 +1,98 @@
+/**
+ * GeofencePrompt.js - Arrival Confirmation Prompt
+ *
+ * Asks the driver to confirm the pickup or delivery when AppContext detects
+ * an arrival at a job's geofence (utils/geofence), so the job is not left in
+ * the wrong status because "Start" or "Complete" was forgotten. Renders
+ * nothing itself; the prompt is a native alert.
+ *
+ * Confirming a pickup opens PickupConfirmation for LTL/FTL jobs and marks
+ * other jobs picked up directly; confirming a delivery opens Proof of
+ * Delivery. The job is put in focus on Current Job either way.
+ *
+ * Props:
+ * - navigation: Stack navigation object (rendered by MainTabs)
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import { useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+import { useApp } from '../../context/AppContext';
+import { JOB_STATUS, JOB_TYPES } from '../../utils/constants';
+import { STOP_TYPES } from '../../utils/routePlanner';
+import { canTransition } from '../../utils/jobLifecycle';
+import { JOB_ACTION_QUEUED } from '../../utils/outbox';
+import { showError } from '../../utils/toast';
+
+const GeofencePrompt = ({ navigation }) => {
+  const {
+    activeJobs,
+    geofenceArrival,
+    dismissGeofenceArrival,
+    focusJob,
+    updateJobStatus,
+  } = useApp();
+
+  // Arrival already prompted for (the alert must not reopen on re-render)
+  const promptedRef = useRef(null);
+
+  useEffect(() => {
+    if (!geofenceArrival) return;
+
+    const promptKey = `${geofenceArrival.jobId}:${geofenceArrival.stop_type}:${geofenceArrival.occurred_at}`;
+    if (promptedRef.current === promptKey) return;
+
+    const job = activeJobs.find(item => item.id === geofenceArrival.jobId);
+    const isPickup = geofenceArrival.stop_type === STOP_TYPES.PICKUP;
+    const targetStatus = isPickup ? JOB_STATUS.PICKEDUP : JOB_STATUS.DELIVERED;
+
+    // The driver may already have confirmed it by hand
+    if (!job || !canTransition(job.status, targetStatus)) {
+      dismissGeofenceArrival();
+      return;
+    }
+
+    promptedRef.current = promptKey;
+    const orderLabel = job.orderId || job.tracking_id || job.id;
+
+    const confirm = async () => {
+      dismissGeofenceArrival();
+      focusJob(job.id);
+
+      if (!isPickup) {
+        navigation.navigate('ProofOfDelivery', { job });
+        return;
+      }
+
+      // LTL/FTL pickups confirm pieces, weight, BOL and seal first
+      if ([JOB_TYPES.LTL, JOB_TYPES.FTL].includes(job.type)) {
+        navigation.navigate('PickupConfirmation', { job });
+        return;
+      }
+
+      const result = await updateJobStatus(job.id, JOB_STATUS.PICKEDUP);
+      if (!result) {
+        showError('Failed to confirm pickup. Please try again from Current Job.');
+      } else if (result !== JOB_ACTION_QUEUED) {
+        navigation.navigate('Main', { screen: 'CurrentJob' });
+      }
+    };
+
+    Alert.alert(
+      isPickup ? 'Arrived at Pickup' : 'Arrived at Drop-off',
+      `You have arrived at the ${isPickup ? 'pickup' : 'drop-off'} for order #${orderLabel}. ${isPickup ? 'Confirm the pickup?' : 'Complete the delivery?'}`,
+      [
+        { text: 'Not Yet', style: 'cancel', onPress: dismissGeofenceArrival },
+        { text: isPickup ? 'Confirm Pickup' : 'Complete Delivery', onPress: confirm },
+      ],
+      { cancelable: true, onDismiss: dismissGeofenceArrival }
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [geofenceArrival]);
+
+  return null;
+};
+
+export default GeofencePrompt;
@@ -8,6 +8,7 @@
  * - Slide-in animation from the left
  * - Profile section with image and name
  * - Navigation menu items with icons
+ * - Logout action that ends the driver session
  * - Overlay background to close menu
  * - Smooth animations and transitions
  * 
@@ -33,12 +34,14 @@ import {
   StyleSheet,
   StatusBar,
   ScrollView,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { Switch } from 'react-native';
 import { colors, createThemedStyles } from '../../styles/commonStyles';
 import { useTheme } from '../../context/ThemeContext';
+import { useApp } from '../../context/AppContext';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 const MENU_WIDTH = screenWidth * 0.8; // 80% of screen width
@@ -62,6 +65,9 @@ const HamburgerMenu = ({ visible, onClose, onNavigate, user }) => {
   // Get theme context
   const { theme, isDarkMode, toggleTheme } = useTheme();
   
+  // Get logout from app context
+  const { logout } = useApp();
+  
   // Get themed styles
   const styles = useStyles(theme);
 
@@ -146,6 +152,24 @@ const HamburgerMenu = ({ visible, onClose, onNavigate, user }) => {
     onClose();
   };
 
+  /**
+   * Handle Logout Press
+   * 
+   * Closes the menu and asks for confirmation before ending the session.
+   */
+  const handleLogoutPress = () => {
+    onClose();
+    Alert.alert(
+      'Logout',
+      'Are you sure you want to log out?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Logout', style: 'destructive', onPress: () => logout() },
+      ],
+      { cancelable: true }
+    );
+  };
+
   /**
    * Handle Overlay Press
    * 
@@ -293,6 +317,25 @@ const HamburgerMenu = ({ visible, onClose, onNavigate, user }) => {
                     ios_backgroundColor={theme.border}
                   />
                 </View>
+
+                {/* Logout */}
+                <TouchableOpacity
+                  style={styles.menuItem}
+                  onPress={handleLogoutPress}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.menuItemContent}>
+                    <Ionicons 
+                      name="log-out-outline" 
+                      size={24} 
+                      color={theme.error}
+                      style={styles.menuItemIcon}
+                    />
+                    <Text style={[styles.menuItemText, { color: theme.error }]}>
+                      Logout
+                    </Text>
+                  </View>
+                </TouchableOpacity>
               </View>
 
               {/* Bottom spacer for scroll content */}
@@ -10,12 +10,18 @@
  * - Order ID and job type display
  * - Date and time information
  * - Pickup and dropoff locations with colored icons
+ * - Exception badge and reattempt window for failed delivery attempts
+ * - Live ETA and "Late" badge for active jobs (utils/eta)
+ * - Recorded trip mileage (utils/tripRecorder) with an optional Replay Trip link
  * - Touchable interaction for navigation
  * - Consistent card styling with shadow
  * 
  * Props:
  * - job: Job object containing all job details
  * - onPress: Function called when card is pressed
+ * - eta: Next-stop ETA from AppContext jobEtas (optional)
+ * - trip: Trip log summary from AppContext getJobTrip (optional)
+ * - onReplayPress: Function called when Replay Trip is pressed (optional; hidden without it)
  * 
  * Usage:
  * <JobCard 
@@ -33,6 +39,32 @@ import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../context/ThemeContext';
 import { commonStyles } from '../../styles/commonStyles';
 import { spacing, componentSizes } from '../../utils/responsiveDimensions';
+import { JOB_STATUS, DELIVERY_EXCEPTION_REASONS } from '../../utils/constants';
+import { formatEtaTime } from '../../utils/eta';
+import { STOP_TYPES, formatDistance } from '../../utils/routePlanner';
+import { getTripSummary } from '../../utils/tripRecorder';
+
+/**
+ * Describe a job's delivery exception, if any
+ * 
+ * @param {Object} job - Job or ride object
+ * @returns {Object|null} { reason, reattempt } labels, or null without an exception
+ */
+const getExceptionInfo = (job) => {
+  if (job.status !== JOB_STATUS.EXCEPTION && !job.exception_reason) return null;
+
+  const reason = DELIVERY_EXCEPTION_REASONS.find(item => item.code === job.exception_reason);
+  let reattempt = null;
+  if (job.reattempt_window_start && job.reattempt_window_end) {
+    const start = new Date(job.reattempt_window_start);
+    const end = new Date(job.reattempt_window_end);
+    const time = { hour: 'numeric', minute: '2-digit' };
+    reattempt = `${start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}, `
+      + `${start.toLocaleTimeString(undefined, time)} - ${end.toLocaleTimeString(undefined, time)}`;
+  }
+
+  return { reason: reason?.label || job.exception_reason || null, reattempt };
+};
 
 /**
  * JobCard Component
@@ -49,11 +81,18 @@ import { spacing, componentSizes } from '../../utils/responsiveDimensions';
  *   - dateTime: Scheduled date and time
  *   - pickupLocation: Pickup address
  *   - dropoffLocation: Delivery address
+ *   - exception_reason / reattempt_window_start / reattempt_window_end: Failed attempt details (optional)
  * @param {Function} props.onPress - Callback function when card is pressed
+ * @param {Object} [props.eta] - { stopType, eta, isLate, lateByMinutes } from AppContext jobEtas
+ * @param {Object} [props.trip] - Trip log summary from AppContext getJobTrip
+ * @param {Function} [props.onReplayPress] - Opens the trip replay
  * @returns {JSX.Element} JobCard component
  */
-const JobCard = ({ job, onPress }) => {
+const JobCard = ({ job, onPress, eta, trip, onReplayPress }) => {
   const { theme } = useTheme();
+  const exception = getExceptionInfo(job);
+  const tripSummary = trip ? getTripSummary(trip) : null;
+  const stopLabel = eta?.stopType === STOP_TYPES.PICKUP ? 'pickup' : 'drop-off';
   return (
     <TouchableOpacity 
       style={[styles.myRideBox, { backgroundColor: theme.surface }]} 
@@ -83,6 +122,22 @@ const JobCard = ({ job, onPress }) => {
             </Text>
           </View>
         </View>
+
+        {/* Exception Badge: delivery attempted but not completed */}
+        {exception && (
+          <View style={[styles.exceptionBadge, { backgroundColor: theme.warning }]}>
+            <Ionicons name="alert-circle" size={12} color={theme.textLight} />
+            <Text style={[styles.exceptionBadgeText, { color: theme.textLight }]}>Exception</Text>
+          </View>
+        )}
+
+        {/* Late Badge: estimated arrival misses the scheduled window */}
+        {eta?.isLate && (
+          <View style={[styles.exceptionBadge, styles.lateBadge, { backgroundColor: theme.error }]}>
+            <Ionicons name="time" size={12} color={theme.textLight} />
+            <Text style={[styles.exceptionBadgeText, { color: theme.textLight }]}>Late</Text>
+          </View>
+        )}
       </View>
       
       {/* Job Details: Type, timing, and locations */}
@@ -97,6 +152,30 @@ const JobCard = ({ job, onPress }) => {
           <Text style={[styles.dateTime, { color: theme.text }, commonStyles.fwNormal]}>
             {job.dateTime}
           </Text>
+          {/* Exception reason and reattempt window */}
+          {exception?.reason && (
+            <Text style={[styles.exceptionText, { color: theme.warning }, commonStyles.fwMedium]}>
+              {exception.reason}
+            </Text>
+          )}
+          {exception?.reattempt && (
+            <Text style={[styles.exceptionText, { color: theme.textSecondary }, commonStyles.fwNormal]}>
+              Reattempt: {exception.reattempt}
+            </Text>
+          )}
+          {/* ETA at the next stop */}
+          {eta?.eta && (
+            <Text style={[styles.exceptionText, { color: eta.isLate ? theme.error : theme.textSecondary }, commonStyles.fwMedium]}>
+              ETA {stopLabel}: {formatEtaTime(eta.eta)}
+              {eta.isLate ? ` (~${eta.lateByMinutes} min late)` : ''}
+            </Text>
+          )}
+          {/* Recorded mileage */}
+          {tripSummary && tripSummary.totalMeters > 0 && (
+            <Text style={[styles.exceptionText, { color: theme.textSecondary }, commonStyles.fwNormal]}>
+              Trip: {formatDistance(tripSummary.totalMeters)} ({formatDistance(tripSummary.loadedMeters)} loaded)
+            </Text>
+          )}
         </View>
         
         {/* Location Information */}
@@ -128,6 +207,17 @@ const JobCard = ({ job, onPress }) => {
           </View>
         </View>
       </View>
+
+      {/* Replay of the recorded trip */}
+      {onReplayPress && (
+        <TouchableOpacity
+          style={[styles.replayLink, { borderTopColor: theme.border }]}
+          onPress={onReplayPress}
+        >
+          <Ionicons name="play-circle-outline" size={16} color={theme.primary} />
+          <Text style={[styles.replayText, { color: theme.primary }, commonStyles.fwMedium]}>Replay Trip</Text>
+        </TouchableOpacity>
+      )}
     </TouchableOpacity>
   );
 };
@@ -232,6 +322,38 @@ const styles = StyleSheet.create({
   dateTime: {
     fontSize: 14,                          // Smaller text size
   },
+
+  /**
+   * Exception Badge
+   * Pill shown in the header for failed delivery attempts
+   */
+  exceptionBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    gap: 4,
+  },
+
+  exceptionBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+
+  // Spacing when shown next to the exception badge
+  lateBadge: {
+    marginLeft: 4,
+  },
+
+  /**
+   * Exception Details Text
+   * Reason and reattempt window under the date
+   */
+  exceptionText: {
+    fontSize: 13,
+    marginTop: 2,
+  },
   
   /**
    * Location Listing Container
@@ -267,6 +389,23 @@ const styles = StyleSheet.create({
     fontSize: 14,                          // Standard text size
     flex: 1,                               // Take remaining space for text wrapping
   },
+
+  /**
+   * Replay Trip Link
+   * Footer action under the locations
+   */
+  replayLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderTopWidth: 1,
+    marginTop: spacing.sm + 4,
+    paddingTop: spacing.sm,
+  },
+
+  replayText: {
+    fontSize: 14,
+  },
 });
 
 export default JobCard;
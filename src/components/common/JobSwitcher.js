@@ -0,0 +1,157 @@
+/**
+ * JobSwitcher.js - Active Job Selector
+ *
+ * Horizontal strip of the driver's active jobs used on CurrentJobScreen when
+ * several jobs are carried at once (e.g. a consolidated LTL route). Each chip
+ * shows the order, customer and lifecycle status; tapping one puts that job
+ * in focus.
+ *
+ * Props:
+ * - jobs: Active jobs to list
+ * - selectedJobId: ID of the job in focus
+ * - pendingJobIds: IDs of jobs with actions waiting to sync (optional)
+ * - lateJobIds: IDs of jobs running late (optional)
+ * - onSelect: Function called with the tapped job
+ *
+ * Usage:
+ * <JobSwitcher
+ *   jobs={activeJobs}
+ *   selectedJobId={focusedJob?.id}
+ *   onSelect={(job) => focusJob(job.id)}
+ * />
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import { View, Text, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import { spacing, componentSizes, responsive } from '../../utils/responsiveDimensions';
+import { JOB_STATUS } from '../../utils/constants';
+import { normalizeJobStatus } from '../../utils/jobLifecycle';
+
+const STATUS_LABELS = {
+  [JOB_STATUS.ACCEPTED]: 'Accepted',
+  [JOB_STATUS.PICKEDUP]: 'Picked Up',
+  [JOB_STATUS.EXCEPTION]: 'Exception',
+};
+
+const JobSwitcher = ({ jobs = [], selectedJobId = null, pendingJobIds = [], lateJobIds = [], onSelect }) => {
+  const { theme } = useTheme();
+
+  const statusColor = (status) => {
+    switch (status) {
+      case JOB_STATUS.EXCEPTION:
+        return theme.error;
+      case JOB_STATUS.ACCEPTED:
+        return theme.warning;
+      default:
+        return theme.info;
+    }
+  };
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.container}
+    >
+      {jobs.map(job => {
+        const selected = job.id === selectedJobId;
+        const status = normalizeJobStatus(job.status);
+        const color = statusColor(status);
+
+        return (
+          <TouchableOpacity
+            key={job.id}
+            style={[
+              styles.chip,
+              {
+                backgroundColor: theme.surface,
+                borderColor: selected ? theme.primary : theme.border,
+              },
+              selected && styles.selectedChip,
+            ]}
+            onPress={() => onSelect(job)}
+            accessibilityRole="tab"
+            accessibilityState={{ selected }}
+            accessibilityLabel={`Order ${job.orderId || job.tracking_id || job.id}, ${STATUS_LABELS[status] || status}${lateJobIds.includes(job.id) ? ', running late' : ''}`}
+          >
+            <View style={styles.chipHeader}>
+              <Text style={[styles.orderId, { color: theme.text }]} numberOfLines={1}>
+                #{job.orderId || job.tracking_id || job.order_id || job.id}
+              </Text>
+              {pendingJobIds.includes(job.id) && (
+                <Ionicons name="cloud-offline-outline" size={14} color={theme.warning} />
+              )}
+              {lateJobIds.includes(job.id) && (
+                <Ionicons name="time" size={14} color={theme.error} />
+              )}
+            </View>
+            <Text style={[styles.customer, { color: theme.textSecondary }]} numberOfLines={1}>
+              {job.companyName || job.customer_name || 'Unknown Company'}
+            </Text>
+            <View style={[styles.statusBadge, { backgroundColor: color }]}>
+              <Text style={[styles.statusText, { color: theme.textLight }]}>
+                {STATUS_LABELS[status] || status}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: spacing.sm,
+    paddingBottom: spacing.md,
+  },
+
+  chip: {
+    width: responsive(150, 180, 130),
+    borderWidth: 1,
+    borderRadius: componentSizes.cardBorderRadius,
+    padding: spacing.sm,
+  },
+
+  selectedChip: {
+    borderWidth: 2,
+  },
+
+  chipHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: spacing.xs,
+  },
+
+  orderId: {
+    flex: 1,
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+  },
+
+  customer: {
+    fontSize: responsive(12, 14, 11),
+    marginTop: 2,
+    marginBottom: spacing.xs,
+  },
+
+  statusBadge: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+
+  statusText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+});
+
+export default JobSwitcher;
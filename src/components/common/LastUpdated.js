@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import { Ionicons } from '@expo/vector-icons';
+import { colors } from '../../styles/commonStyles';
+
+/**
+ * Format a timestamp relative to now ("just now", "5 min ago", "2 h ago")
+ */
+const formatRelativeTime = (timestamp, now) => {
+  const minutes = Math.floor((now - timestamp) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * Last Updated component showing when cached data was fetched
+ */
+const LastUpdated = ({ timestamp = null, isOffline = false, style = null }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the relative time current while the screen is open
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!timestamp) return null;
+
+  return (
+    <View style={[styles.container, style]} testID="last-updated">
+      <Ionicons
+        name={isOffline ? 'cloud-offline-outline' : 'time-outline'}
+        size={12}
+        color={colors.textLight}
+      />
+      <Text style={styles.text}>
+        {isOffline ? 'Offline - showing data from ' : 'Updated '}
+        {formatRelativeTime(timestamp, Math.max(now, timestamp))}
+      </Text>
+    </View>
+  );
+};
+
+LastUpdated.propTypes = {
+  timestamp: PropTypes.number,
+  isOffline: PropTypes.bool,
+  style: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+  },
+  text: {
+    marginLeft: 4,
+    fontSize: 12,
+    color: colors.textLight,
+  },
+});
+
+export default React.memo(LastUpdated);
@@ -0,0 +1,99 @@
+import React, { useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import SignatureCanvas from 'react-native-signature-canvas';
+import { colors } from '../../styles/commonStyles';
+
+// Hide the canvas' built-in buttons - Clear is rendered natively below
+const CANVAS_STYLE = `
+  .m-signature-pad { box-shadow: none; border: none; margin: 0; }
+  .m-signature-pad--body { border: none; }
+  .m-signature-pad--footer { display: none; margin: 0; }
+  body, html { height: 100%; }
+`;
+
+/**
+ * Signature Pad component capturing an on-screen signature as a PNG data URL
+ *
+ * onChange receives the signature after every stroke, or null when cleared.
+ * onDrawStart/onDrawEnd let a parent ScrollView disable scrolling while signing.
+ */
+const SignaturePad = ({ onChange, onDrawStart, onDrawEnd, disabled = false, height = 180 }) => {
+  const canvasRef = useRef(null);
+
+  const handleEnd = () => {
+    // Read after every stroke so the parent always has the current signature
+    canvasRef.current?.readSignature();
+    onDrawEnd?.();
+  };
+
+  const handleClear = () => {
+    canvasRef.current?.clearSignature();
+    onChange(null);
+  };
+
+  return (
+    <View testID="signature-pad">
+      <View style={[styles.canvasContainer, { height }]} pointerEvents={disabled ? 'none' : 'auto'}>
+        <SignatureCanvas
+          ref={canvasRef}
+          onOK={onChange}
+          onEmpty={() => onChange(null)}
+          onBegin={onDrawStart}
+          onEnd={handleEnd}
+          autoClear={false}
+          imageType="image/png"
+          webStyle={CANVAS_STYLE}
+          backgroundColor={colors.white}
+          penColor={colors.textDark}
+        />
+      </View>
+      <View style={styles.footer}>
+        <Text style={styles.hint}>Sign inside the box</Text>
+        <TouchableOpacity
+          onPress={handleClear}
+          disabled={disabled}
+          accessibilityRole="button"
+          accessibilityLabel="Clear signature"
+        >
+          <Text style={styles.clearText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+SignaturePad.propTypes = {
+  onChange: PropTypes.func.isRequired,
+  onDrawStart: PropTypes.func,
+  onDrawEnd: PropTypes.func,
+  disabled: PropTypes.bool,
+  height: PropTypes.number,
+};
+
+const styles = StyleSheet.create({
+  canvasContainer: {
+    borderWidth: 1,
+    borderColor: colors.lineColor,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: colors.white,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textLight,
+  },
+  clearText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.themeColor,
+  },
+});
+
+export default SignaturePad;
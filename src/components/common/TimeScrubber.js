@@ -0,0 +1,118 @@
+/**
+ * TimeScrubber.js - Timeline Scrubber
+ *
+ * Horizontal track for stepping through a time range, used by
+ * TripReplayScreen. Touching or dragging anywhere on the track seeks to that
+ * moment; optional ticks mark events (pickup, stops, drop-off) on the track.
+ *
+ * Props:
+ * - min: Start of the range (ms)
+ * - max: End of the range (ms)
+ * - value: Current time (ms)
+ * - onChange: Function called with the time under the finger
+ * - markers: [{ key, time, color }] ticks drawn on the track (optional)
+ *
+ * Usage:
+ * <TimeScrubber
+ *   min={replay.startTime}
+ *   max={replay.endTime}
+ *   value={currentTime}
+ *   onChange={setCurrentTime}
+ * />
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { useTheme } from '../../context/ThemeContext';
+import { spacing } from '../../utils/responsiveDimensions';
+
+const THUMB_SIZE = 20;
+
+const TimeScrubber = ({ min, max, value, onChange, markers = [] }) => {
+  const { theme } = useTheme();
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const range = Math.max(1, max - min);
+  const toRatio = (time) => Math.min(1, Math.max(0, (time - min) / range));
+
+  const seek = (event) => {
+    if (trackWidth <= 0) return;
+    const ratio = Math.min(1, Math.max(0, event.nativeEvent.locationX / trackWidth));
+    onChange(min + ratio * range);
+  };
+
+  const position = toRatio(value) * trackWidth;
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderTerminationRequest={() => false}
+      onResponderGrant={seek}
+      onResponderMove={seek}
+      accessibilityRole="adjustable"
+      accessibilityLabel="Trip timeline"
+    >
+      {/* Children ignore touches so locationX is always relative to the track */}
+      <View pointerEvents="none" style={[styles.track, { backgroundColor: theme.border }]}>
+        <View style={[styles.progress, { width: position, backgroundColor: theme.primary }]} />
+      </View>
+
+      {markers.map(marker => (
+        <View
+          key={marker.key}
+          pointerEvents="none"
+          style={[styles.marker, { left: toRatio(marker.time) * trackWidth - 1, backgroundColor: marker.color }]}
+        />
+      ))}
+
+      <View
+        pointerEvents="none"
+        style={[
+          styles.thumb,
+          { left: position - THUMB_SIZE / 2, backgroundColor: theme.primary, borderColor: theme.surface },
+        ]}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    height: THUMB_SIZE + spacing.md,
+    justifyContent: 'center',
+    marginHorizontal: THUMB_SIZE / 2,
+  },
+
+  track: {
+    height: 4,
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+
+  progress: {
+    height: 4,
+  },
+
+  marker: {
+    position: 'absolute',
+    width: 2,
+    height: 12,
+    borderRadius: 1,
+  },
+
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    borderWidth: 2,
+  },
+});
+
+export default TimeScrubber;
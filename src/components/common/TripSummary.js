@@ -0,0 +1,231 @@
+/**
+ * TripSummary.js - Trip Log Summary
+ *
+ * Shows the mileage recorded for a job by the trip recorder
+ * (utils/tripRecorder): total, loaded and empty kilometres, trip time and
+ * the driver's odometer readings. With onSaveOdometer the start/end readings
+ * can be edited, e.g. on JobDetailsScreen for mileage reimbursement.
+ *
+ * Props:
+ * - trip: Trip summary from AppContext getJobTrip
+ * - onSaveOdometer: async ({ start_odometer, end_odometer }) => boolean (optional; read-only without it)
+ *
+ * Usage:
+ * <TripSummary
+ *   trip={getJobTrip(job)}
+ *   onSaveOdometer={(readings) => updateTripOdometer(trip.id, readings)}
+ * />
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import { spacing, responsive } from '../../utils/responsiveDimensions';
+import { formatDistance, formatDuration } from '../../utils/routePlanner';
+import { TRIP_STATUS, getTripSummary } from '../../utils/tripRecorder';
+import { showError, showSuccess } from '../../utils/toast';
+
+const STATUS_LABELS = {
+  [TRIP_STATUS.RECORDING]: 'Recording',
+  [TRIP_STATUS.COMPLETED]: 'Completed',
+  [TRIP_STATUS.CANCELLED]: 'Cancelled',
+};
+
+/**
+ * Format an odometer reading for the input
+ *
+ * @param {number|null} value - Reading in km
+ * @returns {string} Input text
+ */
+const toInputText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Parse odometer input text
+ *
+ * @param {string} text - Input text
+ * @returns {number|null|undefined} Reading, null when empty, undefined when invalid
+ */
+const parseReading = (text) => {
+  const trimmed = text.trim().replace(',', '.');
+  if (trimmed === '') return null;
+  const value = Number(trimmed);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+};
+
+const TripSummary = ({ trip, onSaveOdometer }) => {
+  const { theme } = useTheme();
+  const [startText, setStartText] = useState(toInputText(trip?.start_odometer));
+  const [endText, setEndText] = useState(toInputText(trip?.end_odometer));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Show stored readings when the trip changes underneath (e.g. another job opened)
+  useEffect(() => {
+    setStartText(toInputText(trip?.start_odometer));
+    setEndText(toInputText(trip?.end_odometer));
+  }, [trip?.id, trip?.start_odometer, trip?.end_odometer]);
+
+  if (!trip) return null;
+
+  const summary = getTripSummary(trip);
+  const isRecording = trip.status === TRIP_STATUS.RECORDING;
+  const isDirty = startText !== toInputText(trip.start_odometer) || endText !== toInputText(trip.end_odometer);
+
+  const handleSave = async () => {
+    const start = parseReading(startText);
+    const end = parseReading(endText);
+
+    if (start === undefined || end === undefined) {
+      showError('Odometer readings must be positive numbers.');
+      return;
+    }
+    if (start !== null && end !== null && end < start) {
+      showError('The end reading cannot be lower than the start reading.');
+      return;
+    }
+
+    setIsSaving(true);
+    const saved = await onSaveOdometer({ start_odometer: start, end_odometer: end });
+    setIsSaving(false);
+
+    if (saved) {
+      showSuccess('Odometer readings saved.');
+    } else {
+      showError('Failed to save odometer readings. Please try again.');
+    }
+  };
+
+  const rows = [
+    { label: 'Total distance', value: formatDistance(summary.totalMeters) },
+    { label: 'Loaded', value: formatDistance(summary.loadedMeters) },
+    { label: 'Empty (to pickup)', value: formatDistance(summary.emptyMeters) },
+    { label: 'Trip time', value: summary.durationSeconds > 0 ? formatDuration(summary.durationSeconds) : '-' },
+  ];
+  if (summary.odometerKm !== null) {
+    rows.push({ label: 'Odometer distance', value: `${summary.odometerKm.toFixed(1)} km` });
+  }
+
+  return (
+    <View>
+      <View style={styles.statusRow}>
+        <Ionicons
+          name={isRecording ? 'radio-button-on' : 'checkmark-circle'}
+          size={16}
+          color={isRecording ? theme.error : theme.success}
+        />
+        <Text style={[styles.statusText, { color: theme.textSecondary }]}>
+          {STATUS_LABELS[trip.status] || trip.status}
+          {trip.uploaded_at ? ' · Submitted' : ''}
+        </Text>
+      </View>
+
+      {rows.map(row => (
+        <View key={row.label} style={styles.row}>
+          <Text style={[styles.label, { color: theme.textSecondary }]}>{row.label}</Text>
+          <Text style={[styles.value, { color: theme.text }]}>{row.value}</Text>
+        </View>
+      ))}
+
+      <View style={styles.odometerRow}>
+        {[
+          { key: 'start', label: 'Odometer start (km)', text: startText, onChange: setStartText },
+          { key: 'end', label: 'Odometer end (km)', text: endText, onChange: setEndText },
+        ].map(field => (
+          <View key={field.key} style={styles.odometerField}>
+            <Text style={[styles.odometerLabel, { color: theme.textSecondary }]}>{field.label}</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.background }]}
+              value={field.text}
+              onChangeText={field.onChange}
+              placeholder="-"
+              placeholderTextColor={theme.textSecondary}
+              keyboardType="decimal-pad"
+              editable={!!onSaveOdometer && !isSaving}
+              returnKeyType="done"
+            />
+          </View>
+        ))}
+      </View>
+
+      {onSaveOdometer && isDirty && (
+        <TouchableOpacity
+          style={[styles.saveButton, { backgroundColor: theme.primary }]}
+          onPress={handleSave}
+          disabled={isSaving}
+        >
+          <Text style={[styles.saveButtonText, { color: theme.textLight }]}>
+            {isSaving ? 'Saving...' : 'Save Odometer'}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+
+  statusText: {
+    fontSize: responsive(13, 14, 12),
+  },
+
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.xs,
+  },
+
+  label: {
+    fontSize: responsive(14, 16, 12),
+  },
+
+  value: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+  },
+
+  odometerRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  odometerField: {
+    flex: 1,
+  },
+
+  odometerLabel: {
+    fontSize: responsive(12, 14, 11),
+    marginBottom: 4,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  saveButtonText: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+  },
+});
+
+export default TripSummary;
@@ -13,6 +13,12 @@
  * - Form validation and error handling
  * - API integration for all data operations
  * - Loading and error state management
+ * - Connectivity-aware location uploads and refresh on reconnect
+ * - Stale-while-revalidate cache for dashboard, current jobs, rides and documents
+ * - Background location tracking while a job is accepted or picked up
+ * - Buffered, batched location uploads with offline backfill
+ * - Live ETAs and running-late alerts for active jobs
+ * - Per-job trip log (GPS trace, loaded/empty kilometres, odometer readings)
  * 
  * Context Consumers:
  * - All screen components for data access
@@ -26,8 +32,149 @@
 import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
 import { driverService, jobService, notificationService, locationService } from '../api';
 import authService from '../api/auth';
+import sessionIdentity from '../api/session';
+import { onSessionExpired } from '../api/sessionEvents';
 import * as Location from 'expo-location';
 import { getUserFriendlyMessage, logError, ERROR_CATEGORIES } from '../utils/errorLogger';
+import {
+  JOB_ACTION_QUEUED,
+  OUTBOX_STATUSES,
+  isNetworkFailure,
+  loadOutbox,
+  enqueueAction,
+  replayOutbox,
+} from '../utils/outbox';
+import { STORAGE_KEYS } from '../utils/persistence';
+import {
+  CACHE_TTL,
+  rideCacheKey,
+  readCache,
+  writeCache,
+  isCacheFresh,
+  clearCache,
+} from '../utils/cache';
+import {
+  onBackgroundLocation,
+  isBackgroundLocationRunning,
+  startBackgroundLocation,
+  getLocationPermission,
+  stopBackgroundLocation,
+  publishLocation,
+  flushLocations,
+} from '../utils/backgroundLocation';
+import {
+  SAMPLING_MODES,
+  UNKNOWN_POWER_STATE,
+  getSamplingOptions,
+  getStationarySeconds,
+  distanceToNearestGeofence,
+  chooseSamplingMode,
+  readPowerState,
+  onPowerStateChange,
+} from '../utils/locationSampling';
+import { JOB_STATUS } from '../utils/constants';
+import { normalizeJobStatus, canTransition, isActiveJobStatus, toApiStatus, toCountKey } from '../utils/jobLifecycle';
+import { planRoute, STOP_TYPES } from '../utils/routePlanner';
+import { computeJobEtas, appendLocationHistory, estimateAverageSpeedKmh, formatEtaTime } from '../utils/eta';
+import { geocodeJobs, clearGeocodeCache } from '../utils/geocoding';
+import {
+  GEOFENCE_EVENTS,
+  getJobGeofences,
+  evaluateGeofences,
+  loadGeofenceState,
+  saveGeofenceState,
+  flushGeofenceEvents,
+} from '../utils/geofence';
+import {
+  onTripsChanged,
+  loadTrips,
+  findTripForJob,
+  recordTripStatus,
+  syncTripsWithJobs,
+  setTripOdometer,
+  flushTripLogs,
+  TRIP_STATUS,
+} from '../utils/tripRecorder';
+import { showWarning } from '../utils/toast';
+import { useConnectivity } from './ConnectivityContext';
+
+/**
+ * Initial State Values
+ * 
+ * Shared by the provider's useState calls and by logout, which resets
+ * every slice back to these values so no data leaks between drivers.
+ */
+const INITIAL_LOADING = {
+  login: false,
+  forgotPassword: false,
+  resetPassword: false,
+  profile: false,
+  dashboard: false,
+  jobs: false,
+  currentJobs: false,
+  jobDetails: false,
+  notifications: false,
+  documents: false,
+  profileUpdate: false,
+  documentUpdate: false,
+  markAbsent: false,
+  delayNotice: false,
+  // Dynamic loading states for rides, e.g., rides_accepted, rides_delivered
+};
+
+const INITIAL_ERRORS = {
+  login: null,
+  forgotPassword: null,
+  resetPassword: null,
+  profile: null,
+  dashboard: null,
+  jobs: null,
+  currentJobs: null,
+  jobDetails: null,
+  notifications: null,
+  documents: null,
+  profileUpdate: null,
+  documentUpdate: null,
+  delayNotice: null,
+};
+
+const INITIAL_DASHBOARD_DATA = {
+  counts: {
+    new_order: 0,
+    accepted: 0,
+    picked_up: 0,
+    delivered: 0,
+    cancelled: 0,
+  },
+  new_jobs: [],
+  meta: {
+    ip_address: null,
+    device_id: null,
+    device_model: null,
+  },
+};
+
+// Current job statuses that keep location tracking on
+const TRACKED_JOB_STATUSES = [JOB_STATUS.ACCEPTED, JOB_STATUS.PICKEDUP];
+
+/**
+ * Check whether two job/ride objects refer to the same job
+ * 
+ * @param {Object} a - Job or ride
+ * @param {Object} b - Job or ride
+ * @returns {boolean} True when tracking ID or ID match
+ */
+const isSameJob = (a, b) =>
+  !!a && !!b && ((!!a.tracking_id && a.tracking_id === b.tracking_id) || (a.id != null && a.id === b.id));
+
+const INITIAL_DOCUMENTS = {
+  driver_license_front: null,
+  driver_license_back: null,
+  insurance: null,
+  mv1_report: null,
+  incident_report: null,
+  cuse_logbook: null,
+};
 
 /**
  * App Context Instance
@@ -85,62 +232,35 @@ export const AppProvider = ({ children }) => {
    */
   const [user, setUser] = useState(null);
 
+  /**
+   * Session State
+   * 
+   * isAuthenticated gates the main app in AppNavigator.
+   * isRestoringSession is true while stored tokens are checked on launch.
+   */
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [isRestoringSession, setIsRestoringSession] = useState(true);
+
   /**
    * Loading States
    * 
    * Tracks loading status for different operations throughout the app.
    */
-  const [loading, setLoading] = useState({
-    profile: false,
-    dashboard: false,
-    jobs: false,
-    currentJobs: false,
-    jobDetails: false,
-    notifications: false,
-    documents: false,
-    profileUpdate: false,
-    documentUpdate: false,
-    markAbsent: false,
-    // Dynamic loading states for rides, e.g., rides_accepted, rides_delivered
-  });
+  const [loading, setLoading] = useState(INITIAL_LOADING);
 
   /**
    * Error States
    * 
    * Tracks error messages for different operations.
    */
-  const [errors, setErrors] = useState({
-    profile: null,
-    dashboard: null,
-    jobs: null,
-    currentJobs: null,
-    jobDetails: null,
-    notifications: null,
-    documents: null,
-    profileUpdate: null,
-    documentUpdate: null,
-  });
+  const [errors, setErrors] = useState(INITIAL_ERRORS);
 
   /**
    * Dashboard Data State
    * 
    * Stores real-time dashboard data from the API including job counts, new jobs, and meta information.
    */
-  const [dashboardData, setDashboardData] = useState({
-    counts: {
-      new_order: 0,
-      accepted: 0,
-      picked_up: 0,
-      delivered: 0,
-      cancelled: 0,
-    },
-    new_jobs: [],
-    meta: {
-      ip_address: null,
-      device_id: null,
-      device_model: null,
-    },
-  });
+  const [dashboardData, setDashboardData] = useState(INITIAL_DASHBOARD_DATA);
   
   // Debug: Log initial dashboardData state
   console.log('=== Initial dashboardData State ===');
@@ -153,14 +273,7 @@ export const AppProvider = ({ children }) => {
    * 
    * Stores driver document information and upload status.
    */
-  const [documents, setDocuments] = useState({
-    driver_license_front: null,
-    driver_license_back: null,
-    insurance: null,
-    mv1_report: null,
-    incident_report: null,
-    cuse_logbook: null,
-  });
+  const [documents, setDocuments] = useState(INITIAL_DOCUMENTS);
 
   /**
    * Notifications State
@@ -184,6 +297,14 @@ export const AppProvider = ({ children }) => {
    */
   const [currentJobs, setCurrentJobs] = useState([]);
 
+  /**
+   * Focused Job State
+   * 
+   * ID of the active job the driver picked on CurrentJobScreen. Persisted
+   * per driver (STORAGE_KEYS.FOCUSED_JOB) so the choice survives restarts.
+   */
+  const [focusedJobId, setFocusedJobId] = useState(null);
+
   /**
    * Job Details State
    * 
@@ -200,6 +321,27 @@ export const AppProvider = ({ children }) => {
    */
   const [rides, setRides] = useState({});
 
+  /**
+   * Offline Job Actions State
+   * 
+   * pendingJobActions: accept/pickup/deliver actions queued while offline (utils/outbox)
+   * jobActionConflicts: queued actions the server rejected when replayed
+   */
+  const [pendingJobActions, setPendingJobActions] = useState([]);
+  const [jobActionConflicts, setJobActionConflicts] = useState([]);
+
+  /**
+   * Cache Timestamps State
+   * 
+   * When each cached resource was last fetched from the API, keyed like the
+   * loading states (dashboard, currentJobs, documents, rides_<status>).
+   * Screens show it as "last updated" while serving cached data.
+   */
+  const [lastUpdated, setLastUpdated] = useState({});
+
+  // Cache keys already applied to state this session (hydrate only once)
+  const hydratedCacheKeysRef = useRef(new Set());
+
   /**
    * Location Tracking State
    * 
@@ -208,11 +350,72 @@ export const AppProvider = ({ children }) => {
   const [isLocationTracking, setIsLocationTracking] = useState(false);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationPermissionStatus, setLocationPermissionStatus] = useState(null);
+
+  /**
+   * Location Sampling State
+   * 
+   * Active adaptive sampling mode (utils/locationSampling) and the battery
+   * state it was chosen with. samplingModeRef holds the mode the watcher or
+   * background task is actually running with; mode switches are serialized
+   * through samplingQueueRef so two restarts never overlap.
+   * trackingGenerationRef changes on every stop so a switch still in flight
+   * can tell tracking was stopped underneath it.
+   */
+  const [locationSamplingMode, setLocationSamplingMode] = useState(SAMPLING_MODES.MOVING);
+  const [powerState, setPowerState] = useState(UNKNOWN_POWER_STATE);
+  const samplingModeRef = useRef(SAMPLING_MODES.MOVING);
+  const samplingQueueRef = useRef(Promise.resolve());
+  const trackingGenerationRef = useRef(0);
+
+  /**
+   * Geofence State
+   * 
+   * Latest automatic arrival at a pickup or drop-off (utils/geofence) that the
+   * driver has not answered yet: { jobId, stop_type, occurred_at }.
+   * Geofence work is serialized through geofenceQueueRef so visits are never
+   * read and written by two fixes at once.
+   */
+  const [geofenceArrival, setGeofenceArrival] = useState(null);
+  const geofenceQueueRef = useRef(Promise.resolve());
+
+  /**
+   * ETA State
+   * 
+   * Recent fixes and the average speed measured from them (utils/eta), a
+   * clock that re-evaluates ETAs every minute while jobs are active, and when
+   * a delay notice was last sent per job: { [jobId]: ISO time }.
+   */
+  const locationHistoryRef = useRef([]);
+  const [averageSpeedKmh, setAverageSpeedKmh] = useState(null);
+  const [etaClock, setEtaClock] = useState(() => Date.now());
+  const [delayNotices, setDelayNotices] = useState({});
+
+  // Jobs the driver was already warned about (one "running late" alert per job)
+  const lateAlertedJobIdsRef = useRef(new Set());
+
+  /**
+   * Trip Log State
+   * 
+   * The signed-in driver's trip summaries from the trip recorder
+   * (utils/tripRecorder), newest first. Kept in sync through onTripsChanged
+   * as fixes are recorded.
+   */
+  const [trips, setTrips] = useState([]);
   
   // Refs for location tracking
   const locationSubscriptionRef = useRef(null);
   const locationIntervalRef = useRef(null);
 
+  /**
+   * Connectivity State
+   * 
+   * Provided by ConnectivityProvider. isOnlineRef lets long-lived callbacks
+   * (location watcher) read the latest value.
+   */
+  const { isOnline, isMetered } = useConnectivity();
+  const isOnlineRef = useRef(isOnline);
+  const wasOnlineRef = useRef(isOnline);
+
   /**
    * Set Loading State Helper
    * 
@@ -243,11 +446,69 @@ export const AppProvider = ({ children }) => {
     }));
   };
 
+  /**
+   * Hydrate From Cache Helper
+   * 
+   * Reads a resource's cached payload and, the first time this session,
+   * applies it to state so screens render immediately without waiting for the API.
+   * 
+   * @param {string} resource - Resource name (dashboard, currentJobs, documents, rides_<status>)
+   * @param {string} cacheKey - Storage key (utils/cache)
+   * @param {number} driverId - Session driver ID
+   * @param {Function} apply - (data) => void, applies the cached payload to state
+   * @returns {Promise<Object|null>} Cache entry or null if nothing usable is cached
+   */
+  const hydrateFromCache = async (resource, cacheKey, driverId, apply) => {
+    const entry = await readCache(cacheKey, driverId);
+    if (!entry) return null;
+
+    if (!hydratedCacheKeysRef.current.has(cacheKey)) {
+      hydratedCacheKeysRef.current.add(cacheKey);
+      await apply(entry.data);
+      setLastUpdated(prev => ({ ...prev, [resource]: entry.updatedAt }));
+    }
+
+    return entry;
+  };
+
+  /**
+   * Save To Cache Helper
+   * 
+   * Stores a fresh API payload and records when it was fetched.
+   * 
+   * @param {string} resource - Resource name
+   * @param {string} cacheKey - Storage key (utils/cache)
+   * @param {number} driverId - Session driver ID
+   * @param {*} data - API payload to cache
+   */
+  const saveToCache = async (resource, cacheKey, driverId, data) => {
+    hydratedCacheKeysRef.current.add(cacheKey);
+    const entry = await writeCache(cacheKey, driverId, data);
+    setLastUpdated(prev => ({ ...prev, [resource]: entry.updatedAt }));
+  };
+
+  /**
+   * Should Revalidate Helper
+   * 
+   * Cached data within its TTL is used without a request. Offline, any cached
+   * copy is served as-is so a driver in a dead zone still sees their jobs.
+   * 
+   * @param {Object|null} entry - Cache entry from hydrateFromCache
+   * @param {number} ttl - Resource TTL (CACHE_TTL)
+   * @param {boolean} [force] - Always fetch (pull-to-refresh, after job actions)
+   * @returns {boolean} Whether the API should be called
+   */
+  const shouldRevalidate = (entry, ttl, force = false) => {
+    if (!entry) return true;
+    if (!isOnlineRef.current) return false;
+    return force || !isCacheFresh(entry, ttl);
+  };
+
   /**
    * Load Driver Profile from API
    * 
    * Fetches the authenticated driver profile from the API and updates the user state.
-   * API: GET /driver/profile with body {driver_id: 1}
+   * API: GET /driver/profile with body {driver_id}
    * Response: { success: true, message: "Delivery Man", data: { user: {...}, meta: {...} } }
    */
   const loadDriverProfile = async (driverId) => {
@@ -255,12 +516,9 @@ export const AppProvider = ({ children }) => {
     setErrorState('profile', null);
 
     try {
-      // Use provided driverId or default to 1 (for initial login)
-      const targetDriverId = driverId || 1;
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
       
-      console.log('=== Profile Driver ID Debug ===');
       console.log('Loading profile for driver_id:', targetDriverId);
-      console.log('================================');
       
       // Call API with driver ID
       const response = await driverService.getProfile(targetDriverId);
@@ -328,7 +586,6 @@ export const AppProvider = ({ children }) => {
         
         setUser(mappedUser);
         
-        // Dashboard always uses driver_id: 1, so no need to reload after profile loads
         console.log('✅ Profile loaded successfully');
       } else {
         const errorMsg = response.message || 'Failed to load profile';
@@ -369,7 +626,7 @@ export const AppProvider = ({ children }) => {
    * 
    * Fetches all jobs for the driver with different statuses.
    */
-  const loadAllJobs = async (driverId = 1) => {
+  const loadAllJobs = async (driverId) => {
     setLoadingState('jobs', true);
     setErrorState('jobs', null);
 
@@ -380,6 +637,7 @@ export const AppProvider = ({ children }) => {
         const jobsWithIds = response.data.map(job => ({
           ...job,
           id: job.tracking_id || job.id || Math.random().toString(),
+          status: normalizeJobStatus(job.status) || job.status,
         }));
         setJobs(jobsWithIds);
       } else {
@@ -393,26 +651,169 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Apply Dashboard Data
+   * 
+   * Maps a dashboard API payload (fresh or cached) into dashboardData and the
+   * 'new' entries of the jobs list.
+   * 
+   * @param {Object} apiData - response.data from GET /driver/dashboard
+   */
+  const applyDashboardData = async (apiData) => {
+    console.log('=== AppContext - Processing apiData ===');
+    console.log('apiData:', JSON.stringify(apiData, null, 2));
+    console.log('apiData.counts:', apiData.counts);
+    console.log('apiData.counts type:', typeof apiData.counts);
+    console.log('apiData.counts is object?', typeof apiData.counts === 'object' && apiData.counts !== null);
+    console.log('========================================');
+    
+    const metaData = apiData.meta || {}; // Extract meta data if available
+    
+    // Log the full API response structure for debugging
+    console.log('=== Dashboard API Response Debug ===');
+    console.log('Full response.data:', JSON.stringify(apiData, null, 2));
+    console.log('apiData.counts:', apiData.counts);
+    console.log('apiData.counts type:', typeof apiData.counts);
+    console.log('apiData.counts keys:', apiData.counts ? Object.keys(apiData.counts) : 'null');
+    console.log('apiData.new_jobs:', apiData.new_jobs);
+    console.log('apiData.new_jobs length:', apiData.new_jobs?.length || 0);
+    console.log('apiData.meta:', apiData.meta);
+    
+    // Extract counts - API returns counts object directly in response.data
+    // Based on API response: { success: true, data: { counts: { new_order: 1, accepted: 1, ... } } }
+    let counts = {};
+    if (apiData.counts && typeof apiData.counts === 'object') {
+      // API returns counts object directly - extract values and ensure they're numbers
+      // Use nullish coalescing (??) to correctly handle 0 values
+      // Don't use || because 0 is falsy and would be replaced with 0 anyway, but we want to preserve 0
+      counts = {
+        new_order: apiData.counts.new_order != null ? Number(apiData.counts.new_order) : 0,
+        accepted: apiData.counts.accepted != null ? Number(apiData.counts.accepted) : 0,
+        picked_up: apiData.counts.picked_up != null ? Number(apiData.counts.picked_up) : 0,
+        delivered: apiData.counts.delivered != null ? Number(apiData.counts.delivered) : 0,
+        cancelled: apiData.counts.cancelled != null ? Number(apiData.counts.cancelled) : 0,
+      };
+    } else {
+      // Fallback: counts might be at root level or missing
+      console.warn('Counts object not found in expected format, using defaults');
+      counts = {
+        new_order: 0,
+        accepted: 0,
+        picked_up: 0,
+        delivered: 0,
+        cancelled: 0,
+      };
+    }
+    
+    console.log('Extracted counts (as numbers):', counts);
+    console.log('Counts values:', {
+      new_order: counts.new_order,
+      accepted: counts.accepted,
+      picked_up: counts.picked_up,
+      delivered: counts.delivered,
+      cancelled: counts.cancelled,
+    });
+    
+    // Store dashboard data with counts, new_jobs, and meta
+    // All data comes dynamically from the API response
+    const dashboardUpdate = {
+      counts: counts,
+      new_jobs: Array.isArray(apiData.new_jobs) ? apiData.new_jobs : [],
+      meta: {
+        ip_address: metaData.ip_address || null,
+        device_id: metaData.device_id || null,
+        device_model: metaData.device_model || null,
+      },
+    };
+    
+    console.log('Setting dashboard data:', JSON.stringify(dashboardUpdate, null, 2));
+    setDashboardData(dashboardUpdate);
+    
+    // Verify the state was set correctly
+    console.log('Dashboard data set successfully. Counts:', counts);
+    console.log('Dashboard counts breakdown:', {
+      new_order: counts.new_order,
+      accepted: counts.accepted,
+      picked_up: counts.picked_up,
+      delivered: counts.delivered,
+      cancelled: counts.cancelled,
+    });
+    
+    // Map new_jobs from API response to app job format
+    // All new jobs come dynamically from the API - no hardcoded data
+    if (apiData.new_jobs && Array.isArray(apiData.new_jobs)) {
+      const mappedNewJobs = apiData.new_jobs.map(job => ({
+        id: job.tracking_id || Math.random().toString(),
+        tracking_id: job.tracking_id || '',
+        status: 'new', // All jobs from new_jobs array have 'new' status
+        // Map API field names to JobCard expected format
+        companyName: job.customer_name || 'Unknown Company',
+        orderId: job.tracking_id || 'N/A',
+        type: 'LTL', // Default type (can be updated if API provides it)
+        dateTime: job.shipment_date || 'TBD',
+        pickupLocation: job.from_address_text || 'TBD',
+        dropoffLocation: job.to_address_text || 'TBD',
+        profileImage: null, // No profile image from API
+        // Keep original API fields for reference
+        customer_name: job.customer_name,
+        shipment_date: job.shipment_date,
+        from_address_text: job.from_address_text,
+        to_address_text: job.to_address_text,
+      }));
+      
+      // Update jobs array: preserve existing jobs with non-'new' statuses, replace 'new' jobs with API data
+      setJobs(prevJobs => {
+        // Keep jobs that are not 'new' status (accepted, pickedup, delivered, cancelled)
+        const existingNonNewJobs = prevJobs.filter(job => job.status && job.status.toLowerCase() !== 'new');
+        // Combine existing non-new jobs with new jobs from API
+        return [...existingNonNewJobs, ...mappedNewJobs];
+      });
+      
+    console.log('Dashboard loaded successfully:', {
+      newOrders: counts.new_order,
+      accepted: counts.accepted,
+      pickedUp: counts.picked_up,
+      delivered: counts.delivered,
+      cancelled: counts.cancelled,
+      newJobsCount: mappedNewJobs.length,
+    });
+    
+    // Verify counts are being set correctly
+    console.log('Final dashboardData.counts:', counts);
+    } else {
+      // If no new_jobs array, preserve existing jobs but remove 'new' status jobs
+      setJobs(prevJobs => prevJobs.filter(job => job.status && job.status.toLowerCase() !== 'new'));
+    }
+  };
+
   /**
    * Load Dashboard Data from API
    * 
    * Fetches authenticated dashboard data including job counts, new jobs, and meta information.
-   * API: GET /driver/dashboard with body {driver_id: 1}
+   * Cached data is shown first and only revalidated once older than CACHE_TTL.dashboard.
+   * API: GET /driver/dashboard with body {driver_id}
    * Response: { success: true, message: "Delivery Man", data: { counts: {...}, new_jobs: [...], meta: {...} } }
+   * 
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force] - Skip the cache TTL and always fetch
+   * @returns {Promise<boolean>} Success status (true when served from cache)
    */
-  const loadDashboardData = async (driverId) => {
-    setLoadingState('dashboard', true);
+  const loadDashboardData = async (driverId, options = {}) => {
     setErrorState('dashboard', null);
 
     try {
-      // Always use driver_id: 1 for dashboard
-      // Use provided driverId if explicitly passed, otherwise default to 1
-      const targetDriverId = driverId || 1;
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
+
+      const cached = await hydrateFromCache('dashboard', STORAGE_KEYS.DASHBOARD, targetDriverId, applyDashboardData);
+      if (!shouldRevalidate(cached, CACHE_TTL.dashboard, options.force)) {
+        return true;
+      }
+
+      // Only show a spinner when there is nothing cached to display
+      setLoadingState('dashboard', !cached);
       
-      console.log('=== Dashboard Driver ID Debug ===');
-      console.log('Provided driverId parameter:', driverId);
-      console.log('Final targetDriverId being used:', targetDriverId, '(always using driver_id: 1)');
-      console.log('================================');
+      console.log('Loading dashboard for driver_id:', targetDriverId);
       
       // Call API with actual driver ID
       const response = await driverService.getDashboard(targetDriverId);
@@ -430,135 +831,14 @@ export const AppProvider = ({ children }) => {
       console.log('============================================');
       
       if (response.success && response.data) {
-        const apiData = response.data;
-        console.log('=== AppContext - Processing apiData ===');
-        console.log('apiData:', JSON.stringify(apiData, null, 2));
-        console.log('apiData.counts:', apiData.counts);
-        console.log('apiData.counts type:', typeof apiData.counts);
-        console.log('apiData.counts is object?', typeof apiData.counts === 'object' && apiData.counts !== null);
-        console.log('========================================');
-        
-        const metaData = apiData.meta || {}; // Extract meta data if available
-        
-        // Log the full API response structure for debugging
-        console.log('=== Dashboard API Response Debug ===');
-        console.log('Full response.data:', JSON.stringify(apiData, null, 2));
-        console.log('apiData.counts:', apiData.counts);
-        console.log('apiData.counts type:', typeof apiData.counts);
-        console.log('apiData.counts keys:', apiData.counts ? Object.keys(apiData.counts) : 'null');
-        console.log('apiData.new_jobs:', apiData.new_jobs);
-        console.log('apiData.new_jobs length:', apiData.new_jobs?.length || 0);
-        console.log('apiData.meta:', apiData.meta);
-        
-        // Extract counts - API returns counts object directly in response.data
-        // Based on API response: { success: true, data: { counts: { new_order: 1, accepted: 1, ... } } }
-        let counts = {};
-        if (apiData.counts && typeof apiData.counts === 'object') {
-          // API returns counts object directly - extract values and ensure they're numbers
-          // Use nullish coalescing (??) to correctly handle 0 values
-          // Don't use || because 0 is falsy and would be replaced with 0 anyway, but we want to preserve 0
-          counts = {
-            new_order: apiData.counts.new_order != null ? Number(apiData.counts.new_order) : 0,
-            accepted: apiData.counts.accepted != null ? Number(apiData.counts.accepted) : 0,
-            picked_up: apiData.counts.picked_up != null ? Number(apiData.counts.picked_up) : 0,
-            delivered: apiData.counts.delivered != null ? Number(apiData.counts.delivered) : 0,
-            cancelled: apiData.counts.cancelled != null ? Number(apiData.counts.cancelled) : 0,
-          };
-        } else {
-          // Fallback: counts might be at root level or missing
-          console.warn('Counts object not found in expected format, using defaults');
-          counts = {
-            new_order: 0,
-            accepted: 0,
-            picked_up: 0,
-            delivered: 0,
-            cancelled: 0,
-          };
-        }
-        
-        console.log('Extracted counts (as numbers):', counts);
-        console.log('Counts values:', {
-          new_order: counts.new_order,
-          accepted: counts.accepted,
-          picked_up: counts.picked_up,
-          delivered: counts.delivered,
-          cancelled: counts.cancelled,
-        });
-        
-        // Store dashboard data with counts, new_jobs, and meta
-        // All data comes dynamically from the API response
-        const dashboardUpdate = {
-          counts: counts,
-          new_jobs: Array.isArray(apiData.new_jobs) ? apiData.new_jobs : [],
-          meta: {
-            ip_address: metaData.ip_address || null,
-            device_id: metaData.device_id || null,
-            device_model: metaData.device_model || null,
-          },
-        };
-        
-        console.log('Setting dashboard data:', JSON.stringify(dashboardUpdate, null, 2));
-        setDashboardData(dashboardUpdate);
-        
-        // Verify the state was set correctly
-        console.log('Dashboard data set successfully. Counts:', counts);
-        console.log('Dashboard counts breakdown:', {
-          new_order: counts.new_order,
-          accepted: counts.accepted,
-          picked_up: counts.picked_up,
-          delivered: counts.delivered,
-          cancelled: counts.cancelled,
-        });
-        
-        // Map new_jobs from API response to app job format
-        // All new jobs come dynamically from the API - no hardcoded data
-        if (apiData.new_jobs && Array.isArray(apiData.new_jobs)) {
-          const mappedNewJobs = apiData.new_jobs.map(job => ({
-            id: job.tracking_id || Math.random().toString(),
-            tracking_id: job.tracking_id || '',
-            status: 'new', // All jobs from new_jobs array have 'new' status
-            // Map API field names to JobCard expected format
-            companyName: job.customer_name || 'Unknown Company',
-            orderId: job.tracking_id || 'N/A',
-            type: 'LTL', // Default type (can be updated if API provides it)
-            dateTime: job.shipment_date || 'TBD',
-            pickupLocation: job.from_address_text || 'TBD',
-            dropoffLocation: job.to_address_text || 'TBD',
-            profileImage: null, // No profile image from API
-            // Keep original API fields for reference
-            customer_name: job.customer_name,
-            shipment_date: job.shipment_date,
-            from_address_text: job.from_address_text,
-            to_address_text: job.to_address_text,
-          }));
-          
-          // Update jobs array: preserve existing jobs with non-'new' statuses, replace 'new' jobs with API data
-          setJobs(prevJobs => {
-            // Keep jobs that are not 'new' status (accepted, pickedup, delivered, cancelled)
-            const existingNonNewJobs = prevJobs.filter(job => job.status && job.status.toLowerCase() !== 'new');
-            // Combine existing non-new jobs with new jobs from API
-            return [...existingNonNewJobs, ...mappedNewJobs];
-          });
-          
-        console.log('Dashboard loaded successfully:', {
-          newOrders: counts.new_order,
-          accepted: counts.accepted,
-          pickedUp: counts.picked_up,
-          delivered: counts.delivered,
-          cancelled: counts.cancelled,
-          newJobsCount: mappedNewJobs.length,
-        });
-        
-        // Verify counts are being set correctly
-        console.log('Final dashboardData.counts:', counts);
-        } else {
-          // If no new_jobs array, preserve existing jobs but remove 'new' status jobs
-          setJobs(prevJobs => prevJobs.filter(job => job.status && job.status.toLowerCase() !== 'new'));
-        }
+        await applyDashboardData(response.data);
+        await saveToCache('dashboard', STORAGE_KEYS.DASHBOARD, targetDriverId, response.data);
+        return true;
       } else {
         const errorMsg = response.message || 'Failed to load dashboard data';
         setErrorState('dashboard', errorMsg);
         console.error('Dashboard API response error:', response);
+        return false;
       }
     } catch (error) {
       // Extract user-friendly error message
@@ -593,6 +873,7 @@ export const AppProvider = ({ children }) => {
           device_model: null,
         },
       }));
+      return false;
     } finally {
       setLoadingState('dashboard', false);
     }
@@ -602,24 +883,41 @@ export const AppProvider = ({ children }) => {
    * Load Driver Documents from API
    * 
    * Fetches the authenticated driver's uploaded documents.
+   * Cached documents are shown first and only revalidated once older than CACHE_TTL.documents.
+   * 
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force] - Skip the cache TTL and always fetch
+   * @returns {Promise<boolean>} Success status (true when served from cache)
    */
-  const loadDriverDocuments = async () => {
-    setLoadingState('documents', true);
+  const loadDriverDocuments = async (options = {}) => {
     setErrorState('documents', null);
 
     try {
+      const driverId = sessionIdentity.requireDriverId();
+
+      const cached = await hydrateFromCache('documents', STORAGE_KEYS.DOCUMENTS, driverId, setDocuments);
+      if (!shouldRevalidate(cached, CACHE_TTL.documents, options.force)) {
+        return true;
+      }
+
+      setLoadingState('documents', !cached);
+
       const response = await driverService.getDocuments();
       
       if (response.success && response.data && response.data.documents) {
         console.log('Documents loaded successfully:', response.data.documents);
         setDocuments(response.data.documents);
+        await saveToCache('documents', STORAGE_KEYS.DOCUMENTS, driverId, response.data.documents);
+        return true;
       } else {
         setErrorState('documents', response.message || 'Failed to load documents');
+        return false;
       }
     } catch (error) {
       const errorMessage = error.message || 'Failed to load documents. Please try again.';
       setErrorState('documents', errorMessage);
       console.error('Load documents error:', error);
+      return false;
     } finally {
       setLoadingState('documents', false);
     }
@@ -663,7 +961,7 @@ export const AppProvider = ({ children }) => {
    * @param {string} updates.phone - Driver's phone number (required)
    * @param {string} [updates.email] - Driver's email (optional)
    * @param {string} [updates.address] - Driver's address (optional)
-   * @param {number} [updates.driver_id] - Driver ID (optional, uses current user ID if not provided)
+   * @param {number} [updates.driver_id] - Driver ID (optional, defaults to the session driver)
    * @returns {Promise<boolean>} Success status
    */
   const updateUserProfile = async (updates) => {
@@ -671,10 +969,10 @@ export const AppProvider = ({ children }) => {
     setErrorState('profileUpdate', null);
 
     try {
-      // Include driver_id from current user if not provided
+      // Include driver_id from the session if not provided
       const updateData = {
         ...updates,
-        driver_id: updates.driver_id || (user?.id ? parseInt(user.id) : 1),
+        driver_id: sessionIdentity.requireDriverId(updates.driver_id),
       };
       
       const response = await driverService.updateProfile(updateData);
@@ -759,7 +1057,7 @@ export const AppProvider = ({ children }) => {
    * Response: { success: true, message: "Documents updated successfully", data: { documents: {...}, meta: {...} } }
    * 
    * @param {Object} documentFiles - Files to upload
-   * @param {number} [documentFiles.driver_id] - Driver ID (optional, uses current user ID if not provided)
+   * @param {number} [documentFiles.driver_id] - Driver ID (optional, defaults to the session driver)
    * @param {Object} [documentFiles.driver_license_front] - Front license file { uri, type, name }
    * @param {Object} [documentFiles.driver_license_back] - Back license file { uri, type, name }
    * @param {Object} [documentFiles.insurance] - Insurance file { uri, type, name }
@@ -773,10 +1071,10 @@ export const AppProvider = ({ children }) => {
     setErrorState('documentUpdate', null);
 
     try {
-      // Include driver_id from current user if not provided
+      // Include driver_id from the session if not provided
       const updateData = {
         ...documentFiles,
-        driver_id: documentFiles.driver_id || (user?.id ? parseInt(user.id) : 1),
+        driver_id: sessionIdentity.requireDriverId(documentFiles.driver_id),
       };
       
       const response = await driverService.updateDocuments(updateData);
@@ -785,6 +1083,7 @@ export const AppProvider = ({ children }) => {
         // Update local documents state with new document URLs
         if (response.data.documents) {
           setDocuments(response.data.documents);
+          await saveToCache('documents', STORAGE_KEYS.DOCUMENTS, updateData.driver_id, response.data.documents);
         }
         
         // Log success with meta data if available
@@ -815,24 +1114,164 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Apply Current Jobs
+   * 
+   * Maps current jobs from the API (fresh or cached) to UI format and keeps
+   * optimistic statuses for actions still waiting in the offline queue.
+   * 
+   * @param {Array} jobsData - response.data.jobs from POST /driver/current-jobs
+   * @param {number} driverId - Session driver ID
+   */
+  const applyCurrentJobs = async (jobsData, driverId) => {
+    // Map API job fields to UI format if needed
+    const mappedJobs = jobsData.map((job, index) => {
+      // Log raw job data for debugging
+      console.log(`Raw job ${index + 1} data:`, JSON.stringify(job, null, 2));
+      console.log(`Job ${index + 1} available keys:`, Object.keys(job));
+      
+      // Try multiple possible field names for each property (expanded list)
+      const trackingId = job.tracking_id || job.trackingId || job.tracking_number || job.trackingNumber || 
+                        job.order_id || job.orderId || job.order_number || job.orderNumber || 
+                        job.id || job.parcel_id || job.parcelId || job.parcel_number || 
+                        `JOB-${index + 1}`;
+      
+      const orderId = job.order_id || job.orderId || job.order_number || job.orderNumber || 
+                     job.order_no || job.orderNo || job.orderId || job.order_number || 
+                     trackingId || `ORD-${index + 1}`;
+      
+      const customerName = job.customer_name || job.customerName || job.customer || 
+                          job.company_name || job.companyName || job.client_name || 
+                          job.clientName || job.name || 'Unknown Company';
+      
+      const jobType = job.type || job.job_type || job.jobType || job.delivery_type || 
+                     job.deliveryType || job.service_type || job.serviceType || 'LTL';
+      
+      const shipmentDate = job.shipment_date || job.shipmentDate || job.delivery_date || 
+                         job.deliveryDate || job.created_at || job.createdAt || 
+                         job.date || job.created_date || job.createdDate || 
+                         new Date().toLocaleDateString();
+      
+      const pickupAddress = job.from_address_text || job.from_address || job.fromAddress || 
+                           job.pickup_address || job.pickupAddress || job.origin_address || 
+                           job.originAddress || job.origin || job.pickup || 
+                           job.pickup_location || job.pickupLocation ||
+                           'Address not available';
+      
+      const dropoffAddress = job.to_address_text || job.to_address || job.toAddress || 
+                            job.dropoff_address || job.dropoffAddress || job.destination_address || 
+                            job.destinationAddress || job.destination || job.dropoff || 
+                            job.delivery_location || job.deliveryLocation ||
+                            'Address not available';
+      
+      const profileImg = job.profile_image || job.profileImage || job.customer_image || 
+                        job.customerImage || job.image || job.avatar || job.logo || null;
+      
+      const jobStatus = normalizeJobStatus(job.status || job.job_status || job.jobStatus || job.state) || JOB_STATUS.NEW;
+
+      console.log(`Job ${index + 1} mapped values:`, {
+        trackingId,
+        orderId,
+        customerName,
+        pickupAddress,
+        dropoffAddress,
+        status: jobStatus,
+        profileImg: profileImg ? 'Present' : 'Missing',
+      });
+
+      return {
+        ...job, // Include all other fields for backward compatibility; mapped values below win
+        id: job.id || trackingId || Math.random().toString(),
+        tracking_id: trackingId,
+        order_id: orderId,
+        companyName: customerName,
+        orderId: orderId, // For display
+        type: jobType,
+        dateTime: shipmentDate,
+        pickupLocation: pickupAddress,
+        dropoffLocation: dropoffAddress,
+        profileImage: profileImg,
+        status: jobStatus,
+        // Preserve all original fields
+        customer_name: customerName,
+        shipment_date: shipmentDate,
+        from_address: job.from_address || job.pickup_address || null,
+        from_address_text: pickupAddress,
+        to_address: job.to_address || job.dropoff_address || null,
+        to_address_text: dropoffAddress,
+        booking_details: job.booking_details || job.bookingDetails || {},
+      };
+    });
+
+    // Keep optimistic statuses for actions still waiting in the offline queue
+    const pendingActions = await loadOutbox(driverId);
+    const pendingStatusByJob = pendingActions.reduce((acc, action) => ({
+      ...acc,
+      [action.jobId]: action.status,
+    }), {});
+
+    const updatedJobs = mappedJobs.map(job => (
+      pendingStatusByJob[job.id] ? { ...job, status: pendingStatusByJob[job.id] } : job
+    ));
+    setCurrentJobs(updatedJobs);
+    attachGeocodedCoordinates(updatedJobs);
+  };
+
+  /**
+   * Attach Geocoded Coordinates
+   * 
+   * Resolves addresses of current jobs the API sent without coordinates
+   * (utils/geocoding) in the background and merges them into currentJobs, so
+   * the route planner and maps can place them. Cached addresses resolve
+   * without a lookup.
+   * 
+   * @param {Array} jobsList - Jobs just applied to currentJobs
+   */
+  const attachGeocodedCoordinates = (jobsList) => {
+    geocodeJobs(jobsList)
+      .then(geocodedJobs => {
+        const geocodedById = new Map(
+          geocodedJobs.filter(job => job?.geocoded).map(job => [job.id, job.geocoded])
+        );
+        if (geocodedById.size === 0) return;
+
+        setCurrentJobs(prev => prev.map(job => (
+          geocodedById.has(job.id) ? { ...job, geocoded: geocodedById.get(job.id) } : job
+        )));
+      })
+      .catch(err => console.error('Geocoding error:', err));
+  };
+
   /**
    * Load Current Jobs
    * 
    * Fetches the list of current (active/ongoing) delivery jobs assigned to the driver.
+   * Cached jobs are shown first and only revalidated once older than CACHE_TTL.currentJobs;
+   * offline, the cached jobs stay on screen.
    * 
    * API: POST /driver/current-jobs
    * Request Body: { driver_id: number }
    * Response: { success: true, message: "dashboard.current_jobs", data: { jobs: [...], meta: {...} } }
    * 
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
-   * @returns {Promise<boolean>} Success status
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force] - Skip the cache TTL and always fetch
+   * @returns {Promise<boolean>} Success status (true when served from cache)
    */
-  const loadCurrentJobs = async (driverId) => {
-    setLoadingState('currentJobs', true);
+  const loadCurrentJobs = async (driverId, options = {}) => {
     setErrorState('currentJobs', null);
+    let cached = null;
 
     try {
-      const targetDriverId = driverId || (user?.id ? parseInt(user.id) : 1);
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
+
+      cached = await hydrateFromCache('currentJobs', STORAGE_KEYS.CURRENT_JOBS, targetDriverId,
+        jobsData => applyCurrentJobs(jobsData, targetDriverId));
+      if (!shouldRevalidate(cached, CACHE_TTL.currentJobs, options.force)) {
+        return true;
+      }
+
+      setLoadingState('currentJobs', !cached);
 
       console.log('Loading current jobs:', {
         driver_id: targetDriverId,
@@ -851,93 +1290,18 @@ export const AppProvider = ({ children }) => {
           console.log('Sample job data structure:', JSON.stringify(jobsData[0], null, 2));
         }
 
-        // Map API job fields to UI format if needed
-        const mappedJobs = jobsData.map((job, index) => {
-          // Log raw job data for debugging
-          console.log(`Raw job ${index + 1} data:`, JSON.stringify(job, null, 2));
-          console.log(`Job ${index + 1} available keys:`, Object.keys(job));
-          
-          // Try multiple possible field names for each property (expanded list)
-          const trackingId = job.tracking_id || job.trackingId || job.tracking_number || job.trackingNumber || 
-                            job.order_id || job.orderId || job.order_number || job.orderNumber || 
-                            job.id || job.parcel_id || job.parcelId || job.parcel_number || 
-                            `JOB-${index + 1}`;
-          
-          const orderId = job.order_id || job.orderId || job.order_number || job.orderNumber || 
-                         job.order_no || job.orderNo || job.orderId || job.order_number || 
-                         trackingId || `ORD-${index + 1}`;
-          
-          const customerName = job.customer_name || job.customerName || job.customer || 
-                              job.company_name || job.companyName || job.client_name || 
-                              job.clientName || job.name || 'Unknown Company';
-          
-          const jobType = job.type || job.job_type || job.jobType || job.delivery_type || 
-                         job.deliveryType || job.service_type || job.serviceType || 'LTL';
-          
-          const shipmentDate = job.shipment_date || job.shipmentDate || job.delivery_date || 
-                             job.deliveryDate || job.created_at || job.createdAt || 
-                             job.date || job.created_date || job.createdDate || 
-                             new Date().toLocaleDateString();
-          
-          const pickupAddress = job.from_address_text || job.from_address || job.fromAddress || 
-                               job.pickup_address || job.pickupAddress || job.origin_address || 
-                               job.originAddress || job.origin || job.pickup || 
-                               job.pickup_location || job.pickupLocation ||
-                               'Address not available';
-          
-          const dropoffAddress = job.to_address_text || job.to_address || job.toAddress || 
-                                job.dropoff_address || job.dropoffAddress || job.destination_address || 
-                                job.destinationAddress || job.destination || job.dropoff || 
-                                job.delivery_location || job.deliveryLocation ||
-                                'Address not available';
-          
-          const profileImg = job.profile_image || job.profileImage || job.customer_image || 
-                            job.customerImage || job.image || job.avatar || job.logo || null;
-          
-          const jobStatus = job.status || job.job_status || job.jobStatus || job.state || 'new';
-
-          console.log(`Job ${index + 1} mapped values:`, {
-            trackingId,
-            orderId,
-            customerName,
-            pickupAddress,
-            dropoffAddress,
-            status: jobStatus,
-            profileImg: profileImg ? 'Present' : 'Missing',
-          });
-
-          return {
-            id: job.id || trackingId || Math.random().toString(),
-            tracking_id: trackingId,
-            order_id: orderId,
-            companyName: customerName,
-            orderId: orderId, // For display
-            type: jobType,
-            dateTime: shipmentDate,
-            pickupLocation: pickupAddress,
-            dropoffLocation: dropoffAddress,
-            profileImage: profileImg,
-            status: jobStatus,
-            // Preserve all original fields
-            customer_name: customerName,
-            shipment_date: shipmentDate,
-            from_address: job.from_address || job.pickup_address || null,
-            from_address_text: pickupAddress,
-            to_address: job.to_address || job.dropoff_address || null,
-            to_address_text: dropoffAddress,
-            booking_details: job.booking_details || job.bookingDetails || {},
-            ...job, // Include all other fields for backward compatibility
-          };
-        });
-
-        setCurrentJobs(mappedJobs);
+        await applyCurrentJobs(jobsData, targetDriverId);
+        await saveToCache('currentJobs', STORAGE_KEYS.CURRENT_JOBS, targetDriverId, jobsData);
         return true;
       } else {
         const errorMsg = response.message || 'Failed to load current jobs';
         setErrorState('currentJobs', errorMsg);
         console.error('Load current jobs error:', errorMsg);
         
-        setCurrentJobs([]);
+        // Keep showing cached jobs rather than an empty list
+        if (!cached) {
+          setCurrentJobs([]);
+        }
         return false;
       }
     } catch (error) {
@@ -949,13 +1313,111 @@ export const AppProvider = ({ children }) => {
         status: error.response?.status,
       });
       
-      setCurrentJobs([]);
+      if (!cached) {
+        setCurrentJobs([]);
+      }
       return false;
     } finally {
       setLoadingState('currentJobs', false);
     }
   };
 
+  /**
+   * Active Jobs
+   * 
+   * Current jobs the driver is working on (accepted, picked up or awaiting
+   * reattempt). Falls back to the dashboard jobs list until current jobs load.
+   */
+  const activeJobs = useMemo(() => {
+    const source = currentJobs.length > 0 ? currentJobs : jobs;
+    return (source || []).filter(job => job && isActiveJobStatus(job.status));
+  }, [currentJobs, jobs]);
+
+  /**
+   * Focused Job
+   * 
+   * The job shown on CurrentJobScreen: the driver's pick while it is still
+   * active, otherwise the first active job.
+   */
+  const focusedJob = activeJobs.find(job => job.id === focusedJobId) || activeJobs[0] || null;
+
+  /**
+   * Route Plan
+   * 
+   * Suggested pickup/drop-off order across the active jobs, starting from the
+   * driver's last known position (utils/routePlanner).
+   */
+  const routePlan = useMemo(
+    () => planRoute(activeJobs, currentLocation),
+    [activeJobs, currentLocation]
+  );
+
+  /**
+   * Job ETAs
+   * 
+   * Estimated arrival at each active job's next stop along the route plan and
+   * whether it misses the scheduled window (utils/eta), keyed by job ID.
+   */
+  const jobEtas = useMemo(
+    () => computeJobEtas({
+      routePlan,
+      jobs: activeJobs,
+      origin: currentLocation,
+      speedKmh: averageSpeedKmh,
+      now: Date.now(),
+    }),
+    // etaClock re-runs the estimate as time passes without new fixes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [routePlan, activeJobs, currentLocation, averageSpeedKmh, etaClock]
+  );
+
+  /**
+   * Get Job ETA
+   * 
+   * Looks up the ETA for a job or ride object (rides are matched to active
+   * jobs by tracking ID or ID).
+   * 
+   * @param {Object} job - Job or ride
+   * @returns {Object|null} { stopType, eta, windowStart, windowEnd, isLate, lateByMinutes } or null when not active
+   */
+  const getJobEta = (job) => {
+    const activeJob = activeJobs.find(item => isSameJob(item, job));
+    return activeJob ? jobEtas[activeJob.id] || null : null;
+  };
+
+  /**
+   * Focus Job
+   * 
+   * Selects which active job CurrentJobScreen shows and remembers it for the
+   * next launch.
+   * 
+   * @param {number} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  const focusJob = async (jobId) => {
+    setFocusedJobId(jobId);
+
+    try {
+      await writeCache(STORAGE_KEYS.FOCUSED_JOB, sessionIdentity.requireDriverId(), jobId);
+    } catch (error) {
+      console.error('Focused job save error:', error);
+    }
+  };
+
+  /**
+   * Restore Focused Job
+   * 
+   * Loads the job the driver last focused, if it was saved by the same driver.
+   * 
+   * @returns {Promise<void>}
+   */
+  const restoreFocusedJob = async () => {
+    const entry = await readCache(STORAGE_KEYS.FOCUSED_JOB, sessionIdentity.requireDriverId());
+    if (entry?.data != null) {
+      setFocusedJobId(entry.data);
+    }
+  };
+
   /**
    * Load Job Details
    * 
@@ -966,7 +1428,7 @@ export const AppProvider = ({ children }) => {
    * Response: { success: true, message: "dashboard.job_details", data: { job: {...}, meta: {...} } }
    * 
    * @param {number} parcelId - Parcel/Job ID (required)
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
    * @returns {Promise<boolean>} Success status
    */
   const loadJobDetails = async (parcelId, driverId) => {
@@ -974,7 +1436,7 @@ export const AppProvider = ({ children }) => {
     setErrorState('jobDetails', null);
 
     try {
-      const targetDriverId = driverId || (user?.id ? parseInt(user.id) : 1);
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
       
       // Parse parcel ID - try multiple field formats
       let targetParcelId = parcelId;
@@ -1052,35 +1514,36 @@ export const AppProvider = ({ children }) => {
    * Response: { success: true, message: "dashboard.my_rides", data: { rides: [...], meta: {...} } }
    * 
    * @param {string} status - Ride status filter (e.g., "delivered", "accepted", "picked_up", "cancelled")
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
-   * @returns {Promise<boolean>} Success status
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force] - Skip the cache TTL (CACHE_TTL.rides) and always fetch
+   * @returns {Promise<boolean>} Success status (true when served from cache)
    */
-  const loadDriverRides = async (status, driverId) => {
+  const loadDriverRides = async (status, driverId, options = {}) => {
     const operationKey = `rides_${status}`;
-    setLoadingState(operationKey, true);
     setErrorState(operationKey, null);
+    let targetDriverId = null;
+    let apiStatus = status;
+    let cached = null;
 
     try {
-      // Always use driver_id: 1 for rides (or provided driverId)
-      const targetDriverId = driverId || 1;
+      targetDriverId = sessionIdentity.requireDriverId(driverId);
       
       // Validate status
       if (!status || typeof status !== 'string') {
         throw new Error('Invalid status parameter');
       }
 
-      // Map UI status to API status format
-      // API expects: "delivered", "accepted", "picked_up", "cancelled", "in_progress"
-      // UI uses: "accepted", "pickedup", "delivered", "cancelled"
-      const statusMap = {
-        'accepted': 'accepted',
-        'pickedup': 'picked_up',  // UI uses "pickedup", API expects "picked_up"
-        'delivered': 'delivered',
-        'cancelled': 'cancelled',
-        'in_progress': 'in_progress',  // For future use if needed
-      };
-      
-      const apiStatus = statusMap[status] || status;
+      cached = await hydrateFromCache(operationKey, rideCacheKey(status), targetDriverId,
+        ridesData => setRides(prev => ({ ...prev, [status]: ridesData })));
+      if (!shouldRevalidate(cached, CACHE_TTL.rides, options.force)) {
+        return true;
+      }
+
+      setLoadingState(operationKey, !cached);
+
+      // Map UI status to API status format (UI "pickedup" → API "picked_up")
+      apiStatus = toApiStatus(status);
 
       console.log('Loading driver rides:', {
         driver_id: targetDriverId,
@@ -1107,6 +1570,7 @@ export const AppProvider = ({ children }) => {
           ...prev,
           [status]: ridesData, // Store API rides directly (always an array)
         }));
+        await saveToCache(operationKey, rideCacheKey(status), targetDriverId, ridesData);
 
         return true;
       } else {
@@ -1118,11 +1582,13 @@ export const AppProvider = ({ children }) => {
           message: errorMsg,
         });
         
-        // Set empty array for this status on error to prevent crashes
-        setRides(prev => ({
-          ...prev,
-          [status]: [],
-        }));
+        // Set empty array for this status on error to prevent crashes (cached rides stay)
+        if (!cached) {
+          setRides(prev => ({
+            ...prev,
+            [status]: [],
+          }));
+        }
         
         return false;
       }
@@ -1159,11 +1625,13 @@ export const AppProvider = ({ children }) => {
         stack: error.stack,
       });
       
-      // Set empty array for this status on error to prevent crashes
-      setRides(prev => ({
-        ...prev,
-        [status]: [],
-      }));
+      // Set empty array for this status on error to prevent crashes (cached rides stay)
+      if (!cached) {
+        setRides(prev => ({
+          ...prev,
+          [status]: [],
+        }));
+      }
       
       return false;
     } finally {
@@ -1180,7 +1648,7 @@ export const AppProvider = ({ children }) => {
    * Request Body: { driver_id: number, absent_date: "YYYY-MM-DD" }
    * Response: { success: true, message: "Driver marked absent and parcels updated successfully.", data: { meta: {...} } }
    * 
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
    * @param {string} [absentDate] - Absence date in YYYY-MM-DD format (optional, defaults to today)
    * @returns {Promise<boolean>} Success status
    */
@@ -1189,8 +1657,8 @@ export const AppProvider = ({ children }) => {
     setErrorState('markAbsent', null);
 
     try {
-      // Use provided driver ID or get from current user
-      const targetDriverId = driverId || (user?.id ? parseInt(user.id) : 1);
+      // Use provided driver ID or the session driver
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
       
       // Use provided date or default to today in YYYY-MM-DD format
       let targetDate = absentDate;
@@ -1210,7 +1678,7 @@ export const AppProvider = ({ children }) => {
         console.log('Driver marked absent successfully:', response.message);
         
         // Refresh dashboard data after marking absent to reflect updated parcel assignments
-        await loadDashboardData();
+        await loadDashboardData(null, { force: true });
         
         return true;
       } else {
@@ -1234,53 +1702,128 @@ export const AppProvider = ({ children }) => {
   };
 
   /**
-   * Start Location Tracking
+   * Watch Foreground Location
    * 
-   * Starts continuous location tracking and sends updates to backend every 10-15 seconds.
-   * Publishes location to Kafka topic for real-time tracking dashboard.
+   * Starts the foreground watcher used when background permission is missing.
    * 
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
-   * @param {number} [intervalSeconds] - Update interval in seconds (default: 12 seconds)
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} samplingOptions - { accuracy, timeInterval, distanceInterval } from getSamplingOptions
+   * @returns {Promise<Object>} Location subscription
    */
-  const startLocationTracking = async (driverId, intervalSeconds = 12) => {
-    try {
-      // Request location permissions
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      setLocationPermissionStatus(status);
-
-      if (status !== 'granted') {
-        console.warn('Location permission denied. Cannot start tracking.');
-        return false;
-      }
+  const watchForegroundLocation = (samplingOptions) => Location.watchPositionAsync(
+    samplingOptions,
+    async (location) => {
+      const { latitude, longitude } = location.coords;
+      // Same clock as the background task: when the fix was taken, not when it arrived
+      const timestamp = new Date(location.timestamp || Date.now()).toISOString();
 
-      // Get driver ID
-      const targetDriverId = driverId || (user?.id ? parseInt(user.id) : 1);
+      // Update current location state
+      setCurrentLocation({ latitude, longitude, timestamp });
 
-      // Start watching location changes
-      locationSubscriptionRef.current = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.Balanced,
-          timeInterval: intervalSeconds * 1000, // Convert to milliseconds
-          distanceInterval: 10, // Update if moved 10 meters
-        },
-        async (location) => {
-          const { latitude, longitude } = location.coords;
-          const timestamp = new Date().toISOString();
-
-          // Update current location state
-          setCurrentLocation({ latitude, longitude, timestamp });
-
-          // Send location to backend
-          try {
-            await locationService.updateLocation(targetDriverId, latitude, longitude, timestamp);
-            console.log('Location sent successfully:', { latitude, longitude, timestamp });
-          } catch (error) {
-            console.error('Failed to send location update:', error.message);
-            // Don't stop tracking on API errors - continue trying
-          }
-        }
-      );
+      // Buffer the fix; batches upload while online and backfill after reconnect
+      try {
+        await publishLocation({ latitude, longitude, timestamp }, { isOnline: isOnlineRef.current });
+      } catch (error) {
+        console.error('Failed to publish location update:', error.message);
+        // Don't stop tracking on errors - continue trying
+      }
+    }
+  );
+
+  /**
+   * Apply Sampling Mode
+   * 
+   * Restarts whichever tracker is running (foreground watcher or background
+   * task) with the options of the given sampling mode. Does nothing once
+   * tracking has been stopped, including when it is stopped mid-switch.
+   * 
+   * @param {string} mode - One of SAMPLING_MODES
+   * @returns {Promise<void>}
+   */
+  const applySamplingMode = async (mode) => {
+    const samplingOptions = getSamplingOptions(mode);
+    const generation = trackingGenerationRef.current;
+    const isStopped = () => trackingGenerationRef.current !== generation;
+
+    if (locationSubscriptionRef.current) {
+      locationSubscriptionRef.current.remove();
+      locationSubscriptionRef.current = null;
+
+      const subscription = await watchForegroundLocation(samplingOptions);
+      if (isStopped()) {
+        subscription.remove();
+        return;
+      }
+      locationSubscriptionRef.current = subscription;
+    } else {
+      if (!(await isBackgroundLocationRunning()) || isStopped()) return;
+
+      await startBackgroundLocation(samplingOptions);
+      if (isStopped()) {
+        // Stopped while restarting - make sure the restarted task does not keep running
+        await stopBackgroundLocation();
+        return;
+      }
+    }
+    console.log('Location sampling mode:', mode);
+  };
+
+  /**
+   * Start Location Tracking
+   * 
+   * Starts continuous location tracking. Fixes are buffered and uploaded in batches
+   * (utils/locationBuffer), which publishes them to the Kafka topic for the tracking dashboard.
+   * With background permission the background task (utils/backgroundLocation) is used so
+   * tracking continues while the driver is in another app; otherwise a foreground
+   * watcher tracks only while the app is open. Both start with the current
+   * sampling mode; the Location Sampling effect switches modes afterwards.
+   * 
+   * Permissions are only asked for when the start comes from the driver
+   * (promptForPermission); automatic starts use whatever was granted, so a
+   * denied background permission falls back to the foreground watcher
+   * without showing the dialog again. The foreground permission is still
+   * asked for once on a fresh install, since nothing can be tracked without it.
+   * 
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
+   * @param {Object} [options]
+   * @param {boolean} [options.promptForPermission=false] - Started by a driver action, may show permission dialogs
+   * @returns {Promise<boolean>} Success status
+   */
+  const startLocationTracking = async (driverId, { promptForPermission = false } = {}) => {
+    try {
+      // Already watching in the foreground
+      if (locationSubscriptionRef.current) {
+        return true;
+      }
+
+      // Check location permissions, asking only when allowed to
+      let status = await getLocationPermission('foreground', { prompt: promptForPermission });
+      if (status === 'undetermined') {
+        status = await getLocationPermission('foreground', { prompt: true });
+      }
+      setLocationPermissionStatus(status);
+
+      if (status !== 'granted') {
+        console.warn('Location permission denied. Cannot start tracking.');
+        return false;
+      }
+
+      // Get driver ID
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
+
+      const samplingOptions = getSamplingOptions(samplingModeRef.current);
+
+      // Prefer the background task so tracking survives switching apps
+      const backgroundStatus = await getLocationPermission('background', { prompt: promptForPermission });
+      if (backgroundStatus === 'granted' && await startBackgroundLocation(samplingOptions)) {
+        setIsLocationTracking(true);
+        console.log('Background location tracking started for driver:', targetDriverId);
+        return true;
+      }
+
+      console.warn('Background location unavailable - tracking only while the app is open');
+
+      // Start watching location changes
+      locationSubscriptionRef.current = await watchForegroundLocation(samplingOptions);
 
       setIsLocationTracking(true);
       console.log('Location tracking started for driver:', targetDriverId);
@@ -1295,10 +1838,17 @@ export const AppProvider = ({ children }) => {
   /**
    * Stop Location Tracking
    * 
-   * Stops the continuous location tracking service.
+   * Stops the continuous location tracking service (foreground watcher and background task).
    */
   const stopLocationTracking = () => {
+    // Tells a sampling mode switch still in flight not to restart tracking
+    trackingGenerationRef.current += 1;
+
     try {
+      // Stop the background task (no-op when it is not running)
+      stopBackgroundLocation();
+
+
       // Stop location subscription
       if (locationSubscriptionRef.current) {
         locationSubscriptionRef.current.remove();
@@ -1311,6 +1861,8 @@ export const AppProvider = ({ children }) => {
         locationIntervalRef.current = null;
       }
 
+      samplingModeRef.current = SAMPLING_MODES.MOVING;
+      setLocationSamplingMode(SAMPLING_MODES.MOVING);
       setIsLocationTracking(false);
       console.log('Location tracking stopped');
     } catch (error) {
@@ -1323,7 +1875,7 @@ export const AppProvider = ({ children }) => {
    * 
    * Manually sends current location to backend (useful for one-time updates).
    * 
-   * @param {number} [driverId] - Driver ID (optional, uses current user ID if not provided)
+   * @param {number} [driverId] - Driver ID (optional, defaults to the session driver)
    * @returns {Promise<boolean>} Success status
    */
   const updateLocationManually = async (driverId) => {
@@ -1348,7 +1900,12 @@ export const AppProvider = ({ children }) => {
       setCurrentLocation({ latitude, longitude, timestamp });
 
       // Get driver ID
-      const targetDriverId = driverId || (user?.id ? parseInt(user.id) : 1);
+      const targetDriverId = sessionIdentity.requireDriverId(driverId);
+
+      if (!isOnline) {
+        console.log('Offline - skipping location upload');
+        return false;
+      }
 
       // Send location to backend
       const response = await locationService.updateLocation(targetDriverId, latitude, longitude, timestamp);
@@ -1392,33 +1949,321 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Sync Trip Logs
+   * 
+   * Uploads finished trips that have not been sent yet.
+   * 
+   * @param {number} driverId - Signed-in driver
+   */
+  const syncTripLogs = (driverId) => {
+    flushTripLogs(driverId, jobService.submitTripLog)
+      .catch(err => console.error('Trip log sync error:', err));
+  };
+
+  /**
+   * Record Job Trip
+   * 
+   * Starts, switches to loaded or ends the job's trip log for a status
+   * change, and uploads the trip once it has ended.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {string} status - New status
+   * @param {Object} [payload] - Request data sent with the status change
+   */
+  const recordJobTrip = (jobId, status, payload = {}) => {
+    const driverId = sessionIdentity.getDriverId();
+    if (!driverId) return;
+
+    const job = [...(currentJobs || []), ...(jobs || [])].find(item => item && item.id === jobId) || { id: jobId };
+    const at = payload.delivered_at || new Date().toISOString();
+
+    recordTripStatus(driverId, job, status, at)
+      .then(() => {
+        if ([JOB_STATUS.DELIVERED, JOB_STATUS.CANCELLED].includes(status) && isOnlineRef.current) {
+          syncTripLogs(driverId);
+        }
+      })
+      .catch(err => console.error('Trip log error:', err));
+  };
+
+  /**
+   * Apply Job Status Locally
+   * 
+   * Updates a job's status in jobs and currentJobs without waiting for the API.
+   * Delivery exceptions also record the reason and reattempt window on the
+   * job (and its My Rides entry) so the exception badge shows right away.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {string} status - New status
+   * @param {Object} [payload] - Request data sent with the status change
+   */
+  const applyJobStatusLocally = (jobId, status, payload = {}) => {
+    if (status === JOB_STATUS.CANCELLED) {
+      recordJobTrip(jobId, status, payload);
+      applyCancellationLocally(jobId);
+      return;
+    }
+
+    recordJobTrip(jobId, status, payload);
+
+    const changes = { status };
+    if (status === JOB_STATUS.DELIVERED && payload.is_late !== undefined) {
+      changes.isLate = Boolean(payload.is_late);
+    }
+    if (status === JOB_STATUS.EXCEPTION) {
+      changes.exception_reason = payload.reason_code;
+      changes.reattempt_window_start = payload.reattempt_window_start || null;
+      changes.reattempt_window_end = payload.reattempt_window_end || null;
+    }
+
+    const updateStatus = (list) => {
+      if (!list || !Array.isArray(list)) return list || [];
+      return list.map(job => (job && job.id === jobId ? { ...job, ...changes } : job));
+    };
+
+    setJobs(updateStatus);
+    setCurrentJobs(updateStatus);
+
+    if (status === JOB_STATUS.EXCEPTION) {
+      const job = (currentJobs || []).find(item => item && item.id === jobId);
+      if (job) {
+        setRides(prev => Object.keys(prev).reduce((next, key) => ({
+          ...next,
+          [key]: Array.isArray(prev[key])
+            ? prev[key].map(ride => (isSameJob(ride, job) ? { ...ride, ...changes } : ride))
+            : prev[key],
+        }), {}));
+      }
+    }
+  };
+
+  /**
+   * Apply Cancellation Locally
+   * 
+   * Moves a cancelled or rejected job out of the new/current lists and into
+   * the cancelled count and the Cancelled rides tab right away. The cached
+   * Cancelled tab is updated too so it does not hide the job when hydrated.
+   * 
+   * @param {number|string} jobId - Job ID
+   */
+  const applyCancellationLocally = (jobId) => {
+    const job = [...(currentJobs || []), ...(jobs || [])].find(item => item && item.id === jobId);
+    if (!job) return;
+
+    const previousStatus = normalizeJobStatus(job.status) || JOB_STATUS.NEW;
+    const cancelledRide = { ...job, status: JOB_STATUS.CANCELLED, cancelled_at: new Date().toISOString() };
+    const withoutJob = (list) => (Array.isArray(list) ? list.filter(item => !isSameJob(item, job)) : list);
+
+    setJobs(withoutJob);
+    setCurrentJobs(withoutJob);
+
+    setDashboardData(prev => {
+      const counts = { ...(prev?.counts || {}) };
+      const countKey = toCountKey(previousStatus);
+      if (countKey && counts[countKey] > 0) {
+        counts[countKey] -= 1;
+      }
+      counts.cancelled = (counts.cancelled || 0) + 1;
+      return { ...prev, counts, new_jobs: withoutJob(prev?.new_jobs) || [] };
+    });
+
+    setRides(prev => ({
+      ...prev,
+      [previousStatus]: withoutJob(prev[previousStatus]),
+      [JOB_STATUS.CANCELLED]: [cancelledRide, ...(withoutJob(prev[JOB_STATUS.CANCELLED]) || [])],
+    }));
+
+    const driverId = sessionIdentity.getDriverId();
+    const cacheKey = rideCacheKey(JOB_STATUS.CANCELLED);
+    if (driverId) {
+      readCache(cacheKey, driverId)
+        .then(entry => entry && writeCache(cacheKey, driverId, [cancelledRide, ...withoutJob(entry.data)]))
+        .catch(error => console.error('Failed to cache cancelled job:', error));
+    }
+  };
+
+  /**
+   * Send Job Action
+   * 
+   * Calls the jobService endpoint for a status change.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {string} status - Target status (accepted, pickedup, delivered, cancelled, exception)
+   * @param {Object} [data] - Request body; cancelled with data.reject declines a new job
+   * @returns {Promise<Object>} API result
+   */
+  const sendJobAction = (jobId, status, data = {}) => {
+    switch (status) {
+      case JOB_STATUS.CANCELLED: {
+        const { reject, ...cancelData } = data;
+        return reject ? jobService.rejectJob(jobId, cancelData) : jobService.cancelJob(jobId, cancelData);
+      }
+      case JOB_STATUS.ACCEPTED:
+        return jobService.acceptJob(jobId, data);
+      case JOB_STATUS.PICKEDUP:
+        return jobService.pickupJob(jobId, data);
+      case JOB_STATUS.DELIVERED:
+        return jobService.deliverJob(jobId, data);
+      case JOB_STATUS.EXCEPTION:
+        return jobService.reportException(jobId, data);
+      default:
+        return Promise.resolve({ success: false, message: `Unknown job status: ${status}`, data: null });
+    }
+  };
+
+  /**
+   * Queue Job Action
+   * 
+   * Stores a status change in the offline outbox and applies it optimistically.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {string} status - Target status
+   * @param {Object} [payload] - Request body to send on replay
+   * @returns {Promise<string>} JOB_ACTION_QUEUED
+   */
+  const queueJobAction = async (jobId, status, payload = {}) => {
+    const queued = await enqueueAction({
+      driverId: sessionIdentity.requireDriverId(),
+      jobId,
+      status,
+      payload,
+    });
+
+    setPendingJobActions(queued);
+    applyJobStatusLocally(jobId, status, payload);
+    console.log(`Queued offline job action: ${status} for job ${jobId}`);
+    return JOB_ACTION_QUEUED;
+  };
+
+  /**
+   * Sync Pending Job Actions
+   * 
+   * Replays queued job actions in order. Actions rejected by the server are
+   * reported to the driver as conflicts and the affected data is reloaded.
+   * 
+   * @returns {Promise<void>}
+   */
+  const syncPendingJobActions = async () => {
+    const driverId = sessionIdentity.getDriverId();
+    if (!driverId) return;
+
+    const result = await replayOutbox(driverId, entry =>
+      sendJobAction(entry.jobId, entry.status, { ...entry.payload, performed_at: entry.performedAt })
+    );
+
+    setPendingJobActions(result.remaining);
+
+    if (result.replayed.length > 0) {
+      console.log(`Replayed ${result.replayed.length} offline job action(s)`);
+    }
+
+    if (result.conflicts.length > 0) {
+      setJobActionConflicts(prev => [...prev, ...result.conflicts]);
+      const details = result.conflicts
+        .map(conflict => `Job ${conflict.jobId} (${conflict.status}): ${conflict.message}`)
+        .join('\n');
+      showWarning(`Some offline updates were rejected by the server:\n\n${details}`, 'Sync Conflict');
+    }
+
+    if (result.replayed.length > 0 || result.conflicts.length > 0) {
+      // Reload so optimistic statuses are replaced by the server state
+      await Promise.all([
+        loadDashboardData(null, { force: true }).catch(err => console.error('Dashboard reload error:', err)),
+        loadCurrentJobs(null, { force: true }).catch(err => console.error('Current jobs reload error:', err)),
+      ]);
+    }
+  };
+
+  /**
+   * Dismiss Job Action Conflicts
+   * 
+   * Clears the list of rejected offline actions once the driver has seen them.
+   */
+  const dismissJobActionConflicts = () => {
+    setJobActionConflicts([]);
+  };
+
+  /**
+   * Start Tracking After Accept
+   * 
+   * The driver is on duty once a job is accepted. Accepting is a driver
+   * action, so this is where missing location permissions are asked for.
+   */
+  const startTrackingAfterAccept = async () => {
+    if (!isLocationTracking) {
+      console.log('Starting location tracking after job acceptance...');
+      await startLocationTracking(undefined, { promptForPermission: true }).catch(err => {
+        console.error('Failed to start location tracking:', err);
+        // Don't fail job acceptance if location tracking fails
+      });
+    }
+  };
+
+  /**
+   * Is Transition Allowed
+   * 
+   * Checks a status change against the job lifecycle (utils/jobLifecycle)
+   * before anything is sent or queued. Jobs not held locally are let through;
+   * the server validates those.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {string} newStatus - Target status
+   * @returns {boolean} True when the change may proceed
+   */
+  const isTransitionAllowed = (jobId, newStatus) => {
+    const job = [...(currentJobs || []), ...(jobs || [])].find(item => item && item.id === jobId);
+    if (!job || !job.status || canTransition(job.status, newStatus)) {
+      return true;
+    }
+
+    const currentStatus = normalizeJobStatus(job.status);
+    console.warn(`Blocked job status change ${currentStatus} → ${newStatus} for job ${jobId}`);
+    showWarning(`This job is ${currentStatus} and can no longer be marked ${newStatus}.`, 'Job Status');
+    return false;
+  };
+
   /**
    * Accept Job
    * 
    * Accepts a job and updates the job status.
    * Automatically starts location tracking when job is accepted.
+   * When offline the acceptance is queued and replayed on reconnect.
    * 
    * @param {number} jobId - The ID of the job to accept
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<boolean|string>} Success status, or JOB_ACTION_QUEUED when saved offline
    */
   const acceptJob = async (jobId) => {
+    if (!isTransitionAllowed(jobId, JOB_STATUS.ACCEPTED)) {
+      return false;
+    }
+
     try {
+      // Keep actions in order - queue behind anything still waiting to sync
+      if ((await loadOutbox(sessionIdentity.getDriverId())).length > 0) {
+        const queued = await queueJobAction(jobId, JOB_STATUS.ACCEPTED);
+        await startTrackingAfterAccept();
+        syncPendingJobActions();
+        return queued;
+      }
+
       const response = await jobService.acceptJob(jobId);
       
       if (response.success) {
-        // Refresh dashboard data to get updated job statuses
-        await loadDashboardData();
-        
-        // Start location tracking when job is accepted (driver is now on duty)
-        if (!isLocationTracking) {
-          console.log('Starting location tracking after job acceptance...');
-          await startLocationTracking().catch(err => {
-            console.error('Failed to start location tracking:', err);
-            // Don't fail job acceptance if location tracking fails
-          });
-        }
-        
+        // The trip trace starts at accept; empty kilometres to the pickup count
+        recordJobTrip(jobId, JOB_STATUS.ACCEPTED);
+
+        // Refresh dashboard data and current jobs to get updated job statuses
+        await Promise.all([
+          loadDashboardData(null, { force: true }),
+          loadCurrentJobs(null, { force: true }).catch(err => console.error('Current jobs reload error:', err)),
+        ]);
+        await startTrackingAfterAccept();
         return true;
+      } else if (isNetworkFailure(response)) {
+        const queued = await queueJobAction(jobId, JOB_STATUS.ACCEPTED);
+        await startTrackingAfterAccept();
+        return queued;
       } else if (response.error === 'HTML_RESPONSE') {
         // API endpoint not available - use local update as fallback
         console.log('Job acceptance API not available, updating locally');
@@ -1427,21 +2272,14 @@ export const AppProvider = ({ children }) => {
         setJobs(prevJobs => {
           if (!prevJobs || !Array.isArray(prevJobs)) return prevJobs || [];
           return prevJobs.map(job => 
-            job && job.id === jobId ? { ...job, status: 'accepted' } : job
+            job && job.id === jobId ? { ...job, status: JOB_STATUS.ACCEPTED } : job
           );
         });
+        recordJobTrip(jobId, JOB_STATUS.ACCEPTED);
         
         // Refresh dashboard data to reflect the local change
-        await loadDashboardData();
-        
-        // Start location tracking when job is accepted (driver is now on duty)
-        if (!isLocationTracking) {
-          console.log('Starting location tracking after job acceptance...');
-          await startLocationTracking().catch(err => {
-            console.error('Failed to start location tracking:', err);
-            // Don't fail job acceptance if location tracking fails
-          });
-        }
+        await loadDashboardData(null, { force: true });
+        await startTrackingAfterAccept();
         
         return true; // Return success for graceful fallback
       } else {
@@ -1459,53 +2297,55 @@ export const AppProvider = ({ children }) => {
    * 
    * Updates the status of a specific job locally and via API.
    * Automatically starts location tracking when job is accepted.
+   * When offline the change is queued, applied optimistically and replayed
+   * in order on reconnect.
    * 
    * @param {number} jobId - The ID of the job to update
-   * @param {string} newStatus - New status: 'new', 'accepted', 'pickedup', 'delivered'
+   * @param {string} newStatus - New status: 'accepted', 'pickedup', 'delivered', 'cancelled', 'exception'
+   * @param {Object} [payload] - Extra request data (pickup/delivery details)
+   * @returns {Promise<boolean|string>} Success status, or JOB_ACTION_QUEUED when saved offline
    */
-  const updateJobStatus = async (jobId, newStatus) => {
+  const updateJobStatus = async (jobId, newStatus, payload = {}) => {
+    if (!OUTBOX_STATUSES.includes(newStatus)) {
+      console.warn('Unknown job status:', newStatus);
+      return false;
+    }
+
+    if (!isTransitionAllowed(jobId, newStatus)) {
+      return false;
+    }
+
     try {
-      let response;
-      
-      switch (newStatus) {
-        case 'accepted':
-          response = await jobService.acceptJob(jobId);
-          break;
-        case 'pickedup':
-          response = await jobService.pickupJob(jobId);
-          break;
-        case 'delivered':
-          response = await jobService.deliverJob(jobId);
-          break;
-        default:
-          console.warn('Unknown job status:', newStatus);
-          return false;
+      // Keep actions in order - queue behind anything still waiting to sync
+      if ((await loadOutbox(sessionIdentity.getDriverId())).length > 0) {
+        const queued = await queueJobAction(jobId, newStatus, payload);
+        if (newStatus === JOB_STATUS.ACCEPTED) {
+          await startTrackingAfterAccept();
+        }
+        syncPendingJobActions();
+        return queued;
       }
+
+      const response = await sendJobAction(jobId, newStatus, payload);
       
       if (response.success) {
         // Update local state
-        setJobs(prev => {
-          if (!prev || !Array.isArray(prev)) return prev || [];
-          return prev.map(job => 
-            job && job.id === jobId 
-              ? { ...job, status: newStatus }
-              : job
-          );
-        });
+        applyJobStatusLocally(jobId, newStatus, payload);
         
         // Refresh dashboard data for updated counts
-        await loadDashboardData();
+        await loadDashboardData(null, { force: true });
         
-        // Start location tracking when job is accepted (driver is now on duty)
-        if (newStatus === 'accepted' && !isLocationTracking) {
-          console.log('Starting location tracking after job acceptance...');
-          await startLocationTracking().catch(err => {
-            console.error('Failed to start location tracking:', err);
-            // Don't fail job status update if location tracking fails
-          });
+        if (newStatus === JOB_STATUS.ACCEPTED) {
+          await startTrackingAfterAccept();
         }
         
         return true;
+      } else if (isNetworkFailure(response)) {
+        const queued = await queueJobAction(jobId, newStatus, payload);
+        if (newStatus === JOB_STATUS.ACCEPTED) {
+          await startTrackingAfterAccept();
+        }
+        return queued;
       } else {
         console.error('Update job status error:', response.message);
         return false;
@@ -1516,50 +2356,613 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Cancel Job
+   * 
+   * Cancels an accepted or picked-up job with a reason. The job moves to the
+   * Cancelled tab immediately; offline the cancellation is queued.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {Object} cancelData - { reason_code, note, photo }
+   * @returns {Promise<boolean|string>} Success status, or JOB_ACTION_QUEUED when saved offline
+   */
+  const cancelJob = (jobId, cancelData) => updateJobStatus(jobId, JOB_STATUS.CANCELLED, cancelData);
+
+  /**
+   * Reject Job
+   * 
+   * Declines a new job with a reason. The job is removed from New Jobs and
+   * counted as cancelled immediately; offline the rejection is queued.
+   * 
+   * @param {number|string} jobId - Job ID
+   * @param {Object} rejectData - { reason_code, note, photo }
+   * @returns {Promise<boolean|string>} Success status, or JOB_ACTION_QUEUED when saved offline
+   */
+  const rejectJob = (jobId, rejectData) =>
+    updateJobStatus(jobId, JOB_STATUS.CANCELLED, { ...rejectData, reject: true });
+
   /**
    * Refresh All Data
    * 
-   * Refreshes all data from APIs. Useful for pull-to-refresh functionality.
+   * Refreshes all data from APIs, ignoring cache TTLs. Useful for pull-to-refresh functionality.
    */
   const refreshAllData = async () => {
-    // Load all data in parallel - dashboard always uses driver_id: 1
+    // Load all data in parallel for the session driver
     await Promise.all([
       loadDriverProfile(),
-      loadDashboardData(),
-      loadCurrentJobs(),
-      loadDriverDocuments(),
+      loadDashboardData(null, { force: true }),
+      loadCurrentJobs(null, { force: true }),
+      loadDriverDocuments({ force: true }),
       loadNotifications(),
     ]);
   };
 
+  /**
+   * Load Session Data
+   * 
+   * Loads the essential data for an authenticated driver in parallel.
+   * Used after a session is restored on launch and after a successful login.
+   */
+  const loadSessionData = async () => {
+    restoreFocusedJob().catch(err => console.error('Focused job restore error:', err));
+
+    await Promise.all([
+      loadDriverProfile().catch(err => console.error('Profile load error:', err)),
+      loadDashboardData().catch(err => console.error('Dashboard load error:', err)),
+      loadCurrentJobs().catch(err => console.error('Current jobs load error:', err)),
+      loadDriverDocuments().catch(err => console.error('Documents load error:', err)),
+    ]);
+
+    // Send any job actions queued while offline in a previous run
+    syncPendingJobActions().catch(err => console.error('Offline sync error:', err));
+
+    // Backfill locations, geofence events and trip logs recorded while offline in a previous run
+    const driverId = sessionIdentity.getDriverId();
+    if (driverId) {
+      loadTrips(driverId)
+        .then(setTrips)
+        .catch(err => console.error('Trip log load error:', err));
+      syncTripLogs(driverId);
+      flushLocations(driverId).catch(err => console.error('Location backfill error:', err));
+      geofenceQueueRef.current = geofenceQueueRef.current
+        .then(() => flushGeofenceEvents(driverId, jobService.sendGeofenceEvent))
+        .catch(err => console.error('Geofence event sync error:', err));
+    }
+  };
+
+  /**
+   * Login
+   * 
+   * Authenticates the driver with their own credentials via OAuth, resolves
+   * the session driver_id and, on success, loads the driver's data.
+   * 
+   * @param {string} username - Driver username (email)
+   * @param {string} password - Driver password
+   * @returns {Promise<boolean>} Success status
+   */
+  const login = async (username, password) => {
+    setLoadingState('login', true);
+    setErrorState('login', null);
+
+    try {
+      const result = await authService.login(username, password);
+
+      if (!result.success) {
+        setErrorState('login', result.message || 'Login failed');
+        return false;
+      }
+
+      // Resolve the identity for the new tokens (never reuse a previous driver's ID)
+      await sessionIdentity.clear();
+      const driverId = await sessionIdentity.resolve();
+
+      if (!driverId) {
+        await authService.logout();
+        setErrorState('login', 'Unable to identify your driver account. Please try again.');
+        return false;
+      }
+
+      setIsAuthenticated(true);
+      loadSessionData();
+      return true;
+    } catch (error) {
+      const errorMessage = error.message || 'Login failed. Please try again.';
+      setErrorState('login', errorMessage);
+      console.error('Login error:', error);
+      return false;
+    } finally {
+      setLoadingState('login', false);
+    }
+  };
+
+  /**
+   * Request Password Reset
+   * 
+   * Sends the driver a password reset email.
+   * 
+   * @param {string} email - Driver email address
+   * @returns {Promise<boolean>} Success status
+   */
+  const requestPasswordReset = async (email) => {
+    setLoadingState('forgotPassword', true);
+    setErrorState('forgotPassword', null);
+
+    try {
+      const result = await authService.forgotPassword(email);
+
+      if (!result.success) {
+        setErrorState('forgotPassword', result.message);
+        return false;
+      }
+
+      return true;
+    } finally {
+      setLoadingState('forgotPassword', false);
+    }
+  };
+
+  /**
+   * Reset Password
+   * 
+   * Sets a new password using the token from the reset email.
+   * The driver signs in with the new password afterwards.
+   * 
+   * @param {string} token - Reset token
+   * @param {string} password - New password
+   * @param {string} [email] - Driver email address
+   * @returns {Promise<boolean>} Success status
+   */
+  const resetPassword = async (token, password, email) => {
+    setLoadingState('resetPassword', true);
+    setErrorState('resetPassword', null);
+
+    try {
+      const result = await authService.resetPassword(token, password, email);
+
+      if (!result.success) {
+        setErrorState('resetPassword', result.message);
+        return false;
+      }
+
+      return true;
+    } finally {
+      setLoadingState('resetPassword', false);
+    }
+  };
+
+  /**
+   * Reset App State
+   * 
+   * Returns every piece of driver-specific state to its initial value.
+   */
+  const resetAppState = () => {
+    setUser(null);
+    setLoading(INITIAL_LOADING);
+    setErrors(INITIAL_ERRORS);
+    setDashboardData(INITIAL_DASHBOARD_DATA);
+    setDocuments(INITIAL_DOCUMENTS);
+    setNotifications([]);
+    setJobs([]);
+    setCurrentJobs([]);
+    setJobDetails(null);
+    setFocusedJobId(null);
+    setRides({});
+    setPendingJobActions([]);
+    setJobActionConflicts([]);
+    setLastUpdated({});
+    hydratedCacheKeysRef.current.clear();
+    setCurrentLocation(null);
+    setGeofenceArrival(null);
+    locationHistoryRef.current = [];
+    setPowerState(UNKNOWN_POWER_STATE);
+    setAverageSpeedKmh(null);
+    setDelayNotices({});
+    lateAlertedJobIdsRef.current.clear();
+    setTrips([]);
+  };
+
+  /**
+   * Logout
+   * 
+   * Stops location tracking, clears stored tokens, the session identity and
+   * cached API data, and resets all context state.
+   * AppNavigator switches back to the Login screen once isAuthenticated is false.
+   */
+  const logout = async () => {
+    stopLocationTracking();
+    await authService.logout();
+    await sessionIdentity.clear();
+    await clearCache();
+    await clearGeocodeCache();
+    resetAppState();
+    setIsAuthenticated(false);
+  };
+
+  /**
+   * Session Expiry Handling
+   * 
+   * The API client emits a session-expired event when a 401 cannot be
+   * recovered by refreshing the token. End the session so AppNavigator
+   * shows the Login screen, with an explanation for the driver.
+   * The subscription is made once; the handler is read from a ref updated on
+   * every render so logout sees current state instead of the first render's.
+   */
+  const sessionExpiredHandlerRef = useRef(null);
+  sessionExpiredHandlerRef.current = async () => {
+    await logout();
+    setErrorState('login', 'Your session has expired. Please log in again.');
+  };
+
+  useEffect(() => {
+    const unsubscribe = onSessionExpired(() => sessionExpiredHandlerRef.current());
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Reconnect Handling
+   * 
+   * When the device comes back online, replays queued job actions first and
+   * then refreshes all data so screens show the server state. Locations
+   * recorded while offline are backfilled alongside.
+   */
+  useEffect(() => {
+    isOnlineRef.current = isOnline;
+
+    const reconnected = isOnline && !wasOnlineRef.current;
+    wasOnlineRef.current = isOnline;
+
+    if (!reconnected || !isAuthenticated) return;
+
+    console.log('Connection restored, syncing and refreshing data...');
+    const driverId = sessionIdentity.getDriverId();
+    if (driverId) {
+      flushLocations(driverId).catch(err => console.error('Location backfill error:', err));
+      geofenceQueueRef.current = geofenceQueueRef.current
+        .then(() => flushGeofenceEvents(driverId, jobService.sendGeofenceEvent))
+        .catch(err => console.error('Geofence event sync error:', err));
+      syncTripLogs(driverId);
+    }
+    syncPendingJobActions()
+      .catch(err => console.error('Offline sync error:', err))
+      .then(() => refreshAllData())
+      .catch(err => console.error('Refresh after reconnect error:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOnline, isAuthenticated]);
+
+  /**
+   * Background Location Updates
+   * 
+   * Mirrors fixes from the background task into currentLocation while the UI is running.
+   */
+  useEffect(() => {
+    const unsubscribe = onBackgroundLocation((fix) => setCurrentLocation(fix));
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Geofence Detection
+   * 
+   * Checks each new fix against the geofences of the active jobs, records
+   * arrivals/departures and sends them to the backend. Arrivals are surfaced
+   * as geofenceArrival so the driver is prompted to confirm pickup/delivery.
+   */
+  useEffect(() => {
+    if (!isAuthenticated || !currentLocation) return;
+
+    const driverId = sessionIdentity.getDriverId();
+    if (!driverId) return;
+
+    const fences = getJobGeofences(activeJobs);
+    const position = currentLocation;
+
+    geofenceQueueRef.current = geofenceQueueRef.current
+      .then(async () => {
+        const state = await loadGeofenceState(driverId);
+        const { visits, events } = evaluateGeofences({ fences, visits: state.visits, position });
+        if (events.length === 0 && Object.keys(visits).length === Object.keys(state.visits).length) return;
+
+        await saveGeofenceState(driverId, { visits, pendingEvents: [...state.pendingEvents, ...events] });
+
+        const arrival = [...events].reverse().find(event => event.event === GEOFENCE_EVENTS.ARRIVED);
+        if (arrival) {
+          console.log(`Arrived at ${arrival.stop_type} for job ${arrival.jobId}`);
+          setGeofenceArrival({ jobId: arrival.jobId, stop_type: arrival.stop_type, occurred_at: arrival.occurred_at });
+        }
+
+        if (events.length > 0 && isOnlineRef.current) {
+          await flushGeofenceEvents(driverId, jobService.sendGeofenceEvent);
+        }
+      })
+      .catch(err => console.error('Geofence error:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated, currentLocation]);
+
+  /**
+   * Dismiss Geofence Arrival
+   * 
+   * Clears the arrival prompt once the driver has answered it.
+   */
+  const dismissGeofenceArrival = () => {
+    setGeofenceArrival(null);
+  };
+
+  /**
+   * Average Speed
+   * 
+   * Keeps the last minutes of fixes and re-measures the driver's moving
+   * speed for the ETAs. Stays on the previous value while stopped.
+   */
+  useEffect(() => {
+    if (!currentLocation) return;
+
+    locationHistoryRef.current = appendLocationHistory(locationHistoryRef.current, currentLocation);
+    const measured = estimateAverageSpeedKmh(locationHistoryRef.current);
+    if (measured) setAverageSpeedKmh(measured);
+  }, [currentLocation]);
+
+  /**
+   * Battery State
+   * 
+   * Reads the battery while tracking and follows level, charging and power
+   * saver changes for the sampling policy.
+   */
+  useEffect(() => {
+    if (!isLocationTracking) return undefined;
+
+    let isActive = true;
+    const update = (state) => {
+      if (isActive) setPowerState(state);
+    };
+
+    readPowerState().then(update);
+    const unsubscribe = onPowerStateChange(update);
+    return () => {
+      isActive = false;
+      unsubscribe();
+    };
+  }, [isLocationTracking]);
+
+  /**
+   * Location Sampling
+   * 
+   * Re-evaluates the adaptive sampling mode (utils/locationSampling) on each
+   * fix, every ETA clock tick (a parked phone sends no fixes) and on battery
+   * changes, and restarts tracking when the mode changes.
+   */
+  useEffect(() => {
+    if (!isLocationTracking) return;
+
+    const mode = chooseSamplingMode({
+      stationarySeconds: getStationarySeconds(locationHistoryRef.current),
+      distanceToStopM: distanceToNearestGeofence(getJobGeofences(activeJobs), currentLocation),
+      power: powerState,
+      currentMode: samplingModeRef.current,
+    });
+    if (mode === samplingModeRef.current) return;
+
+    samplingModeRef.current = mode;
+    setLocationSamplingMode(mode);
+    samplingQueueRef.current = samplingQueueRef.current
+      .then(() => applySamplingMode(mode))
+      .catch(err => console.error('Failed to change location sampling:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLocationTracking, currentLocation, activeJobs, powerState, etaClock]);
+
+  /**
+   * ETA Clock
+   * 
+   * Ticks every minute while jobs are active so lateness is detected even
+   * when no new fixes arrive (e.g. the driver is stuck in traffic).
+   */
+  useEffect(() => {
+    if (!isAuthenticated || activeJobs.length === 0) return undefined;
+
+    setEtaClock(Date.now());
+    const interval = setInterval(() => setEtaClock(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [isAuthenticated, activeJobs.length]);
+
+  /**
+   * Running Late Alerts
+   * 
+   * Warns the driver once per job when it starts running late, pointing them
+   * to Current Job to notify dispatch.
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const newlyLate = activeJobs.filter(job => (
+      jobEtas[job.id]?.isLate && !lateAlertedJobIdsRef.current.has(job.id)
+    ));
+    if (newlyLate.length === 0) return;
+
+    newlyLate.forEach(job => lateAlertedJobIdsRef.current.add(job.id));
+
+    const lines = newlyLate.map(job => {
+      const eta = jobEtas[job.id];
+      const stop = eta.stopType === STOP_TYPES.PICKUP ? 'pickup' : 'drop-off';
+      const arrival = eta.eta ? `, ETA ${formatEtaTime(eta.eta)}` : '';
+      return `Order #${job.orderId || job.tracking_id || job.id}: ${stop} about ${eta.lateByMinutes} min late${arrival}`;
+    });
+    showWarning(
+      `${lines.join('\n')}\n\nYou can notify dispatch from Current Job.`,
+      newlyLate.length > 1 ? 'Jobs Running Late' : 'Running Late'
+    );
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated, jobEtas]);
+
+  /**
+   * Send Delay Notice
+   * 
+   * Tells dispatch the driver will miss a job's scheduled window, with the
+   * current ETA and position.
+   * 
+   * @param {number} jobId - Job ID
+   * @param {string} [note] - Driver's note
+   * @returns {Promise<boolean>} Success status
+   */
+  const sendDelayNotice = async (jobId, note) => {
+    setLoadingState('delayNotice', true);
+    setErrorState('delayNotice', null);
+
+    try {
+      const eta = jobEtas[jobId];
+      const delayData = {
+        stop_type: eta?.stopType,
+        estimated_arrival: eta?.eta ? new Date(eta.eta).toISOString() : null,
+        late_by_minutes: eta?.lateByMinutes || 0,
+        note: note || null,
+        latitude: currentLocation?.latitude ?? null,
+        longitude: currentLocation?.longitude ?? null,
+      };
+
+      const response = await jobService.sendDelayNotice(jobId, delayData);
+
+      if (response.success) {
+        setDelayNotices(prev => ({ ...prev, [jobId]: new Date().toISOString() }));
+        return true;
+      }
+
+      const errorMsg = response.message || 'Failed to notify dispatch';
+      setErrorState('delayNotice', errorMsg);
+      console.error('Delay notice error:', errorMsg);
+      return false;
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to notify dispatch. Please try again.';
+      setErrorState('delayNotice', errorMessage);
+      console.error('Delay notice error:', error.message);
+      return false;
+    } finally {
+      setLoadingState('delayNotice', false);
+    }
+  };
+
+  /**
+   * Trip Log Updates
+   * 
+   * Mirrors trip recorder writes (including fixes recorded by the background
+   * task while the UI runs) into trips for the signed-in driver.
+   */
+  useEffect(() => {
+    const unsubscribe = onTripsChanged((driverId, driverTrips) => {
+      if (driverId === sessionIdentity.getDriverId()) {
+        setTrips(driverTrips);
+      }
+    });
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Trip Log for Active Jobs
+   * 
+   * Starts trips for active jobs that have none yet, e.g. jobs accepted on
+   * another device or before the app was updated, and ends recording trips
+   * whose job left the active jobs some other way (cancelled by dispatch,
+   * delivered elsewhere, reassigned). Waits until current jobs have been
+   * loaded so trips are not ended against an empty list at startup.
+   */
+  useEffect(() => {
+    if (!isAuthenticated || !lastUpdated.currentJobs) return;
+
+    const driverId = sessionIdentity.getDriverId();
+    if (!driverId) return;
+
+    // Rides on the Delivered tab count as delivered whatever their status spelling
+    const knownJobs = [
+      ...(rides[JOB_STATUS.DELIVERED] || []).map(ride => ({ ...ride, status: JOB_STATUS.DELIVERED })),
+      ...currentJobs,
+    ];
+    syncTripsWithJobs(driverId, activeJobs, knownJobs)
+      .catch(err => console.error('Trip log sync error:', err));
+    // rides only label how a vanished job ended; they do not trigger a sync
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated, activeJobs, lastUpdated.currentJobs]);
+
+  /**
+   * Get Job Trip
+   * 
+   * @param {Object} job - Job or ride (matched by ID or tracking ID)
+   * @returns {Object|null} Trip summary from the trip log
+   */
+  const getJobTrip = (job) => findTripForJob(trips, job);
+
+  /**
+   * Update Trip Odometer
+   * 
+   * Saves the driver's start/end odometer readings for a trip. A finished
+   * trip is uploaded again with the new readings.
+   * 
+   * @param {string} tripId - Trip ID
+   * @param {Object} readings - { start_odometer, end_odometer } in km (null clears)
+   * @returns {Promise<boolean>} Success status
+   */
+  const updateTripOdometer = async (tripId, readings) => {
+    try {
+      const driverId = sessionIdentity.requireDriverId();
+      await setTripOdometer(driverId, tripId, readings);
+
+      const trip = trips.find(item => item.id === tripId);
+      if (trip && trip.status !== TRIP_STATUS.RECORDING && isOnlineRef.current) {
+        syncTripLogs(driverId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Trip odometer update error:', error.message);
+      return false;
+    }
+  };
+
+  /**
+   * Tracking Lifecycle
+   * 
+   * Tracks while any current job is accepted or picked up, and stops once the
+   * driver has no current jobs. Waits until current jobs have been loaded
+   * (lastUpdated.currentJobs) so a task still running from the previous launch
+   * is not stopped before the jobs are known.
+   */
+  useEffect(() => {
+    if (!isAuthenticated || !lastUpdated.currentJobs) return;
+
+    const hasTrackedJob = currentJobs.some(job =>
+      TRACKED_JOB_STATUSES.includes(normalizeJobStatus(job.status))
+    );
+
+    if (hasTrackedJob && !isLocationTracking) {
+      startLocationTracking().catch(err => console.error('Failed to start location tracking:', err));
+    } else if (currentJobs.length === 0) {
+      stopLocationTracking();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated, currentJobs, lastUpdated.currentJobs]);
+
   /**
    * Initial Data Load
    * 
-   * Authenticate user and load essential data when the app starts.
+   * Restores a stored session when the app starts and loads essential data.
+   * Without a stored session the driver is sent to the Login screen.
    */
   useEffect(() => {
     const initializeApp = async () => {
       try {
-        // First, try to authenticate the user
         console.log('Initializing app...');
-        const isAuthenticated = await authService.autoLogin();
+        const hasSession = await authService.restoreSession();
+        const driverId = hasSession ? await sessionIdentity.resolve() : null;
         
-        if (isAuthenticated) {
-          console.log('User authenticated, loading data...');
-          // Load all data in parallel - dashboard always uses driver_id: 1
-          await Promise.all([
-            loadDriverProfile().catch(err => console.error('Profile load error:', err)),
-            loadDashboardData().catch(err => console.error('Dashboard load error:', err)),
-            loadCurrentJobs().catch(err => console.error('Current jobs load error:', err)),
-            loadDriverDocuments().catch(err => console.error('Documents load error:', err)),
-          ]);
-        } else {
-          console.log('Authentication failed');
-          setErrorState('profile', 'Authentication failed. Please check your connection.');
+        if (hasSession && !driverId) {
+          // Tokens without a known driver are unusable - require a fresh login
+          console.warn('Stored session has no driver identity, signing out');
+          await authService.logout();
+          await sessionIdentity.clear();
+        } else if (hasSession) {
+          console.log('Session restored, loading data...');
+          setIsAuthenticated(true);
+          await loadSessionData();
         }
       } catch (error) {
         console.error('App initialization error:', error);
         setErrorState('profile', 'Failed to initialize app. Please restart.');
+      } finally {
+        setIsRestoringSession(false);
       }
     };
 
@@ -1645,25 +3048,47 @@ export const AppProvider = ({ children }) => {
    * to components consuming this context.
    */
   const value = {
+    // Connectivity
+    isOnline,                              // Device is connected and internet reachable
+    isMetered,                             // Connection is metered (cellular)
+    
+    // Session state
+    isAuthenticated,                       // Whether a driver is logged in
+    isRestoringSession,                    // True while stored session is checked on launch
+    login,                                 // Login with driver credentials
+    logout,                                // Logout and reset all state
+    requestPasswordReset,                  // Email a password reset code
+    resetPassword,                         // Set a new password with a reset token
+    
     // Core state data
     user,                                  // Complete user profile from API
     notifications,                         // All notifications array
     jobs,                                  // All jobs array from dashboard
     currentJobs,                           // Current (active/ongoing) jobs array
+    activeJobs,                            // Current jobs in an active status (accepted/pickedup/exception)
+    focusedJob,                            // Active job shown on Current Job
+    routePlan,                             // Suggested stop order { stops, totalDistance, unplanned }
+    jobEtas,                               // Next-stop ETA and lateness per active job { [jobId]: {...} }
+    getJobEta,                             // ETA for a job or ride object, or null
+    trips,                                 // Trip log summaries, newest first (utils/tripRecorder)
+    getJobTrip,                            // Trip summary for a job or ride object, or null
+    delayNotices,                          // When a delay notice was sent per job { [jobId]: ISO time }
     jobDetails,                            // Detailed job/parcel information
     rides,                                 // Rides data by status { [status]: [...rides] }
     documents,                             // Driver documents
     dashboardData,                         // Real-time dashboard data
     loading,                               // Loading states object
     errors,                                // Error states object
+    lastUpdated,                           // When each cached resource was last fetched { [resource]: ms }
     
     // Data loading functions
     loadDriverProfile,                     // Load profile from API
     loadDashboardData,                     // Load dashboard data from API
     loadAllJobs,                           // Load all jobs from API
     loadCurrentJobs,                       // Load current (active) jobs from API
+    loadJobDetails,                        // Load one job/parcel's details from API
     loadDriverRides,                      // Load rides by status from API
-    loadDriverDocuments,                   // Load documents from API
+    loadDriverDocuments,                   // Load documents from API (options.force skips the cache)
     loadNotifications,                     // Load notifications from API
     refreshAllData,                        // Refresh all data
     
@@ -1672,9 +3097,18 @@ export const AppProvider = ({ children }) => {
     updateDriverDocuments,                 // Update documents via API
     markNotificationAsRead,                // Mark notification as read via API
     updateJobStatus,                       // Update job status via API
+    cancelJob,                             // Cancel an active job with a reason
+    rejectJob,                             // Decline a new job with a reason
     acceptJob,                             // Accept job via API
+    focusJob,                              // Choose the focused active job (persisted)
     markDriverAbsent,                      // Mark driver absent via API
     
+    // Offline job action queue
+    pendingJobActions,                     // Job actions waiting to sync
+    jobActionConflicts,                    // Queued actions rejected by the server
+    syncPendingJobActions,                 // Replay queued job actions now
+    dismissJobActionConflicts,             // Clear reported conflicts
+    
     // Location tracking functions
     startLocationTracking,                 // Start continuous location tracking
     stopLocationTracking,                  // Stop location tracking
@@ -1682,6 +3116,12 @@ export const AppProvider = ({ children }) => {
     isLocationTracking,                    // Location tracking status
     currentLocation,                       // Current GPS coordinates
     locationPermissionStatus,              // Location permission status
+    locationSamplingMode,                  // Active adaptive sampling mode (SAMPLING_MODES)
+    powerState,                            // Battery { batteryLevel, isCharging, lowPowerMode } while tracking
+    geofenceArrival,                       // Unanswered arrival at a pickup/drop-off { jobId, stop_type, occurred_at }
+    dismissGeofenceArrival,                // Clear the arrival prompt
+    sendDelayNotice,                       // Tell dispatch a job is running late
+    updateTripOdometer,                    // Save start/end odometer readings for a trip
     
     // Computed values for quick access
     unreadNotifications: notifications.filter(n => !n.read).length, // Count of unread notifications
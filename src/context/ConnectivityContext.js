@@ -0,0 +1,115 @@
+/**
+ * ConnectivityContext.js - Network Connectivity Monitoring
+ *
+ * Tracks the device network state with expo-network and shares it with the
+ * rest of the app. AppContext uses it to pause location uploads while offline
+ * and to refresh data when the connection returns; App renders the global
+ * NetworkStatus banner from it.
+ *
+ * Features:
+ * - Online/offline state (connected and internet reachable)
+ * - Metered connection detection (cellular)
+ * - Live updates via the expo-network state listener
+ * - Manual re-check for "Retry" buttons
+ *
+ * Usage:
+ * - Wrap app with ConnectivityProvider (inside ThemeProvider, outside AppProvider)
+ * - Use useConnectivity hook to read state
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import * as Network from 'expo-network';
+
+/**
+ * Connectivity Context
+ */
+const ConnectivityContext = createContext();
+
+/**
+ * Map an expo-network state to connectivity values
+ *
+ * isInternetReachable can be null while the OS is still probing; treat that
+ * as online so a slow probe does not flash the offline banner.
+ *
+ * @param {Object} state - expo-network NetworkState
+ * @returns {Object} { isOnline, isMetered, connectionType }
+ */
+const toConnectivity = (state) => ({
+  isOnline: !!state?.isConnected && state?.isInternetReachable !== false,
+  isMetered: state?.type === Network.NetworkStateType.CELLULAR,
+  connectionType: state?.type || Network.NetworkStateType.UNKNOWN,
+});
+
+/**
+ * Connectivity Provider Component
+ *
+ * @param {Object} children - Child components
+ */
+export const ConnectivityProvider = ({ children }) => {
+  // Assume online until the first check completes
+  const [connectivity, setConnectivity] = useState({
+    isOnline: true,
+    isMetered: false,
+    connectionType: Network.NetworkStateType.UNKNOWN,
+  });
+
+  /**
+   * Check Connectivity
+   *
+   * Reads the current network state (used on mount and by Retry buttons).
+   *
+   * @returns {Promise<boolean>} Whether the device is online
+   */
+  const checkConnectivity = useCallback(async () => {
+    try {
+      const next = toConnectivity(await Network.getNetworkStateAsync());
+      setConnectivity(next);
+      return next.isOnline;
+    } catch (error) {
+      console.error('Error checking network state:', error);
+      return false;
+    }
+  }, []);
+
+  /**
+   * Subscribe to network changes
+   */
+  useEffect(() => {
+    checkConnectivity();
+
+    const subscription = Network.addNetworkStateListener((state) => {
+      setConnectivity(toConnectivity(state));
+    });
+
+    return () => subscription.remove();
+  }, [checkConnectivity]);
+
+  const value = {
+    ...connectivity,
+    checkConnectivity,
+  };
+
+  return (
+    <ConnectivityContext.Provider value={value}>
+      {children}
+    </ConnectivityContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to use connectivity context
+ *
+ * @returns {Object} { isOnline, isMetered, connectionType, checkConnectivity }
+ */
+export const useConnectivity = () => {
+  const context = useContext(ConnectivityContext);
+  if (!context) {
+    throw new Error('useConnectivity must be used within a ConnectivityProvider');
+  }
+  return context;
+};
+
+export default ConnectivityContext;
@@ -1,6 +1,8 @@
 /**
  * AppNavigator.js - Complete Navigation Setup
  * Ensures bottom tabs remain visible and handles safe area & keyboard.
+ * Shows the auth stack (Login) until a driver session exists.
+ * Handles deep links for the emailed password reset token.
  */
 
 import React from 'react';
@@ -11,8 +13,14 @@ import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { useApp } from '../context/AppContext';
+import LoadingState from '../components/common/LoadingState';
+import GeofencePrompt from '../components/common/GeofencePrompt';
 
 // Screens
+import LoginScreen from '../screens/LoginScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
 import HomeScreen from '../screens/HomeScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import MyRidesScreen from '../screens/MyRidesScreen';
@@ -20,6 +28,12 @@ import NotificationScreen from '../screens/NotificationScreen';
 import ProfileSettingScreen from '../screens/ProfileSettingScreen';
 import CurrentJobScreen from '../screens/CurrentJobScreen';
 import JobDetailsScreen from '../screens/JobDetailsScreen';
+import TripReplayScreen from '../screens/TripReplayScreen';
+import ProofOfDeliveryScreen from '../screens/ProofOfDeliveryScreen';
+import PickupConfirmationScreen from '../screens/PickupConfirmationScreen';
+import ParcelScannerScreen from '../screens/ParcelScannerScreen';
+import CancelJobScreen from '../screens/CancelJobScreen';
+import DeliveryExceptionScreen from '../screens/DeliveryExceptionScreen';
 import DocumentsScreen from '../screens/DocumentsScreen';
 import VehicleScreen from '../screens/VehicleScreen';
 import BankDetailsScreen from '../screens/BankDetailsScreen';
@@ -30,10 +44,29 @@ import { colors } from '../styles/commonStyles';
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+/**
+ * Deep Linking Configuration
+ * 
+ * Password reset emails link to driverapp://reset-password/<token>?email=<email>
+ * (the "scheme" in app.json). Only the auth stack is mounted while logged out,
+ * so the link opens ResetPassword with the token pre-filled.
+ */
+const linking = {
+  prefixes: ['driverapp://'],
+  config: {
+    screens: {
+      Login: 'login',
+      ForgotPassword: 'forgot-password',
+      ResetPassword: 'reset-password/:token?',
+    },
+  },
+};
+
 /**
  * MainTabs Component - Bottom Tabs
+ * Also hosts the geofence arrival prompt, which navigates on the root stack.
  */
-function MainTabs() {
+function MainTabs({ navigation }) {
   const { theme } = useTheme();
   
   return (
@@ -70,15 +103,179 @@ function MainTabs() {
         <Tab.Screen name="MyRides" component={MyRidesScreen} options={{ tabBarLabel: 'My Rides' }} />
         <Tab.Screen name="Settings" component={SettingsScreen} options={{ tabBarLabel: 'Settings' }} />
       </Tab.Navigator>
+      <GeofencePrompt navigation={navigation} />
     </SafeAreaView>
   );
 }
 
+/**
+ * AuthStack - Screens shown before the driver is logged in
+ */
+function AuthStack() {
+  const { theme } = useTheme();
+
+  const headerOptions = {
+    headerStyle: { backgroundColor: theme.background },
+    headerTintColor: theme.text,
+    headerTitleStyle: { fontWeight: 'bold' },
+  };
+
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="Login" component={LoginScreen} options={{ headerShown: false }} />
+      <Stack.Screen
+        name="ForgotPassword"
+        component={ForgotPasswordScreen}
+        options={{ title: 'Forgot Password', ...headerOptions }}
+      />
+      <Stack.Screen
+        name="ResetPassword"
+        component={ResetPasswordScreen}
+        options={{ title: 'Reset Password', ...headerOptions }}
+      />
+    </Stack.Navigator>
+  );
+}
+
+/**
+ * MainStack - Tabs and detail screens for a logged-in driver
+ */
+function MainStack() {
+  const { theme } = useTheme();
+
+  return (
+    <Stack.Navigator>
+      <Stack.Screen name="Main" component={MainTabs} options={{ headerShown: false }} />
+      <Stack.Screen
+        name="Notification"
+        component={NotificationScreen}
+        options={{
+          title: 'Notifications',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="ProfileSetting"
+        component={ProfileSettingScreen}
+        options={{
+          title: 'Profile Settings',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="JobDetails"
+        component={JobDetailsScreen}
+        options={{
+          title: 'Job Details',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="TripReplay"
+        component={TripReplayScreen}
+        options={{
+          title: 'Trip Replay',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="PickupConfirmation"
+        component={PickupConfirmationScreen}
+        options={{
+          title: 'Confirm Pickup',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="ParcelScanner"
+        component={ParcelScannerScreen}
+        options={{
+          title: 'Scan Parcels',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="CancelJob"
+        component={CancelJobScreen}
+        options={({ route }) => ({
+          title: route.params?.mode === 'reject' ? 'Decline Job' : 'Cancel Job',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        })}
+      />
+      <Stack.Screen
+        name="DeliveryException"
+        component={DeliveryExceptionScreen}
+        options={{
+          title: 'Could Not Deliver',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="ProofOfDelivery"
+        component={ProofOfDeliveryScreen}
+        options={{
+          title: 'Proof of Delivery',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="Documents"
+        component={DocumentsScreen}
+        options={{
+          title: 'Documents',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="Vehicle"
+        component={VehicleScreen}
+        options={{
+          title: 'Vehicle Details',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+      <Stack.Screen
+        name="BankDetails"
+        component={BankDetailsScreen}
+        options={{
+          title: 'Bank Details',
+          headerStyle: { backgroundColor: theme.background },
+          headerTintColor: theme.text,
+          headerTitleStyle: { fontWeight: 'bold' },
+        }}
+      />
+    </Stack.Navigator>
+  );
+}
+
 /**
  * AppNavigator - Root Stack
  */
 export default function AppNavigator() {
   const { theme, isDarkMode } = useTheme();
+  const { isAuthenticated, isRestoringSession } = useApp();
   
   // Create theme for React Navigation
   const navigationTheme = {
@@ -93,71 +290,14 @@ export default function AppNavigator() {
     },
   };
   
+  // Wait for the stored session check before choosing a stack
+  if (isRestoringSession) {
+    return <LoadingState message="Signing in..." />;
+  }
+
   return (
-    <NavigationContainer theme={navigationTheme}>
-      <Stack.Navigator>
-        <Stack.Screen name="Main" component={MainTabs} options={{ headerShown: false }} />
-        <Stack.Screen
-          name="Notification"
-          component={NotificationScreen}
-          options={{
-            title: 'Notifications',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-        <Stack.Screen
-          name="ProfileSetting"
-          component={ProfileSettingScreen}
-          options={{
-            title: 'Profile Settings',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-        <Stack.Screen
-          name="JobDetails"
-          component={JobDetailsScreen}
-          options={{
-            title: 'Job Details',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-        <Stack.Screen
-          name="Documents"
-          component={DocumentsScreen}
-          options={{
-            title: 'Documents',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-        <Stack.Screen
-          name="Vehicle"
-          component={VehicleScreen}
-          options={{
-            title: 'Vehicle Details',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-        <Stack.Screen
-          name="BankDetails"
-          component={BankDetailsScreen}
-          options={{
-            title: 'Bank Details',
-            headerStyle: { backgroundColor: theme.background },
-            headerTintColor: theme.text,
-            headerTitleStyle: { fontWeight: 'bold' },
-          }}
-        />
-      </Stack.Navigator>
+    <NavigationContainer theme={navigationTheme} linking={linking}>
+      {isAuthenticated ? <MainStack /> : <AuthStack />}
     </NavigationContainer>
   );
 }
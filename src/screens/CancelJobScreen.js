@@ -0,0 +1,407 @@
+/**
+ * CancelJobScreen.js - Job Cancellation and Rejection
+ *
+ * Lets the driver decline a new job or cancel an accepted/picked-up one with
+ * a reason code (CANCELLATION_REASONS), an optional note and an optional
+ * photo (e.g. a closed gate or damaged shipment).
+ *
+ * Features:
+ * - Reason picker filtered for rejecting vs cancelling
+ * - Note (required when the reason is "Other")
+ * - Optional camera photo via expo-image-picker
+ * - Job moves to the Cancelled tab immediately; queued offline like other job actions
+ *
+ * Navigation:
+ * - Opened from JobDetailsScreen (decline a new job) and CurrentJobScreen (cancel)
+ * - Route params: { job, mode: 'reject'|'cancel' }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validateCancellation } from '../utils/validation';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { CANCELLATION_REASONS } from '../utils/constants';
+
+/**
+ * CancelJobScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with the job and mode
+ * @returns {JSX.Element} CancelJobScreen component
+ */
+const CancelJobScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { cancelJob, rejectJob } = useApp();
+  const job = route.params?.job;
+  const isReject = route.params?.mode === 'reject';
+
+  const [reasonCode, setReasonCode] = useState(null);
+  const [note, setNote] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  const reasons = CANCELLATION_REASONS.filter(reason => (isReject ? !reason.cancelOnly : !reason.rejectOnly));
+  const actionLabel = isReject ? 'Decline Job' : 'Cancel Job';
+
+  /**
+   * Handle Take Photo
+   *
+   * Opens the camera and attaches a supporting photo.
+   */
+  const handleTakePhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestCameraPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission denied', 'Camera access is needed to attach a photo.');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ['images'],
+        quality: 0.6, // Smaller uploads on cellular
+      });
+
+      if (!result.canceled) {
+        const asset = result.assets[0];
+        setPhoto({
+          uri: asset.uri,
+          type: asset.mimeType || 'image/jpeg',
+          name: asset.fileName || `cancel_${job?.id}.jpg`,
+        });
+      }
+    } catch (error) {
+      console.error('Error taking cancellation photo:', error);
+      Alert.alert('Error', 'Failed to take photo');
+    }
+  };
+
+  /**
+   * Handle Submit
+   *
+   * Validates the reason and cancels or declines the job.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+
+    const validation = validateCancellation({ reasonCode, note });
+    if (!validation.isValid) {
+      setValidationError(validation.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const data = {
+        reason_code: reasonCode,
+        note: note.trim() || null,
+        photo,
+      };
+      const result = isReject ? await rejectJob(job.id, data) : await cancelJob(job.id, data);
+      const done = () => navigation.popToTop();
+
+      if (result === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          `You appear to be offline. The job was ${isReject ? 'declined' : 'cancelled'} on this device and will sync when your connection returns.`,
+          [{ text: 'OK', onPress: done }]
+        );
+      } else if (result) {
+        Alert.alert(
+          'Success',
+          `Job ${isReject ? 'declined' : 'cancelled'}.`,
+          [{ text: 'OK', onPress: done }]
+        );
+      } else {
+        Alert.alert('Error', `Failed to ${isReject ? 'decline' : 'cancel'} job. Please try again.`, [{ text: 'OK' }]);
+      }
+    } catch (error) {
+      console.error('Cancel job error:', error);
+      Alert.alert('Error', `An error occurred while trying to ${isReject ? 'decline' : 'cancel'} the job.`, [{ text: 'OK' }]);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!job) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Text style={{ color: theme.textSecondary }}>No job selected</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          <Text style={[styles.jobTitle, { color: theme.text }]}>
+            {job.companyName || job.customer_name || 'Job'}
+          </Text>
+          <Text style={[styles.jobSubtitle, { color: theme.textSecondary }]}>
+            Order #{job.orderId || job.order_id || job.tracking_id || job.id}
+          </Text>
+
+          {/* Reason */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Reason *</Text>
+            {reasons.map(reason => {
+              const selected = reason.code === reasonCode;
+              return (
+                <TouchableOpacity
+                  key={reason.code}
+                  style={[
+                    styles.reasonRow,
+                    { borderColor: selected ? theme.primary : theme.border, backgroundColor: theme.surface },
+                  ]}
+                  onPress={() => {
+                    setReasonCode(reason.code);
+                    setValidationError(null);
+                  }}
+                  disabled={isSubmitting}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                >
+                  <Ionicons
+                    name={selected ? 'radio-button-on' : 'radio-button-off'}
+                    size={20}
+                    color={selected ? theme.primary : theme.textSecondary}
+                  />
+                  <Text style={[styles.reasonText, { color: theme.text }]}>{reason.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Note */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Note{reasonCode === 'other' ? ' *' : ''}
+            </Text>
+            <TextInput
+              style={[styles.input, styles.multiline, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }]}
+              value={note}
+              onChangeText={setNote}
+              placeholder="Add details for dispatch"
+              placeholderTextColor={theme.textSecondary}
+              multiline
+              editable={!isSubmitting}
+            />
+          </View>
+
+          {/* Photo */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Photo</Text>
+            {photo ? (
+              <View style={styles.photoWrapper}>
+                <Image source={{ uri: photo.uri }} style={styles.photo} />
+                <TouchableOpacity
+                  style={[styles.removePhoto, { backgroundColor: theme.error }]}
+                  onPress={() => setPhoto(null)}
+                  disabled={isSubmitting}
+                  accessibilityLabel="Remove photo"
+                >
+                  <Ionicons name="close" size={14} color={theme.textLight} />
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <TouchableOpacity
+                style={[styles.addPhoto, { borderColor: theme.border, backgroundColor: theme.surface }]}
+                onPress={handleTakePhoto}
+                disabled={isSubmitting}
+                accessibilityRole="button"
+                accessibilityLabel="Take photo"
+              >
+                <Ionicons name="camera-outline" size={28} color={theme.primary} />
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {/* Error message */}
+          {validationError && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{validationError}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.error },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>{actionLabel}</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for CancelJobScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.lg,
+  },
+
+  jobTitle: {
+    fontSize: responsive(20, 24, 18),
+    fontWeight: 'bold',
+  },
+
+  jobSubtitle: {
+    fontSize: responsive(14, 16, 12),
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+
+  section: {
+    marginBottom: spacing.lg,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  reasonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+
+  reasonText: {
+    fontSize: 15,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+
+  photoWrapper: {
+    position: 'relative',
+    alignSelf: 'flex-start',
+  },
+
+  photo: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+  },
+
+  removePhoto: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  addPhoto: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default CancelJobScreen;
@@ -1,12 +1,14 @@
 /**
  * CurrentJobScreen.js - Active Job Dashboard with API Integration
  * 
- * Displays the driver's currently active job with status tracking and action controls.
+ * Displays the driver's active jobs with status tracking and action controls.
  * Provides a comprehensive view of job details, customer information, locations, and
  * job management actions. Handles empty state when no active jobs are available.
  * Now integrated with real API services for data fetching and job status updates.
  * 
  * Features:
+ * - Job switcher listing every active job; the selected job is remembered across restarts
+ * - Live ETA to the next stop with a "running late" banner and delay notice to dispatch
  * - Current job status display with visual indicators
  * - Customer and job information card
  * - Pickup and dropoff location display
@@ -16,6 +18,7 @@
  * - Loading states and error handling
  * - Real-time job status updates via API
  * - Pull-to-refresh functionality
+ * - Offline job actions queued and synced on reconnect
  * 
  * Job Status Flow:
  * - accepted: Job accepted, ready to start
@@ -42,10 +45,23 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import Header from '../components/common/Header';
 import HamburgerMenu from '../components/common/HamburgerMenu';
+import LastUpdated from '../components/common/LastUpdated';
+import JobSwitcher from '../components/common/JobSwitcher';
 import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { colors, commonStyles } from '../styles/commonStyles';
 import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { JOB_STATUS, JOB_TYPES } from '../utils/constants';
+import { formatEtaTime } from '../utils/eta';
+import { STOP_TYPES } from '../utils/routePlanner';
+import { showConfirmation, showError, showSuccess } from '../utils/toast';
+import {
+  JOB_ACTIONS,
+  JOB_ACTION_TARGETS,
+  getAvailableActions,
+  normalizeJobStatus,
+} from '../utils/jobLifecycle';
 
 /**
  * CurrentJobScreen Component
@@ -65,16 +81,22 @@ const CurrentJobScreen = ({ navigation }) => {
   // Get data and functions from global context
   const {
     user,
-    jobs,
-    currentJobs,
+    activeJobs,
+    focusedJob,
+    focusJob,
+    jobEtas,
+    delayNotices,
+    sendDelayNotice,
     unreadNotifications,
-    dashboardData,
     loading,
     errors,
     loadDashboardData,
     loadCurrentJobs,
     updateJobStatus,
+    pendingJobActions,
     refreshAllData,
+    lastUpdated,
+    isOnline,
     isLoading,
     getError,
     clearError
@@ -115,16 +137,33 @@ const CurrentJobScreen = ({ navigation }) => {
   /**
    * Current Job Selection
    * 
-   * Gets the first active job from the currentJobs array.
-   * Priority order:
-   * 1. First job from currentJobs API (most recent active job)
-   * 2. Fallback to jobs array if currentJobs is empty (for backward compatibility)
+   * The job in focus from AppContext: the one the driver picked in the job
+   * switcher while it is still active, otherwise the first active job.
    */
-  const currentJob = (currentJobs && currentJobs.length > 0) 
-    ? currentJobs[0] 
-    : ((jobs || []).find(job => job && job.status === 'accepted') || 
-       (jobs || []).find(job => job && job.status === 'pickedup') ||
-       (dashboardData?.new_jobs && dashboardData.new_jobs.length > 0 ? dashboardData.new_jobs[0] : null));
+  const currentJob = focusedJob;
+
+  const currentStatus = normalizeJobStatus(currentJob?.status) || JOB_STATUS.NEW;
+
+  // Next-stop ETA and lateness for the job in focus (utils/eta)
+  const currentEta = currentJob ? jobEtas[currentJob.id] : null;
+  const delayNoticeSentAt = currentJob ? delayNotices[currentJob.id] : null;
+
+  /**
+   * Action Buttons
+   * 
+   * Button appearance per lifecycle action. Outlined actions render after
+   * View Details.
+   */
+  const ACTION_BUTTONS = {
+    [JOB_ACTIONS.START]: { label: 'Start Job', loadingLabel: 'Starting...', icon: 'play', color: theme.success },
+    [JOB_ACTIONS.COMPLETE]: { label: 'Complete Job', icon: 'checkmark', color: theme.primary },
+    [JOB_ACTIONS.REPORT_EXCEPTION]: { label: 'Could Not Deliver', icon: 'alert-circle-outline', color: theme.warning },
+    [JOB_ACTIONS.CANCEL]: { label: 'Cancel Job', icon: 'close-circle-outline', color: theme.error, outlined: true },
+  };
+
+  const availableActions = getAvailableActions(currentStatus).filter(action => ACTION_BUTTONS[action]);
+  const primaryActions = availableActions.filter(action => !ACTION_BUTTONS[action].outlined);
+  const secondaryActions = availableActions.filter(action => ACTION_BUTTONS[action].outlined);
 
   /**
    * Handle Menu Press
@@ -173,39 +212,56 @@ const CurrentJobScreen = ({ navigation }) => {
    * Handles job workflow actions with real API calls and loading states.
    * Updates job status via API and provides user feedback.
    * 
-   * @param {string} action - The job action to perform (start, pickup, deliver, etc.)
+   * Actions that need more input open their own screen; the rest update
+   * the status directly.
+   * 
+   * @param {string} action - JOB_ACTIONS value offered for the current status
    */
   const handleJobAction = async (action) => {
     if (!currentJob) return;
 
+    switch (action) {
+      // Completing a job requires proof of delivery (photos, name, signature)
+      case JOB_ACTIONS.COMPLETE:
+        navigation.navigate('ProofOfDelivery', { job: currentJob });
+        return;
+
+      case JOB_ACTIONS.REPORT_EXCEPTION:
+        navigation.navigate('DeliveryException', { job: currentJob });
+        return;
+
+      case JOB_ACTIONS.CANCEL:
+        navigation.navigate('CancelJob', { job: currentJob, mode: 'cancel' });
+        return;
+
+      case JOB_ACTIONS.START:
+        // LTL/FTL pickups confirm pieces, weight, BOL and seal first
+        if ([JOB_TYPES.LTL, JOB_TYPES.FTL].includes(currentJob.type)) {
+          navigation.navigate('PickupConfirmation', { job: currentJob });
+          return;
+        }
+        break;
+
+      default:
+        console.warn('Unknown job action:', action);
+        return;
+    }
+
     setActionLoading(true);
     
     try {
-      let success = false;
-      let newStatus = '';
-      
-      switch (action) {
-        case 'start':
-          // Start job - mark as picked up
-          newStatus = 'pickedup';
-          success = await updateJobStatus(currentJob.id, newStatus);
-          break;
-          
-        case 'complete':
-          // Complete job - mark as delivered
-          newStatus = 'delivered';
-          success = await updateJobStatus(currentJob.id, newStatus);
-          break;
-          
-        default:
-          console.warn('Unknown job action:', action);
-          break;
-      }
+      const success = await updateJobStatus(currentJob.id, JOB_ACTION_TARGETS[action]);
       
-      if (success) {
+      if (success === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          'You appear to be offline. The job was started on this device and will sync when your connection returns.',
+          [{ text: 'OK' }]
+        );
+      } else if (success) {
         Alert.alert(
           'Success',
-          `Job ${action === 'start' ? 'started' : 'completed'} successfully!`,
+          'Job started successfully!',
           [{ text: 'OK' }]
         );
         
@@ -230,6 +286,30 @@ const CurrentJobScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Handle Notify Dispatch
+   * 
+   * Confirms and sends a delay notice for the job in focus with its
+   * current ETA.
+   */
+  const handleNotifyDispatch = () => {
+    if (!currentJob || !currentEta) return;
+
+    const stop = currentEta.stopType === STOP_TYPES.PICKUP ? 'pickup' : 'drop-off';
+    showConfirmation(
+      `Let dispatch know you will reach the ${stop} for order #${currentJob.orderId || currentJob.tracking_id || currentJob.id} about ${currentEta.lateByMinutes} min late?`,
+      'Notify Dispatch',
+      async () => {
+        const success = await sendDelayNotice(currentJob.id);
+        if (success) {
+          showSuccess('Dispatch has been notified of the delay.');
+        } else {
+          showError('Failed to notify dispatch. Please try again.');
+        }
+      }
+    );
+  };
+
   /**
    * Handle View Details
    * 
@@ -245,10 +325,11 @@ const CurrentJobScreen = ({ navigation }) => {
   /**
    * Handle Pull to Refresh
    * 
-   * Refreshes current jobs data when user pulls down on the screen.
+   * Refreshes current jobs data when user pulls down on the screen,
+   * bypassing the cache TTL.
    */
   const handleRefresh = async () => {
-    await loadCurrentJobs();
+    await loadCurrentJobs(null, { force: true });
   };
 
   /**
@@ -264,7 +345,7 @@ const CurrentJobScreen = ({ navigation }) => {
         error,
         [
           { text: 'Cancel', onPress: () => clearError(operation) },
-          { text: 'Retry', onPress: () => loadCurrentJobs() }
+          { text: 'Retry', onPress: () => loadCurrentJobs(null, { force: true }) }
         ]
       );
     }
@@ -420,20 +501,97 @@ const CurrentJobScreen = ({ navigation }) => {
       >
         <View style={[commonStyles.customContainer, styles.container]}>
           
+          {/* Job switcher - only when carrying more than one job */}
+          {activeJobs.length > 1 && (
+            <>
+              <Text style={[styles.switcherTitle, { color: theme.textSecondary }]}>
+                Active Jobs ({activeJobs.length})
+              </Text>
+              <JobSwitcher
+                jobs={activeJobs}
+                selectedJobId={currentJob.id}
+                pendingJobIds={pendingJobActions.map(action => action.jobId)}
+                lateJobIds={activeJobs.filter(job => jobEtas[job.id]?.isLate).map(job => job.id)}
+                onSelect={(job) => focusJob(job.id)}
+              />
+            </>
+          )}
+
           {/* Current Job Status Section */}
           <View style={styles.statusContainer}>
             <Text style={[styles.statusTitle, { color: theme.text }]}>Current Job Status</Text>
             {/* Dynamic status badge with color coding */}
             <View style={[
               styles.statusBadge, 
-              { backgroundColor: currentJob.status === 'accepted' ? theme.warning : theme.info }
+              { backgroundColor: [JOB_STATUS.ACCEPTED, JOB_STATUS.EXCEPTION].includes(currentStatus) ? theme.warning : theme.info }
             ]}>
               <Text style={styles.statusText}>
-                {(currentJob.status || 'new').toUpperCase()}
+                {currentStatus.toUpperCase()}
               </Text>
             </View>
           </View>
 
+          {/* When the (possibly cached) jobs were fetched */}
+          <LastUpdated timestamp={lastUpdated.currentJobs} isOffline={!isOnline} />
+
+          {/* Offline sync notice for this job */}
+          {pendingJobActions.some(action => action.jobId === currentJob.id) && (
+            <View style={[styles.pendingSyncBanner, { backgroundColor: theme.surface, borderColor: theme.warning }]}>
+              <Ionicons name="cloud-offline-outline" size={18} color={theme.warning} />
+              <Text style={[styles.pendingSyncText, { color: theme.text }]}>
+                Saved offline - will sync when you are back online
+              </Text>
+            </View>
+          )}
+
+          {/* ETA to the next stop, with a delay notice when running late */}
+          {currentEta && (currentEta.eta || currentEta.isLate) && (
+            <View style={[
+              styles.etaBanner,
+              { backgroundColor: theme.surface, borderColor: currentEta.isLate ? theme.error : theme.border },
+            ]}>
+              <View style={styles.etaRow}>
+                <Ionicons
+                  name={currentEta.isLate ? 'alert-circle' : 'time-outline'}
+                  size={18}
+                  color={currentEta.isLate ? theme.error : theme.primary}
+                />
+                <View style={styles.etaContent}>
+                  <Text style={[styles.etaTitle, { color: currentEta.isLate ? theme.error : theme.text }]}>
+                    {currentEta.isLate ? `Running late (~${currentEta.lateByMinutes} min)` : 'On schedule'}
+                  </Text>
+                  {currentEta.eta && (
+                    <Text style={[styles.etaText, { color: theme.textSecondary }]}>
+                      ETA at {currentEta.stopType === STOP_TYPES.PICKUP ? 'pickup' : 'drop-off'}: {formatEtaTime(currentEta.eta)}
+                    </Text>
+                  )}
+                  {currentEta.windowEnd && (
+                    <Text style={[styles.etaText, { color: theme.textSecondary }]}>
+                      Window: {currentEta.windowStart ? `${formatEtaTime(currentEta.windowStart)} - ` : 'by '}{formatEtaTime(currentEta.windowEnd)}
+                    </Text>
+                  )}
+                </View>
+              </View>
+
+              {currentEta.isLate && (
+                <TouchableOpacity
+                  style={[styles.delayButton, { borderColor: theme.error }]}
+                  onPress={handleNotifyDispatch}
+                  disabled={isLoading('delayNotice')}
+                >
+                  <Ionicons name="megaphone-outline" size={16} color={theme.error} />
+                  <Text style={[styles.delayButtonText, { color: theme.error }]}>
+                    {isLoading('delayNotice')
+                      ? 'Sending...'
+                      : delayNoticeSentAt
+                        ? `Dispatch notified ${formatEtaTime(Date.parse(delayNoticeSentAt))} - Send Again`
+                        : 'Notify Dispatch'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
           {/* Job Information Card */}
           <View style={[styles.jobCard, { backgroundColor: theme.surface }]}>
             {/* Job Header with company info */}
@@ -493,51 +651,32 @@ const CurrentJobScreen = ({ navigation }) => {
             </View>
           </View>
 
-          {/* Job Action Buttons */}
+          {/* Job Action Buttons - driven by the job lifecycle (utils/jobLifecycle) */}
           <View style={styles.actionsContainer}>
-            {/* Actions for accepted jobs (ready to start) */}
-            {currentJob.status === 'accepted' && (
-              <TouchableOpacity
-                style={[
-                  styles.actionButton, 
-                  { backgroundColor: theme.success },
-                  actionLoading && styles.disabledButton
-                ]}
-                onPress={() => handleJobAction('start')}
-                disabled={actionLoading}
-              >
-                {actionLoading ? (
-                  <Ionicons name="hourglass" size={20} color={theme.textLight || '#FFFFFF'} />
-                ) : (
-                  <Ionicons name="play" size={20} color={theme.textLight || '#FFFFFF'} />
-                )}
-                <Text style={[styles.actionButtonText, { color: theme.textLight || '#FFFFFF' }]}>
-                  {actionLoading ? 'Starting...' : 'Start Job'}
-                </Text>
-              </TouchableOpacity>
-            )}
-
-            {/* Actions for picked up jobs (in transit) */}
-            {currentJob.status === 'pickedup' && (
-              <TouchableOpacity
-                style={[
-                  styles.actionButton, 
-                  { backgroundColor: theme.primary },
-                  actionLoading && styles.disabledButton
-                ]}
-                onPress={() => handleJobAction('complete')}
-                disabled={actionLoading}
-              >
-                {actionLoading ? (
-                  <Ionicons name="hourglass" size={20} color={theme.textLight || '#FFFFFF'} />
-                ) : (
-                  <Ionicons name="checkmark" size={20} color={theme.textLight || '#FFFFFF'} />
-                )}
-                <Text style={[styles.actionButtonText, { color: theme.textLight || '#FFFFFF' }]}>
-                  {actionLoading ? 'Completing...' : 'Complete Job'}
-                </Text>
-              </TouchableOpacity>
-            )}
+            {primaryActions.map(action => {
+              const button = ACTION_BUTTONS[action];
+              return (
+                <TouchableOpacity
+                  key={action}
+                  style={[
+                    styles.actionButton, 
+                    { backgroundColor: button.color },
+                    actionLoading && styles.disabledButton
+                  ]}
+                  onPress={() => handleJobAction(action)}
+                  disabled={actionLoading}
+                >
+                  <Ionicons
+                    name={actionLoading && button.loadingLabel ? 'hourglass' : button.icon}
+                    size={20}
+                    color={theme.textLight || '#FFFFFF'}
+                  />
+                  <Text style={[styles.actionButtonText, { color: theme.textLight || '#FFFFFF' }]}>
+                    {actionLoading && button.loadingLabel ? button.loadingLabel : button.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
 
             {/* View Details Button - always available */}
             <TouchableOpacity
@@ -557,6 +696,31 @@ const CurrentJobScreen = ({ navigation }) => {
                 View Details
               </Text>
             </TouchableOpacity>
+
+            {/* Secondary actions (e.g. Cancel Job) */}
+            {secondaryActions.map(action => {
+              const button = ACTION_BUTTONS[action];
+              return (
+                <TouchableOpacity
+                  key={action}
+                  style={[
+                    styles.actionButton, 
+                    { 
+                      backgroundColor: theme.surface,
+                      borderWidth: 1,
+                      borderColor: button.color
+                    }
+                  ]}
+                  onPress={() => handleJobAction(action)}
+                  disabled={actionLoading}
+                >
+                  <Ionicons name={button.icon} size={20} color={button.color} />
+                  <Text style={[styles.actionButtonText, { color: button.color }]}>
+                    {button.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
           </View>
         </View>
       </ScrollView>
@@ -664,6 +828,13 @@ const styles = StyleSheet.create({
     lineHeight: 24,
   },
   
+  // Job switcher heading
+  switcherTitle: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+
   // Status container styling
   statusContainer: {
     alignItems: 'center',
@@ -690,6 +861,66 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: responsive(14, 16, 12),
   },
+
+  // Offline sync notice
+  pendingSyncBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: componentSizes.cardBorderRadius,
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  pendingSyncText: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    fontSize: responsive(13, 14, 12),
+  },
+
+  // ETA banner
+  etaBanner: {
+    borderWidth: 1,
+    borderRadius: componentSizes.cardBorderRadius,
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+  },
+
+  etaRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+
+  etaContent: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+
+  etaTitle: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+  },
+
+  etaText: {
+    fontSize: responsive(13, 14, 12),
+    marginTop: 2,
+  },
+
+  delayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderRadius: componentSizes.buttonBorderRadius,
+    paddingVertical: spacing.xs + 2,
+    marginTop: spacing.sm,
+    gap: spacing.xs,
+  },
+
+  delayButtonText: {
+    fontSize: responsive(13, 14, 12),
+    fontWeight: '600',
+  },
   
   // Job information card
   jobCard: {
@@ -0,0 +1,552 @@
+/**
+ * DeliveryExceptionScreen.js - Failed Delivery Attempt
+ *
+ * Records why a driver who arrived could not deliver (no one home, refused,
+ * damaged, access issue) with evidence photos and GPS, and optionally offers
+ * the customer a reattempt window.
+ *
+ * Features:
+ * - Exception reason picker (DELIVERY_EXCEPTION_REASONS)
+ * - Camera evidence photos via expo-image-picker (at least one required)
+ * - GPS coordinates and attempt time attached automatically
+ * - Optional reattempt day and time window (REATTEMPT_WINDOWS)
+ * - Posted as the "exception" status through jobService.reportException; queued offline
+ *
+ * Navigation:
+ * - Opened from CurrentJobScreen ("Could Not Deliver") for picked-up jobs
+ * - Route params: { job }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  Alert,
+  Switch,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validateDeliveryException } from '../utils/validation';
+import { getBestEffortLocation } from '../utils/deviceLocation';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { JOB_STATUS, DELIVERY_EXCEPTION_REASONS, REATTEMPT_WINDOWS } from '../utils/constants';
+
+// Upper limit on evidence photos (keeps uploads reasonable on cellular)
+const MAX_PHOTOS = 5;
+
+// Days offered for a reattempt, starting today
+const REATTEMPT_DAYS = 3;
+
+/**
+ * Build the selectable reattempt days
+ *
+ * @returns {Array<Object>} [{ offset, label }]
+ */
+const getReattemptDays = () => Array.from({ length: REATTEMPT_DAYS }, (_, offset) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  const label = offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow'
+    : date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  return { offset, label };
+});
+
+/**
+ * Resolve a reattempt day and window into dates
+ *
+ * @param {number} dayOffset - Days from today
+ * @param {Object} window - Entry of REATTEMPT_WINDOWS
+ * @returns {Object} { start: Date, end: Date }
+ */
+const getReattemptWindow = (dayOffset, window) => {
+  const start = new Date();
+  start.setDate(start.getDate() + dayOffset);
+  start.setHours(window.startHour, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(window.endHour, 0, 0, 0);
+  return { start, end };
+};
+
+/**
+ * DeliveryExceptionScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with the job that could not be delivered
+ * @returns {JSX.Element} DeliveryExceptionScreen component
+ */
+const DeliveryExceptionScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { updateJobStatus, currentLocation } = useApp();
+  const job = route.params?.job;
+
+  const [reasonCode, setReasonCode] = useState(null);
+  const [note, setNote] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [scheduleReattempt, setScheduleReattempt] = useState(false);
+  const [reattemptDay, setReattemptDay] = useState(1);
+  const [reattemptWindowId, setReattemptWindowId] = useState(REATTEMPT_WINDOWS[0].id);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  const reattemptDays = getReattemptDays();
+  const selectedWindow = REATTEMPT_WINDOWS.find(window => window.id === reattemptWindowId);
+
+  /**
+   * Handle Take Photo
+   *
+   * Opens the camera and adds an evidence photo.
+   */
+  const handleTakePhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestCameraPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission denied', 'Camera access is needed to photograph the delivery attempt.');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ['images'],
+        quality: 0.6, // Smaller uploads on cellular
+      });
+
+      if (!result.canceled) {
+        const asset = result.assets[0];
+        setPhotos(prev => [...prev, {
+          uri: asset.uri,
+          type: asset.mimeType || 'image/jpeg',
+          name: asset.fileName || `exception_${job?.id}_${prev.length + 1}.jpg`,
+        }]);
+        setValidationError(null);
+      }
+    } catch (error) {
+      console.error('Error taking exception photo:', error);
+      Alert.alert('Error', 'Failed to take photo');
+    }
+  };
+
+  /**
+   * Handle Remove Photo
+   *
+   * @param {number} index - Photo position
+   */
+  const handleRemovePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Handle Submit
+   *
+   * Validates the report, attaches location and time, and posts the exception.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+
+    const reattempt = scheduleReattempt && selectedWindow
+      ? getReattemptWindow(reattemptDay, selectedWindow)
+      : null;
+
+    const validation = validateDeliveryException({ reasonCode, note, photos, reattempt });
+    if (!validation.isValid) {
+      setValidationError(validation.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const location = await getBestEffortLocation(currentLocation);
+      const report = {
+        reason_code: reasonCode,
+        note: note.trim() || null,
+        photos,
+        attempted_at: new Date().toISOString(),
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        reattempt_window_start: reattempt ? reattempt.start.toISOString() : null,
+        reattempt_window_end: reattempt ? reattempt.end.toISOString() : null,
+      };
+
+      const result = await updateJobStatus(job.id, JOB_STATUS.EXCEPTION, report);
+
+      if (result === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          'You appear to be offline. The failed attempt was saved on this device and will upload when your connection returns.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result) {
+        Alert.alert(
+          'Exception Recorded',
+          reattempt ? 'The failed attempt was recorded and a reattempt was requested.' : 'The failed attempt was recorded.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        Alert.alert('Error', 'Failed to record the exception. Please try again.', [{ text: 'OK' }]);
+      }
+    } catch (error) {
+      console.error('Delivery exception error:', error);
+      Alert.alert('Error', 'An error occurred while recording the exception.', [{ text: 'OK' }]);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!job) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Text style={{ color: theme.textSecondary }}>No job selected</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const renderChip = (key, label, selected, onPress, disabled = false) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: selected ? theme.primary : theme.border, backgroundColor: selected ? theme.primary : theme.surface },
+        disabled && styles.disabledButton,
+      ]}
+      onPress={onPress}
+      disabled={disabled || isSubmitting}
+      accessibilityRole="radio"
+      accessibilityState={{ selected, disabled }}
+    >
+      <Text style={[styles.chipText, { color: selected ? theme.textLight : theme.text }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          <Text style={[styles.jobTitle, { color: theme.text }]}>
+            {job.companyName || job.customer_name || 'Delivery'}
+          </Text>
+          <Text style={[styles.jobSubtitle, { color: theme.textSecondary }]}>
+            Order #{job.orderId || job.order_id || job.tracking_id || job.id}
+          </Text>
+
+          {/* Reason */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>What happened? *</Text>
+            {DELIVERY_EXCEPTION_REASONS.map(reason => {
+              const selected = reason.code === reasonCode;
+              return (
+                <TouchableOpacity
+                  key={reason.code}
+                  style={[
+                    styles.reasonRow,
+                    { borderColor: selected ? theme.primary : theme.border, backgroundColor: theme.surface },
+                  ]}
+                  onPress={() => {
+                    setReasonCode(reason.code);
+                    setValidationError(null);
+                  }}
+                  disabled={isSubmitting}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                >
+                  <Ionicons
+                    name={selected ? 'radio-button-on' : 'radio-button-off'}
+                    size={20}
+                    color={selected ? theme.primary : theme.textSecondary}
+                  />
+                  <Text style={[styles.reasonText, { color: theme.text }]}>{reason.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Evidence photos */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Evidence Photos *</Text>
+            <View style={styles.photoGrid}>
+              {photos.map((photo, index) => (
+                <View key={photo.uri} style={styles.photoWrapper}>
+                  <Image source={{ uri: photo.uri }} style={styles.photo} />
+                  <TouchableOpacity
+                    style={[styles.removePhoto, { backgroundColor: theme.error }]}
+                    onPress={() => handleRemovePhoto(index)}
+                    disabled={isSubmitting}
+                    accessibilityLabel="Remove photo"
+                  >
+                    <Ionicons name="close" size={14} color={theme.textLight} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {photos.length < MAX_PHOTOS && (
+                <TouchableOpacity
+                  style={[styles.addPhoto, { borderColor: theme.border, backgroundColor: theme.surface }]}
+                  onPress={handleTakePhoto}
+                  disabled={isSubmitting}
+                  accessibilityRole="button"
+                  accessibilityLabel="Take evidence photo"
+                >
+                  <Ionicons name="camera-outline" size={28} color={theme.primary} />
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+
+          {/* Note */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Note{reasonCode === 'other' ? ' *' : ''}
+            </Text>
+            <TextInput
+              style={[styles.input, styles.multiline, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }]}
+              value={note}
+              onChangeText={setNote}
+              placeholder="Add details for dispatch and the customer"
+              placeholderTextColor={theme.textSecondary}
+              multiline
+              editable={!isSubmitting}
+            />
+          </View>
+
+          {/* Reattempt */}
+          <View style={styles.section}>
+            <View style={styles.switchRow}>
+              <Text style={[styles.label, styles.switchLabel, { color: theme.text }]}>Schedule a reattempt</Text>
+              <Switch value={scheduleReattempt} onValueChange={setScheduleReattempt} disabled={isSubmitting} />
+            </View>
+            {scheduleReattempt && (
+              <>
+                <View style={styles.chipRow}>
+                  {reattemptDays.map(day => renderChip(
+                    `day-${day.offset}`,
+                    day.label,
+                    day.offset === reattemptDay,
+                    () => setReattemptDay(day.offset)
+                  ))}
+                </View>
+                <View style={styles.chipRow}>
+                  {REATTEMPT_WINDOWS.map(window => renderChip(
+                    window.id,
+                    window.label,
+                    window.id === reattemptWindowId,
+                    () => setReattemptWindowId(window.id),
+                    getReattemptWindow(reattemptDay, window).end <= new Date()
+                  ))}
+                </View>
+              </>
+            )}
+          </View>
+
+          {/* Error message */}
+          {validationError && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{validationError}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.warning },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>Record Failed Attempt</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for DeliveryExceptionScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.lg,
+  },
+
+  jobTitle: {
+    fontSize: responsive(20, 24, 18),
+    fontWeight: 'bold',
+  },
+
+  jobSubtitle: {
+    fontSize: responsive(14, 16, 12),
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+
+  section: {
+    marginBottom: spacing.lg,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  reasonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+
+  reasonText: {
+    fontSize: 15,
+  },
+
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  photoWrapper: {
+    position: 'relative',
+  },
+
+  photo: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+  },
+
+  removePhoto: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  addPhoto: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+
+  switchLabel: {
+    flex: 1,
+    marginBottom: 0,
+  },
+
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs + 2,
+  },
+
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default DeliveryExceptionScreen;
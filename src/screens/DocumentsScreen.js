@@ -12,6 +12,7 @@
  * - Real-time API integration for document management
  * - Loading states and error handling
  * - Success/error feedback with alerts
+ * - Cached documents with "last updated" time (works offline)
  * 
  * Document Types:
  * - Driver License (Front & Back)
@@ -48,6 +49,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import * as DocumentPicker from 'expo-document-picker';
 import { useApp } from '../context/AppContext';
+import LastUpdated from '../components/common/LastUpdated';
 import { colors, commonStyles } from '../styles/commonStyles';
 
 /**
@@ -68,6 +70,8 @@ const DocumentsScreen = ({ navigation }) => {
     errors,
     loadDriverDocuments,
     updateDriverDocuments,
+    lastUpdated,
+    isOnline,
     isLoading,
     getError,
     clearError
@@ -226,7 +230,7 @@ const DocumentsScreen = ({ navigation }) => {
         // Show success message matching API response
         Alert.alert('Success', 'Documents updated successfully');
         // Refresh document list to show updated URLs
-        await loadDriverDocuments();
+        await loadDriverDocuments({ force: true });
       } else {
         const error = getError('documentUpdate');
         const errorMessage = error || 'Failed to upload document. Please try again.';
@@ -380,6 +384,8 @@ const DocumentsScreen = ({ navigation }) => {
       ) : (
         <ScrollView style={styles.scrollView}>
           <View style={[commonStyles.customContainer, styles.container]}>
+            <LastUpdated timestamp={lastUpdated.documents} isOffline={!isOnline} />
+
             {/* Instructions */}
             <View style={styles.instructionsContainer}>
               <Text style={styles.instructionsTitle}>Document Requirements</Text>
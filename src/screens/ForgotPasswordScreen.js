@@ -0,0 +1,248 @@
+/**
+ * ForgotPasswordScreen.js - Request Password Reset
+ *
+ * Lets a driver who cannot sign in request a password reset email.
+ * The email contains a reset code and a link that opens ResetPasswordScreen.
+ *
+ * Features:
+ * - Email input with validation
+ * - Loading state while the request is in flight
+ * - Server error message display
+ * - Shortcut to enter a reset code manually
+ *
+ * Navigation:
+ * - Opened from LoginScreen ("Forgot password?")
+ * - Continues to ResetPasswordScreen after the email is sent
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validateEmail } from '../utils/validation';
+import { showSuccess } from '../utils/toast';
+
+/**
+ * ForgotPasswordScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @returns {JSX.Element} ForgotPasswordScreen component
+ */
+const ForgotPasswordScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { requestPasswordReset, isLoading, getError, clearError } = useApp();
+
+  const [email, setEmail] = useState('');
+  const [validationError, setValidationError] = useState(null);
+
+  const isSubmitting = isLoading('forgotPassword');
+  const errorMessage = validationError || getError('forgotPassword');
+
+  /**
+   * Handle Submit
+   *
+   * Validates the email and requests the reset email.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+    clearError('forgotPassword');
+
+    const emailCheck = validateEmail(email);
+    if (!emailCheck.isValid) {
+      setValidationError(emailCheck.message);
+      return;
+    }
+
+    const success = await requestPasswordReset(email.trim());
+    if (success) {
+      showSuccess('Check your email for a password reset code.', 'Email Sent');
+      navigation.navigate('ResetPassword', { email: email.trim() });
+    }
+  };
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Ionicons name="lock-closed-outline" size={48} color={theme.primary} />
+            <Text style={[styles.title, { color: theme.text }]}>Forgot Password</Text>
+            <Text style={[styles.subtitle, { color: theme.textSecondary }]}>
+              Enter the email address for your driver account and we will send you a reset code
+            </Text>
+          </View>
+
+          {/* Email input */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Email</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }]}
+              value={email}
+              onChangeText={setEmail}
+              placeholder="Enter your email"
+              placeholderTextColor={theme.textSecondary}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="emailAddress"
+              editable={!isSubmitting}
+              onSubmitEditing={handleSubmit}
+              returnKeyType="send"
+            />
+          </View>
+
+          {/* Error message */}
+          {errorMessage && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{errorMessage}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.primary },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>Send Reset Code</Text>
+            )}
+          </TouchableOpacity>
+
+          {/* Already have a code */}
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => navigation.navigate('ResetPassword', { email: email.trim() || undefined })}
+            disabled={isSubmitting}
+          >
+            <Text style={[styles.linkText, { color: theme.primary }]}>I already have a reset code</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for ForgotPasswordScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+  },
+
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.xl,
+  },
+
+  title: {
+    fontSize: responsive(24, 28, 20),
+    fontWeight: 'bold',
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+  },
+
+  subtitle: {
+    fontSize: responsive(14, 16, 12),
+    textAlign: 'center',
+  },
+
+  formGroup: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+
+  linkText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default ForgotPasswordScreen;
@@ -13,6 +13,7 @@
  * - Responsive grid layout for statistics
  * - Loading states and error handling
  * - Pull-to-refresh functionality
+ * - Cached dashboard with "last updated" time (works offline)
  * 
  * Navigation:
  * - Accessed via bottom tab navigation (Home tab)
@@ -36,12 +37,14 @@ import HamburgerMenu from '../components/common/HamburgerMenu';
 import StatsCard from '../components/common/StatsCard';
 import JobCard from '../components/common/JobCard';
 import ErrorBoundary from '../components/common/ErrorBoundary';
+import LastUpdated from '../components/common/LastUpdated';
 import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { colors, commonStyles } from '../styles/commonStyles';
 import { spacing } from '../utils/responsiveDimensions';
 import { logError, ERROR_CATEGORIES } from '../utils/errorLogger';
 import { showError } from '../utils/toast';
+import { JOB_STATUS } from '../utils/constants';
 
 /**
  * HomeScreen Component
@@ -72,6 +75,8 @@ const HomeScreen = ({ navigation }) => {
     errors,
     loadDashboardData,
     refreshAllData,
+    lastUpdated,
+    isOnline,
     isLoading,
     getError
   } = useApp();
@@ -167,7 +172,7 @@ const HomeScreen = ({ navigation }) => {
    * Gets new jobs from the processed jobs array with proper field mapping.
    * Uses the jobs that have been properly mapped from API data.
    */
-  const newJobs = (jobs || []).filter(job => job && job.status === 'new');
+  const newJobs = (jobs || []).filter(job => job && job.status === JOB_STATUS.NEW);
 
 
  const scrollToJobs = () => {
@@ -267,9 +272,9 @@ const HomeScreen = ({ navigation }) => {
   } else {
     // Navigate to MyRides with tab param
     const statusMap = {
-      Accepted: 'accepted',
-      Pickedup: 'pickedup',
-      Delivered: 'delivered',
+      Accepted: JOB_STATUS.ACCEPTED,
+      Pickedup: JOB_STATUS.PICKEDUP,
+      Delivered: JOB_STATUS.DELIVERED,
     };
     navigation.navigate('MyRides', { initialTab: statusMap[statsItem.title] });
   }
@@ -355,6 +360,9 @@ const HomeScreen = ({ navigation }) => {
           />
         }
       >
+        {/* When the (possibly cached) dashboard was fetched */}
+        <LastUpdated timestamp={lastUpdated.dashboard} isOffline={!isOnline} />
+
         {/* Statistics Section - Job counts in 2x2 grid */}
         <View style={[commonStyles.customContainer, styles.statsSection]}>
           <FlatList
@@ -10,6 +10,12 @@
  * - Real-time user location tracking
  * - Comprehensive job information display
  * - Booking details: variant summary, equipments, total weight
+ * - Suggested stop order across all active jobs (utils/routePlanner), listed and numbered on the map
+ * - Addresses without coordinates geocoded on the device (utils/geocoding)
+ * - Route line for the current phase with distance/ETA and Navigate buttons (utils/navigationLinks)
+ * - Trip log with loaded/empty kilometres and editable odometer readings (utils/tripRecorder)
+ *   and a link to the trip replay once the job is finished
+ * - Accept or decline (with a reason, via CancelJobScreen) for new jobs
  * - Responsive layout with scrollable content
  * 
  * Navigation:
@@ -20,7 +26,7 @@
  * Version: 1.2.0
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -33,17 +39,40 @@ import {
   TouchableOpacity,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import MapView, { Marker, PROVIDER_GOOGLE } from 'react-native-maps';
+import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
+import TripSummary from '../components/common/TripSummary';
 import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { colors, commonStyles } from '../styles/commonStyles';
 import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { JOB_ACTIONS, getAvailableActions } from '../utils/jobLifecycle';
+import {
+  STOP_TYPES,
+  getJobCoordinate,
+  getStopAddress,
+  distanceBetween,
+  estimateDriveSeconds,
+  formatDistance,
+  formatDuration,
+} from '../utils/routePlanner';
+import { geocodeJob } from '../utils/geocoding';
+import { TRIP_STATUS } from '../utils/tripRecorder';
+import {
+  NAVIGATION_APP_LABELS,
+  getAvailableNavigationApps,
+  getNavigationDestination,
+  openNavigation,
+} from '../utils/navigationLinks';
 
 // Get device screen dimensions for responsive design
 const { width, height } = Dimensions.get('window');
 
+// Space kept around the route when fitting the map to it
+const MAP_EDGE_PADDING = { top: 60, right: 60, bottom: 60, left: 60 };
+
 const JobDetailsScreen = ({ route, navigation }) => {
   // Get theme
   const { theme } = useTheme();
@@ -56,6 +85,10 @@ const JobDetailsScreen = ({ route, navigation }) => {
     isLoading,
     getError,
     clearError,
+    acceptJob,
+    routePlan,
+    getJobTrip,
+    updateTripOdometer,
   } = useApp();
 
   // Extract job object from navigation route params (used to get parcel_id)
@@ -63,6 +96,184 @@ const JobDetailsScreen = ({ route, navigation }) => {
 
   // State for job data (from API or params)
   const [job, setJob] = useState(jobParam);
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  // Accept/decline is offered while the lifecycle allows it (new jobs)
+  const jobActions = getAvailableActions(jobParam?.status);
+  const canAccept = jobActions.includes(JOB_ACTIONS.ACCEPT);
+  const canDecline = jobActions.includes(JOB_ACTIONS.REJECT);
+
+  // Suggested route across active jobs, shown when this job is part of it
+  const routeStops = routePlan?.stops || [];
+  const isOnRoute = routeStops.some(stop => stop.jobId === jobParam?.id);
+
+  // GPS trip log recorded for this job since it was accepted
+  const trip = getJobTrip(jobParam);
+
+  /**
+   * Map State
+   * - userLocation: holds the current device location
+   * - mapRegion: defines the visible map region (latitude, longitude, zoom)
+   */
+  const [userLocation, setUserLocation] = useState(null);
+  const [mapRegion, setMapRegion] = useState({
+    latitude: 43.6532, // Default to Toronto coordinates if location unavailable
+    longitude: -79.3832,
+    latitudeDelta: 0.0922, // Controls vertical zoom
+    longitudeDelta: 0.0421, // Controls horizontal zoom
+  });
+
+  // Fetch user's current location when component mounts
+  useEffect(() => {
+    getCurrentLocation();
+  }, []);
+
+  /**
+   * getCurrentLocation - Requests location permission and fetches device coordinates
+   * Updates userLocation state and mapRegion to center map on the user
+   * Includes comprehensive error handling to prevent crashes
+   */
+  const getCurrentLocation = async () => {
+    try {
+      // Check if Location is available
+      if (!Location) {
+        console.warn('Location service not available');
+        return;
+      }
+
+      // Ask for foreground location permission
+      const { status } = await Location.requestForegroundPermissionsAsync();
+
+      // If permission denied, don't show alert (might be annoying) - just return silently
+      if (status !== 'granted') {
+        console.log('Location permission denied');
+        return;
+      }
+
+      // Get current position with timeout and error handling
+      const location = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced,
+        timeout: 10000, // 10 second timeout
+      });
+
+      // Validate location data
+      if (!location || !location.coords) {
+        console.warn('Invalid location data received');
+        return;
+      }
+
+      const { latitude, longitude } = location.coords;
+
+      // Validate coordinates are numbers
+      if (typeof latitude !== 'number' || typeof longitude !== 'number' || 
+          isNaN(latitude) || isNaN(longitude)) {
+        console.warn('Invalid coordinates:', { latitude, longitude });
+        return;
+      }
+
+      // Update userLocation for marker and mapRegion for centering
+      setUserLocation({ latitude, longitude });
+      setMapRegion({
+        latitude,
+        longitude,
+        latitudeDelta: 0.0922,
+        longitudeDelta: 0.0421,
+      });
+    } catch (error) {
+      // Log error but don't crash - map will still show with default region
+      console.error('Error fetching location:', error);
+      // Don't show alert to user - silent failure is better than crash
+    }
+  };
+
+  // Validate mapRegion to prevent crashes
+  const safeMapRegion = {
+    latitude: typeof mapRegion?.latitude === 'number' && !isNaN(mapRegion.latitude) 
+      ? mapRegion.latitude 
+      : 43.6532,
+    longitude: typeof mapRegion?.longitude === 'number' && !isNaN(mapRegion.longitude)
+      ? mapRegion.longitude
+      : -79.3832,
+    latitudeDelta: typeof mapRegion?.latitudeDelta === 'number' && !isNaN(mapRegion.latitudeDelta)
+      ? mapRegion.latitudeDelta
+      : 0.0922,
+    longitudeDelta: typeof mapRegion?.longitudeDelta === 'number' && !isNaN(mapRegion.longitudeDelta)
+      ? mapRegion.longitudeDelta
+      : 0.0421,
+  };
+
+  /**
+   * Job Route
+   * 
+   * Path for this job's current phase: your location → pickup → drop-off
+   * until the job is picked up, then your location → drop-off. Only real
+   * coordinates are drawn; the map is fitted to the path (or to the whole
+   * suggested route when this job is part of one).
+   */
+  const [geocoded, setGeocoded] = useState(null);
+  const mergedJob = job ? { ...jobParam, ...job, status: jobParam?.status ?? job.status } : jobParam;
+  const routeJob = geocoded ? { ...mergedJob, geocoded: { ...mergedJob?.geocoded, ...geocoded } } : mergedJob;
+
+  // Resolve address text when the job has no coordinates (cached per address)
+  useEffect(() => {
+    let isCurrent = true;
+    geocodeJob(mergedJob)
+      .then(result => {
+        if (isCurrent && result?.geocoded) setGeocoded(result.geocoded);
+      })
+      .catch(err => console.error('Job geocoding error:', err));
+
+    return () => {
+      isCurrent = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mergedJob?.from_address_text, mergedJob?.to_address_text, mergedJob?.from_address, mergedJob?.to_address]);
+
+  const destination = getNavigationDestination(routeJob);
+  const jobPickup = getJobCoordinate(routeJob, STOP_TYPES.PICKUP);
+  const jobDropoff = getJobCoordinate(routeJob, STOP_TYPES.DROPOFF);
+  const routePath = destination
+    ? [userLocation, destination.type === STOP_TYPES.PICKUP ? jobPickup : null, jobDropoff].filter(Boolean)
+    : [];
+
+  const pathLegs = routePath.slice(1).map((point, index) => distanceBetween(routePath[index], point));
+  const pathDistance = pathLegs.reduce((total, leg) => total + leg, 0);
+  const destinationDistance = userLocation && destination?.coordinate
+    ? distanceBetween(userLocation, destination.coordinate)
+    : null;
+
+  const fitCoordinates = (isOnRoute ? [userLocation, ...routeStops.map(stop => stop.coordinate)] : routePath)
+    .filter(Boolean);
+  const fitKey = fitCoordinates.map(point => `${point.latitude},${point.longitude}`).join('|');
+
+  const mapRef = useRef(null);
+  const [isMapReady, setIsMapReady] = useState(false);
+
+  // Fit to the route once the map is ready and whenever its points change
+  useEffect(() => {
+    if (!isMapReady || !mapRef.current) return;
+
+    if (fitCoordinates.length >= 2) {
+      mapRef.current.fitToCoordinates(fitCoordinates, { edgePadding: MAP_EDGE_PADDING, animated: true });
+    } else {
+      mapRef.current.animateToRegion(safeMapRegion, 300);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isMapReady, fitKey, safeMapRegion.latitude, safeMapRegion.longitude]);
+
+  /**
+   * Handle Navigate
+   * 
+   * Hands the current destination off to a navigation app.
+   * 
+   * @param {string} app - NAVIGATION_APPS value
+   */
+  const handleNavigate = async (app) => {
+    const opened = await openNavigation(app, destination);
+    if (!opened) {
+      Alert.alert('Navigation', `Could not open ${NAVIGATION_APP_LABELS[app]}.`, [{ text: 'OK' }]);
+    }
+  };
   
   // Extract parcel ID from job param (try multiple fields)
   const parcelId = jobParam?.order_id || jobParam?.parcel_id || jobParam?.id || jobParam?.tracking_id || null;
@@ -85,6 +296,43 @@ const JobDetailsScreen = ({ route, navigation }) => {
     }
   }, [jobDetails]);
 
+  /**
+   * Handle Accept Job
+   * 
+   * Accepts a new job and returns to the tabs.
+   */
+  const handleAcceptJob = async () => {
+    setIsAccepting(true);
+    try {
+      const result = await acceptJob(jobParam.id);
+      if (result === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          'You appear to be offline. The job was accepted on this device and will sync when your connection returns.',
+          [{ text: 'OK', onPress: () => navigation.popToTop() }]
+        );
+      } else if (result) {
+        Alert.alert('Success', 'Job accepted successfully!', [{ text: 'OK', onPress: () => navigation.popToTop() }]);
+      } else {
+        Alert.alert('Error', 'Failed to accept job. Please try again.', [{ text: 'OK' }]);
+      }
+    } catch (error) {
+      console.error('Accept job error:', error);
+      Alert.alert('Error', 'An error occurred while trying to accept the job.', [{ text: 'OK' }]);
+    } finally {
+      setIsAccepting(false);
+    }
+  };
+
+  /**
+   * Handle Decline Job
+   * 
+   * Opens the reason picker to decline a new job.
+   */
+  const handleDeclineJob = () => {
+    navigation.navigate('CancelJob', { job: jobParam, mode: 'reject' });
+  };
+
   // Safely get theme values with fallbacks
   const safeTheme = {
     background: theme?.background || '#f5f5f5',
@@ -93,6 +341,8 @@ const JobDetailsScreen = ({ route, navigation }) => {
     textSecondary: theme?.textSecondary || '#8f8f8f',
     primary: theme?.primary || '#00897B',
     error: theme?.error || '#ff4b4b',
+    success: theme?.success || '#20b149',
+    border: theme?.border || '#e0e0e0',
     textLight: theme?.textLight || '#FFFFFF',
   };
 
@@ -178,98 +428,18 @@ const JobDetailsScreen = ({ route, navigation }) => {
   const equipments = bookingDetails?.equipments ?? 'N/A';
   const totalWeight = bookingDetails?.total_weight ?? 'N/A';
 
-  /**
-   * Map State
-   * - userLocation: holds the current device location
-   * - mapRegion: defines the visible map region (latitude, longitude, zoom)
-   */
-  const [userLocation, setUserLocation] = useState(null);
-  const [mapRegion, setMapRegion] = useState({
-    latitude: 43.6532, // Default to Toronto coordinates if location unavailable
-    longitude: -79.3832,
-    latitudeDelta: 0.0922, // Controls vertical zoom
-    longitudeDelta: 0.0421, // Controls horizontal zoom
-  });
-
-  // Fetch user's current location when component mounts
-  useEffect(() => {
-    getCurrentLocation();
-  }, []);
-
-  /**
-   * getCurrentLocation - Requests location permission and fetches device coordinates
-   * Updates userLocation state and mapRegion to center map on the user
-   * Includes comprehensive error handling to prevent crashes
-   */
-  const getCurrentLocation = async () => {
-    try {
-      // Check if Location is available
-      if (!Location) {
-        console.warn('Location service not available');
-        return;
-      }
-
-      // Ask for foreground location permission
-      const { status } = await Location.requestForegroundPermissionsAsync();
-
-      // If permission denied, don't show alert (might be annoying) - just return silently
-      if (status !== 'granted') {
-        console.log('Location permission denied');
-        return;
-      }
-
-      // Get current position with timeout and error handling
-      const location = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.Balanced,
-        timeout: 10000, // 10 second timeout
-      });
-
-      // Validate location data
-      if (!location || !location.coords) {
-        console.warn('Invalid location data received');
-        return;
-      }
-
-      const { latitude, longitude } = location.coords;
-
-      // Validate coordinates are numbers
-      if (typeof latitude !== 'number' || typeof longitude !== 'number' || 
-          isNaN(latitude) || isNaN(longitude)) {
-        console.warn('Invalid coordinates:', { latitude, longitude });
-        return;
-      }
-
-      // Update userLocation for marker and mapRegion for centering
-      setUserLocation({ latitude, longitude });
-      setMapRegion({
-        latitude,
-        longitude,
-        latitudeDelta: 0.0922,
-        longitudeDelta: 0.0421,
-      });
-    } catch (error) {
-      // Log error but don't crash - map will still show with default region
-      console.error('Error fetching location:', error);
-      // Don't show alert to user - silent failure is better than crash
-    }
+  // Real pickup/dropoff coordinates when the API provides them
+  const pickupCoordinate = jobPickup || {
+    latitude: safeMapRegion.latitude + 0.01, // Demo offset until the job has coordinates
+    longitude: safeMapRegion.longitude + 0.01,
   };
-
-  // Validate mapRegion to prevent crashes
-  const safeMapRegion = {
-    latitude: typeof mapRegion?.latitude === 'number' && !isNaN(mapRegion.latitude) 
-      ? mapRegion.latitude 
-      : 43.6532,
-    longitude: typeof mapRegion?.longitude === 'number' && !isNaN(mapRegion.longitude)
-      ? mapRegion.longitude
-      : -79.3832,
-    latitudeDelta: typeof mapRegion?.latitudeDelta === 'number' && !isNaN(mapRegion.latitudeDelta)
-      ? mapRegion.latitudeDelta
-      : 0.0922,
-    longitudeDelta: typeof mapRegion?.longitudeDelta === 'number' && !isNaN(mapRegion.longitudeDelta)
-      ? mapRegion.longitudeDelta
-      : 0.0421,
+  const dropoffCoordinate = jobDropoff || {
+    latitude: safeMapRegion.latitude - 0.01, // Demo offset until the job has coordinates
+    longitude: safeMapRegion.longitude - 0.01,
   };
 
+  const stopColor = (stop) => (stop.type === STOP_TYPES.PICKUP ? safeTheme.error : safeTheme.success);
+
   return (
     <SafeAreaView style={[commonStyles.container, { backgroundColor: safeTheme.background }]} edges={['top']}>
       <ScrollView 
@@ -280,9 +450,11 @@ const JobDetailsScreen = ({ route, navigation }) => {
         {/* ================= Map Section ================= */}
         <View style={styles.mapContainer}>
           <MapView
+            ref={mapRef}
             provider={PROVIDER_GOOGLE}     // Use Google Maps provider
             style={styles.map}              // Full container size
-            region={safeMapRegion}          // Center map on this region (validated)
+            initialRegion={safeMapRegion}   // Start on the validated region; fitted to the route once ready
+            onMapReady={() => setIsMapReady(true)}
             showsUserLocation={true}        // Show user's location on map
             showsMyLocationButton={true}    // Button to center on user location
             onError={(error) => {
@@ -303,30 +475,112 @@ const JobDetailsScreen = ({ route, navigation }) => {
               />
             )}
 
-            {/* ---------------- Pickup Marker ---------------- */}
-            <Marker
-              coordinate={{
-                latitude: safeMapRegion.latitude + 0.01, // Demo offset; can replace with geocoded pickup coords
-                longitude: safeMapRegion.longitude + 0.01,
-              }}
-              title="Pickup Location"
-              description={typeof fromAddress === 'string' ? fromAddress : 'Pickup address'}   // Shows full from_address on marker
-              pinColor={colors?.danger || '#ff4b4b'}   // Red color for pickup
-            />
+            {/* ---------------- Job Route Polyline ---------------- */}
+            {routePath.length >= 2 && (
+              <Polyline
+                coordinates={routePath}
+                strokeColor={safeTheme.primary}
+                strokeWidth={4}
+              />
+            )}
 
-            {/* ---------------- Dropoff Marker ---------------- */}
-            <Marker
-              coordinate={{
-                latitude: safeMapRegion.latitude - 0.01, // Demo offset; replace with geocoded dropoff coords
-                longitude: safeMapRegion.longitude - 0.01,
-              }}
-              title="Dropoff Location"
-              description={typeof toAddress === 'string' ? toAddress : 'Dropoff address'}     // Shows full to_address on marker
-              pinColor={colors?.success || '#20b149'}   // Green color for dropoff
-            />
+            {isOnRoute ? (
+              /* ---------------- Route Stop Markers (numbered) ---------------- */
+              routeStops.map(stop => (
+                <Marker
+                  key={stop.key}
+                  coordinate={stop.coordinate}
+                  title={`${stop.sequence}. ${stop.type === STOP_TYPES.PICKUP ? 'Pickup' : 'Drop-off'}`}
+                  description={getStopAddress(stop)}
+                >
+                  <View
+                    style={[
+                      styles.stopMarker,
+                      { backgroundColor: stopColor(stop) },
+                      stop.jobId !== jobParam?.id && styles.otherJobStop, // Dim other jobs' stops
+                    ]}
+                  >
+                    <Text style={[styles.stopMarkerText, { color: safeTheme.textLight }]}>{stop.sequence}</Text>
+                  </View>
+                </Marker>
+              ))
+            ) : (
+              <>
+                {/* ---------------- Pickup Marker ---------------- */}
+                <Marker
+                  coordinate={pickupCoordinate}
+                  title="Pickup Location"
+                  description={typeof fromAddress === 'string' ? fromAddress : 'Pickup address'}   // Shows full from_address on marker
+                  pinColor={colors?.danger || '#ff4b4b'}   // Red color for pickup
+                />
+
+                {/* ---------------- Dropoff Marker ---------------- */}
+                <Marker
+                  coordinate={dropoffCoordinate}
+                  title="Dropoff Location"
+                  description={typeof toAddress === 'string' ? toAddress : 'Dropoff address'}     // Shows full to_address on marker
+                  pinColor={colors?.success || '#20b149'}   // Green color for dropoff
+                />
+              </>
+            )}
           </MapView>
         </View>
 
+        {/* ================= Navigation Section ================= */}
+        {destination && (
+          <View style={[styles.section, { backgroundColor: safeTheme.surface }]}>
+            <View style={styles.etaRow}>
+              <Ionicons
+                name={destination.type === STOP_TYPES.PICKUP ? 'location' : 'navigate'}
+                size={20}
+                color={destination.type === STOP_TYPES.PICKUP ? safeTheme.error : safeTheme.success}
+              />
+              <View style={styles.etaInfo}>
+                <Text style={[styles.etaTitle, { color: safeTheme.text }]}>
+                  Next: {destination.type === STOP_TYPES.PICKUP ? 'Pickup' : 'Drop-off'}
+                </Text>
+                <Text style={[styles.etaDetail, { color: safeTheme.textSecondary }]} numberOfLines={2}>
+                  {destination.address || 'Address not available'}
+                </Text>
+              </View>
+              {destinationDistance !== null && (
+                <View style={styles.etaValue}>
+                  <Text style={[styles.etaDistance, { color: safeTheme.text }]}>
+                    {formatDistance(destinationDistance)}
+                  </Text>
+                  <Text style={[styles.etaDetail, { color: safeTheme.textSecondary }]}>
+                    ~{formatDuration(estimateDriveSeconds(destinationDistance))}
+                  </Text>
+                </View>
+              )}
+            </View>
+
+            {/* Whole job when the pickup is still ahead */}
+            {destination.type === STOP_TYPES.PICKUP && pathDistance > 0 && (
+              <Text style={[styles.etaTotal, { color: safeTheme.textSecondary }]}>
+                {userLocation ? 'To drop-off via pickup' : 'Pickup to drop-off'}: {formatDistance(pathDistance)} · ~{formatDuration(estimateDriveSeconds(pathDistance))}
+              </Text>
+            )}
+
+            <View style={styles.navigateRow}>
+              {getAvailableNavigationApps().map(app => (
+                <TouchableOpacity
+                  key={app}
+                  style={[styles.navigateButton, { borderColor: safeTheme.primary }]}
+                  onPress={() => handleNavigate(app)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Navigate with ${NAVIGATION_APP_LABELS[app]}`}
+                >
+                  <Ionicons name="navigate-circle-outline" size={18} color={safeTheme.primary} />
+                  <Text style={[styles.navigateButtonText, { color: safeTheme.primary }]} numberOfLines={1}>
+                    {NAVIGATION_APP_LABELS[app]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* ================= Job Details Section ================= */}
         <View style={[styles.section, { backgroundColor: safeTheme.surface }]}>
 
@@ -376,6 +630,72 @@ const JobDetailsScreen = ({ route, navigation }) => {
           </View>
         </View>
 
+        {/* ================= Route Plan Section ================= */}
+        {isOnRoute && (
+          <View style={[styles.section, { backgroundColor: safeTheme.surface }]}>
+            <View style={styles.routeHeader}>
+              <Text style={[styles.sectionTitle, styles.routeTitle, { color: safeTheme.primary }]}>Suggested Route</Text>
+              <Text style={[styles.routeTotal, { color: safeTheme.textSecondary }]}>
+                {routeStops.length} stops · {formatDistance(routePlan.totalDistance)}
+              </Text>
+            </View>
+
+            {routeStops.map(stop => {
+              const isThisJob = stop.jobId === jobParam?.id;
+              return (
+                <View key={stop.key} style={[styles.routeStop, { borderBottomColor: safeTheme.border }]}>
+                  <View style={[styles.stopMarker, { backgroundColor: stopColor(stop) }]}>
+                    <Text style={[styles.stopMarkerText, { color: safeTheme.textLight }]}>{stop.sequence}</Text>
+                  </View>
+                  <View style={styles.routeStopInfo}>
+                    <Text
+                      style={[styles.routeStopTitle, { color: safeTheme.text }, isThisJob && styles.routeStopCurrent]}
+                      numberOfLines={1}
+                    >
+                      {stop.type === STOP_TYPES.PICKUP ? 'Pickup' : 'Drop-off'} · #{stop.job.orderId || stop.job.tracking_id || stop.jobId}
+                      {isThisJob ? ' (this job)' : ''}
+                    </Text>
+                    <Text style={[styles.routeStopAddress, { color: safeTheme.textSecondary }]} numberOfLines={2}>
+                      {getStopAddress(stop) || 'Address not available'}
+                    </Text>
+                  </View>
+                  {stop.legDistance > 0 && (
+                    <Text style={[styles.routeStopDistance, { color: safeTheme.textSecondary }]}>
+                      {formatDistance(stop.legDistance)}
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
+
+            {routePlan.unplanned.length > 0 && (
+              <Text style={[styles.routeNote, { color: safeTheme.textSecondary }]}>
+                {routePlan.unplanned.length} active job{routePlan.unplanned.length === 1 ? '' : 's'} without map coordinates not included.
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* ================= Trip Log Section ================= */}
+        {trip && (
+          <View style={[styles.section, { backgroundColor: safeTheme.surface }]}>
+            <Text style={[styles.sectionTitle, { color: safeTheme.primary }]}>Trip Log</Text>
+            <TripSummary
+              trip={trip}
+              onSaveOdometer={(readings) => updateTripOdometer(trip.id, readings)}
+            />
+            {trip.status !== TRIP_STATUS.RECORDING && trip.point_count >= 2 && (
+              <TouchableOpacity
+                style={[styles.replayButton, { borderColor: safeTheme.primary }]}
+                onPress={() => navigation.navigate('TripReplay', { job: jobParam })}
+              >
+                <Ionicons name="play-circle-outline" size={18} color={safeTheme.primary} />
+                <Text style={[styles.replayButtonText, { color: safeTheme.primary }]}>Replay Trip</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         {/* ================= Booking Details Section ================= */}
         <View style={[styles.section, { backgroundColor: safeTheme.surface }]}>
           <Text style={[styles.sectionTitle, { color: safeTheme.primary }]}>Booking Details</Text>
@@ -399,6 +719,34 @@ const JobDetailsScreen = ({ route, navigation }) => {
           </View>
         </View>
 
+        {/* ================= New Job Actions ================= */}
+        {(canAccept || canDecline) && (
+          <View style={styles.actionRow}>
+            {canDecline && (
+              <TouchableOpacity
+                style={[styles.actionButton, styles.declineButton, { borderColor: safeTheme.error }]}
+                onPress={handleDeclineJob}
+                disabled={isAccepting}
+              >
+                <Text style={[styles.actionButtonText, { color: safeTheme.error }]}>Decline</Text>
+              </TouchableOpacity>
+            )}
+            {canAccept && (
+              <TouchableOpacity
+                style={[styles.actionButton, { backgroundColor: safeTheme.primary }]}
+                onPress={handleAcceptJob}
+                disabled={isAccepting}
+              >
+                {isAccepting ? (
+                  <ActivityIndicator size="small" color={safeTheme.textLight} />
+                ) : (
+                  <Text style={[styles.actionButtonText, { color: safeTheme.textLight }]}>Accept</Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
       </ScrollView>
     </SafeAreaView>
   );
@@ -451,6 +799,30 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
 
+  actionRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginHorizontal: spacing.md,
+    marginTop: spacing.md,
+  },
+
+  actionButton: {
+    flex: 1,
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  declineButton: {
+    borderWidth: 1,
+  },
+
+  actionButtonText: {
+    fontSize: responsive(16, 18, 14),
+    fontWeight: '600',
+  },
+
   mapContainer: {
     width: width,
     height: responsive(height * 0.35, height * 0.4, height * 0.3),
@@ -529,6 +901,148 @@ const styles = StyleSheet.create({
     marginBottom: spacing.md,
   },
 
+  replayButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+
+  replayButtonText: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '600',
+  },
+
+  etaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm,
+  },
+
+  etaInfo: {
+    flex: 1,
+  },
+
+  etaTitle: {
+    fontSize: responsive(16, 18, 14),
+    fontWeight: '600',
+  },
+
+  etaDetail: {
+    fontSize: responsive(12, 14, 11),
+    marginTop: 2,
+  },
+
+  etaValue: {
+    alignItems: 'flex-end',
+  },
+
+  etaDistance: {
+    fontSize: responsive(16, 18, 14),
+    fontWeight: 'bold',
+  },
+
+  etaTotal: {
+    fontSize: responsive(12, 14, 11),
+    marginTop: spacing.sm,
+  },
+
+  navigateRow: {
+    flexDirection: 'row',
+    gap: spacing.sm,
+    marginTop: spacing.md,
+  },
+
+  navigateButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    borderWidth: 1,
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingHorizontal: spacing.xs,
+  },
+
+  navigateButtonText: {
+    fontSize: responsive(13, 15, 12),
+    fontWeight: '600',
+  },
+
+  routeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+
+  routeTitle: {
+    marginBottom: 0,
+  },
+
+  routeTotal: {
+    fontSize: responsive(13, 15, 12),
+  },
+
+  routeStop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    gap: spacing.sm,
+  },
+
+  routeStopInfo: {
+    flex: 1,
+  },
+
+  routeStopTitle: {
+    fontSize: responsive(14, 16, 12),
+    fontWeight: '500',
+  },
+
+  routeStopCurrent: {
+    fontWeight: 'bold',
+  },
+
+  routeStopAddress: {
+    fontSize: responsive(12, 14, 11),
+    marginTop: 2,
+  },
+
+  routeStopDistance: {
+    fontSize: responsive(12, 14, 11),
+  },
+
+  routeNote: {
+    fontSize: responsive(12, 14, 11),
+    marginTop: spacing.sm,
+  },
+
+  stopMarker: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#FFFFFF',
+  },
+
+  otherJobStop: {
+    opacity: 0.55,
+  },
+
+  stopMarkerText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+
   centered: {
     flex: 1,
     justifyContent: 'center',
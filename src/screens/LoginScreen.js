@@ -0,0 +1,313 @@
+/**
+ * LoginScreen.js - Driver Sign-In
+ *
+ * Entry screen of the auth stack. Drivers sign in with their own username and
+ * password; on success AppContext opens the session and AppNavigator swaps the
+ * auth stack for the main app.
+ *
+ * Features:
+ * - Username (email) and password inputs with basic validation
+ * - Show/hide password toggle
+ * - Loading state while the OAuth token request is in flight
+ * - Server error message display
+ * - Link to the forgot-password flow
+ *
+ * Navigation:
+ * - Initial screen whenever no session exists
+ * - Navigates to ForgotPasswordScreen
+ * - Replaced by MainTabs once login succeeds
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+
+/**
+ * LoginScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @returns {JSX.Element} LoginScreen component
+ */
+const LoginScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { login, isLoading, getError, clearError } = useApp();
+
+  // Form state
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  const isSubmitting = isLoading('login');
+  const errorMessage = validationError || getError('login');
+
+  /**
+   * Handle Login
+   *
+   * Validates the form and calls AppContext login.
+   * Navigation happens automatically when isAuthenticated flips.
+   */
+  const handleLogin = async () => {
+    setValidationError(null);
+    clearError('login');
+
+    if (!username.trim()) {
+      setValidationError('Please enter your username');
+      return;
+    }
+
+    if (!password) {
+      setValidationError('Please enter your password');
+      return;
+    }
+
+    await login(username.trim(), password);
+  };
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Logo and title */}
+          <View style={styles.header}>
+            <Image
+              source={require('../../assets/images/logo-transparent.png')}
+              style={styles.logo}
+              resizeMode="contain"
+            />
+            <Text style={[styles.title, { color: theme.text }]}>Driver Login</Text>
+            <Text style={[styles.subtitle, { color: theme.textSecondary }]}>
+              Sign in with your driver account to continue
+            </Text>
+          </View>
+
+          {/* Username input */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Username</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }]}
+              value={username}
+              onChangeText={setUsername}
+              placeholder="Enter your email"
+              placeholderTextColor={theme.textSecondary}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="username"
+              editable={!isSubmitting}
+            />
+          </View>
+
+          {/* Password input with visibility toggle */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Password</Text>
+            <View style={[styles.passwordContainer, { borderColor: theme.border, backgroundColor: theme.surface }]}>
+              <TextInput
+                style={[styles.passwordInput, { color: theme.text }]}
+                value={password}
+                onChangeText={setPassword}
+                placeholder="Enter your password"
+                placeholderTextColor={theme.textSecondary}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="password"
+                editable={!isSubmitting}
+                onSubmitEditing={handleLogin}
+                returnKeyType="go"
+              />
+              <TouchableOpacity
+                onPress={() => setShowPassword(prev => !prev)}
+                style={styles.passwordToggle}
+                accessibilityLabel={showPassword ? 'Hide password' : 'Show password'}
+              >
+                <Ionicons
+                  name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                  size={22}
+                  color={theme.textSecondary}
+                />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {/* Error message */}
+          {errorMessage && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{errorMessage}</Text>
+            </View>
+          )}
+
+          {/* Login button */}
+          <TouchableOpacity
+            style={[
+              styles.loginButton,
+              { backgroundColor: theme.primary },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleLogin}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.loginButtonText, { color: theme.textLight }]}>Login</Text>
+            )}
+          </TouchableOpacity>
+
+          {/* Forgot password */}
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => navigation.navigate('ForgotPassword')}
+            disabled={isSubmitting}
+          >
+            <Text style={[styles.linkText, { color: theme.primary }]}>Forgot password?</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for LoginScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+  },
+
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.xl,
+  },
+
+  logo: {
+    width: responsive(96, 112, 80),
+    height: responsive(96, 112, 80),
+    marginBottom: spacing.md,
+  },
+
+  title: {
+    fontSize: responsive(24, 28, 20),
+    fontWeight: 'bold',
+    marginBottom: spacing.xs,
+  },
+
+  subtitle: {
+    fontSize: responsive(14, 16, 12),
+    textAlign: 'center',
+  },
+
+  formGroup: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  passwordContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+
+  passwordInput: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  passwordToggle: {
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  loginButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  loginButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+
+  linkText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default LoginScreen;
@@ -13,6 +13,7 @@
  * - Pull-to-refresh functionality
  * - Loading and error states
  * - Status-based filtering with automatic API calls
+ * - Replay Trip on delivered rides with a recorded GPS trace (TripReplayScreen)
  * 
  * API Integration:
  * - Endpoint: POST /driver/my-rides
@@ -32,12 +33,15 @@ import Header from '../components/common/Header';
 import HamburgerMenu from '../components/common/HamburgerMenu';
 import JobCard from '../components/common/JobCard';
 import ErrorBoundary from '../components/common/ErrorBoundary';
+import LastUpdated from '../components/common/LastUpdated';
 import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { colors, commonStyles } from '../styles/commonStyles';
 import { spacing } from '../utils/responsiveDimensions';
 import { logError, ERROR_CATEGORIES } from '../utils/errorLogger';
 import { showError } from '../utils/toast';
+import { JOB_STATUS } from '../utils/constants';
+import { normalizeJobStatus, toCountKey } from '../utils/jobLifecycle';
 
 const MyRidesScreen = ({ navigation, route }) => {
   // ✅ Get theme
@@ -52,13 +56,17 @@ const MyRidesScreen = ({ navigation, route }) => {
     unreadNotifications, 
     loadDriverRides, 
     loadDashboardData,
+    getJobEta,
+    getJobTrip,
+    lastUpdated,
+    isOnline,
     isLoading, 
     getError, 
     clearError 
   } = useApp();
 
   // ✅ Manage which tab is active
-  const [activeTab, setActiveTab] = useState('accepted');
+  const [activeTab, setActiveTab] = useState(JOB_STATUS.ACCEPTED);
 
   // ✅ Manage hamburger menu visibility
   const [menuVisible, setMenuVisible] = useState(false);
@@ -72,7 +80,7 @@ const MyRidesScreen = ({ navigation, route }) => {
   // ✅ Update active tab if screen navigated with param (e.g. from Home)
   useEffect(() => {
     if (route.params?.initialTab) {
-      setActiveTab(route.params.initialTab);
+      setActiveTab(normalizeJobStatus(route.params.initialTab));
       navigation.setParams({ initialTab: undefined });
     }
   }, [route.params?.initialTab]);
@@ -96,14 +104,14 @@ const MyRidesScreen = ({ navigation, route }) => {
       loadedTabsRef.current.add(activeTab); // Mark as attempted
       setIsLoadingRides(true);
       
-      // Always use driver_id: 1 for rides
-      loadDriverRides(activeTab, 1)
+      // driver_id comes from the session identity
+      loadDriverRides(activeTab)
         .catch(err => {
           logError(
             ERROR_CATEGORIES.API,
             `Failed to load ${activeTab} rides`,
             err,
-            { screen: 'MyRidesScreen', tab: activeTab, driver_id: 1 }
+            { screen: 'MyRidesScreen', tab: activeTab }
           );
           // Show user-friendly error message
           const errorMsg = err?.message || 'Failed to load rides. Please try again.';
@@ -153,10 +161,10 @@ const MyRidesScreen = ({ navigation, route }) => {
 
   // ✅ Define available tabs
   const tabs = [
-    { id: 'accepted', label: 'Accepted' },
-    { id: 'pickedup', label: 'PickedUp' },
-    { id: 'delivered', label: 'Delivered' },
-    { id: 'cancelled', label: 'Cancelled' },
+    { id: JOB_STATUS.ACCEPTED, label: 'Accepted' },
+    { id: JOB_STATUS.PICKEDUP, label: 'PickedUp' },
+    { id: JOB_STATUS.DELIVERED, label: 'Delivered' },
+    { id: JOB_STATUS.CANCELLED, label: 'Cancelled' },
   ];
 
   // ✅ Get rides for active tab from API response with null safety
@@ -186,14 +194,14 @@ const MyRidesScreen = ({ navigation, route }) => {
       loadedTabsRef.current.add(tabId); // Mark as attempted
       setIsLoadingRides(true);
       
-      // Always use driver_id: 1 for rides
-      loadDriverRides(tabId, 1)
+      // driver_id comes from the session identity
+      loadDriverRides(tabId)
         .catch(err => {
           logError(
             ERROR_CATEGORIES.API,
             `Failed to load ${tabId} rides`,
             err,
-            { screen: 'MyRidesScreen', tab: tabId, driver_id: 1 }
+            { screen: 'MyRidesScreen', tab: tabId }
           );
           // Show user-friendly error message
           const errorMsg = err?.message || 'Failed to load rides. Please try again.';
@@ -218,11 +226,11 @@ const MyRidesScreen = ({ navigation, route }) => {
       try {
         // Refresh both dashboard and rides to keep counts in sync
         await Promise.all([
-          loadDashboardData().catch(err => {
+          loadDashboardData(null, { force: true }).catch(err => {
             logError(ERROR_CATEGORIES.API, 'Failed to refresh dashboard', err, { screen: 'MyRidesScreen' });
             console.error('Failed to refresh dashboard:', err);
           }),
-          loadDriverRides(activeTab, 1).catch(err => {
+          loadDriverRides(activeTab, null, { force: true }).catch(err => {
             logError(ERROR_CATEGORIES.API, 'Failed to refresh rides', err, { screen: 'MyRidesScreen', tab: activeTab });
             console.error('Failed to refresh rides:', err);
             showError('Failed to refresh rides. Please try again.', 'Refresh Error');
@@ -271,10 +279,17 @@ const MyRidesScreen = ({ navigation, route }) => {
       ...item, // Include any other fields from API
     };
     
+    // Delivered rides with a recorded GPS trace can be replayed
+    const trip = getJobTrip(mappedRide);
+    const canReplay = activeTab === JOB_STATUS.DELIVERED && trip?.point_count >= 2;
+
     return (
       <JobCard
         job={mappedRide}
+        eta={getJobEta(mappedRide)}
+        trip={trip}
         onPress={() => handleJobPress(mappedRide)}
+        onReplayPress={canReplay ? () => navigation.navigate('TripReplay', { job: mappedRide }) : undefined}
       />
     );
   };
@@ -285,17 +300,11 @@ const MyRidesScreen = ({ navigation, route }) => {
     // First try to get count from dashboard data (source of truth)
     const dashboardCounts = dashboardData?.counts || {};
     
-    // Map UI tab IDs to dashboard count field names
-    const countMap = {
-      'accepted': dashboardCounts.accepted ?? 0,
-      'pickedup': dashboardCounts.picked_up ?? 0,
-      'delivered': dashboardCounts.delivered ?? 0,
-      'cancelled': dashboardCounts.cancelled ?? 0,
-      'new': dashboardCounts.new_order ?? 0,
-    };
+    // Map UI tab IDs to dashboard count field names (pickedup → picked_up)
+    const countKey = toCountKey(tabId);
     
     // Get count from dashboard, fallback to loaded rides length, then 0
-    const dashboardCount = countMap[tabId] ?? 0;
+    const dashboardCount = (countKey && dashboardCounts[countKey]) ?? 0;
     const loadedRidesCount = rides[tabId]?.length ?? 0;
     
     // Use dashboard count if available, otherwise use loaded rides count
@@ -382,8 +391,8 @@ const MyRidesScreen = ({ navigation, route }) => {
             );
           }
           
-          // Show error state with retry button
-          if (tabError) {
+          // Show error state with retry button (cached rides are shown instead when available)
+          if (tabError && !hasRides) {
             return (
               <View style={styles.errorContainer}>
                 <Ionicons name="alert-circle-outline" size={48} color={theme.error} />
@@ -421,6 +430,9 @@ const MyRidesScreen = ({ navigation, route }) => {
               showsVerticalScrollIndicator={false}
               contentContainerStyle={styles.listContent}
               keyboardShouldPersistTaps="handled"
+              ListHeaderComponent={
+                <LastUpdated timestamp={lastUpdated[`rides_${activeTab}`]} isOffline={!isOnline} />
+              }
               refreshControl={
                 <RefreshControl
                   refreshing={isLoadingTab || isLoadingRides}
@@ -0,0 +1,319 @@
+/**
+ * ParcelScannerScreen.js - Barcode/QR Parcel Scanner
+ *
+ * Scans parcel labels with the camera and checks each one against the job's
+ * tracking IDs (utils/parcelScan). Multi-piece shipments are tallied as they
+ * are scanned; labels from another shipment are flagged immediately.
+ *
+ * Features:
+ * - expo-camera barcode scanning (QR, Code 128/39, EAN, Data Matrix, PDF417)
+ * - Running tally of pieces scanned against the expected count
+ * - Wrong-parcel warnings with vibration
+ * - Repeat reads of a label already in the log are ignored (a label left in
+ *   view is not logged again)
+ * - Scan log handed back to the pickup/delivery screen for its payload
+ *
+ * Navigation:
+ * - Opened from PickupConfirmationScreen and ProofOfDeliveryScreen
+ * - Route params: { job, stage: 'pickup'|'delivery', expectedPieces, scanLog, returnTo }
+ * - Returns { scanLog } to the returnTo screen's params
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  StyleSheet,
+  Vibration,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import {
+  SCAN_RESULT,
+  getExpectedTrackingIds,
+  matchScan,
+  createScanEntry,
+  countScannedPieces,
+} from '../utils/parcelScan';
+
+const BARCODE_TYPES = ['qr', 'code128', 'code39', 'ean13', 'datamatrix', 'pdf417'];
+
+// The camera reports the same label many times per second while it is in view
+const RESCAN_DELAY_MS = 2000;
+
+/**
+ * ParcelScannerScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with the job and scan stage
+ * @returns {JSX.Element} ParcelScannerScreen component
+ */
+const ParcelScannerScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const [permission, requestPermission] = useCameraPermissions();
+  const { job, stage = 'pickup', expectedPieces, returnTo } = route.params || {};
+
+  const [scanLog, setScanLog] = useState(route.params?.scanLog || []);
+  const [lastScan, setLastScan] = useState(null);
+  const lastCodeRef = useRef({ code: null, at: 0 });
+  const loggedCountRef = useRef(scanLog.length);
+
+  const expectedIds = getExpectedTrackingIds(job);
+  const scannedPieces = countScannedPieces(scanLog);
+  const targetPieces = expectedPieces || expectedIds.length || null;
+
+  /**
+   * Handle Barcode Scanned
+   *
+   * @param {Object} scan - { type, data } from the camera
+   */
+  const handleBarcodeScanned = ({ type, data }) => {
+    const now = Date.now();
+    if (lastCodeRef.current.code === data && now - lastCodeRef.current.at < RESCAN_DELAY_MS) {
+      return;
+    }
+    lastCodeRef.current = { code: data, at: now };
+
+    // Checked against the latest log, not this render's, so quick reads cannot both count
+    setScanLog((prev) => {
+      const match = matchScan(data, expectedIds, prev);
+      if (match.result === SCAN_RESULT.DUPLICATE) return prev;
+
+      const isRepeatedWrongParcel = match.result === SCAN_RESULT.WRONG_PARCEL
+        && prev.some(entry => entry.result === SCAN_RESULT.WRONG_PARCEL && entry.code === match.code);
+      return isRepeatedWrongParcel ? prev : [...prev, createScanEntry(match, type)];
+    });
+  };
+
+  /**
+   * New Scan Feedback
+   *
+   * Shows the banner for each newly logged scan and vibrates on a wrong parcel.
+   */
+  useEffect(() => {
+    if (scanLog.length <= loggedCountRef.current) return;
+    loggedCountRef.current = scanLog.length;
+
+    const entry = scanLog[scanLog.length - 1];
+    if (entry.result === SCAN_RESULT.WRONG_PARCEL) {
+      Vibration.vibrate([0, 200, 100, 200]);
+    }
+    setLastScan(entry);
+  }, [scanLog]);
+
+  /**
+   * Handle Done
+   *
+   * Returns the scan log to the screen that opened the scanner.
+   */
+  const handleDone = () => {
+    if (returnTo) {
+      navigation.navigate({ name: returnTo, params: { scanLog }, merge: true });
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  const bannerForScan = (entry) => {
+    switch (entry.result) {
+      case SCAN_RESULT.MATCHED:
+        return { color: theme.success, icon: 'checkmark-circle', text: `Scanned ${entry.code}` };
+      case SCAN_RESULT.DUPLICATE:
+        return { color: theme.warning, icon: 'repeat', text: `${entry.code} was already scanned` };
+      default:
+        return { color: theme.error, icon: 'close-circle', text: `Wrong parcel: ${entry.code} is not on this job` };
+    }
+  };
+
+  if (!permission) {
+    return <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} />;
+  }
+
+  if (!permission.granted) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Ionicons name="camera-outline" size={48} color={theme.textSecondary} />
+        <Text style={[styles.permissionText, { color: theme.text }]}>
+          Camera access is needed to scan parcel labels.
+        </Text>
+        <TouchableOpacity
+          style={[styles.doneButton, styles.permissionButton, { backgroundColor: theme.primary }]}
+          onPress={requestPermission}
+        >
+          <Text style={[styles.doneButtonText, { color: theme.textLight }]}>Allow Camera</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  const banner = lastScan ? bannerForScan(lastScan) : null;
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <View style={styles.cameraContainer}>
+        <CameraView
+          style={StyleSheet.absoluteFill}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: BARCODE_TYPES }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+        <View style={[styles.scanFrame, { borderColor: banner?.color || theme.textLight }]} pointerEvents="none" />
+      </View>
+
+      <View style={[styles.panel, { backgroundColor: theme.surface }]}>
+        <Text style={[styles.tally, { color: theme.text }]}>
+          {targetPieces
+            ? `${scannedPieces} of ${targetPieces} pieces scanned`
+            : `${scannedPieces} piece${scannedPieces === 1 ? '' : 's'} scanned`}
+        </Text>
+        <Text style={[styles.stageText, { color: theme.textSecondary }]}>
+          {stage === 'delivery' ? 'Delivery' : 'Pickup'} · {expectedIds.join(', ') || 'No tracking ID on this job'}
+        </Text>
+
+        {banner && (
+          <View style={[styles.banner, { backgroundColor: banner.color }]}>
+            <Ionicons name={banner.icon} size={18} color={theme.textLight} />
+            <Text style={[styles.bannerText, { color: theme.textLight }]}>{banner.text}</Text>
+          </View>
+        )}
+
+        <FlatList
+          style={styles.log}
+          data={[...scanLog].reverse()}
+          keyExtractor={item => `${item.code}-${item.scanned_at}`}
+          renderItem={({ item }) => (
+            <View style={styles.logRow}>
+              <Ionicons
+                name={item.result === SCAN_RESULT.MATCHED ? 'checkmark' : 'alert-circle-outline'}
+                size={16}
+                color={bannerForScan(item).color}
+              />
+              <Text style={[styles.logText, { color: theme.text }]}>{item.code}</Text>
+              <Text style={[styles.logTime, { color: theme.textSecondary }]}>
+                {new Date(item.scanned_at).toLocaleTimeString()}
+              </Text>
+            </View>
+          )}
+        />
+
+        <TouchableOpacity style={[styles.doneButton, { backgroundColor: theme.primary }]} onPress={handleDone}>
+          <Text style={[styles.doneButtonText, { color: theme.textLight }]}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for ParcelScannerScreen
+ */
+const styles = StyleSheet.create({
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+
+  permissionText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginVertical: spacing.md,
+  },
+
+  permissionButton: {
+    alignSelf: 'stretch',
+  },
+
+  cameraContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#000',
+  },
+
+  scanFrame: {
+    width: '70%',
+    aspectRatio: 1.6,
+    borderWidth: 3,
+    borderRadius: 12,
+  },
+
+  panel: {
+    maxHeight: '45%',
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.md,
+    paddingBottom: spacing.md,
+  },
+
+  tally: {
+    fontSize: responsive(18, 22, 16),
+    fontWeight: 'bold',
+  },
+
+  stageText: {
+    fontSize: 13,
+    marginTop: spacing.xs,
+    marginBottom: spacing.sm,
+  },
+
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    borderRadius: 8,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+
+  bannerText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  log: {
+    flexGrow: 0,
+    marginBottom: spacing.sm,
+  },
+
+  logRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    paddingVertical: 4,
+  },
+
+  logText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  logTime: {
+    fontSize: 12,
+  },
+
+  doneButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  doneButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ParcelScannerScreen;
@@ -0,0 +1,634 @@
+/**
+ * PickupConfirmationScreen.js - LTL/FTL Pickup Confirmation
+ *
+ * Confirms the load before an LTL or FTL job is marked picked up: the driver
+ * counts pieces and enters the total weight, which are compared with the
+ * booking details from loadJobDetails. Differences are flagged and must be
+ * explained. A bill-of-lading (BOL) photo and the trailer seal number are
+ * attached to the pickup.
+ *
+ * Features:
+ * - Expected pieces/weight from booking_details
+ * - Automatic discrepancy flag (driver can also flag manually)
+ * - Camera capture of the BOL via expo-image-picker
+ * - Seal number (required for FTL)
+ * - Optional label scanning (ParcelScannerScreen); the scan log is sent as scan_log
+ * - Sent as pickupData through jobService.pickupJob; queued offline like other job actions
+ *
+ * Navigation:
+ * - Opened from CurrentJobScreen when the driver starts an LTL/FTL job
+ * - Route params: { job }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  Alert,
+  Switch,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validatePickupConfirmation } from '../utils/validation';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { JOB_STATUS, JOB_TYPES } from '../utils/constants';
+import { countScannedPieces } from '../utils/parcelScan';
+
+// Weight difference tolerated before flagging (scales and paperwork rarely match exactly)
+const WEIGHT_TOLERANCE = 0.02;
+
+/**
+ * Parse a booking value such as "1,200 lbs" into a number
+ *
+ * @param {*} value - Raw booking value
+ * @returns {number|null} Parsed number, or null when missing
+ */
+const parseBookingNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const parsed = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Read the expected load from booking details
+ *
+ * @param {Object} bookingDetails - booking_details from the job
+ * @returns {Object} { pieces, weight, weightLabel } - null when not booked
+ */
+const getExpectedLoad = (bookingDetails = {}) => ({
+  pieces: parseBookingNumber(
+    bookingDetails.total_pieces ?? bookingDetails.piece_count ?? bookingDetails.total_quantity ?? bookingDetails.quantity
+  ),
+  weight: parseBookingNumber(bookingDetails.total_weight),
+  weightLabel: bookingDetails.total_weight ?? null,
+});
+
+/**
+ * Compare the counted load with the booking
+ *
+ * @param {Object} expected - Expected load from getExpectedLoad
+ * @param {string} pieceCount - Pieces entered by the driver
+ * @param {string} totalWeight - Weight entered by the driver
+ * @returns {Array<string>} Human-readable differences (empty when matching)
+ */
+const findDiscrepancies = (expected, pieceCount, totalWeight) => {
+  const differences = [];
+  const pieces = parseBookingNumber(pieceCount);
+  const weight = parseBookingNumber(totalWeight);
+
+  if (expected.pieces !== null && pieces !== null && pieces !== expected.pieces) {
+    differences.push(`Pieces: counted ${pieces}, booked ${expected.pieces}`);
+  }
+
+  if (expected.weight && weight !== null
+    && Math.abs(weight - expected.weight) / expected.weight > WEIGHT_TOLERANCE) {
+    differences.push(`Weight: entered ${weight}, booked ${expected.weightLabel}`);
+  }
+
+  return differences;
+};
+
+/**
+ * PickupConfirmationScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with the job being picked up
+ * @returns {JSX.Element} PickupConfirmationScreen component
+ */
+const PickupConfirmationScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { updateJobStatus, jobDetails, loadJobDetails, isLoading } = useApp();
+  const job = route.params?.job;
+  const parcelId = job?.order_id || job?.parcel_id || job?.id || job?.tracking_id || null;
+  const requireSeal = job?.type === JOB_TYPES.FTL;
+
+  const [pieceCount, setPieceCount] = useState('');
+  const [totalWeight, setTotalWeight] = useState('');
+  const [manualDiscrepancy, setManualDiscrepancy] = useState(false);
+  const [discrepancyNote, setDiscrepancyNote] = useState('');
+  const [bolPhoto, setBolPhoto] = useState(null);
+  const [sealNumber, setSealNumber] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+  const [scanLog, setScanLog] = useState([]);
+
+  // Scan log returned by ParcelScannerScreen
+  useEffect(() => {
+    const returnedLog = route.params?.scanLog;
+    if (!returnedLog) return;
+
+    setScanLog(returnedLog);
+    const scanned = countScannedPieces(returnedLog);
+    if (scanned > 0) {
+      setPieceCount(prev => prev || String(scanned));
+    }
+  }, [route.params?.scanLog]);
+
+  // Booking details come from the job-details endpoint
+  useEffect(() => {
+    if (parcelId) {
+      loadJobDetails(parcelId).catch(error => {
+        console.error('Failed to load booking details for pickup:', error);
+      });
+    }
+  }, [parcelId]);
+
+  const bookingDetails = jobDetails?.booking_details ?? job?.booking_details ?? {};
+  const expected = getExpectedLoad(bookingDetails);
+  const differences = findDiscrepancies(expected, pieceCount, totalWeight);
+  const hasDiscrepancy = manualDiscrepancy || differences.length > 0;
+  const isLoadingBooking = isLoading && isLoading('jobDetails');
+  const scannedPieces = countScannedPieces(scanLog);
+
+  /**
+   * Handle Scan Parcels
+   *
+   * Opens the label scanner; the scan log comes back through route params.
+   */
+  const handleScanParcels = () => {
+    navigation.navigate('ParcelScanner', {
+      job: { ...job, ...(jobDetails || {}), booking_details: bookingDetails },
+      stage: 'pickup',
+      expectedPieces: expected.pieces,
+      scanLog,
+      returnTo: 'PickupConfirmation',
+    });
+  };
+
+  /**
+   * Handle Take BOL Photo
+   *
+   * Opens the camera and attaches the bill of lading photo.
+   */
+  const handleTakeBolPhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestCameraPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission denied', 'Camera access is needed to photograph the bill of lading.');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ['images'],
+        quality: 0.7, // Text on the BOL must stay legible
+      });
+
+      if (!result.canceled) {
+        const asset = result.assets[0];
+        setBolPhoto({
+          uri: asset.uri,
+          type: asset.mimeType || 'image/jpeg',
+          name: asset.fileName || `bol_${job?.id}.jpg`,
+        });
+        setValidationError(null);
+      }
+    } catch (error) {
+      console.error('Error taking BOL photo:', error);
+      Alert.alert('Error', 'Failed to take photo');
+    }
+  };
+
+  /**
+   * Handle Submit
+   *
+   * Validates the confirmation and marks the job picked up with the load details.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+
+    const validation = validatePickupConfirmation({
+      pieceCount,
+      totalWeight,
+      hasDiscrepancy,
+      discrepancyNote,
+      bolPhoto,
+      sealNumber,
+      requireSeal,
+    });
+    if (!validation.isValid) {
+      setValidationError(validation.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const pickupData = {
+        piece_count: Number(pieceCount),
+        total_weight: Number(totalWeight),
+        expected_piece_count: expected.pieces,
+        expected_weight: expected.weight,
+        has_discrepancy: hasDiscrepancy,
+        discrepancy_note: hasDiscrepancy
+          ? [discrepancyNote.trim(), ...differences].filter(Boolean).join('\n')
+          : null,
+        seal_number: sealNumber.trim() || null,
+        bol_photo: bolPhoto,
+        scan_log: scanLog.length > 0 ? scanLog : undefined,
+        picked_up_at: new Date().toISOString(),
+      };
+
+      const result = await updateJobStatus(job.id, JOB_STATUS.PICKEDUP, pickupData);
+
+      if (result === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          'You appear to be offline. The pickup and its BOL were saved on this device and will upload when your connection returns.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result) {
+        Alert.alert(
+          'Success',
+          'Job started successfully!',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        Alert.alert('Error', 'Failed to confirm pickup. Please try again.', [{ text: 'OK' }]);
+      }
+    } catch (error) {
+      console.error('Pickup confirmation error:', error);
+      Alert.alert('Error', 'An error occurred while confirming the pickup.', [{ text: 'OK' }]);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!job) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Text style={{ color: theme.textSecondary }}>No job selected</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const inputStyle = [styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }];
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          <Text style={[styles.jobTitle, { color: theme.text }]}>
+            {job.companyName || job.customer_name || 'Pickup'}
+          </Text>
+          <Text style={[styles.jobSubtitle, { color: theme.textSecondary }]}>
+            Order #{job.orderId || job.order_id || job.tracking_id || job.id} · {job.type}
+          </Text>
+
+          {/* Booked load */}
+          <View style={[styles.bookingCard, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+            <Text style={[styles.label, { color: theme.text }]}>Booked Load</Text>
+            {isLoadingBooking && !jobDetails ? (
+              <ActivityIndicator size="small" color={theme.primary} />
+            ) : (
+              <>
+                <Text style={[styles.bookingText, { color: theme.textSecondary }]}>
+                  Pieces: {expected.pieces ?? 'N/A'}
+                </Text>
+                <Text style={[styles.bookingText, { color: theme.textSecondary }]}>
+                  Weight: {expected.weightLabel ?? 'N/A'}
+                </Text>
+                {bookingDetails.variant_summary ? (
+                  <Text style={[styles.bookingText, { color: theme.textSecondary }]}>
+                    {bookingDetails.variant_summary}
+                  </Text>
+                ) : null}
+              </>
+            )}
+          </View>
+
+          {/* Label scanning */}
+          <TouchableOpacity
+            style={[styles.scanButton, { borderColor: theme.primary }]}
+            onPress={handleScanParcels}
+            disabled={isSubmitting}
+            accessibilityRole="button"
+            accessibilityLabel="Scan parcel labels"
+          >
+            <Ionicons name="barcode-outline" size={22} color={theme.primary} />
+            <Text style={[styles.scanButtonText, { color: theme.primary }]}>
+              {scanLog.length > 0 ? `Scanned ${scannedPieces} piece${scannedPieces === 1 ? '' : 's'} - scan more` : 'Scan Parcel Labels'}
+            </Text>
+          </TouchableOpacity>
+
+          {/* Counted load */}
+          <View style={styles.row}>
+            <View style={[styles.section, styles.flex]}>
+              <Text style={[styles.label, { color: theme.text }]}>Piece Count *</Text>
+              <TextInput
+                style={inputStyle}
+                value={pieceCount}
+                onChangeText={setPieceCount}
+                placeholder="0"
+                placeholderTextColor={theme.textSecondary}
+                keyboardType="number-pad"
+                editable={!isSubmitting}
+              />
+            </View>
+            <View style={[styles.section, styles.flex]}>
+              <Text style={[styles.label, { color: theme.text }]}>Total Weight *</Text>
+              <TextInput
+                style={inputStyle}
+                value={totalWeight}
+                onChangeText={setTotalWeight}
+                placeholder="0"
+                placeholderTextColor={theme.textSecondary}
+                keyboardType="decimal-pad"
+                editable={!isSubmitting}
+              />
+            </View>
+          </View>
+
+          {/* Discrepancy */}
+          <View style={styles.section}>
+            {differences.map(difference => (
+              <View key={difference} style={styles.warningRow}>
+                <Ionicons name="warning-outline" size={16} color={theme.warning} />
+                <Text style={[styles.warningText, { color: theme.warning }]}>{difference}</Text>
+              </View>
+            ))}
+            <View style={styles.switchRow}>
+              <Text style={[styles.label, styles.switchLabel, { color: theme.text }]}>
+                Report a discrepancy (damage, shortage, overage)
+              </Text>
+              <Switch
+                value={hasDiscrepancy}
+                onValueChange={setManualDiscrepancy}
+                disabled={isSubmitting || differences.length > 0}
+              />
+            </View>
+            {hasDiscrepancy && (
+              <TextInput
+                style={[inputStyle, styles.multiline]}
+                value={discrepancyNote}
+                onChangeText={setDiscrepancyNote}
+                placeholder="Describe the discrepancy"
+                placeholderTextColor={theme.textSecondary}
+                multiline
+                editable={!isSubmitting}
+              />
+            )}
+          </View>
+
+          {/* BOL photo */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Bill of Lading Photo *</Text>
+            {bolPhoto ? (
+              <TouchableOpacity
+                onPress={handleTakeBolPhoto}
+                disabled={isSubmitting}
+                accessibilityRole="button"
+                accessibilityLabel="Retake bill of lading photo"
+              >
+                <Image source={{ uri: bolPhoto.uri }} style={styles.bolPhoto} />
+                <Text style={[styles.retakeText, { color: theme.primary }]}>Tap to retake</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[styles.addPhoto, { borderColor: theme.border, backgroundColor: theme.surface }]}
+                onPress={handleTakeBolPhoto}
+                disabled={isSubmitting}
+                accessibilityRole="button"
+                accessibilityLabel="Take bill of lading photo"
+              >
+                <Ionicons name="document-text-outline" size={28} color={theme.primary} />
+                <Text style={[styles.addPhotoText, { color: theme.primary }]}>Photograph BOL</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {/* Seal number */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Seal Number{requireSeal ? ' *' : ''}
+            </Text>
+            <TextInput
+              style={inputStyle}
+              value={sealNumber}
+              onChangeText={setSealNumber}
+              placeholder="Trailer seal number"
+              placeholderTextColor={theme.textSecondary}
+              autoCapitalize="characters"
+              editable={!isSubmitting}
+              returnKeyType="done"
+            />
+          </View>
+
+          {/* Error message */}
+          {validationError && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{validationError}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.primary },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>Confirm Pickup</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for PickupConfirmationScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.lg,
+  },
+
+  jobTitle: {
+    fontSize: responsive(20, 24, 18),
+    fontWeight: 'bold',
+  },
+
+  jobSubtitle: {
+    fontSize: responsive(14, 16, 12),
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+
+  bookingCard: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+  },
+
+  bookingText: {
+    fontSize: 14,
+    marginBottom: spacing.xs,
+  },
+
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    borderWidth: 1,
+    borderRadius: componentSizes.buttonBorderRadius,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+
+  scanButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
+  row: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+
+  section: {
+    marginBottom: spacing.lg,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+
+  warningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+
+  warningText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+
+  switchLabel: {
+    flex: 1,
+    marginBottom: 0,
+    marginRight: spacing.sm,
+  },
+
+  bolPhoto: {
+    width: '100%',
+    height: 200,
+    borderRadius: 8,
+  },
+
+  retakeText: {
+    fontSize: 14,
+    marginTop: spacing.xs,
+    textAlign: 'center',
+  },
+
+  addPhoto: {
+    height: 120,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+
+  addPhotoText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default PickupConfirmationScreen;
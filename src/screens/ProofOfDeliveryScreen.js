@@ -0,0 +1,456 @@
+/**
+ * ProofOfDeliveryScreen.js - Delivery Completion with Proof
+ *
+ * Collects proof of delivery before a job is marked delivered: photos of the
+ * delivered shipment, the recipient's printed name and an on-screen signature.
+ * GPS coordinates and the capture time are attached automatically.
+ *
+ * Features:
+ * - Camera capture of one or more photos via expo-image-picker
+ * - Recipient name input
+ * - Signature pad (components/common/SignaturePad)
+ * - Optional label scanning (ParcelScannerScreen); the scan log is sent as scan_log
+ * - Completion blocked until required proof is present (utils/validation)
+ * - Multipart upload through jobService.deliverJob; queued offline like other job actions
+ *
+ * Navigation:
+ * - Opened from CurrentJobScreen when the driver completes a job
+ * - Route params: { job }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import SignaturePad from '../components/common/SignaturePad';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validateProofOfDelivery } from '../utils/validation';
+import { JOB_ACTION_QUEUED } from '../utils/outbox';
+import { JOB_STATUS } from '../utils/constants';
+import { countScannedPieces } from '../utils/parcelScan';
+import { getBestEffortLocation } from '../utils/deviceLocation';
+import { isPastWindow } from '../utils/eta';
+import { STOP_TYPES } from '../utils/routePlanner';
+
+// Upper limit on photos per delivery (keeps uploads reasonable on cellular)
+const MAX_PHOTOS = 5;
+
+/**
+ * ProofOfDeliveryScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with the job being delivered
+ * @returns {JSX.Element} ProofOfDeliveryScreen component
+ */
+const ProofOfDeliveryScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { updateJobStatus, currentLocation } = useApp();
+  const job = route.params?.job;
+
+  const [photos, setPhotos] = useState([]);
+  const [recipientName, setRecipientName] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [isSigning, setIsSigning] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+  const [scanLog, setScanLog] = useState([]);
+
+  // Scan log returned by ParcelScannerScreen
+  useEffect(() => {
+    if (route.params?.scanLog) {
+      setScanLog(route.params.scanLog);
+    }
+  }, [route.params?.scanLog]);
+
+  const scannedPieces = countScannedPieces(scanLog);
+
+  /**
+   * Handle Scan Parcels
+   *
+   * Opens the label scanner; the scan log comes back through route params.
+   */
+  const handleScanParcels = () => {
+    navigation.navigate('ParcelScanner', {
+      job,
+      stage: 'delivery',
+      scanLog,
+      returnTo: 'ProofOfDelivery',
+    });
+  };
+
+  /**
+   * Handle Take Photo
+   *
+   * Opens the camera and adds the photo to the proof.
+   */
+  const handleTakePhoto = async () => {
+    try {
+      const { status } = await ImagePicker.requestCameraPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission denied', 'Camera access is needed to photograph the delivery.');
+        return;
+      }
+
+      const result = await ImagePicker.launchCameraAsync({
+        mediaTypes: ['images'],
+        quality: 0.6, // Smaller uploads on cellular
+      });
+
+      if (!result.canceled) {
+        const asset = result.assets[0];
+        setPhotos(prev => [...prev, {
+          uri: asset.uri,
+          type: asset.mimeType || 'image/jpeg',
+          name: asset.fileName || `delivery_${job?.id}_${prev.length + 1}.jpg`,
+        }]);
+        setValidationError(null);
+      }
+    } catch (error) {
+      console.error('Error taking delivery photo:', error);
+      Alert.alert('Error', 'Failed to take photo');
+    }
+  };
+
+  /**
+   * Handle Remove Photo
+   *
+   * @param {number} index - Photo position
+   */
+  const handleRemovePhoto = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Handle Submit
+   *
+   * Validates the proof, attaches location and time, and marks the job delivered.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+
+    const validation = validateProofOfDelivery({ photos, recipientName, signature });
+    if (!validation.isValid) {
+      setValidationError(validation.message);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const location = await getBestEffortLocation(currentLocation);
+      const deliveredAt = new Date();
+      const proof = {
+        photos,
+        signature,
+        recipient_name: recipientName.trim(),
+        scan_log: scanLog.length > 0 ? scanLog : undefined,
+        delivered_at: deliveredAt.toISOString(),
+        is_late: isPastWindow(job, STOP_TYPES.DROPOFF, deliveredAt.getTime()),
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+      };
+
+      const result = await updateJobStatus(job.id, JOB_STATUS.DELIVERED, proof);
+
+      if (result === JOB_ACTION_QUEUED) {
+        Alert.alert(
+          'Saved Offline',
+          'You appear to be offline. The delivery and its proof were saved on this device and will upload when your connection returns.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result) {
+        Alert.alert(
+          'Success',
+          'Job completed successfully!',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        Alert.alert('Error', 'Failed to complete job. Please try again.', [{ text: 'OK' }]);
+      }
+    } catch (error) {
+      console.error('Proof of delivery error:', error);
+      Alert.alert('Error', 'An error occurred while completing the job.', [{ text: 'OK' }]);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!job) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Text style={{ color: theme.textSecondary }}>No job selected</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+          scrollEnabled={!isSigning}
+        >
+          <Text style={[styles.jobTitle, { color: theme.text }]}>
+            {job.companyName || job.customer_name || 'Delivery'}
+          </Text>
+          <Text style={[styles.jobSubtitle, { color: theme.textSecondary }]}>
+            Order #{job.orderId || job.order_id || job.tracking_id || job.id}
+          </Text>
+
+          {/* Label scanning */}
+          <TouchableOpacity
+            style={[styles.scanButton, { borderColor: theme.primary }]}
+            onPress={handleScanParcels}
+            disabled={isSubmitting}
+            accessibilityRole="button"
+            accessibilityLabel="Scan parcel labels"
+          >
+            <Ionicons name="barcode-outline" size={22} color={theme.primary} />
+            <Text style={[styles.scanButtonText, { color: theme.primary }]}>
+              {scanLog.length > 0 ? `Scanned ${scannedPieces} piece${scannedPieces === 1 ? '' : 's'} - scan more` : 'Scan Parcel Labels'}
+            </Text>
+          </TouchableOpacity>
+
+          {/* Photos */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Delivery Photos *</Text>
+            <View style={styles.photoGrid}>
+              {photos.map((photo, index) => (
+                <View key={photo.uri} style={styles.photoWrapper}>
+                  <Image source={{ uri: photo.uri }} style={styles.photo} />
+                  <TouchableOpacity
+                    style={[styles.removePhoto, { backgroundColor: theme.error }]}
+                    onPress={() => handleRemovePhoto(index)}
+                    disabled={isSubmitting}
+                    accessibilityLabel="Remove photo"
+                  >
+                    <Ionicons name="close" size={14} color={theme.textLight} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {photos.length < MAX_PHOTOS && (
+                <TouchableOpacity
+                  style={[styles.addPhoto, { borderColor: theme.border, backgroundColor: theme.surface }]}
+                  onPress={handleTakePhoto}
+                  disabled={isSubmitting}
+                  accessibilityRole="button"
+                  accessibilityLabel="Take delivery photo"
+                >
+                  <Ionicons name="camera-outline" size={28} color={theme.primary} />
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+
+          {/* Recipient name */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Recipient Name *</Text>
+            <TextInput
+              style={[styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }]}
+              value={recipientName}
+              onChangeText={setRecipientName}
+              placeholder="Printed name of the person receiving"
+              placeholderTextColor={theme.textSecondary}
+              autoCapitalize="words"
+              editable={!isSubmitting}
+              returnKeyType="done"
+            />
+          </View>
+
+          {/* Signature */}
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>Recipient Signature *</Text>
+            <SignaturePad
+              onChange={setSignature}
+              onDrawStart={() => setIsSigning(true)}
+              onDrawEnd={() => setIsSigning(false)}
+              disabled={isSubmitting}
+            />
+          </View>
+
+          {/* Error message */}
+          {validationError && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{validationError}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.primary },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>Complete Delivery</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for ProofOfDeliveryScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  scrollContent: {
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.lg,
+  },
+
+  jobTitle: {
+    fontSize: responsive(20, 24, 18),
+    fontWeight: 'bold',
+  },
+
+  jobSubtitle: {
+    fontSize: responsive(14, 16, 12),
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+
+  scanButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    borderWidth: 1,
+    borderRadius: componentSizes.buttonBorderRadius,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+
+  scanButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
+  section: {
+    marginBottom: spacing.lg,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.sm,
+  },
+
+  photoWrapper: {
+    position: 'relative',
+  },
+
+  photo: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+  },
+
+  removePhoto: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  addPhoto: {
+    width: 88,
+    height: 88,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ProofOfDeliveryScreen;
@@ -0,0 +1,339 @@
+/**
+ * ResetPasswordScreen.js - Set a New Password
+ *
+ * Completes the password reset flow. The reset token is either typed in by
+ * the driver (code from the email) or pre-filled from the emailed deep link
+ * (driverapp://reset-password/<token>?email=<email>).
+ *
+ * Features:
+ * - Reset code, email, new password and confirmation inputs
+ * - Validation via utils/validation
+ * - Loading state while the request is in flight
+ * - Returns to LoginScreen once the password is changed
+ *
+ * Navigation:
+ * - Opened from ForgotPasswordScreen or via deep link
+ * - Route params: { token?, email? }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { validateEmail, validatePassword, validateResetToken, PASSWORD_MIN_LENGTH } from '../utils/validation';
+import { showSuccess } from '../utils/toast';
+
+/**
+ * ResetPasswordScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.navigation - React Navigation object for screen navigation
+ * @param {Object} props.route - Route with optional token and email params
+ * @returns {JSX.Element} ResetPasswordScreen component
+ */
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { resetPassword, isLoading, getError, clearError } = useApp();
+
+  const [token, setToken] = useState(route.params?.token || '');
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+
+  const isSubmitting = isLoading('resetPassword');
+  const errorMessage = validationError || getError('resetPassword');
+
+  /**
+   * Deep Link Params
+   *
+   * Opening another reset link while this screen is mounted updates the params.
+   */
+  useEffect(() => {
+    if (route.params?.token) {
+      setToken(route.params.token);
+    }
+    if (route.params?.email) {
+      setEmail(route.params.email);
+    }
+  }, [route.params?.token, route.params?.email]);
+
+  /**
+   * Handle Submit
+   *
+   * Validates the form, resets the password and returns to login.
+   */
+  const handleSubmit = async () => {
+    setValidationError(null);
+    clearError('resetPassword');
+
+    const checks = [
+      validateResetToken(token),
+      validateEmail(email),
+      validatePassword(password, confirmPassword),
+    ];
+    const failed = checks.find(check => !check.isValid);
+    if (failed) {
+      setValidationError(failed.message);
+      return;
+    }
+
+    const success = await resetPassword(token.trim(), password, email.trim());
+    if (success) {
+      showSuccess('Your password has been reset. Please log in with your new password.', 'Password Reset', () => {
+        navigation.navigate('Login');
+      });
+    }
+  };
+
+  const inputStyle = [styles.input, { borderColor: theme.border, color: theme.text, backgroundColor: theme.surface }];
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Ionicons name="key-outline" size={48} color={theme.primary} />
+            <Text style={[styles.title, { color: theme.text }]}>Reset Password</Text>
+            <Text style={[styles.subtitle, { color: theme.textSecondary }]}>
+              Enter the reset code from your email and choose a new password
+            </Text>
+          </View>
+
+          {/* Reset code */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Reset Code</Text>
+            <TextInput
+              style={inputStyle}
+              value={token}
+              onChangeText={setToken}
+              placeholder="Enter the code from your email"
+              placeholderTextColor={theme.textSecondary}
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="oneTimeCode"
+              editable={!isSubmitting}
+            />
+          </View>
+
+          {/* Email */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Email</Text>
+            <TextInput
+              style={inputStyle}
+              value={email}
+              onChangeText={setEmail}
+              placeholder="Enter your email"
+              placeholderTextColor={theme.textSecondary}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="emailAddress"
+              editable={!isSubmitting}
+            />
+          </View>
+
+          {/* New password */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>New Password</Text>
+            <View style={[styles.passwordContainer, { borderColor: theme.border, backgroundColor: theme.surface }]}>
+              <TextInput
+                style={[styles.passwordInput, { color: theme.text }]}
+                value={password}
+                onChangeText={setPassword}
+                placeholder={`At least ${PASSWORD_MIN_LENGTH} characters`}
+                placeholderTextColor={theme.textSecondary}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="newPassword"
+                editable={!isSubmitting}
+              />
+              <TouchableOpacity
+                onPress={() => setShowPassword(prev => !prev)}
+                style={styles.passwordToggle}
+                accessibilityLabel={showPassword ? 'Hide password' : 'Show password'}
+              >
+                <Ionicons
+                  name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                  size={22}
+                  color={theme.textSecondary}
+                />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {/* Confirm password */}
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>Confirm Password</Text>
+            <TextInput
+              style={inputStyle}
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              placeholder="Re-enter your new password"
+              placeholderTextColor={theme.textSecondary}
+              secureTextEntry={!showPassword}
+              autoCapitalize="none"
+              autoCorrect={false}
+              textContentType="newPassword"
+              editable={!isSubmitting}
+              onSubmitEditing={handleSubmit}
+              returnKeyType="done"
+            />
+          </View>
+
+          {/* Error message */}
+          {errorMessage && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.error} />
+              <Text style={[styles.errorText, { color: theme.error }]}>{errorMessage}</Text>
+            </View>
+          )}
+
+          {/* Submit button */}
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              { backgroundColor: theme.primary },
+              isSubmitting && styles.disabledButton,
+            ]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={theme.textLight} />
+            ) : (
+              <Text style={[styles.submitButtonText, { color: theme.textLight }]}>Reset Password</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+/**
+ * StyleSheet for ResetPasswordScreen
+ */
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+  },
+
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.xl,
+  },
+
+  title: {
+    fontSize: responsive(24, 28, 20),
+    fontWeight: 'bold',
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+  },
+
+  subtitle: {
+    fontSize: responsive(14, 16, 12),
+    textAlign: 'center',
+  },
+
+  formGroup: {
+    marginBottom: spacing.md,
+  },
+
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  passwordContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+
+  passwordInput: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+
+  passwordToggle: {
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+    gap: spacing.xs,
+  },
+
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+  },
+
+  submitButton: {
+    borderRadius: componentSizes.buttonBorderRadius,
+    minHeight: componentSizes.buttonHeight,
+    paddingVertical: spacing.md,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+
+  disabledButton: {
+    opacity: 0.6,
+  },
+
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ResetPasswordScreen;
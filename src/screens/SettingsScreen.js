@@ -6,7 +6,8 @@
  * 
  * Features:
  * - User profile display with image and name
- * - General settings (profile, wallet)
+ * - General settings (profile, wallet, logout)
+ * - Location tracking: active adaptive sampling mode and battery state
  * - Registration details (documents, vehicle, bank details)
  * - Consistent navigation to detail screens
  * - Card-based layout for better organization
@@ -34,6 +35,15 @@ import { useApp } from '../context/AppContext';
 import { useTheme } from '../context/ThemeContext';
 import { colors, commonStyles } from '../styles/commonStyles';
 import { spacing } from '../utils/responsiveDimensions';
+import { SAMPLING_MODES, getSamplingProfile } from '../utils/locationSampling';
+
+// Icon per adaptive location sampling mode
+const SAMPLING_MODE_ICONS = {
+  [SAMPLING_MODES.NEAR_STOP]: 'locate',
+  [SAMPLING_MODES.MOVING]: 'navigate',
+  [SAMPLING_MODES.STATIONARY]: 'pause-circle-outline',
+  [SAMPLING_MODES.LOW_BATTERY]: 'battery-dead-outline',
+};
 
 /**
  * SettingsScreen Component
@@ -47,7 +57,17 @@ import { spacing } from '../utils/responsiveDimensions';
  */
 const SettingsScreen = ({ navigation }) => {
   // Get user data and notification count from global context
-  const { user, unreadNotifications, markDriverAbsent, isLoading, getError } = useApp();
+  const {
+    user,
+    unreadNotifications,
+    markDriverAbsent,
+    logout,
+    isLoading,
+    getError,
+    isLocationTracking,
+    locationSamplingMode,
+    powerState,
+  } = useApp();
   
   // Get theme context
   const { theme, isDarkMode, toggleTheme } = useTheme();
@@ -157,6 +177,31 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
 
+  /**
+   * Handle Logout Press
+   * 
+   * Confirms and ends the driver session. AppNavigator returns to the
+   * Login screen once the session is cleared.
+   */
+  const handleLogoutPress = () => {
+    Alert.alert(
+      'Logout',
+      'Are you sure you want to log out?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Logout',
+          style: 'destructive',
+          onPress: () => logout(),
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
   /**
    * General Settings Configuration
    * 
@@ -192,6 +237,12 @@ const SettingsScreen = ({ navigation }) => {
       switchValue: isDarkMode,
       onSwitchChange: toggleTheme,
     },
+    {
+      id: 5,
+      title: 'Logout',                        // End driver session
+      icon: 'log-out-outline',                // Logout icon
+      onPress: handleLogoutPress,             // Confirm and logout
+    },
   ];
 
   /**
@@ -221,6 +272,20 @@ const SettingsScreen = ({ navigation }) => {
     },
   ];
 
+  /**
+   * Location Sampling Details
+   * 
+   * What the location tracker is doing right now, shown read-only.
+   */
+  const samplingProfile = getSamplingProfile(locationSamplingMode);
+  const samplingTitle = isLocationTracking ? samplingProfile.label : 'Tracking off';
+  const samplingDetails = isLocationTracking
+    ? `${samplingProfile.description} · every ${Math.round(samplingProfile.timeInterval / 1000)} s`
+    : 'Location is shared while you have an accepted or picked up job';
+  const batteryText = isLocationTracking && powerState.batteryLevel !== null
+    ? `${Math.round(powerState.batteryLevel * 100)}%${powerState.isCharging ? ' · Charging' : ''}`
+    : null;
+
   /**
    * Render Setting Item
    * 
@@ -359,6 +424,31 @@ const SettingsScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Location Tracking Section */}
+        <View style={commonStyles.customContainer}>
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>Location tracking</Text>
+          <View style={[styles.settingsList, { backgroundColor: theme.surface }]}>
+            <View style={[styles.settingBox, { backgroundColor: theme.surface, borderBottomColor: theme.border }]}>
+              <View style={[styles.settingIcon, { backgroundColor: theme.background }]}>
+                <Ionicons
+                  name={isLocationTracking ? SAMPLING_MODE_ICONS[locationSamplingMode] : 'location-outline'}
+                  size={24}
+                  color={theme.primary}
+                />
+              </View>
+              <View style={styles.settingContent}>
+                <View style={styles.settingText}>
+                  <Text style={[styles.settingTitle, { color: theme.text }]}>{samplingTitle}</Text>
+                  <Text style={[styles.settingSubtitle, { color: theme.textSecondary }]}>{samplingDetails}</Text>
+                </View>
+                {batteryText && (
+                  <Text style={[styles.settingValue, { color: theme.textSecondary }]}>{batteryText}</Text>
+                )}
+              </View>
+            </View>
+          </View>
+        </View>
+
         {/* Registration Details Section */}
         <View style={commonStyles.customContainer}>
           <Text style={[styles.sectionTitle, { color: theme.text }]}>Registration details</Text>
@@ -535,6 +625,34 @@ const styles = StyleSheet.create({
   settingTitle: {
     fontSize: 16,                          // Medium text size
   },
+  
+  /**
+   * Setting Text Container
+   * Title with a subtitle line below it
+   */
+  settingText: {
+    flex: 1,                               // Leave room for the value on the right
+    marginRight: spacing.sm,               // Spacing before the value
+  },
+  
+  /**
+   * Setting Subtitle Text
+   * Secondary line under a setting title
+   * Note: color applied dynamically via theme
+   */
+  settingSubtitle: {
+    fontSize: 13,                          // Small text size
+    marginTop: 2,                          // Small gap below the title
+  },
+  
+  /**
+   * Setting Value Text
+   * Read-only value on the right of a setting row
+   * Note: color applied dynamically via theme
+   */
+  settingValue: {
+    fontSize: 14,                          // Slightly smaller than the title
+  },
 });
 
 export default SettingsScreen;
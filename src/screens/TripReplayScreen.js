@@ -0,0 +1,466 @@
+/**
+ * TripReplayScreen.js - Recorded Trip Replay
+ *
+ * Replays the GPS trace recorded for a finished job (utils/tripRecorder) on a
+ * map, e.g. when a customer disputes a delivery time.
+ *
+ * Features:
+ * - Driven path, empty legs dashed and loaded legs solid
+ * - Markers where the driver reached the pickup and the drop-off
+ * - Markers for stops of TRIP_REPLAY_CONFIG.STOP_MIN_MINUTES or longer
+ * - Time scrubber, step and play controls with the vehicle position at that moment
+ * - Timeline of start, pickup, stops and drop-off; tapping an entry jumps to it
+ *
+ * Navigation:
+ * - Opened from MyRidesScreen ("Replay Trip") and the Job Details trip log
+ * - Route params: { job }
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  Dimensions,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import MapView, { Marker, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
+import { Ionicons } from '@expo/vector-icons';
+import TimeScrubber from '../components/common/TimeScrubber';
+import { useApp } from '../context/AppContext';
+import { useTheme } from '../context/ThemeContext';
+import { commonStyles } from '../styles/commonStyles';
+import { spacing, componentSizes, responsive } from '../utils/responsiveDimensions';
+import { loadTripTrace } from '../utils/tripRecorder';
+import { REPLAY_EVENTS, buildTripReplay, positionAtTime } from '../utils/tripReplay';
+import { formatDuration } from '../utils/routePlanner';
+import { formatEtaTime } from '../utils/eta';
+
+const { height } = Dimensions.get('window');
+
+// Space kept around the path when fitting the map to it
+const MAP_EDGE_PADDING = { top: 40, right: 40, bottom: 40, left: 40 };
+
+// A full replay plays in about this long, whatever the trip duration
+const PLAYBACK_SECONDS = 30;
+const PLAYBACK_TICK_MS = 100;
+
+const EVENT_LABELS = {
+  [REPLAY_EVENTS.START]: 'Trip started',
+  [REPLAY_EVENTS.PICKUP]: 'Arrived at pickup',
+  [REPLAY_EVENTS.STOP]: 'Stopped',
+  [REPLAY_EVENTS.DROPOFF]: 'Arrived at drop-off',
+};
+
+const TripReplayScreen = ({ route }) => {
+  const { theme } = useTheme();
+  const { getJobTrip } = useApp();
+
+  const job = route?.params?.job ?? null;
+  const trip = getJobTrip(job);
+
+  const [rawTrace, setRawTrace] = useState(null);
+  const [currentTime, setCurrentTime] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isMapReady, setIsMapReady] = useState(false);
+  const mapRef = useRef(null);
+
+  const EVENT_COLORS = {
+    [REPLAY_EVENTS.START]: theme.textSecondary,
+    [REPLAY_EVENTS.PICKUP]: theme.error,
+    [REPLAY_EVENTS.STOP]: theme.warning,
+    [REPLAY_EVENTS.DROPOFF]: theme.success,
+  };
+
+  // Load the stored trace for this trip
+  useEffect(() => {
+    if (!trip?.id) {
+      setRawTrace([]);
+      return;
+    }
+
+    let cancelled = false;
+    loadTripTrace(trip.id)
+      .then(points => { if (!cancelled) setRawTrace(points); })
+      .catch(error => {
+        console.error('Trip trace load error:', error);
+        if (!cancelled) setRawTrace([]);
+      });
+    return () => { cancelled = true; };
+  }, [trip?.id]);
+
+  const replay = useMemo(() => buildTripReplay(rawTrace || [], job), [rawTrace, job]);
+  const hasPath = replay.trace.length >= 2;
+
+  // Start at the beginning once the trace is loaded
+  useEffect(() => {
+    setCurrentTime(replay.startTime);
+    setIsPlaying(false);
+  }, [replay.startTime]);
+
+  // Fit the map to the whole path once ready
+  useEffect(() => {
+    if (!isMapReady || !mapRef.current || !hasPath) return;
+    const coordinates = replay.trace.map(point => ({ latitude: point.latitude, longitude: point.longitude }));
+    mapRef.current.fitToCoordinates(coordinates, { edgePadding: MAP_EDGE_PADDING, animated: false });
+  }, [isMapReady, hasPath, replay]);
+
+  // Advance the replay while playing
+  useEffect(() => {
+    if (!isPlaying || !hasPath) return undefined;
+
+    const step = (replay.endTime - replay.startTime) / ((PLAYBACK_SECONDS * 1000) / PLAYBACK_TICK_MS);
+    const interval = setInterval(() => {
+      setCurrentTime(time => Math.min(replay.endTime, (time ?? replay.startTime) + step));
+    }, PLAYBACK_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, hasPath, replay]);
+
+  // Stop at the end of the trip
+  useEffect(() => {
+    if (isPlaying && currentTime >= replay.endTime) setIsPlaying(false);
+  }, [isPlaying, currentTime, replay.endTime]);
+
+  const position = currentTime !== null ? positionAtTime(replay.trace, currentTime) : null;
+
+  /**
+   * Handle Scrub
+   *
+   * Pauses playback and moves to the time under the finger.
+   *
+   * @param {number} time - Milliseconds
+   */
+  const handleScrub = (time) => {
+    setIsPlaying(false);
+    setCurrentTime(time);
+  };
+
+  /**
+   * Handle Step
+   *
+   * Moves to the previous or next recorded point.
+   *
+   * @param {number} direction - -1 or 1
+   */
+  const handleStep = (direction) => {
+    if (!position) return;
+    setIsPlaying(false);
+
+    const onPoint = replay.trace[position.index]?.time === position.time;
+    const target = direction < 0
+      ? (onPoint ? position.index - 1 : position.index)
+      : position.index + 1;
+    const point = replay.trace[Math.min(replay.trace.length - 1, Math.max(0, target))];
+    setCurrentTime(point.time);
+  };
+
+  /**
+   * Handle Play/Pause
+   *
+   * Plays from the current time, or from the start when at the end.
+   */
+  const handlePlayPause = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    if (currentTime >= replay.endTime) setCurrentTime(replay.startTime);
+    setIsPlaying(true);
+  };
+
+  /**
+   * Handle Event Press
+   *
+   * Jumps to a timeline event and centres the map on it.
+   *
+   * @param {Object} event - Entry from replay.events
+   */
+  const handleEventPress = (event) => {
+    setIsPlaying(false);
+    setCurrentTime(event.time);
+
+    const point = replay.trace[event.index];
+    if (point && mapRef.current) {
+      mapRef.current.animateCamera({ center: { latitude: point.latitude, longitude: point.longitude } }, { duration: 300 });
+    }
+  };
+
+  if (rawTrace === null) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <ActivityIndicator size="large" color={theme.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  if (!hasPath) {
+    return (
+      <SafeAreaView style={[commonStyles.container, styles.centered, { backgroundColor: theme.background }]}>
+        <Ionicons name="map-outline" size={64} color={theme.textSecondary} />
+        <Text style={[styles.emptyTitle, { color: theme.text }]}>No Trip Recorded</Text>
+        <Text style={[styles.emptyMessage, { color: theme.textSecondary }]}>
+          No GPS trace was recorded for this job on this device.
+        </Text>
+      </SafeAreaView>
+    );
+  }
+
+  const elapsedSeconds = position ? Math.round((position.time - replay.startTime) / 1000) : 0;
+
+  return (
+    <SafeAreaView style={[commonStyles.container, { backgroundColor: theme.background }]} edges={['bottom']}>
+      <ScrollView>
+        {/* ================= Map ================= */}
+        <View style={styles.mapContainer}>
+          <MapView
+            ref={mapRef}
+            provider={PROVIDER_GOOGLE}
+            style={styles.map}
+            initialRegion={{
+              latitude: replay.trace[0].latitude,
+              longitude: replay.trace[0].longitude,
+              latitudeDelta: 0.05,
+              longitudeDelta: 0.05,
+            }}
+            onMapReady={() => setIsMapReady(true)}
+            onError={(error) => console.error('MapView error:', error)}
+          >
+            {/* Driven path: dashed while empty, solid while loaded */}
+            {replay.legs.filter(leg => leg.coordinates.length >= 2).map((leg, index) => (
+              <Polyline
+                key={`leg-${index}`}
+                coordinates={leg.coordinates}
+                strokeColor={leg.loaded ? theme.primary : theme.textSecondary}
+                strokeWidth={4}
+                lineDashPattern={leg.loaded ? undefined : [8, 6]}
+              />
+            ))}
+
+            {replay.arrivals.pickup && (
+              <Marker
+                coordinate={replay.arrivals.pickup}
+                title="Arrived at pickup"
+                description={formatEtaTime(replay.arrivals.pickup.time)}
+                pinColor={theme.error}
+              />
+            )}
+
+            {replay.arrivals.dropoff && (
+              <Marker
+                coordinate={replay.arrivals.dropoff}
+                title="Arrived at drop-off"
+                description={formatEtaTime(replay.arrivals.dropoff.time)}
+                pinColor={theme.success}
+              />
+            )}
+
+            {replay.stops.map(stop => (
+              <Marker
+                key={`stop-${stop.startIndex}`}
+                coordinate={{ latitude: stop.latitude, longitude: stop.longitude }}
+                title={`Stopped ${formatDuration(stop.durationSeconds)}`}
+                description={`${formatEtaTime(stop.arrivedAt)} - ${formatEtaTime(stop.departedAt)}`}
+                pinColor={theme.warning}
+              />
+            ))}
+
+            {/* Vehicle position at the scrubbed time */}
+            {position && (
+              <Marker
+                coordinate={{ latitude: position.latitude, longitude: position.longitude }}
+                anchor={{ x: 0.5, y: 0.5 }}
+                tracksViewChanges={false}
+              >
+                <View style={[styles.vehicleMarker, { backgroundColor: theme.primary, borderColor: theme.surface }]}>
+                  <Ionicons name="car" size={14} color={theme.textLight} />
+                </View>
+              </Marker>
+            )}
+          </MapView>
+        </View>
+
+        {/* ================= Scrubber ================= */}
+        <View style={[styles.section, { backgroundColor: theme.surface }]}>
+          <View style={styles.timeRow}>
+            <Text style={[styles.currentTime, { color: theme.text }]}>
+              {position ? formatEtaTime(position.time) : '-'}
+            </Text>
+            <Text style={[styles.timeDetail, { color: theme.textSecondary }]}>
+              {position?.loaded ? 'Loaded' : 'Empty'} · {elapsedSeconds > 0 ? `+${formatDuration(elapsedSeconds)}` : 'Start'}
+            </Text>
+          </View>
+
+          <TimeScrubber
+            min={replay.startTime}
+            max={replay.endTime}
+            value={currentTime ?? replay.startTime}
+            onChange={handleScrub}
+            markers={replay.events.map((event, index) => ({
+              key: `${event.type}-${index}`,
+              time: event.time,
+              color: EVENT_COLORS[event.type],
+            }))}
+          />
+
+          <View style={styles.timeRow}>
+            <Text style={[styles.timeDetail, { color: theme.textSecondary }]}>{formatEtaTime(replay.startTime)}</Text>
+            <Text style={[styles.timeDetail, { color: theme.textSecondary }]}>{formatEtaTime(replay.endTime)}</Text>
+          </View>
+
+          <View style={styles.controls}>
+            <TouchableOpacity style={styles.controlButton} onPress={() => handleStep(-1)} accessibilityLabel="Previous point">
+              <Ionicons name="play-skip-back" size={22} color={theme.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.playButton, { backgroundColor: theme.primary }]}
+              onPress={handlePlayPause}
+              accessibilityLabel={isPlaying ? 'Pause' : 'Play'}
+            >
+              <Ionicons name={isPlaying ? 'pause' : 'play'} size={24} color={theme.textLight} />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.controlButton} onPress={() => handleStep(1)} accessibilityLabel="Next point">
+              <Ionicons name="play-skip-forward" size={22} color={theme.primary} />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* ================= Timeline ================= */}
+        <View style={[styles.section, { backgroundColor: theme.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.primary }]}>Timeline</Text>
+          {replay.events.map((event, index) => (
+            <TouchableOpacity
+              key={`${event.type}-${index}`}
+              style={[styles.eventRow, { borderBottomColor: theme.border }]}
+              onPress={() => handleEventPress(event)}
+            >
+              <View style={[styles.eventDot, { backgroundColor: EVENT_COLORS[event.type] }]} />
+              <Text style={[styles.eventLabel, { color: theme.text }]}>
+                {EVENT_LABELS[event.type]}
+                {event.stop ? ` ${formatDuration(event.stop.durationSeconds)}` : ''}
+              </Text>
+              <Text style={[styles.eventTime, { color: theme.textSecondary }]}>{formatEtaTime(event.time)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.lg,
+  },
+
+  emptyTitle: {
+    fontSize: responsive(18, 20, 16),
+    fontWeight: '600',
+    marginTop: spacing.md,
+  },
+
+  emptyMessage: {
+    fontSize: responsive(14, 16, 12),
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
+
+  mapContainer: {
+    height: responsive(height * 0.45, height * 0.5, height * 0.4),
+  },
+
+  map: {
+    width: '100%',
+    height: '100%',
+  },
+
+  vehicleMarker: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  section: {
+    borderRadius: componentSizes.cardBorderRadius,
+    padding: spacing.md,
+    marginHorizontal: spacing.md,
+    marginTop: spacing.md,
+  },
+
+  sectionTitle: {
+    fontSize: responsive(16, 18, 14),
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  currentTime: {
+    fontSize: responsive(20, 22, 18),
+    fontWeight: '600',
+  },
+
+  timeDetail: {
+    fontSize: responsive(12, 14, 11),
+  },
+
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: spacing.lg,
+    marginTop: spacing.sm,
+  },
+
+  controlButton: {
+    padding: spacing.sm,
+  },
+
+  playButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+
+  eventDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: spacing.sm,
+  },
+
+  eventLabel: {
+    flex: 1,
+    fontSize: responsive(14, 16, 12),
+  },
+
+  eventTime: {
+    fontSize: responsive(13, 14, 12),
+  },
+});
+
+export default TripReplayScreen;
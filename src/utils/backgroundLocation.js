@@ -0,0 +1,305 @@
+/**
+ * backgroundLocation.js - Background Location Task
+ *
+ * Keeps publishing the driver's position while the app is in the background
+ * (e.g. the driver switched to a navigation app) using an expo-task-manager
+ * task fed by Location.startLocationUpdatesAsync.
+ *
+ * On Android the task runs as a foreground service with a persistent
+ * notification; on iOS it uses the "location" background mode.
+ *
+ * The task must be defined at module scope before the app registers its root
+ * component, so index.js imports this file first. AppContext starts and stops
+ * the task and subscribes with onBackgroundLocation() to mirror fixes into
+ * currentLocation while the UI is running. When the sampling mode changes
+ * (utils/locationSampling) it calls startBackgroundLocation() again, which
+ * restarts the running task with the new options.
+ *
+ * Fixes from both the task and the foreground watcher go through
+ * publishLocation(), which buffers them (utils/locationBuffer) and uploads in
+ * batches while online, and adds them to the trip log (utils/tripRecorder).
+ *
+ * @author Driver App Team
+ * @version 1.0.0
+ */
+
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Network from 'expo-network';
+import { locationService } from '../api';
+import sessionIdentity from '../api/session';
+import { colors } from '../styles/commonStyles';
+import { ERROR_CATEGORIES } from './errorLogger';
+import { bufferLocation, flushLocationBuffer, shouldFlushLocations } from './locationBuffer';
+import { recordTripPoint } from './tripRecorder';
+import { isRetryableFailure } from './outbox';
+import { SAMPLING_MODES, getSamplingOptions } from './locationSampling';
+
+export const BACKGROUND_LOCATION_TASK = 'driver-background-location';
+
+const locationListeners = new Set();
+
+// Sampling options the running task was last started with
+let activeOptionsKey = null;
+
+/**
+ * Subscribe to fixes delivered by the background task
+ *
+ * @param {Function} listener - Called with { latitude, longitude, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+export const onBackgroundLocation = (listener) => {
+  locationListeners.add(listener);
+  return () => locationListeners.delete(listener);
+};
+
+/**
+ * Check whether the device can reach the internet
+ *
+ * @returns {Promise<boolean>} True when online
+ */
+const isNetworkReachable = async () => {
+  try {
+    const network = await Network.getNetworkStateAsync();
+    return !!network.isConnected && network.isInternetReachable !== false;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Send a batch of buffered points
+ *
+ * Falls back to one request per point when the backend has no batch
+ * endpoint yet (404 / HTML response). The fallback reports which points were
+ * settled (settled.sent / settled.dropped ids) so the buffer removes accepted
+ * points even when a later point fails, and a point the server rejects does
+ * not take the rest of the batch with it.
+ *
+ * @param {number} driverId - Driver the points belong to
+ * @param {Array} points - Buffered points, oldest first
+ * @returns {Promise<Object>} API result ({ success, message, error, settled? })
+ */
+const sendLocationBatch = async (driverId, points) => {
+  const response = await locationService.updateLocationBatch(driverId, points);
+  const batchUnsupported = response.error === 'HTML_RESPONSE' || response.error?.status === 404;
+  if (response.success || !batchUnsupported) {
+    return response;
+  }
+
+  const settled = { sent: [], dropped: [] };
+
+  for (const point of points) {
+    let single;
+    try {
+      single = await locationService.updateLocation(driverId, point.latitude, point.longitude, point.timestamp);
+    } catch (error) {
+      // updateLocation throws; only errors without a server response mean offline.
+      // Anything the server answered (e.g. 422 for an invalid point) is a rejection.
+      const isRejected = !!error.response || error.category === ERROR_CATEGORIES.VALIDATION;
+      single = {
+        success: false,
+        message: error.message,
+        error: {
+          category: isRejected ? ERROR_CATEGORIES.API : ERROR_CATEGORIES.NETWORK,
+          status: error.response?.status,
+        },
+      };
+    }
+
+    if (single.success) {
+      settled.sent.push(point.id);
+    } else if (isRetryableFailure(single)) {
+      // Offline or server unavailable - this and later points stay buffered
+      return { ...single, settled };
+    } else {
+      console.error('Location point rejected, dropping it:', single.message);
+      settled.dropped.push(point.id);
+    }
+  }
+
+  return { success: true, message: 'Locations sent individually', data: null, settled };
+};
+
+/**
+ * Upload the driver's buffered points now
+ *
+ * @param {number} driverId - Signed-in driver
+ * @returns {Promise<Object>} { sent, dropped, remaining }
+ */
+export const flushLocations = async (driverId) => {
+  const result = await flushLocationBuffer(driverId, points => sendLocationBatch(driverId, points));
+  if (result.sent > 0) {
+    console.log(`Uploaded ${result.sent} buffered location(s), ${result.remaining} remaining`);
+  }
+  return result;
+};
+
+/**
+ * Buffer a fix and upload buffered points when a batch is due
+ *
+ * The task can run without the UI (app killed on Android), so the driver
+ * identity is resolved from storage when it is not in memory.
+ *
+ * @param {Object} fix - { latitude, longitude, timestamp }
+ * @param {Object} [options] - Publish options
+ * @param {boolean} [options.isOnline] - Known connectivity (checked with expo-network when omitted)
+ * @returns {Promise<void>}
+ */
+export const publishLocation = async (fix, { isOnline } = {}) => {
+  const driverId = sessionIdentity.getDriverId() || await sessionIdentity.resolve();
+  if (!driverId) {
+    console.warn('Location: no driver session, skipping fix');
+    return;
+  }
+
+  const bufferedCount = await bufferLocation({ driverId, ...fix });
+
+  try {
+    await recordTripPoint(driverId, fix);
+  } catch (error) {
+    console.error('Trip log error:', error.message);
+  }
+
+  // Offline fixes stay buffered and are backfilled on reconnect
+  const online = isOnline ?? await isNetworkReachable();
+  if (online && shouldFlushLocations(bufferedCount)) {
+    await flushLocations(driverId);
+  }
+};
+
+/**
+ * Task definition - receives batches of locations from the OS
+ */
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location task error:', error.message);
+    return;
+  }
+
+  const locations = data?.locations || [];
+  if (locations.length === 0) return;
+
+  // The OS may deliver a backlog - buffer every point with its own timestamp
+  const fixes = locations.map(location => ({
+    latitude: location.coords.latitude,
+    longitude: location.coords.longitude,
+    timestamp: new Date(location.timestamp || Date.now()).toISOString(),
+  }));
+
+  const latest = fixes[fixes.length - 1];
+  locationListeners.forEach((listener) => {
+    try {
+      listener(latest);
+    } catch (listenerError) {
+      console.error('Background location listener error:', listenerError);
+    }
+  });
+
+  for (const fix of fixes) {
+    try {
+      await publishLocation(fix);
+    } catch (publishError) {
+      console.error('Background location publish error:', publishError.message);
+    }
+  }
+});
+
+/**
+ * Check whether the background task is running
+ *
+ * @returns {Promise<boolean>} True when location updates are active
+ */
+export const isBackgroundLocationRunning = async () => {
+  try {
+    return await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  } catch (error) {
+    console.error('Error checking background location task:', error);
+    return false;
+  }
+};
+
+/**
+ * Get a location permission, asking only when allowed to
+ *
+ * Checks the current status first so a driver who declined is not asked again
+ * every time tracking starts on its own. Without prompt the OS dialog is never
+ * shown; with prompt (an explicit driver action such as accepting a job) it is
+ * shown while the OS still lets the app ask.
+ *
+ * @param {'foreground'|'background'} kind - Which permission
+ * @param {Object} [options]
+ * @param {boolean} [options.prompt=false] - Whether the OS dialog may be shown
+ * @returns {Promise<string>} Permission status ('granted', 'denied' or 'undetermined')
+ */
+export const getLocationPermission = async (kind, { prompt = false } = {}) => {
+  const background = kind === 'background';
+  const current = background
+    ? await Location.getBackgroundPermissionsAsync()
+    : await Location.getForegroundPermissionsAsync();
+
+  if (current.status === 'granted' || !prompt || !current.canAskAgain) {
+    return current.status;
+  }
+
+  const requested = background
+    ? await Location.requestBackgroundPermissionsAsync()
+    : await Location.requestForegroundPermissionsAsync();
+  return requested.status;
+};
+
+/**
+ * Start background location updates
+ *
+ * Requires foreground and background ("Allow all the time") permission.
+ * Calling it while the task runs with different options restarts the task
+ * with the new ones.
+ *
+ * @param {Object} [options] - { accuracy, timeInterval, distanceInterval } from getSamplingOptions
+ * @returns {Promise<boolean>} Whether the task is running
+ */
+export const startBackgroundLocation = async (options = getSamplingOptions(SAMPLING_MODES.MOVING)) => {
+  try {
+    const optionsKey = JSON.stringify(options);
+    if (optionsKey === activeOptionsKey && await isBackgroundLocationRunning()) {
+      return true;
+    }
+
+    await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, {
+      ...options,
+      activityType: Location.ActivityType.AutomotiveNavigation,
+      pausesUpdatesAutomatically: false,
+      showsBackgroundLocationIndicator: true,
+      // Android: persistent notification keeps the service alive
+      foregroundService: {
+        notificationTitle: 'Delivery in progress',
+        notificationBody: 'Sharing your location with dispatch while you have an active job.',
+        notificationColor: colors.themeColor,
+      },
+    });
+
+    activeOptionsKey = optionsKey;
+    console.log('Background location task started');
+    return true;
+  } catch (error) {
+    console.error('Failed to start background location:', error);
+    return false;
+  }
+};
+
+/**
+ * Stop background location updates
+ *
+ * @returns {Promise<void>}
+ */
+export const stopBackgroundLocation = async () => {
+  try {
+    if (await isBackgroundLocationRunning()) {
+      await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+      activeOptionsKey = null;
+      console.log('Background location task stopped');
+    }
+  } catch (error) {
+    console.error('Failed to stop background location:', error);
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * cache.js - Stale-While-Revalidate Data Cache
+ *
+ * Persists the last successful API payload for screens that must work in
+ * poor coverage (dashboard, current jobs, rides, documents). AppContext
+ * loaders show the cached copy immediately, then revalidate in the background
+ * once the copy is older than the resource TTL.
+ *
+ * Entries are stored with persistence.js and tagged with the driver ID so one
+ * driver never sees another driver's cached jobs.
+ */
+
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { JOB_STATUS } from './constants';
+
+/**
+ * Freshness per resource (milliseconds)
+ *
+ * Within the TTL the cached copy is used as-is; after it a background
+ * revalidation is triggered. Cached data is still shown while revalidating.
+ */
+export const CACHE_TTL = {
+  dashboard: 2 * 60 * 1000,              // Counts and new jobs change often
+  currentJobs: 60 * 1000,                // Active jobs - revalidate quickly
+  rides: 10 * 60 * 1000,                 // Ride history changes slowly
+  documents: 60 * 60 * 1000,             // Documents rarely change
+};
+
+// Entries older than this are discarded instead of shown
+export const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Ride tabs cached separately (see rideCacheKey)
+const RIDE_STATUSES = [JOB_STATUS.ACCEPTED, JOB_STATUS.PICKEDUP, JOB_STATUS.DELIVERED, JOB_STATUS.CANCELLED];
+
+/**
+ * Storage key for one ride status tab
+ *
+ * @param {string} status - Ride status (UI format)
+ * @returns {string} Storage key
+ */
+export const rideCacheKey = (status) => `${STORAGE_KEYS.RIDES}:${status}`;
+
+/**
+ * Read a cached payload
+ *
+ * @param {string} key - Storage key
+ * @param {number} driverId - Driver the data must belong to
+ * @returns {Promise<Object|null>} { data, updatedAt } or null if missing, foreign or expired
+ */
+export const readCache = async (key, driverId) => {
+  const entry = await loadState(key, null);
+
+  if (!entry || entry.driverId !== driverId || !entry.updatedAt) {
+    return null;
+  }
+
+  if (Date.now() - entry.updatedAt > CACHE_MAX_AGE) {
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store a payload
+ *
+ * @param {string} key - Storage key
+ * @param {number} driverId - Driver the data belongs to
+ * @param {*} data - Payload to cache
+ * @returns {Promise<Object>} Stored entry { driverId, data, updatedAt }
+ */
+export const writeCache = async (key, driverId, data) => {
+  const entry = { driverId, data, updatedAt: Date.now() };
+  await persistState(key, entry);
+  return entry;
+};
+
+/**
+ * Check whether a cached entry is still within its TTL
+ *
+ * @param {Object|null} entry - Cache entry
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {boolean} True when no revalidation is needed
+ */
+export const isCacheFresh = (entry, ttl) => {
+  return !!entry && Date.now() - entry.updatedAt < ttl;
+};
+
+/**
+ * Remove all cached payloads (on logout)
+ *
+ * @returns {Promise<void>}
+ */
+export const clearCache = async () => {
+  const keys = [
+    STORAGE_KEYS.DASHBOARD,
+    STORAGE_KEYS.CURRENT_JOBS,
+    STORAGE_KEYS.DOCUMENTS,
+    STORAGE_KEYS.FOCUSED_JOB,
+    ...RIDE_STATUSES.map(rideCacheKey),
+  ];
+
+  await Promise.all(keys.map(key => persistState(key, null)));
+};
@@ -68,6 +68,7 @@ export const JOB_STATUS = {
   PICKEDUP: 'pickedup',                       // Package/cargo has been picked up
   DELIVERED: 'delivered',                     // Job completed successfully
   CANCELLED: 'cancelled',                     // Job was cancelled or rejected
+  EXCEPTION: 'exception',                     // Delivery attempted but could not be completed
 };
 
 /**
@@ -82,6 +83,91 @@ export const JOB_TYPES = {
   EXPRESS: 'Express',                         // Time-sensitive urgent deliveries
 };
 
+/**
+ * Job Cancellation Reasons
+ * 
+ * Reason codes sent with jobService.cancelJob/rejectJob.
+ * rejectOnly/cancelOnly limit a reason to declining a new job or cancelling an active one.
+ */
+export const CANCELLATION_REASONS = [
+  { code: 'customer_not_available', label: 'Customer not available', cancelOnly: true },
+  { code: 'vehicle_issue', label: 'Vehicle issue' },
+  { code: 'address_wrong', label: 'Address wrong or incomplete' },
+  { code: 'shipment_not_ready', label: 'Shipment not ready', cancelOnly: true },
+  { code: 'shipment_damaged', label: 'Shipment damaged', cancelOnly: true },
+  { code: 'too_far', label: 'Too far away', rejectOnly: true },
+  { code: 'schedule_conflict', label: 'Schedule conflict' },
+  { code: 'unsafe_location', label: 'Unsafe location' },
+  { code: 'other', label: 'Other' },
+];
+
+/**
+ * Delivery Exception Reasons
+ * 
+ * Reason codes sent with jobService.reportException when a driver arrives but
+ * cannot deliver.
+ */
+export const DELIVERY_EXCEPTION_REASONS = [
+  { code: 'no_one_home', label: 'No one home' },
+  { code: 'refused', label: 'Refused by recipient' },
+  { code: 'damaged', label: 'Shipment damaged' },
+  { code: 'access_issue', label: 'Access issue (gate, buzzer, security)' },
+  { code: 'other', label: 'Other' },
+];
+
+/**
+ * Reattempt Windows
+ * 
+ * Time windows (local hours) a driver can offer for a delivery reattempt.
+ */
+export const REATTEMPT_WINDOWS = [
+  { id: 'morning', label: 'Morning (8 AM - 12 PM)', startHour: 8, endHour: 12 },
+  { id: 'afternoon', label: 'Afternoon (12 PM - 5 PM)', startHour: 12, endHour: 17 },
+  { id: 'evening', label: 'Evening (5 PM - 9 PM)', startHour: 17, endHour: 21 },
+];
+
+/**
+ * Geofence Settings
+ * 
+ * Radius (metres) around pickups and drop-offs used for automatic arrival and
+ * departure detection (utils/geofence). A job can override the radius with a
+ * geofence_radius field from dispatch. A stop is left once the driver is
+ * EXIT_BUFFER_M beyond the radius, so GPS jitter at the edge does not flap.
+ */
+export const GEOFENCE_CONFIG = {
+  PICKUP_RADIUS_M: 150,                       // Depots and warehouses have large yards
+  DROPOFF_RADIUS_M: 100,
+  EXIT_BUFFER_M: 50,
+};
+
+/**
+ * Trip Replay Settings
+ * 
+ * A stop on a recorded trip (utils/tripReplay) is time spent within
+ * STOP_RADIUS_M of one spot for at least STOP_MIN_MINUTES.
+ */
+export const TRIP_REPLAY_CONFIG = {
+  STOP_MIN_MINUTES: 5,
+  STOP_RADIUS_M: 60,
+};
+
+/**
+ * Location Sampling Settings
+ * 
+ * Thresholds for the adaptive location sampling policy (utils/locationSampling).
+ * The vehicle is stationary once it has stayed within STATIONARY_RADIUS_M for
+ * STATIONARY_AFTER_SECONDS. Sampling is raised within NEAR_STOP_DISTANCE_M of
+ * a pickup/drop-off geofence and drops back once the driver is
+ * NEAR_STOP_EXIT_BUFFER_M further out, so the mode does not flap at the edge.
+ */
+export const LOCATION_SAMPLING_CONFIG = {
+  STATIONARY_RADIUS_M: 40,
+  STATIONARY_AFTER_SECONDS: 180,
+  NEAR_STOP_DISTANCE_M: 800,
+  NEAR_STOP_EXIT_BUFFER_M: 200,
+  LOW_BATTERY_LEVEL: 0.2,                     // 0-1, ignored while charging
+};
+
 /**
  * Notification Type Categories
  * 
@@ -109,5 +195,11 @@ export default {
   SCREEN_NAMES,
   JOB_STATUS,
   JOB_TYPES,
+  CANCELLATION_REASONS,
+  DELIVERY_EXCEPTION_REASONS,
+  REATTEMPT_WINDOWS,
+  GEOFENCE_CONFIG,
+  TRIP_REPLAY_CONFIG,
+  LOCATION_SAMPLING_CONFIG,
   NOTIFICATION_TYPES,
 };
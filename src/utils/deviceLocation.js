@@ -0,0 +1,39 @@
+/**
+ * deviceLocation.js - One-off Device Position
+ *
+ * Best-effort GPS position for evidence attached to job actions (proof of
+ * delivery, delivery exceptions). Never prompts for permission and never
+ * throws: a fresh fix is tried first, then the last known position, then the
+ * position last tracked by AppContext.
+ */
+
+import * as Location from 'expo-location';
+
+// How long to wait for a fresh GPS fix before using the last known position
+const LOCATION_TIMEOUT_MS = 10000;
+
+/**
+ * Get the device position, best effort
+ *
+ * @param {Object|null} fallback - Last tracked location { latitude, longitude }
+ * @returns {Promise<Object|null>} { latitude, longitude } or null when unavailable
+ */
+export const getBestEffortLocation = async (fallback) => {
+  try {
+    const { status } = await Location.getForegroundPermissionsAsync();
+    if (status === 'granted') {
+      const position = await Promise.race([
+        Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High }),
+        new Promise(resolve => setTimeout(() => resolve(null), LOCATION_TIMEOUT_MS)),
+      ]) || await Location.getLastKnownPositionAsync();
+
+      if (position) {
+        return { latitude: position.coords.latitude, longitude: position.coords.longitude };
+      }
+    }
+  } catch (error) {
+    console.error('Failed to get device location:', error);
+  }
+
+  return fallback ? { latitude: fallback.latitude, longitude: fallback.longitude } : null;
+};
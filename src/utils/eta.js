@@ -0,0 +1,240 @@
+/**
+ * eta.js - Live ETAs and Lateness for Active Jobs
+ *
+ * Estimates when the driver will reach the next stop of each active job and
+ * whether that misses the job's scheduled window. Arrival times follow the
+ * suggested route (utils/routePlanner): every stop before a job's next stop
+ * adds its drive time and a fixed service time. Drive time uses the driver's
+ * own average speed over the recent location history when there is enough
+ * movement to measure it, and AVERAGE_SPEED_KMH otherwise.
+ *
+ * A job is late when its estimated arrival (or, without an estimate, the
+ * current time) is past the end of its window plus LATE_GRACE_MS. Jobs
+ * without a scheduled window are never late.
+ */
+
+import { JOB_STATUS } from './constants';
+import { normalizeJobStatus } from './jobLifecycle';
+import {
+  STOP_TYPES,
+  AVERAGE_SPEED_KMH,
+  distanceBetween,
+  estimateDriveSeconds,
+} from './routePlanner';
+
+// Time spent at a stop before driving on (loading, signatures, photos)
+const STOP_SERVICE_SECONDS = {
+  [STOP_TYPES.PICKUP]: 10 * 60,
+  [STOP_TYPES.DROPOFF]: 5 * 60,
+};
+
+// Arriving this long after the window closes still counts as on time
+export const LATE_GRACE_MS = 5 * 60 * 1000;
+
+// Location history kept for the speed estimate
+const SPEED_WINDOW_MS = 20 * 60 * 1000;
+const MAX_HISTORY_FIXES = 240;
+
+// Segments slower than this are treated as stopped (traffic lights, stops) and ignored
+const MIN_MOVING_SPEED_MPS = 1.5;
+
+// Moving time needed before the measured speed replaces the default
+const MIN_MOVING_SECONDS = 120;
+
+// Bounds on the measured speed so GPS jumps or a crawl do not skew ETAs
+const MIN_SPEED_KMH = 15;
+const MAX_SPEED_KMH = 90;
+
+// Scheduled window fields per stop, first match wins; single-time fields are a deadline
+const WINDOW_FIELDS = {
+  [STOP_TYPES.PICKUP]: [
+    ['pickup_window_start', 'pickup_window_end'],
+    [null, 'scheduled_pickup_at'],
+    [null, 'pickup_by'],
+  ],
+  [STOP_TYPES.DROPOFF]: [
+    ['delivery_window_start', 'delivery_window_end'],
+    ['dropoff_window_start', 'dropoff_window_end'],
+    [null, 'scheduled_delivery_at'],
+    [null, 'deliver_by'],
+  ],
+};
+
+/**
+ * Parse a date field into epoch milliseconds
+ *
+ * @param {string|number} value - ISO string or timestamp
+ * @returns {number|null} Milliseconds, or null when missing or invalid
+ */
+const toMillis = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const millis = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(millis) ? millis : null;
+};
+
+/**
+ * Read a field from the job or its booking details
+ *
+ * @param {Object} job - Job
+ * @param {string} field - Field name
+ * @returns {*} Value or undefined
+ */
+const readJobField = (job, field) => job?.[field] ?? job?.booking_details?.[field];
+
+/**
+ * Get the stop a job is heading to next
+ *
+ * @param {Object} job - Job
+ * @returns {string|null} STOP_TYPES value, or null once the job is finished
+ */
+export const getNextStopType = (job) => {
+  const status = normalizeJobStatus(job?.status);
+  if (status === JOB_STATUS.ACCEPTED) return STOP_TYPES.PICKUP;
+  if ([JOB_STATUS.PICKEDUP, JOB_STATUS.EXCEPTION].includes(status)) return STOP_TYPES.DROPOFF;
+  return null;
+};
+
+/**
+ * Get a job's scheduled window for a stop
+ *
+ * Jobs with a delivery exception are measured against their reattempt window.
+ *
+ * @param {Object} job - Job
+ * @param {string} stopType - STOP_TYPES value
+ * @returns {Object|null} { start, end } in milliseconds (start may be null), or null without a schedule
+ */
+export const getScheduledWindow = (job, stopType) => {
+  const fields = [...(WINDOW_FIELDS[stopType] || [])];
+  if (stopType === STOP_TYPES.DROPOFF && normalizeJobStatus(job?.status) === JOB_STATUS.EXCEPTION) {
+    fields.unshift(['reattempt_window_start', 'reattempt_window_end']);
+  }
+
+  for (const [startField, endField] of fields) {
+    const end = toMillis(readJobField(job, endField));
+    if (end !== null) {
+      return { start: startField ? toMillis(readJobField(job, startField)) : null, end };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a time misses a job's window for a stop
+ *
+ * @param {Object} job - Job
+ * @param {string} stopType - STOP_TYPES value
+ * @param {number} [at] - Time in milliseconds (defaults to now)
+ * @returns {boolean} True when past the window end plus LATE_GRACE_MS
+ */
+export const isPastWindow = (job, stopType, at = Date.now()) => {
+  const window = getScheduledWindow(job, stopType);
+  return Boolean(window) && at > window.end + LATE_GRACE_MS;
+};
+
+/**
+ * Add a location fix to the recent history
+ *
+ * @param {Array<Object>} history - Fixes, oldest first
+ * @param {Object} fix - { latitude, longitude, timestamp }
+ * @returns {Array<Object>} New history trimmed to SPEED_WINDOW_MS
+ */
+export const appendLocationHistory = (history = [], fix) => {
+  const time = toMillis(fix?.timestamp);
+  if (time === null || !Number.isFinite(fix.latitude) || !Number.isFinite(fix.longitude)) return history;
+
+  const last = history[history.length - 1];
+  if (last && time <= last.time) return history;
+
+  const next = [...history, { latitude: fix.latitude, longitude: fix.longitude, time }]
+    .filter(item => time - item.time <= SPEED_WINDOW_MS);
+  return next.length > MAX_HISTORY_FIXES ? next.slice(next.length - MAX_HISTORY_FIXES) : next;
+};
+
+/**
+ * Measure the driver's average moving speed from the location history
+ *
+ * @param {Array<Object>} history - From appendLocationHistory
+ * @returns {number|null} km/h within MIN_SPEED_KMH..MAX_SPEED_KMH, or null when there is too little movement
+ */
+export const estimateAverageSpeedKmh = (history = []) => {
+  let movingMeters = 0;
+  let movingSeconds = 0;
+
+  for (let i = 1; i < history.length; i += 1) {
+    const seconds = (history[i].time - history[i - 1].time) / 1000;
+    if (seconds <= 0) continue;
+
+    const meters = distanceBetween(history[i - 1], history[i]);
+    if (meters / seconds < MIN_MOVING_SPEED_MPS) continue;
+
+    movingMeters += meters;
+    movingSeconds += seconds;
+  }
+
+  if (movingSeconds < MIN_MOVING_SECONDS) return null;
+
+  const kmh = (movingMeters / movingSeconds) * 3.6;
+  return Math.min(MAX_SPEED_KMH, Math.max(MIN_SPEED_KMH, kmh));
+};
+
+/**
+ * Estimate arrival at the next stop of each active job
+ *
+ * @param {Object} params
+ * @param {Object} params.routePlan - From planRoute
+ * @param {Array<Object>} params.jobs - Active jobs
+ * @param {Object} [params.origin] - Driver location { latitude, longitude }; without it there are no estimates
+ * @param {number} [params.speedKmh] - Average speed (defaults to AVERAGE_SPEED_KMH)
+ * @param {number} [params.now] - Current time in milliseconds
+ * @returns {Object} { [jobId]: { stopType, eta, windowStart, windowEnd, isLate, lateByMinutes } }
+ */
+export const computeJobEtas = ({ routePlan, jobs = [], origin, speedKmh, now = Date.now() }) => {
+  const arrivals = {};
+
+  if (origin && routePlan?.stops) {
+    let position = origin;
+    let elapsedSeconds = 0;
+
+    routePlan.stops.forEach(stop => {
+      elapsedSeconds += estimateDriveSeconds(distanceBetween(position, stop.coordinate), speedKmh || AVERAGE_SPEED_KMH);
+      const key = `${stop.jobId}:${stop.type}`;
+      if (!arrivals[key]) arrivals[key] = now + elapsedSeconds * 1000;
+
+      elapsedSeconds += STOP_SERVICE_SECONDS[stop.type] || 0;
+      position = stop.coordinate;
+    });
+  }
+
+  return jobs.reduce((etas, job) => {
+    const stopType = getNextStopType(job);
+    if (!stopType) return etas;
+
+    const eta = arrivals[`${job.id}:${stopType}`] ?? null;
+    const window = getScheduledWindow(job, stopType);
+    const reference = eta ?? now;
+    const isLate = Boolean(window) && reference > window.end + LATE_GRACE_MS;
+
+    etas[job.id] = {
+      stopType,
+      eta,
+      windowStart: window?.start ?? null,
+      windowEnd: window?.end ?? null,
+      isLate,
+      lateByMinutes: isLate ? Math.ceil((reference - window.end) / 60000) : 0,
+    };
+    return etas;
+  }, {});
+};
+
+/**
+ * Format an ETA as a clock time
+ *
+ * @param {number} millis - Time in milliseconds
+ * @returns {string} e.g. "3:45 PM", or '' without a time
+ */
+export const formatEtaTime = (millis) => (
+  Number.isFinite(millis)
+    ? new Date(millis).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+    : ''
+);
@@ -0,0 +1,206 @@
+/**
+ * geocoding.js - Address Geocoding with a Local Cache
+ *
+ * Resolves pickup/drop-off address text into coordinates for jobs the API
+ * sends without them, so maps and the route planner still work. Each address
+ * is looked up once: results (including "not found") are kept in memory and
+ * persisted with persistence.js so later launches reuse them.
+ *
+ * The lookup itself is a pluggable provider. The default uses the device
+ * geocoder (expo-location); setGeocodingProvider() swaps in another one, e.g.
+ * a stub returning fixed coordinates in tests.
+ *
+ * Geocoded coordinates are attached to jobs as job.geocoded = { pickup, dropoff },
+ * which utils/routePlanner reads after any coordinates from the API.
+ */
+
+import * as Location from 'expo-location';
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { STOP_TYPES, getJobCoordinate } from './routePlanner';
+
+// Upper bound on stored addresses; least recently used entries are dropped first
+export const MAX_GEOCODE_ENTRIES = 500;
+
+// Addresses the provider could not find are retried after this long
+export const GEOCODE_NOT_FOUND_RETRY_MS = 24 * 60 * 60 * 1000;
+
+// Batch cache writes when several addresses resolve together
+const PERSIST_DELAY_MS = 500;
+
+/**
+ * Default provider: the platform geocoder through expo-location
+ *
+ * @param {string} address - Address text
+ * @returns {Promise<Object|null>} { latitude, longitude } or null when not found
+ */
+export const expoGeocodingProvider = async (address) => {
+  const results = await Location.geocodeAsync(address);
+  const first = results?.[0];
+  return first ? { latitude: first.latitude, longitude: first.longitude } : null;
+};
+
+let provider = expoGeocodingProvider;
+let cache = null;              // Map of address key → { coordinate, resolvedAt, usedAt }
+let cacheLoading = null;
+let persistTimer = null;
+const inFlight = new Map();    // Address key → pending lookup
+
+/**
+ * Replace the geocoding provider
+ *
+ * @param {Function} nextProvider - async (address) => { latitude, longitude } | null; throws on transient failures
+ */
+export const setGeocodingProvider = (nextProvider) => {
+  provider = nextProvider || expoGeocodingProvider;
+};
+
+/**
+ * Normalize address text into a cache key
+ *
+ * @param {string} address - Address text
+ * @returns {string} Lower-cased key without repeated whitespace, or '' when unusable
+ */
+const toAddressKey = (address) => (
+  typeof address === 'string' ? address.trim().replace(/\s+/g, ' ').toLowerCase() : ''
+);
+
+/**
+ * Load the persisted cache once
+ *
+ * @returns {Promise<Map>} Cache
+ */
+const loadGeocodeCache = async () => {
+  if (cache) return cache;
+
+  if (!cacheLoading) {
+    cacheLoading = loadState(STORAGE_KEYS.GEOCODE_CACHE, {}).then(stored => {
+      cache = new Map(Object.entries(stored && typeof stored === 'object' ? stored : {}));
+      cacheLoading = null;
+      return cache;
+    });
+  }
+
+  return cacheLoading;
+};
+
+/**
+ * Persist the cache shortly, trimming least recently used entries
+ */
+const schedulePersist = () => {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    if (!cache) return;
+
+    if (cache.size > MAX_GEOCODE_ENTRIES) {
+      const oldest = [...cache.entries()]
+        .sort(([, a], [, b]) => a.usedAt - b.usedAt)
+        .slice(0, cache.size - MAX_GEOCODE_ENTRIES);
+      oldest.forEach(([key]) => cache.delete(key));
+    }
+
+    persistState(STORAGE_KEYS.GEOCODE_CACHE, Object.fromEntries(cache));
+  }, PERSIST_DELAY_MS);
+};
+
+/**
+ * Resolve an address to coordinates
+ *
+ * Cached results are returned without calling the provider. Provider errors
+ * (e.g. offline) are not cached so the address is retried next time.
+ *
+ * @param {string} address - Address text
+ * @returns {Promise<Object|null>} { latitude, longitude } or null when unknown
+ */
+export const geocodeAddress = async (address) => {
+  const key = toAddressKey(address);
+  if (!key || key === 'n/a') return null;
+
+  const store = await loadGeocodeCache();
+  const entry = store.get(key);
+  const now = Date.now();
+
+  if (entry && (entry.coordinate || now - entry.resolvedAt < GEOCODE_NOT_FOUND_RETRY_MS)) {
+    entry.usedAt = now;
+    return entry.coordinate;
+  }
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const lookup = (async () => {
+    try {
+      const result = await provider(address.trim());
+      const latitude = parseFloat(result?.latitude);
+      const longitude = parseFloat(result?.longitude);
+      const coordinate = Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+
+      store.set(key, { coordinate, resolvedAt: Date.now(), usedAt: Date.now() });
+      schedulePersist();
+      return coordinate;
+    } catch (error) {
+      console.error('Geocoding failed:', error?.message || error);
+      return null;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, lookup);
+  return lookup;
+};
+
+/**
+ * Attach geocoded pickup/drop-off coordinates to a job
+ *
+ * Only addresses without API coordinates are looked up. The job is returned
+ * unchanged when nothing new was resolved.
+ *
+ * @param {Object} job - Job
+ * @returns {Promise<Object>} Job, with job.geocoded = { pickup, dropoff } when resolved
+ */
+export const geocodeJob = async (job) => {
+  if (!job) return job;
+
+  const addressFor = (type) => (type === STOP_TYPES.PICKUP
+    ? job.from_address_text || job.pickupLocation || job.from_address
+    : job.to_address_text || job.dropoffLocation || job.to_address);
+
+  const [pickup, dropoff] = await Promise.all([STOP_TYPES.PICKUP, STOP_TYPES.DROPOFF].map(type => (
+    getJobCoordinate(job, type) ? null : geocodeAddress(addressFor(type))
+  )));
+
+  if (!pickup && !dropoff) return job;
+
+  return {
+    ...job,
+    geocoded: {
+      ...job.geocoded,
+      ...(pickup ? { [STOP_TYPES.PICKUP]: pickup } : {}),
+      ...(dropoff ? { [STOP_TYPES.DROPOFF]: dropoff } : {}),
+    },
+  };
+};
+
+/**
+ * Geocode a list of jobs
+ *
+ * @param {Array<Object>} jobs - Jobs
+ * @returns {Promise<Array<Object>>} Jobs with geocoded coordinates attached where resolved
+ */
+export const geocodeJobs = async (jobs = []) => Promise.all(jobs.map(geocodeJob));
+
+/**
+ * Forget all geocoded addresses (on logout)
+ *
+ * @returns {Promise<void>}
+ */
+export const clearGeocodeCache = async () => {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  cache = new Map();
+  inFlight.clear();
+  await persistState(STORAGE_KEYS.GEOCODE_CACHE, null);
+};
@@ -0,0 +1,206 @@
+/**
+ * geofence.js - Arrival and Departure Detection
+ *
+ * Watches circular geofences around the stops of the driver's active jobs:
+ * the pickup until the job is picked up, then the drop-off. Each location fix
+ * is checked with evaluateGeofences(); entering a fence records an arrival,
+ * leaving it (radius + GEOFENCE_CONFIG.EXIT_BUFFER_M) records a departure with
+ * the dwell time. A visit stays open after the job moves on, so leaving the
+ * pickup is still recorded once the driver has marked it picked up.
+ *
+ * Visits and events not yet sent to the backend are persisted per driver with
+ * persistence.js. Events are uploaded in order by flushGeofenceEvents(); on a
+ * network failure or server error they stay queued for the next fix or
+ * reconnect.
+ */
+
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { isRetryableFailure } from './outbox';
+import { GEOFENCE_CONFIG, JOB_STATUS } from './constants';
+import { normalizeJobStatus } from './jobLifecycle';
+import { STOP_TYPES, getJobCoordinate, distanceBetween } from './routePlanner';
+
+export const GEOFENCE_EVENTS = {
+  ARRIVED: 'arrived',
+  DEPARTED: 'departed',
+};
+
+// Visits older than this are forgotten, closed or not (e.g. tracking stopped inside a fence)
+const VISIT_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Cap on queued events for long offline stretches; oldest are dropped first
+const MAX_PENDING_EVENTS = 200;
+
+let isFlushing = false;
+
+/**
+ * Geofences to watch for the given jobs
+ *
+ * @param {Array<Object>} jobs - Active jobs
+ * @returns {Array<Object>} [{ key, jobId, type, center, radius }]
+ */
+export const getJobGeofences = (jobs = []) => jobs.reduce((fences, job) => {
+  const status = normalizeJobStatus(job?.status);
+  let type = null;
+  if (status === JOB_STATUS.ACCEPTED) type = STOP_TYPES.PICKUP;
+  if ([JOB_STATUS.PICKEDUP, JOB_STATUS.EXCEPTION].includes(status)) type = STOP_TYPES.DROPOFF;
+
+  const center = type ? getJobCoordinate(job, type) : null;
+  if (!center) return fences;
+
+  const override = parseFloat(job.geofence_radius ?? job.booking_details?.geofence_radius);
+  const radius = override > 0
+    ? override
+    : (type === STOP_TYPES.PICKUP ? GEOFENCE_CONFIG.PICKUP_RADIUS_M : GEOFENCE_CONFIG.DROPOFF_RADIUS_M);
+
+  fences.push({ key: `${job.id}:${type}`, jobId: job.id, type, center, radius });
+  return fences;
+}, []);
+
+/**
+ * Check a location fix against the geofences
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.fences - From getJobGeofences
+ * @param {Object} params.visits - Current visits { [key]: { jobId, type, center, radius, arrived_at, departed_at } }
+ * @param {Object} params.position - Fix { latitude, longitude, timestamp }
+ * @returns {Object} { visits, events } - updated visits and new events (oldest first)
+ */
+export const evaluateGeofences = ({ fences, visits = {}, position }) => {
+  const occurredAt = position.timestamp || new Date().toISOString();
+  const now = Date.parse(occurredAt) || Date.now();
+  const nextVisits = {};
+  const events = [];
+
+  const createEvent = (visit, event, extra = {}) => ({
+    id: `${visit.jobId}-${visit.type}-${event}-${now}`,
+    jobId: visit.jobId,
+    event,
+    stop_type: visit.type,
+    occurred_at: occurredAt,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    ...extra,
+  });
+
+  // Departures from open visits, including stops the job has moved past
+  Object.entries(visits).forEach(([key, visit]) => {
+    const arrivedAt = Date.parse(visit.arrived_at);
+    if (!arrivedAt || now - arrivedAt > VISIT_MAX_AGE_MS) return;
+
+    if (!visit.departed_at
+      && distanceBetween(position, visit.center) > visit.radius + GEOFENCE_CONFIG.EXIT_BUFFER_M) {
+      const departed = { ...visit, departed_at: occurredAt };
+      nextVisits[key] = departed;
+      events.push(createEvent(departed, GEOFENCE_EVENTS.DEPARTED, {
+        dwell_seconds: Math.max(0, Math.round((now - arrivedAt) / 1000)),
+      }));
+      return;
+    }
+
+    nextVisits[key] = visit;
+  });
+
+  // Arrivals at fences without an open visit
+  fences.forEach(fence => {
+    const current = nextVisits[fence.key];
+    if (current && !current.departed_at) return;
+    if (distanceBetween(position, fence.center) > fence.radius) return;
+
+    const visit = {
+      jobId: fence.jobId,
+      type: fence.type,
+      center: fence.center,
+      radius: fence.radius,
+      arrived_at: occurredAt,
+      departed_at: null,
+    };
+    nextVisits[fence.key] = visit;
+    events.push(createEvent(visit, GEOFENCE_EVENTS.ARRIVED));
+  });
+
+  return { visits: nextVisits, events };
+};
+
+/**
+ * Load a driver's geofence state
+ *
+ * @param {number} driverId - Signed-in driver
+ * @returns {Promise<Object>} { visits, pendingEvents }
+ */
+export const loadGeofenceState = async (driverId) => {
+  const stored = await loadState(STORAGE_KEYS.GEOFENCE, null);
+  if (!stored || stored.driverId !== driverId) {
+    return { visits: {}, pendingEvents: [] };
+  }
+  return {
+    visits: stored.visits || {},
+    pendingEvents: Array.isArray(stored.pendingEvents) ? stored.pendingEvents : [],
+  };
+};
+
+/**
+ * Save a driver's geofence state
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {Object} state - { visits, pendingEvents }
+ * @returns {Promise<void>}
+ */
+export const saveGeofenceState = async (driverId, { visits, pendingEvents }) => {
+  const events = pendingEvents.length > MAX_PENDING_EVENTS
+    ? pendingEvents.slice(pendingEvents.length - MAX_PENDING_EVENTS)
+    : pendingEvents;
+  await persistState(STORAGE_KEYS.GEOFENCE, { driverId, visits, pendingEvents: events });
+};
+
+/**
+ * Upload queued geofence events in order
+ *
+ * Stops at the first network failure or server error (5xx, 429, 408) and
+ * keeps that event and everything after it. Events the server rejects with a
+ * 4xx are dropped.
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {Function} sendEvent - async (jobId, eventData) => API result ({ success, message, error })
+ * @returns {Promise<Object>} { sent, dropped, remaining }
+ */
+export const flushGeofenceEvents = async (driverId, sendEvent) => {
+  const result = { sent: 0, dropped: 0, remaining: 0 };
+  if (isFlushing) return result;
+  isFlushing = true;
+
+  try {
+    const { pendingEvents } = await loadGeofenceState(driverId);
+    const processedIds = new Set();
+
+    for (const { id, jobId, ...eventData } of pendingEvents) {
+      let response;
+      try {
+        response = await sendEvent(jobId, eventData);
+      } catch (error) {
+        response = { success: false, message: error.message, error };
+      }
+
+      // Offline or server unavailable - keep this and later events in order
+      if (isRetryableFailure(response)) break;
+
+      if (response.success) {
+        result.sent += 1;
+      } else {
+        console.error('Geofence event rejected, dropping it:', response.message);
+        result.dropped += 1;
+      }
+      processedIds.add(id);
+    }
+
+    // Re-read so events queued while uploading are not lost
+    const latest = await loadGeofenceState(driverId);
+    const remaining = latest.pendingEvents.filter(event => !processedIds.has(event.id));
+    await saveGeofenceState(driverId, { ...latest, pendingEvents: remaining });
+    result.remaining = remaining.length;
+  } finally {
+    isFlushing = false;
+  }
+
+  return result;
+};
@@ -0,0 +1,154 @@
+/**
+ * jobLifecycle.js - Job Status State Machine
+ *
+ * Single source of truth for the job lifecycle shared by the UI and the API
+ * layer:
+ *
+ *   new → accepted → pickedup → delivered
+ *   new / accepted / pickedup → cancelled
+ *   pickedup → exception → (reattempt) delivered / exception / cancelled
+ *
+ * The app uses the JOB_STATUS spellings internally; the server is not
+ * consistent ("picked_up", "canceled", "new_order", ...), so every status read
+ * from the API goes through normalizeJobStatus(). toApiStatus() and
+ * toCountKey() convert back for the rides endpoint and dashboard counts.
+ *
+ * Screens render job action buttons from getAvailableActions() and AppContext
+ * checks canTransition() before calling jobService.
+ */
+
+import { JOB_STATUS } from './constants';
+
+/**
+ * Allowed transitions: status → statuses it may move to
+ */
+export const JOB_TRANSITIONS = {
+  [JOB_STATUS.NEW]: [JOB_STATUS.ACCEPTED, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.ACCEPTED]: [JOB_STATUS.PICKEDUP, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.PICKEDUP]: [JOB_STATUS.DELIVERED, JOB_STATUS.EXCEPTION, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.EXCEPTION]: [JOB_STATUS.DELIVERED, JOB_STATUS.EXCEPTION, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.DELIVERED]: [],
+  [JOB_STATUS.CANCELLED]: [],
+};
+
+/**
+ * Driver actions and the status each one moves the job to
+ */
+export const JOB_ACTIONS = {
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+  START: 'start',
+  COMPLETE: 'complete',
+  REPORT_EXCEPTION: 'report_exception',
+  CANCEL: 'cancel',
+};
+
+export const JOB_ACTION_TARGETS = {
+  [JOB_ACTIONS.ACCEPT]: JOB_STATUS.ACCEPTED,
+  [JOB_ACTIONS.REJECT]: JOB_STATUS.CANCELLED,
+  [JOB_ACTIONS.START]: JOB_STATUS.PICKEDUP,
+  [JOB_ACTIONS.COMPLETE]: JOB_STATUS.DELIVERED,
+  [JOB_ACTIONS.REPORT_EXCEPTION]: JOB_STATUS.EXCEPTION,
+  [JOB_ACTIONS.CANCEL]: JOB_STATUS.CANCELLED,
+};
+
+// Actions offered for each status, in button order
+const STATUS_ACTIONS = {
+  [JOB_STATUS.NEW]: [JOB_ACTIONS.ACCEPT, JOB_ACTIONS.REJECT],
+  [JOB_STATUS.ACCEPTED]: [JOB_ACTIONS.START, JOB_ACTIONS.CANCEL],
+  [JOB_STATUS.PICKEDUP]: [JOB_ACTIONS.COMPLETE, JOB_ACTIONS.REPORT_EXCEPTION, JOB_ACTIONS.CANCEL],
+  [JOB_STATUS.EXCEPTION]: [JOB_ACTIONS.COMPLETE, JOB_ACTIONS.REPORT_EXCEPTION, JOB_ACTIONS.CANCEL],
+};
+
+// Server spellings → JOB_STATUS
+const STATUS_ALIASES = {
+  new_order: JOB_STATUS.NEW,
+  pending: JOB_STATUS.NEW,
+  picked_up: JOB_STATUS.PICKEDUP,
+  'picked-up': JOB_STATUS.PICKEDUP,
+  pickup: JOB_STATUS.PICKEDUP,
+  in_transit: JOB_STATUS.PICKEDUP,
+  completed: JOB_STATUS.DELIVERED,
+  canceled: JOB_STATUS.CANCELLED,
+  rejected: JOB_STATUS.CANCELLED,
+  failed: JOB_STATUS.EXCEPTION,
+  delivery_exception: JOB_STATUS.EXCEPTION,
+  delivery_failed: JOB_STATUS.EXCEPTION,
+};
+
+// JOB_STATUS → status expected by POST /driver/my-rides
+const API_STATUSES = {
+  [JOB_STATUS.PICKEDUP]: 'picked_up',
+};
+
+// JOB_STATUS → dashboard counts field
+const COUNT_KEYS = {
+  [JOB_STATUS.NEW]: 'new_order',
+  [JOB_STATUS.ACCEPTED]: 'accepted',
+  [JOB_STATUS.PICKEDUP]: 'picked_up',
+  [JOB_STATUS.DELIVERED]: 'delivered',
+  [JOB_STATUS.CANCELLED]: 'cancelled',
+};
+
+/**
+ * Normalize a status from the API or UI to a JOB_STATUS value
+ *
+ * @param {string} status - Raw status
+ * @returns {string|null} JOB_STATUS value, the cleaned input when unknown, or null when empty
+ */
+export const normalizeJobStatus = (status) => {
+  if (status === null || status === undefined || status === '') return null;
+  const key = String(status).trim().toLowerCase().replace(/\s+/g, '_');
+  return STATUS_ALIASES[key] || key;
+};
+
+/**
+ * Check whether a job may move between two statuses
+ *
+ * @param {string} from - Current status (any spelling)
+ * @param {string} to - Target status (any spelling)
+ * @returns {boolean} True when the transition is allowed
+ */
+export const canTransition = (from, to) => {
+  const allowed = JOB_TRANSITIONS[normalizeJobStatus(from)];
+  return !!allowed && allowed.includes(normalizeJobStatus(to));
+};
+
+/**
+ * Get the driver actions available for a status
+ *
+ * @param {string} status - Current status (any spelling)
+ * @returns {Array<string>} JOB_ACTIONS values in display order
+ */
+export const getAvailableActions = (status) => STATUS_ACTIONS[normalizeJobStatus(status)] || [];
+
+/**
+ * Check whether a job is being worked on (accepted, picked up or awaiting reattempt)
+ *
+ * @param {string} status - Status (any spelling)
+ * @returns {boolean} True for active statuses
+ */
+export const isActiveJobStatus = (status) => [
+  JOB_STATUS.ACCEPTED,
+  JOB_STATUS.PICKEDUP,
+  JOB_STATUS.EXCEPTION,
+].includes(normalizeJobStatus(status));
+
+/**
+ * Convert a status to the spelling the rides endpoint expects
+ *
+ * @param {string} status - Status (any spelling)
+ * @returns {string} API status
+ */
+export const toApiStatus = (status) => {
+  const normalized = normalizeJobStatus(status);
+  return API_STATUSES[normalized] || normalized;
+};
+
+/**
+ * Get the dashboard counts field for a status
+ *
+ * @param {string} status - Status (any spelling)
+ * @returns {string|null} Key of dashboardData.counts, or null when not counted
+ */
+export const toCountKey = (status) => COUNT_KEYS[normalizeJobStatus(status)] || null;
@@ -0,0 +1,177 @@
+/**
+ * locationBuffer.js - Buffered Location Uploads
+ *
+ * Collects GPS fixes and uploads them in batches instead of one request per
+ * fix. Fixes are persisted so points recorded while offline survive app
+ * restarts and are backfilled, oldest first and with their original
+ * timestamps, once connectivity returns.
+ *
+ * Storage is capped at MAX_BUFFERED_POINTS; on long offline stretches the
+ * oldest points are dropped first.
+ *
+ * Points are tagged with the driver who recorded them and only uploaded for
+ * that driver. The buffer is stored with persistence.js; every write goes
+ * through updateBuffer() so a fix buffered by the background task or the
+ * foreground watcher during a flush is never overwritten.
+ */
+
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { isRetryableFailure } from './outbox';
+
+// Upper bound on stored points (~6.5 hours at the 12 s tracking interval, ~200 KB)
+export const MAX_BUFFERED_POINTS = 2000;
+
+// Points per upload request
+export const LOCATION_BATCH_SIZE = 50;
+
+// Upload at least this often while online, even if a batch is not full
+export const LOCATION_FLUSH_INTERVAL_MS = 30 * 1000;
+
+// Prevents two flushes running at once (watcher + reconnect)
+let isFlushing = false;
+let lastFlushAt = 0;
+
+// Serializes read-modify-writes of the stored buffer
+let writeQueue = Promise.resolve();
+
+/**
+ * Load buffered points
+ *
+ * @param {number} [driverId] - Only return this driver's points
+ * @returns {Promise<Array>} Buffered points, oldest first
+ */
+export const loadLocationBuffer = async (driverId) => {
+  const stored = await loadState(STORAGE_KEYS.LOCATION_BUFFER, []);
+  const points = Array.isArray(stored) ? stored : [];
+  const sorted = [...points].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return driverId ? sorted.filter(point => point.driverId === driverId) : sorted;
+};
+
+/**
+ * Run a read-modify-write on the stored buffer after earlier writes finish
+ *
+ * @param {Function} update - (points) => updated points (all drivers, oldest first)
+ * @returns {Promise<Array>} The stored points
+ */
+const updateBuffer = (update) => {
+  const run = writeQueue.then(async () => {
+    const updated = update(await loadLocationBuffer());
+    await persistState(STORAGE_KEYS.LOCATION_BUFFER, updated);
+    return updated;
+  });
+
+  writeQueue = run.catch(error => console.error('Location buffer error:', error));
+  return run;
+};
+
+/**
+ * Add a fix to the buffer
+ *
+ * @param {Object} point - Fix to buffer
+ * @param {number} point.driverId - Driver who recorded the fix
+ * @param {number} point.latitude - Latitude
+ * @param {number} point.longitude - Longitude
+ * @param {string} point.timestamp - ISO 8601 time the fix was taken
+ * @returns {Promise<number>} Number of points buffered for this driver
+ */
+export const bufferLocation = async ({ driverId, latitude, longitude, timestamp }) => {
+  const point = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    driverId,
+    latitude,
+    longitude,
+    timestamp: timestamp || new Date().toISOString(),
+  };
+
+  const updated = await updateBuffer((points) => {
+    const next = [...points, point];
+    if (next.length <= MAX_BUFFERED_POINTS) return next;
+
+    console.warn(`Location buffer full - dropping ${next.length - MAX_BUFFERED_POINTS} oldest point(s)`);
+    return next.slice(next.length - MAX_BUFFERED_POINTS);
+  });
+  return updated.filter(item => item.driverId === driverId).length;
+};
+
+/**
+ * Check whether buffered points should be uploaded now
+ *
+ * @param {number} bufferedCount - Points waiting for the driver
+ * @returns {boolean} True when a batch is full or the flush interval has passed
+ */
+export const shouldFlushLocations = (bufferedCount) => {
+  return bufferedCount >= LOCATION_BATCH_SIZE || Date.now() - lastFlushAt >= LOCATION_FLUSH_INTERVAL_MS;
+};
+
+/**
+ * Upload a driver's buffered points in chronological batches
+ *
+ * Stops at the first network failure or server error (5xx, 429) and keeps
+ * that batch and everything after it, so GPS history survives a backend
+ * outage. Batches the server rejects with a 4xx are dropped so one bad point
+ * cannot block the buffer forever.
+ *
+ * @param {number} driverId - Signed-in driver; other drivers' points are left buffered
+ * @param {Function} sendBatch - async (points) => API result ({ success, message, error }); may
+ *   include settled: { sent, dropped } point ids when points were sent one by one
+ * @returns {Promise<Object>} { sent: number, dropped: number, remaining: number } for this driver
+ */
+export const flushLocationBuffer = async (driverId, sendBatch) => {
+  const result = { sent: 0, dropped: 0, remaining: 0 };
+
+  if (isFlushing) {
+    result.remaining = (await loadLocationBuffer(driverId)).length;
+    return result;
+  }
+
+  isFlushing = true;
+  lastFlushAt = Date.now();
+
+  try {
+    const points = await loadLocationBuffer(driverId);
+    const processedIds = new Set();
+
+    for (let i = 0; i < points.length; i += LOCATION_BATCH_SIZE) {
+      const batch = points.slice(i, i + LOCATION_BATCH_SIZE);
+      let response;
+
+      try {
+        response = await sendBatch(batch);
+      } catch (error) {
+        response = { success: false, message: error.message, error };
+      }
+
+      if (response.settled) {
+        // Sent point by point - only settled points leave the buffer
+        response.settled.sent.forEach(id => processedIds.add(id));
+        response.settled.dropped.forEach(id => processedIds.add(id));
+        result.sent += response.settled.sent.length;
+        result.dropped += response.settled.dropped.length;
+
+        if (isRetryableFailure(response)) break;
+        continue;
+      }
+
+      if (isRetryableFailure(response)) {
+        // Offline or server unavailable - keep this and later batches in order
+        break;
+      }
+
+      if (response.success) {
+        result.sent += batch.length;
+      } else {
+        console.error('Location batch rejected, dropping it:', response.message);
+        result.dropped += batch.length;
+      }
+
+      batch.forEach(point => processedIds.add(point.id));
+    }
+
+    // Queued behind other writes so points buffered while uploading are not lost
+    const stillBuffered = await updateBuffer(buffered => buffered.filter(point => !processedIds.has(point.id)));
+    result.remaining = stillBuffered.filter(point => point.driverId === driverId).length;
+    return result;
+  } finally {
+    isFlushing = false;
+  }
+};
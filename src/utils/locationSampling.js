@@ -0,0 +1,206 @@
+/**
+ * locationSampling.js - Adaptive Location Sampling
+ *
+ * Picks how often and how precisely the driver's position is sampled so
+ * all-day tracking does not drain the phone:
+ * - NEAR_STOP: close to a pickup/drop-off geofence, sampled often with high
+ *   accuracy so arrivals and departures are detected promptly
+ * - STATIONARY: parked (loading, breaks, traffic jams), sampled rarely
+ * - LOW_BATTERY: battery low and not charging, or the OS power saver is on
+ * - MOVING: the regular profile while driving
+ *
+ * chooseSamplingMode() applies the policy; AppContext re-evaluates it on every
+ * fix, once a minute and on battery changes, and restarts the foreground
+ * watcher or the background task (utils/backgroundLocation) with the options
+ * of the new mode.
+ *
+ * Being parked is detected from the location history (utils/eta): with the
+ * distance filter a parked phone delivers no new fixes, so time since the
+ * vehicle last left STATIONARY_RADIUS_M counts as stopped.
+ */
+
+import * as Location from 'expo-location';
+import * as Battery from 'expo-battery';
+import { LOCATION_SAMPLING_CONFIG } from './constants';
+import { distanceBetween } from './routePlanner';
+
+export const SAMPLING_MODES = {
+  NEAR_STOP: 'near_stop',
+  MOVING: 'moving',
+  STATIONARY: 'stationary',
+  LOW_BATTERY: 'low_battery',
+};
+
+const SAMPLING_PROFILES = {
+  [SAMPLING_MODES.NEAR_STOP]: {
+    label: 'Near stop',
+    description: 'High accuracy while approaching a pickup or drop-off',
+    accuracy: Location.Accuracy.High,
+    timeInterval: 5 * 1000,
+    distanceInterval: 5,
+  },
+  [SAMPLING_MODES.MOVING]: {
+    label: 'Driving',
+    description: 'Regular updates while on the road',
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 12 * 1000,
+    distanceInterval: 10,
+  },
+  [SAMPLING_MODES.STATIONARY]: {
+    label: 'Stationary',
+    description: 'Vehicle is parked, updates slowed down',
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 60 * 1000,
+    distanceInterval: 25,
+  },
+  [SAMPLING_MODES.LOW_BATTERY]: {
+    label: 'Battery saver',
+    description: 'Battery is low, updates slowed down',
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 30 * 1000,
+    distanceInterval: 50,
+  },
+};
+
+// Used until the battery has been read, and when it cannot be
+export const UNKNOWN_POWER_STATE = {
+  batteryLevel: null,
+  isCharging: false,
+  lowPowerMode: false,
+};
+
+/**
+ * Sampling profile for a mode
+ *
+ * @param {string} mode - One of SAMPLING_MODES
+ * @returns {Object} { label, description, accuracy, timeInterval (ms), distanceInterval (m) }
+ */
+export const getSamplingProfile = (mode) => SAMPLING_PROFILES[mode] || SAMPLING_PROFILES[SAMPLING_MODES.MOVING];
+
+/**
+ * expo-location options for a mode
+ *
+ * @param {string} mode - One of SAMPLING_MODES
+ * @returns {Object} { accuracy, timeInterval, distanceInterval }
+ */
+export const getSamplingOptions = (mode) => {
+  const { accuracy, timeInterval, distanceInterval } = getSamplingProfile(mode);
+  return { accuracy, timeInterval, distanceInterval };
+};
+
+/**
+ * How long the vehicle has stayed in one spot
+ *
+ * @param {Array<Object>} history - From appendLocationHistory, oldest first
+ * @param {number} [now] - Current time (ms)
+ * @returns {number} Seconds within STATIONARY_RADIUS_M of the latest fix, 0 without history
+ */
+export const getStationarySeconds = (history = [], now = Date.now()) => {
+  if (history.length === 0) return 0;
+
+  const latest = history[history.length - 1];
+  let since = latest.time;
+  for (let i = history.length - 2; i >= 0; i -= 1) {
+    if (distanceBetween(history[i], latest) > LOCATION_SAMPLING_CONFIG.STATIONARY_RADIUS_M) break;
+    since = history[i].time;
+  }
+
+  return Math.max(0, (now - since) / 1000);
+};
+
+/**
+ * Distance to the edge of the closest geofence
+ *
+ * @param {Array<Object>} fences - From getJobGeofences
+ * @param {Object} position - { latitude, longitude }
+ * @returns {number|null} Metres (0 inside a fence), or null without fences or position
+ */
+export const distanceToNearestGeofence = (fences = [], position) => {
+  if (!position || fences.length === 0) return null;
+
+  return fences.reduce((nearest, fence) => {
+    const distance = Math.max(0, distanceBetween(position, fence.center) - fence.radius);
+    return nearest === null ? distance : Math.min(nearest, distance);
+  }, null);
+};
+
+/**
+ * Check whether the battery calls for the battery saver profile
+ *
+ * @param {Object} power - From readPowerState
+ * @returns {boolean} True when the battery is low and not charging, or power saving is on
+ */
+export const isBatteryLow = (power = UNKNOWN_POWER_STATE) => {
+  if (power.lowPowerMode) return true;
+  if (power.isCharging || power.batteryLevel === null) return false;
+  return power.batteryLevel <= LOCATION_SAMPLING_CONFIG.LOW_BATTERY_LEVEL;
+};
+
+/**
+ * Pick the sampling mode
+ *
+ * Parked wins over everything (no point sampling a vehicle that is not
+ * moving, even at a stop); approaching a stop wins over a low battery
+ * because geofence arrivals depend on it and only last a few minutes.
+ *
+ * @param {Object} params
+ * @param {number} params.stationarySeconds - From getStationarySeconds
+ * @param {number|null} params.distanceToStopM - From distanceToNearestGeofence
+ * @param {Object} params.power - From readPowerState
+ * @param {string} [params.currentMode] - Mode in use, for the near-stop exit buffer
+ * @returns {string} One of SAMPLING_MODES
+ */
+export const chooseSamplingMode = ({ stationarySeconds = 0, distanceToStopM = null, power, currentMode }) => {
+  if (stationarySeconds >= LOCATION_SAMPLING_CONFIG.STATIONARY_AFTER_SECONDS) {
+    return SAMPLING_MODES.STATIONARY;
+  }
+
+  const nearStopLimit = currentMode === SAMPLING_MODES.NEAR_STOP
+    ? LOCATION_SAMPLING_CONFIG.NEAR_STOP_DISTANCE_M + LOCATION_SAMPLING_CONFIG.NEAR_STOP_EXIT_BUFFER_M
+    : LOCATION_SAMPLING_CONFIG.NEAR_STOP_DISTANCE_M;
+  if (distanceToStopM !== null && distanceToStopM <= nearStopLimit) {
+    return SAMPLING_MODES.NEAR_STOP;
+  }
+
+  return isBatteryLow(power) ? SAMPLING_MODES.LOW_BATTERY : SAMPLING_MODES.MOVING;
+};
+
+/**
+ * Read the battery level, charging state and OS power saver
+ *
+ * @returns {Promise<Object>} { batteryLevel (0-1 or null), isCharging, lowPowerMode }
+ */
+export const readPowerState = async () => {
+  try {
+    const state = await Battery.getPowerStateAsync();
+    return {
+      // -1 when the level is unknown (simulators, some devices)
+      batteryLevel: state.batteryLevel >= 0 ? state.batteryLevel : null,
+      isCharging: [Battery.BatteryState.CHARGING, Battery.BatteryState.FULL].includes(state.batteryState),
+      lowPowerMode: !!state.lowPowerMode,
+    };
+  } catch (error) {
+    console.error('Battery state error:', error);
+    return UNKNOWN_POWER_STATE;
+  }
+};
+
+/**
+ * Subscribe to battery level, charging and power saver changes
+ *
+ * @param {Function} listener - Called with the new power state (see readPowerState)
+ * @returns {Function} Unsubscribe function
+ */
+export const onPowerStateChange = (listener) => {
+  const notify = () => {
+    readPowerState().then(listener);
+  };
+
+  const subscriptions = [
+    Battery.addBatteryLevelListener(notify),
+    Battery.addBatteryStateListener(notify),
+    Battery.addLowPowerModeListener(notify),
+  ];
+
+  return () => subscriptions.forEach(subscription => subscription.remove());
+};
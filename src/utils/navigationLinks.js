@@ -0,0 +1,110 @@
+/**
+ * navigationLinks.js - Turn-by-turn Navigation Handoff
+ *
+ * Opens the driver's navigation app at the destination for the job's current
+ * phase: the pickup until the job is picked up, the drop-off afterwards.
+ *
+ * Universal https links are used for every app: they open the installed app
+ * directly and fall back to the browser otherwise, so no URL schemes have to
+ * be declared for Linking.canOpenURL().
+ */
+
+import { Linking, Platform } from 'react-native';
+import { JOB_STATUS } from './constants';
+import { normalizeJobStatus } from './jobLifecycle';
+import { STOP_TYPES, getJobCoordinate, getStopAddress } from './routePlanner';
+
+export const NAVIGATION_APPS = {
+  GOOGLE_MAPS: 'google_maps',
+  APPLE_MAPS: 'apple_maps',
+  WAZE: 'waze',
+};
+
+export const NAVIGATION_APP_LABELS = {
+  [NAVIGATION_APPS.GOOGLE_MAPS]: 'Google Maps',
+  [NAVIGATION_APPS.APPLE_MAPS]: 'Apple Maps',
+  [NAVIGATION_APPS.WAZE]: 'Waze',
+};
+
+/**
+ * Navigation apps offered on this platform, in display order
+ *
+ * @returns {Array<string>} NAVIGATION_APPS values
+ */
+export const getAvailableNavigationApps = () => (
+  Platform.OS === 'ios'
+    ? [NAVIGATION_APPS.APPLE_MAPS, NAVIGATION_APPS.GOOGLE_MAPS, NAVIGATION_APPS.WAZE]
+    : [NAVIGATION_APPS.GOOGLE_MAPS, NAVIGATION_APPS.WAZE]
+);
+
+/**
+ * Get where the driver should head next for a job
+ *
+ * @param {Object} job - Job
+ * @returns {Object|null} { type, coordinate, address } or null once the job is finished
+ */
+export const getNavigationDestination = (job) => {
+  if (!job) return null;
+
+  const status = normalizeJobStatus(job.status);
+  if ([JOB_STATUS.DELIVERED, JOB_STATUS.CANCELLED].includes(status)) return null;
+
+  const type = [JOB_STATUS.PICKEDUP, JOB_STATUS.EXCEPTION].includes(status)
+    ? STOP_TYPES.DROPOFF
+    : STOP_TYPES.PICKUP;
+  const coordinate = getJobCoordinate(job, type);
+  const address = getStopAddress({ job, type });
+
+  if (!coordinate && !address) return null;
+
+  return { type, coordinate, address };
+};
+
+/**
+ * Build the deep link for a navigation app
+ *
+ * Coordinates are preferred; the street address is used when the job has none.
+ *
+ * @param {string} app - NAVIGATION_APPS value
+ * @param {Object} destination - From getNavigationDestination
+ * @returns {string} URL to open
+ */
+export const buildNavigationUrl = (app, destination) => {
+  const { coordinate, address } = destination;
+  const target = coordinate
+    ? `${coordinate.latitude},${coordinate.longitude}`
+    : encodeURIComponent(address);
+
+  switch (app) {
+    case NAVIGATION_APPS.APPLE_MAPS:
+      return `https://maps.apple.com/?daddr=${target}&dirflg=d`;
+
+    case NAVIGATION_APPS.WAZE:
+      return coordinate
+        ? `https://waze.com/ul?ll=${target}&navigate=yes`
+        : `https://waze.com/ul?q=${target}&navigate=yes`;
+
+    case NAVIGATION_APPS.GOOGLE_MAPS:
+    default:
+      return `https://www.google.com/maps/dir/?api=1&destination=${target}&travelmode=driving&dir_action=navigate`;
+  }
+};
+
+/**
+ * Open a navigation app with directions to the destination
+ *
+ * @param {string} app - NAVIGATION_APPS value
+ * @param {Object} destination - From getNavigationDestination
+ * @returns {Promise<boolean>} True when the link was opened
+ */
+export const openNavigation = async (app, destination) => {
+  if (!destination) return false;
+
+  try {
+    await Linking.openURL(buildNavigationUrl(app, destination));
+    return true;
+  } catch (error) {
+    console.error(`Failed to open ${NAVIGATION_APP_LABELS[app] || app}:`, error);
+    return false;
+  }
+};
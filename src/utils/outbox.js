@@ -0,0 +1,158 @@
+/**
+ * outbox.js - Offline Job Action Queue
+ *
+ * Persists job status changes (accept / pickup / deliver / cancel / exception) that could not be
+ * sent because the device was offline, and replays them in the order they were
+ * made once connectivity returns.
+ *
+ * Each entry keeps the time the driver actually performed the action
+ * (performedAt) so the server records the real event time, not the sync time.
+ * Entries are tagged with the driver who made them and only replayed while
+ * that driver is signed in.
+ *
+ * The queue is stored with persistence.js so it survives app restarts.
+ */
+
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { ERROR_CATEGORIES } from './errorLogger';
+import { JOB_STATUS } from './constants';
+
+/**
+ * Value returned by job actions that were queued instead of sent.
+ * Truthy, so callers that only check for success keep working.
+ */
+export const JOB_ACTION_QUEUED = 'queued';
+
+/**
+ * Job statuses that can be queued offline
+ */
+export const OUTBOX_STATUSES = [JOB_STATUS.ACCEPTED, JOB_STATUS.PICKEDUP, JOB_STATUS.DELIVERED, JOB_STATUS.CANCELLED, JOB_STATUS.EXCEPTION];
+
+// Prevents two replays running at once (e.g. reconnect + app resume)
+let isReplaying = false;
+
+/**
+ * Check whether an API result failed because the device is offline
+ *
+ * @param {Object} response - Result from handleApiResponse ({ success, message, error })
+ * @returns {boolean} True for network failures (no response from server)
+ */
+export const isNetworkFailure = (response) => {
+  return !!response && !response.success && response.error?.category === ERROR_CATEGORIES.NETWORK;
+};
+
+/**
+ * Check whether a failed API result is worth retrying later
+ *
+ * Network failures, server errors (5xx), rate limiting (429) and request
+ * timeouts (408) are temporary; other 4xx responses reject the data itself.
+ *
+ * @param {Object} response - Result from handleApiResponse ({ success, message, error })
+ * @returns {boolean} True when the same request may succeed later
+ */
+export const isRetryableFailure = (response) => {
+  if (!response || response.success) return false;
+  if (isNetworkFailure(response)) return true;
+
+  const status = response.error?.status;
+  return status >= 500 || status === 429 || status === 408;
+};
+
+/**
+ * Load queued actions
+ *
+ * @param {number} [driverId] - Only return this driver's actions
+ * @returns {Promise<Array>} Queued actions, oldest first
+ */
+export const loadOutbox = async (driverId) => {
+  const stored = await loadState(STORAGE_KEYS.OUTBOX, []);
+  const entries = Array.isArray(stored) ? stored : [];
+  return driverId ? entries.filter(entry => entry.driverId === driverId) : entries;
+};
+
+/**
+ * Add an action to the end of the queue
+ *
+ * @param {Object} action - Action to queue
+ * @param {number} action.driverId - Driver who performed the action
+ * @param {string|number} action.jobId - Job ID
+ * @param {string} action.status - Target status (accepted, pickedup, delivered, cancelled, exception)
+ * @param {Object} [action.payload] - Extra data sent with the request
+ * @returns {Promise<Array>} The driver's queued actions after adding this one
+ */
+export const enqueueAction = async ({ driverId, jobId, status, payload = {} }) => {
+  const entries = await loadOutbox();
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    driverId,
+    jobId,
+    status,
+    payload,
+    performedAt: new Date().toISOString(),
+  };
+
+  const updated = [...entries, entry];
+  await persistState(STORAGE_KEYS.OUTBOX, updated);
+  return updated.filter(item => item.driverId === driverId);
+};
+
+/**
+ * Replay a driver's queued actions in order
+ *
+ * Stops at the first network failure or server error (5xx, 429, 408) and
+ * keeps that entry and everything after it for the next attempt, so pickup
+ * and delivery payloads survive a backend outage. Entries the server rejects
+ * with a 4xx are dropped from the queue and reported as conflicts.
+ *
+ * @param {number} driverId - Signed-in driver; other drivers' actions are left queued
+ * @param {Function} sendAction - async (entry) => API result ({ success, message, error })
+ * @returns {Promise<Object>} { replayed: Array, conflicts: Array, remaining: Array } for this driver
+ */
+export const replayOutbox = async (driverId, sendAction) => {
+  const result = { replayed: [], conflicts: [], remaining: [] };
+
+  if (isReplaying) {
+    result.remaining = await loadOutbox(driverId);
+    return result;
+  }
+
+  isReplaying = true;
+
+  try {
+    const entries = await loadOutbox(driverId);
+
+    for (const entry of entries) {
+      let response;
+
+      try {
+        response = await sendAction(entry);
+      } catch (error) {
+        response = { success: false, message: error.message, error };
+      }
+
+      if (isRetryableFailure(response)) {
+        // Offline or server unavailable - keep this and later entries in order
+        break;
+      }
+
+      if (response.success) {
+        result.replayed.push(entry);
+      } else {
+        result.conflicts.push({
+          ...entry,
+          message: response.message || 'The server rejected this update',
+        });
+      }
+    }
+
+    // Re-read so actions queued while replaying are not lost
+    const processedIds = new Set([...result.replayed, ...result.conflicts].map(entry => entry.id));
+    const stillQueued = (await loadOutbox()).filter(entry => !processedIds.has(entry.id));
+
+    await persistState(STORAGE_KEYS.OUTBOX, stillQueued);
+    result.remaining = stillQueued.filter(entry => entry.driverId === driverId);
+    return result;
+  } finally {
+    isReplaying = false;
+  }
+};
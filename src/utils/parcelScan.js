@@ -0,0 +1,106 @@
+/**
+ * parcelScan.js - Parcel Label Scanning
+ *
+ * Matches scanned barcode/QR values against a job's tracking IDs and builds
+ * the scan log sent with pickup and delivery.
+ *
+ * A scan matches when it equals an expected tracking ID, or is that ID with a
+ * piece suffix (e.g. "TRK123-2" or "TRK123/2" on multi-piece shipments).
+ * QR codes that encode a tracking URL are reduced to the tracking ID first.
+ */
+
+export const SCAN_RESULT = {
+  MATCHED: 'matched',
+  DUPLICATE: 'duplicate',
+  WRONG_PARCEL: 'wrong_parcel',
+};
+
+// Separators used between a tracking ID and its piece number
+const PIECE_SUFFIX = /^[-/#.](\d{1,4})$/;
+
+/**
+ * Normalize a scanned value or tracking ID for comparison
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Upper-cased ID without whitespace or URL wrapping
+ */
+export const normalizeTrackingId = (value) => {
+  let code = String(value || '').trim();
+
+  // Tracking links: ...?tracking_id=XYZ or .../track/XYZ
+  if (/^https?:\/\//i.test(code)) {
+    const query = code.match(/[?&](?:tracking_id|tracking|id)=([^&#]+)/i);
+    code = query ? decodeURIComponent(query[1]) : code.replace(/[?#].*$/, '').split('/').filter(Boolean).pop() || '';
+  }
+
+  return code.replace(/\s+/g, '').toUpperCase();
+};
+
+/**
+ * Collect the tracking IDs a job's labels may carry
+ *
+ * Uses the job's tracking_id plus per-piece IDs when the API provides them.
+ *
+ * @param {Object} job - Job from currentJobs or jobDetails
+ * @returns {Array<string>} Normalized, unique tracking IDs
+ */
+export const getExpectedTrackingIds = (job) => {
+  if (!job) return [];
+
+  const pieces = job.pieces || job.parcels || job.booking_details?.pieces || [];
+  const ids = [
+    job.tracking_id,
+    ...(job.booking_details?.tracking_ids || []),
+    ...pieces.map(piece => (typeof piece === 'object' ? piece?.tracking_id : piece)),
+  ]
+    .filter(id => id && id !== 'N/A')
+    .map(normalizeTrackingId);
+
+  return [...new Set(ids)];
+};
+
+/**
+ * Check a scan against the expected IDs and the scans so far
+ *
+ * @param {string} rawValue - Scanned value
+ * @param {Array<string>} expectedIds - From getExpectedTrackingIds
+ * @param {Array<Object>} scanLog - Previous scan entries
+ * @returns {Object} { code, trackingId, result }
+ */
+export const matchScan = (rawValue, expectedIds, scanLog = []) => {
+  const code = normalizeTrackingId(rawValue);
+  const trackingId = expectedIds.find(id =>
+    code === id || (code.startsWith(id) && PIECE_SUFFIX.test(code.slice(id.length)))
+  ) || null;
+
+  if (!trackingId) {
+    return { code, trackingId: null, result: SCAN_RESULT.WRONG_PARCEL };
+  }
+
+  const alreadyScanned = scanLog.some(entry => entry.result === SCAN_RESULT.MATCHED && entry.code === code);
+  return { code, trackingId, result: alreadyScanned ? SCAN_RESULT.DUPLICATE : SCAN_RESULT.MATCHED };
+};
+
+/**
+ * Create a scan log entry
+ *
+ * @param {Object} match - Result of matchScan
+ * @param {string} symbology - Barcode type reported by the camera
+ * @returns {Object} { code, tracking_id, result, type, scanned_at }
+ */
+export const createScanEntry = (match, symbology) => ({
+  code: match.code,
+  tracking_id: match.trackingId,
+  result: match.result,
+  type: symbology || null,
+  scanned_at: new Date().toISOString(),
+});
+
+/**
+ * Count distinct pieces scanned successfully
+ *
+ * @param {Array<Object>} scanLog - Scan entries
+ * @returns {number} Matched piece count
+ */
+export const countScannedPieces = (scanLog = []) =>
+  new Set(scanLog.filter(entry => entry.result === SCAN_RESULT.MATCHED).map(entry => entry.code)).size;
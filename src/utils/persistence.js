@@ -18,6 +18,14 @@ export const STORAGE_KEYS = {
   NOTIFICATIONS: '@app_notifications',
   DASHBOARD: '@app_dashboard',
   DOCUMENTS: '@app_documents',
+  CURRENT_JOBS: '@app_current_jobs',     // Cached active jobs (utils/cache.js)
+  RIDES: '@app_rides',                   // Prefix for cached ride tabs (utils/cache.js)
+  LOCATION_BUFFER: '@app_location_buffer', // GPS fixes waiting to upload (utils/locationBuffer.js)
+  OUTBOX: '@app_outbox',                 // Queued offline job actions (utils/outbox.js)
+  FOCUSED_JOB: '@app_focused_job',       // Job in focus on Current Job (AppContext)
+  GEOCODE_CACHE: '@app_geocode_cache',   // Address → coordinates (utils/geocoding.js)
+  GEOFENCE: '@app_geofence',             // Stop visits and unsent arrival events (utils/geofence.js)
+  TRIPS: '@app_trips',                   // Trip summaries; prefix for per-trip GPS traces (utils/tripRecorder.js)
 };
 
 /**
@@ -0,0 +1,338 @@
+/**
+ * routePlanner.js - On-device Multi-stop Route Planning
+ *
+ * Suggests an order for the pickups and drop-offs of the driver's active jobs
+ * using straight-line (great-circle) distances, so no routing service is
+ * needed. A job's pickup always comes before its drop-off; jobs already
+ * picked up (or awaiting reattempt) only contribute their drop-off.
+ *
+ * The sequence is built nearest-neighbour from the driver's position and then
+ * improved with 2-opt moves that keep every pickup ahead of its drop-off.
+ * Jobs without usable coordinates are returned as unplanned rather than
+ * guessed.
+ */
+
+import { JOB_STATUS } from './constants';
+import { normalizeJobStatus } from './jobLifecycle';
+
+export const STOP_TYPES = {
+  PICKUP: 'pickup',
+  DROPOFF: 'dropoff',
+};
+
+const EARTH_RADIUS_M = 6371000;
+
+// Straight-line distance → expected road distance, and average urban driving speed,
+// used for on-device ETAs without a routing service
+const ROAD_DISTANCE_FACTOR = 1.3;
+export const AVERAGE_SPEED_KMH = 40;
+
+// Upper bound on 2-opt improvement passes (plans are small; this only guards runaway loops)
+const MAX_IMPROVEMENT_PASSES = 25;
+
+// Coordinate field pairs the API has used, per stop type
+const COORDINATE_FIELDS = {
+  [STOP_TYPES.PICKUP]: [
+    ['from_latitude', 'from_longitude'],
+    ['pickup_latitude', 'pickup_longitude'],
+    ['from_lat', 'from_lng'],
+  ],
+  [STOP_TYPES.DROPOFF]: [
+    ['to_latitude', 'to_longitude'],
+    ['dropoff_latitude', 'dropoff_longitude'],
+    ['to_lat', 'to_lng'],
+  ],
+};
+
+/**
+ * Validate a latitude/longitude pair
+ *
+ * @param {*} lat - Latitude (number or numeric string)
+ * @param {*} lng - Longitude (number or numeric string)
+ * @returns {Object|null} { latitude, longitude } or null when unusable
+ */
+const toCoordinate = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  if (latitude === 0 && longitude === 0) return null; // Unset values from the API
+
+  return { latitude, longitude };
+};
+
+/**
+ * Get the coordinate of a job's pickup or drop-off
+ *
+ * Reads flat fields on the job and its booking_details, then address objects
+ * ({ latitude, longitude } or { lat, lng }), then coordinates geocoded from
+ * the address text (utils/geocoding).
+ *
+ * @param {Object} job - Job
+ * @param {string} type - STOP_TYPES value
+ * @returns {Object|null} { latitude, longitude } or null when unknown
+ */
+export const getJobCoordinate = (job, type) => {
+  if (!job) return null;
+
+  const sources = [job, job.booking_details || {}];
+  for (const source of sources) {
+    for (const [latKey, lngKey] of COORDINATE_FIELDS[type]) {
+      const coordinate = toCoordinate(source[latKey], source[lngKey]);
+      if (coordinate) return coordinate;
+    }
+  }
+
+  const address = type === STOP_TYPES.PICKUP ? job.from_address : job.to_address;
+  if (address && typeof address === 'object') {
+    const coordinate = toCoordinate(address.latitude ?? address.lat, address.longitude ?? address.lng);
+    if (coordinate) return coordinate;
+  }
+
+  const geocoded = job.geocoded?.[type];
+  return geocoded ? toCoordinate(geocoded.latitude, geocoded.longitude) : null;
+};
+
+/**
+ * Get the street address of a stop for display
+ *
+ * @param {Object} stop - Planned stop
+ * @returns {string} Address, or an empty string when unknown
+ */
+export const getStopAddress = (stop) => {
+  const job = stop?.job || {};
+  const candidates = stop?.type === STOP_TYPES.PICKUP
+    ? [job.from_address_text, job.pickupLocation, job.from_address, job.pickup_address]
+    : [job.to_address_text, job.dropoffLocation, job.to_address, job.dropoff_address];
+
+  return candidates.find(value => typeof value === 'string' && value.trim() !== '') || '';
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ *
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in metres
+ */
+export const distanceBetween = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Format a distance for display
+ *
+ * @param {number} meters - Distance in metres
+ * @returns {string} e.g. "850 m" or "12.4 km"
+ */
+export const formatDistance = (meters) => {
+  if (!Number.isFinite(meters)) return '';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Estimate driving time for a straight-line distance
+ *
+ * @param {number} meters - Straight-line distance in metres
+ * @param {number} [speedKmh] - Average driving speed (defaults to AVERAGE_SPEED_KMH)
+ * @returns {number} Seconds
+ */
+export const estimateDriveSeconds = (meters, speedKmh = AVERAGE_SPEED_KMH) => {
+  if (!Number.isFinite(meters) || meters <= 0) return 0;
+  const speed = speedKmh > 0 ? speedKmh : AVERAGE_SPEED_KMH;
+  return Math.round((meters * ROAD_DISTANCE_FACTOR) / ((speed * 1000) / 3600));
+};
+
+/**
+ * Format a duration for display
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "8 min" or "1 h 25 min"
+ */
+export const formatDuration = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
+
+/**
+ * Build the stops still to be visited for the given jobs
+ *
+ * @param {Array<Object>} jobs - Active jobs
+ * @returns {Object} { stops, unplanned } - unplanned jobs lack coordinates
+ */
+const buildStops = (jobs) => {
+  const stops = [];
+  const unplanned = [];
+
+  jobs.forEach(job => {
+    const status = normalizeJobStatus(job.status);
+    const needsPickup = status === JOB_STATUS.ACCEPTED;
+    const pickup = needsPickup ? getJobCoordinate(job, STOP_TYPES.PICKUP) : null;
+    const dropoff = getJobCoordinate(job, STOP_TYPES.DROPOFF);
+
+    if ((needsPickup && !pickup) || !dropoff) {
+      unplanned.push(job);
+      return;
+    }
+
+    if (needsPickup) {
+      stops.push({ key: `${job.id}:${STOP_TYPES.PICKUP}`, jobId: job.id, job, type: STOP_TYPES.PICKUP, coordinate: pickup });
+    }
+    stops.push({ key: `${job.id}:${STOP_TYPES.DROPOFF}`, jobId: job.id, job, type: STOP_TYPES.DROPOFF, coordinate: dropoff });
+  });
+
+  return { stops, unplanned };
+};
+
+/**
+ * Check that every drop-off comes after its job's pickup
+ *
+ * @param {Array<Object>} sequence - Ordered stops
+ * @returns {boolean} True when the order is feasible
+ */
+const respectsPickupOrder = (sequence) => {
+  const pickupsPending = new Set(
+    sequence.filter(stop => stop.type === STOP_TYPES.PICKUP).map(stop => stop.jobId)
+  );
+
+  return sequence.every(stop => {
+    if (stop.type === STOP_TYPES.PICKUP) {
+      pickupsPending.delete(stop.jobId);
+      return true;
+    }
+    return !pickupsPending.has(stop.jobId);
+  });
+};
+
+/**
+ * Total length of an open path through the stops
+ *
+ * @param {Array<Object>} sequence - Ordered stops
+ * @param {Object|null} origin - Starting position
+ * @returns {number} Metres
+ */
+const routeLength = (sequence, origin) => sequence.reduce((total, stop, index) => {
+  const from = index === 0 ? origin : sequence[index - 1].coordinate;
+  return from ? total + distanceBetween(from, stop.coordinate) : total;
+}, 0);
+
+/**
+ * Greedy sequence: always drive to the closest stop that may be visited next
+ *
+ * @param {Array<Object>} stops - Unordered stops
+ * @param {Object|null} origin - Starting position
+ * @param {Object} [first] - Stop to start with (when there is no origin)
+ * @returns {Array<Object>} Ordered stops
+ */
+const nearestNeighbour = (stops, origin, first = null) => {
+  const remaining = stops.filter(stop => stop !== first);
+  const sequence = first ? [first] : [];
+  const pickedUp = new Set(first?.type === STOP_TYPES.PICKUP ? [first.jobId] : []);
+  const hasPickup = new Set(stops.filter(stop => stop.type === STOP_TYPES.PICKUP).map(stop => stop.jobId));
+  let position = first ? first.coordinate : origin;
+
+  while (remaining.length > 0) {
+    const candidates = remaining.filter(stop =>
+      stop.type === STOP_TYPES.PICKUP || !hasPickup.has(stop.jobId) || pickedUp.has(stop.jobId)
+    );
+    const next = position
+      ? candidates.reduce((best, stop) => (
+        distanceBetween(position, stop.coordinate) < distanceBetween(position, best.coordinate) ? stop : best
+      ))
+      : candidates[0];
+
+    sequence.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    if (next.type === STOP_TYPES.PICKUP) pickedUp.add(next.jobId);
+    position = next.coordinate;
+  }
+
+  return sequence;
+};
+
+/**
+ * Shorten a sequence with 2-opt segment reversals that stay feasible
+ *
+ * @param {Array<Object>} sequence - Ordered stops
+ * @param {Object|null} origin - Starting position
+ * @returns {Array<Object>} Improved sequence
+ */
+const improveWithTwoOpt = (sequence, origin) => {
+  let best = sequence;
+  let bestLength = routeLength(best, origin);
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass += 1) {
+    let improved = false;
+
+    for (let i = 0; i < best.length - 1; i += 1) {
+      for (let j = i + 1; j < best.length; j += 1) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        if (!respectsPickupOrder(candidate)) continue;
+
+        const length = routeLength(candidate, origin);
+        if (length + 1 < bestLength) {
+          best = candidate;
+          bestLength = length;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+/**
+ * Plan a stop sequence across active jobs
+ *
+ * @param {Array<Object>} jobs - Active jobs (accepted, picked up, exception)
+ * @param {Object|null} [origin] - Driver position { latitude, longitude }
+ * @returns {Object} {
+ *   stops: [{ key, jobId, job, type, coordinate, sequence, legDistance, cumulativeDistance }],
+ *   totalDistance: metres,
+ *   unplanned: jobs without coordinates
+ * }
+ */
+export const planRoute = (jobs = [], origin = null) => {
+  const { stops, unplanned } = buildStops(jobs.filter(Boolean));
+  const start = origin ? toCoordinate(origin.latitude, origin.longitude) : null;
+
+  if (stops.length === 0) {
+    return { stops: [], totalDistance: 0, unplanned };
+  }
+
+  // Without a position, try each possible first stop and keep the shortest
+  const seeds = start
+    ? [nearestNeighbour(stops, start)]
+    : stops
+      .filter(stop => stop.type === STOP_TYPES.PICKUP || !stops.some(other => other.jobId === stop.jobId && other.type === STOP_TYPES.PICKUP))
+      .map(first => nearestNeighbour(stops, null, first));
+
+  const sequence = seeds
+    .map(seed => improveWithTwoOpt(seed, start))
+    .reduce((best, candidate) => (routeLength(candidate, start) < routeLength(best, start) ? candidate : best));
+
+  let cumulativeDistance = 0;
+  const plannedStops = sequence.map((stop, index) => {
+    const from = index === 0 ? start : sequence[index - 1].coordinate;
+    const legDistance = from ? distanceBetween(from, stop.coordinate) : 0;
+    cumulativeDistance += legDistance;
+    return { ...stop, sequence: index + 1, legDistance, cumulativeDistance };
+  });
+
+  return { stops: plannedStops, totalDistance: cumulativeDistance, unplanned };
+};
+
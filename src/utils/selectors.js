@@ -217,7 +217,7 @@ export const usePerformanceMetrics = (jobs) => {
 
     const total = jobs.length;
     const completed = jobs.filter(job => job && job.status === 'delivered').length;
-    const onTime = jobs.filter(job => job && job.status === 'delivered' && !job.isLate).length;
+    const onTime = jobs.filter(job => job && job.status === 'delivered' && !(job.isLate ?? job.is_late)).length;
     
     return {
       avgCompletionTime: completed > 0 ? 
@@ -0,0 +1,470 @@
+/**
+ * tripRecorder.js - Per-job Trip Log (GPS Trace and Mileage)
+ *
+ * Records the GPS trace of each job from acceptance to delivery for mileage
+ * reimbursement. Every fix that goes through publishLocation() (foreground
+ * watcher and background task) is added to the trips still recording, so
+ * the trace continues while the app is in the background.
+ *
+ * Distance is accumulated per fix and split into empty kilometres (driving to
+ * the pickup) and loaded kilometres (pickup to drop-off). GPS jitter below
+ * MIN_POINT_DISTANCE_M and jumps faster than MAX_PLAUSIBLE_SPEED_KMH are
+ * ignored. The driver can add start/end odometer readings to a trip.
+ *
+ * With several jobs active at once each trip keeps the full trace, but every
+ * driven segment is split evenly across the trips recording it, so the same
+ * road kilometres are reimbursed once in total rather than once per job.
+ *
+ * Trip summaries are stored per driver under STORAGE_KEYS.TRIPS and each
+ * trace under its own key (tripTraceKey) so a fix only rewrites one trace.
+ * Writes are serialized; onTripsChanged() notifies AppContext after each one.
+ * Finished trips are uploaded with flushTripLogs(); on a network failure or
+ * server error they stay queued for the next reconnect.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { persistState, loadState, STORAGE_KEYS } from './persistence';
+import { isRetryableFailure } from './outbox';
+import { JOB_STATUS } from './constants';
+import { normalizeJobStatus } from './jobLifecycle';
+import { distanceBetween } from './routePlanner';
+
+export const TRIP_STATUS = {
+  RECORDING: 'recording',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Movement below this is treated as GPS jitter and not recorded
+const MIN_POINT_DISTANCE_M = 20;
+
+// Fixes implying a faster speed than this are GPS jumps and are skipped
+const MAX_PLAUSIBLE_SPEED_KMH = 180;
+
+// Longer traces are thinned by dropping every other point (distance is kept)
+const MAX_TRACE_POINTS = 3000;
+
+// Finished trips kept on the device; the oldest uploaded ones are removed first
+const MAX_STORED_TRIPS = 60;
+
+const tripListeners = new Set();
+let writeQueue = Promise.resolve();
+let isFlushing = false;
+
+/**
+ * Storage key of a trip's GPS trace
+ *
+ * @param {string} tripId - Trip ID
+ * @returns {string} AsyncStorage key
+ */
+export const tripTraceKey = (tripId) => `${STORAGE_KEYS.TRIPS}:${tripId}`;
+
+/**
+ * Subscribe to trip changes
+ *
+ * @param {Function} listener - Called with (driverId, trips) after each write, trips newest first
+ * @returns {Function} Unsubscribe function
+ */
+export const onTripsChanged = (listener) => {
+  tripListeners.add(listener);
+  return () => tripListeners.delete(listener);
+};
+
+/**
+ * Sort trips newest first
+ *
+ * @param {Array<Object>} trips - Trip summaries
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortNewestFirst = (trips) => [...trips].sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at));
+
+/**
+ * Load all stored trip summaries (every driver)
+ *
+ * @returns {Promise<Array<Object>>} Trip summaries
+ */
+const loadAllTrips = async () => {
+  const stored = await loadState(STORAGE_KEYS.TRIPS, []);
+  return Array.isArray(stored) ? stored : [];
+};
+
+/**
+ * Load a driver's trips, newest first
+ *
+ * @param {number} driverId - Signed-in driver
+ * @returns {Promise<Array<Object>>} Trip summaries
+ */
+export const loadTrips = async (driverId) => {
+  const trips = await loadAllTrips();
+  return sortNewestFirst(trips.filter(trip => trip.driverId === driverId));
+};
+
+/**
+ * Load a trip's GPS trace
+ *
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Array<Object>>} Points { latitude, longitude, timestamp, loaded }, oldest first
+ */
+export const loadTripTrace = async (tripId) => {
+  const points = await loadState(tripTraceKey(tripId), []);
+  return Array.isArray(points) ? points : [];
+};
+
+/**
+ * Run a read-modify-write on the trip store after earlier writes finish
+ *
+ * @param {number} driverId - Driver whose trips change
+ * @param {Function} update - async (trips) => updated trips (all drivers), or null for no change
+ * @returns {Promise<void>}
+ */
+const updateTrips = (driverId, update) => {
+  const run = writeQueue.then(async () => {
+    const trips = await loadAllTrips();
+    const updated = await update(trips);
+    if (!updated) return;
+
+    await persistState(STORAGE_KEYS.TRIPS, updated);
+
+    const driverTrips = sortNewestFirst(updated.filter(trip => trip.driverId === driverId));
+    tripListeners.forEach((listener) => {
+      try {
+        listener(driverId, driverTrips);
+      } catch (error) {
+        console.error('Trip listener error:', error);
+      }
+    });
+  });
+
+  writeQueue = run.catch(error => console.error('Trip log error:', error));
+  return run;
+};
+
+/**
+ * Find a job's trip
+ *
+ * @param {Array<Object>} trips - Trip summaries
+ * @param {Object} job - Job or ride (matched by ID or tracking ID)
+ * @returns {Object|null} Trip summary
+ */
+export const findTripForJob = (trips = [], job) => {
+  if (!job) return null;
+  return trips.find(trip => (
+    (job.id != null && trip.jobId === job.id)
+    || (!!job.tracking_id && trip.tracking_id === job.tracking_id)
+  )) || null;
+};
+
+/**
+ * Create a trip summary for a job
+ *
+ * @param {number} driverId - Driver
+ * @param {Object} job - Job
+ * @param {string} startedAt - ISO 8601 start time
+ * @returns {Object} Trip summary
+ */
+const createTrip = (driverId, job, startedAt) => ({
+  id: `${driverId}-${job.id}`,
+  driverId,
+  jobId: job.id,
+  tracking_id: job.tracking_id || null,
+  order_id: job.orderId || job.order_id || null,
+  status: TRIP_STATUS.RECORDING,
+  started_at: startedAt,
+  picked_up_at: null,
+  ended_at: null,
+  empty_meters: 0,
+  loaded_meters: 0,
+  point_count: 0,
+  last_point: null,
+  start_odometer: null,
+  end_odometer: null,
+  uploaded_at: null,
+  upload_rejected: false,
+});
+
+/**
+ * Drop the oldest finished trips beyond MAX_STORED_TRIPS
+ *
+ * Trips not uploaded yet are kept.
+ *
+ * @param {Array<Object>} trips - All trip summaries
+ * @returns {Promise<Array<Object>>} Trips to keep
+ */
+const pruneTrips = async (trips) => {
+  const finished = trips
+    .filter(trip => trip.status !== TRIP_STATUS.RECORDING && (trip.uploaded_at || trip.upload_rejected))
+    .sort((a, b) => Date.parse(a.ended_at) - Date.parse(b.ended_at));
+  const excess = finished.length - MAX_STORED_TRIPS;
+  if (excess <= 0) return trips;
+
+  const removed = new Set(finished.slice(0, excess).map(trip => trip.id));
+  await AsyncStorage.multiRemove([...removed].map(tripTraceKey)).catch(error => (
+    console.error('Failed to remove old trip traces:', error)
+  ));
+  return trips.filter(trip => !removed.has(trip.id));
+};
+
+/**
+ * Bring trips in line with a job status change
+ *
+ * Accepting starts the trip, picking up switches it to loaded kilometres,
+ * delivering or cancelling ends it. Jobs accepted before the trip log
+ * existed get a trip when first seen picked up.
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {Object} job - Job ({ id, tracking_id, orderId })
+ * @param {string} status - New JOB_STATUS value
+ * @param {string} [at] - ISO 8601 time of the change (defaults to now)
+ * @returns {Promise<void>}
+ */
+export const recordTripStatus = (driverId, job, status, at = new Date().toISOString()) => (
+  updateTrips(driverId, async (trips) => {
+    const normalized = normalizeJobStatus(status);
+    const existing = findTripForJob(trips.filter(trip => trip.driverId === driverId), job);
+
+    if ([JOB_STATUS.ACCEPTED, JOB_STATUS.PICKEDUP, JOB_STATUS.EXCEPTION].includes(normalized)) {
+      const trip = existing || createTrip(driverId, job, at);
+      if (trip.status !== TRIP_STATUS.RECORDING) return null;
+
+      const pickedUpAt = normalized === JOB_STATUS.ACCEPTED ? trip.picked_up_at : (trip.picked_up_at || at);
+      if (existing && pickedUpAt === existing.picked_up_at) return null;
+
+      const updated = { ...trip, picked_up_at: pickedUpAt };
+      return existing
+        ? trips.map(item => (item.id === existing.id ? updated : item))
+        : [...trips, updated];
+    }
+
+    if ([JOB_STATUS.DELIVERED, JOB_STATUS.CANCELLED].includes(normalized)) {
+      if (!existing || existing.status !== TRIP_STATUS.RECORDING) return null;
+
+      const ended = {
+        ...existing,
+        status: normalized === JOB_STATUS.DELIVERED ? TRIP_STATUS.COMPLETED : TRIP_STATUS.CANCELLED,
+        ended_at: at,
+      };
+      return pruneTrips(trips.map(item => (item.id === existing.id ? ended : item)));
+    }
+
+    return null;
+  })
+);
+
+/**
+ * Bring trips in line with the driver's active jobs
+ *
+ * Starts trips for active jobs that have none (e.g. accepted on another
+ * device) and ends recording trips whose job is no longer active (cancelled
+ * by dispatch, delivered on another device, reassigned), so they stop
+ * collecting kilometres from later jobs. An ended trip is COMPLETED when the
+ * job is known to be delivered and CANCELLED otherwise; it ends at its last
+ * recorded point.
+ *
+ * Only call this with a job list that has actually been loaded - an empty
+ * list ends every recording trip.
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {Array<Object>} jobs - Active jobs
+ * @param {Array<Object>} [knownJobs] - Other jobs held locally, used to tell delivered from cancelled
+ * @returns {Promise<void>}
+ */
+export const syncTripsWithJobs = async (driverId, jobs = [], knownJobs = []) => {
+  const trips = await loadTrips(driverId);
+  for (const job of jobs) {
+    const trip = findTripForJob(trips, job);
+    const status = normalizeJobStatus(job.status);
+    const needsPickup = trip && !trip.picked_up_at && status !== JOB_STATUS.ACCEPTED;
+    if (!trip || needsPickup) {
+      await recordTripStatus(driverId, job, status);
+    }
+  }
+
+  const isActive = (trip) => jobs.some(job => findTripForJob([trip], job));
+  const orphaned = trips.filter(trip => trip.status === TRIP_STATUS.RECORDING && !isActive(trip));
+  for (const trip of orphaned) {
+    const job = knownJobs.find(item => findTripForJob([trip], item));
+    const status = normalizeJobStatus(job?.status) === JOB_STATUS.DELIVERED ? JOB_STATUS.DELIVERED : JOB_STATUS.CANCELLED;
+    await recordTripStatus(
+      driverId,
+      { id: trip.jobId, tracking_id: trip.tracking_id },
+      status,
+      trip.last_point?.timestamp || new Date().toISOString()
+    );
+  }
+};
+
+/**
+ * Add a location fix to the driver's recording trips
+ *
+ * The distance since each trip's last point is divided by the number of
+ * trips that record a distance for this fix (concurrent jobs share the road).
+ *
+ * @param {number} driverId - Driver who recorded the fix
+ * @param {Object} fix - { latitude, longitude, timestamp }
+ * @returns {Promise<void>}
+ */
+export const recordTripPoint = (driverId, fix) => (
+  updateTrips(driverId, async (trips) => {
+    const time = Date.parse(fix.timestamp);
+    if (!Number.isFinite(time) || !Number.isFinite(fix.latitude) || !Number.isFinite(fix.longitude)) return null;
+
+    // Trips that take this fix, with the distance from their last point
+    const accepted = new Map();
+    trips.forEach((trip) => {
+      if (trip.driverId !== driverId || trip.status !== TRIP_STATUS.RECORDING || time < Date.parse(trip.started_at)) return;
+
+      const last = trip.last_point;
+      const meters = last ? distanceBetween(last, fix) : 0;
+      const seconds = last ? (time - Date.parse(last.timestamp)) / 1000 : 0;
+
+      const isJitter = last && meters < MIN_POINT_DISTANCE_M;
+      const isJump = last && (seconds <= 0 || (meters / seconds) * 3.6 > MAX_PLAUSIBLE_SPEED_KMH);
+      if (!isJitter && !isJump) accepted.set(trip.id, meters);
+    });
+    if (accepted.size === 0) return null;
+
+    const sharingTrips = Math.max(1, [...accepted.values()].filter(meters => meters > 0).length);
+    const updated = [];
+
+    for (const trip of trips) {
+      if (!accepted.has(trip.id)) {
+        updated.push(trip);
+        continue;
+      }
+
+      const meters = accepted.get(trip.id) / sharingTrips;
+      const loaded = !!trip.picked_up_at && time >= Date.parse(trip.picked_up_at);
+      const point = { latitude: fix.latitude, longitude: fix.longitude, timestamp: fix.timestamp, loaded };
+
+      let trace = [...await loadTripTrace(trip.id), point];
+      if (trace.length > MAX_TRACE_POINTS) {
+        trace = trace.filter((item, index) => index % 2 === 0 || index === trace.length - 1);
+      }
+      await persistState(tripTraceKey(trip.id), trace);
+
+      updated.push({
+        ...trip,
+        empty_meters: trip.empty_meters + (loaded ? 0 : meters),
+        loaded_meters: trip.loaded_meters + (loaded ? meters : 0),
+        point_count: trace.length,
+        last_point: { latitude: fix.latitude, longitude: fix.longitude, timestamp: fix.timestamp },
+      });
+    }
+
+    return updated;
+  })
+);
+
+/**
+ * Save odometer readings for a trip
+ *
+ * A finished trip is uploaded again with the new readings.
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {string} tripId - Trip ID
+ * @param {Object} readings - { start_odometer, end_odometer } in km (null clears)
+ * @returns {Promise<void>}
+ */
+export const setTripOdometer = (driverId, tripId, readings) => (
+  updateTrips(driverId, async (trips) => trips.map(trip => (
+    trip.id === tripId && trip.driverId === driverId
+      ? { ...trip, ...readings, uploaded_at: null, upload_rejected: false }
+      : trip
+  )))
+);
+
+/**
+ * Mileage figures for a trip
+ *
+ * @param {Object} trip - Trip summary
+ * @returns {Object} { totalMeters, loadedMeters, emptyMeters, durationSeconds, odometerKm }
+ */
+export const getTripSummary = (trip) => {
+  const end = trip.ended_at ? Date.parse(trip.ended_at) : Date.parse(trip.last_point?.timestamp || trip.started_at);
+  const start = Number(trip.start_odometer);
+  const finish = Number(trip.end_odometer);
+  const hasOdometer = trip.start_odometer != null && trip.end_odometer != null && finish >= start;
+
+  return {
+    totalMeters: trip.empty_meters + trip.loaded_meters,
+    loadedMeters: trip.loaded_meters,
+    emptyMeters: trip.empty_meters,
+    durationSeconds: Math.max(0, Math.round((end - Date.parse(trip.started_at)) / 1000)),
+    odometerKm: hasOdometer ? finish - start : null,
+  };
+};
+
+/**
+ * Upload finished trips that have not been sent yet
+ *
+ * Stops at the first network failure or server error (5xx, 429); those
+ * trips stay pending. Trips the server rejects with a 4xx are not retried
+ * until their odometer readings change.
+ *
+ * @param {number} driverId - Signed-in driver
+ * @param {Function} sendTrip - async (jobId, tripData) => API result ({ success, message, error })
+ * @returns {Promise<Object>} { sent, rejected, remaining }
+ */
+export const flushTripLogs = async (driverId, sendTrip) => {
+  const result = { sent: 0, rejected: 0, remaining: 0 };
+  if (isFlushing) return result;
+  isFlushing = true;
+
+  try {
+    const pending = (await loadTrips(driverId)).filter(trip => (
+      trip.status !== TRIP_STATUS.RECORDING && !trip.uploaded_at && !trip.upload_rejected
+    ));
+    const outcomes = {};
+
+    for (const trip of pending) {
+      const summary = getTripSummary(trip);
+      const tripData = {
+        status: trip.status,
+        started_at: trip.started_at,
+        picked_up_at: trip.picked_up_at,
+        ended_at: trip.ended_at,
+        empty_km: Number((summary.emptyMeters / 1000).toFixed(2)),
+        loaded_km: Number((summary.loadedMeters / 1000).toFixed(2)),
+        total_km: Number((summary.totalMeters / 1000).toFixed(2)),
+        start_odometer: trip.start_odometer,
+        end_odometer: trip.end_odometer,
+        trace: await loadTripTrace(trip.id),
+      };
+
+      let response;
+      try {
+        response = await sendTrip(trip.jobId, tripData);
+      } catch (error) {
+        response = { success: false, message: error.message, error };
+      }
+
+      // Offline or server unavailable - keep this and later trips pending
+      if (isRetryableFailure(response)) break;
+
+      if (response.success) {
+        result.sent += 1;
+      } else {
+        console.error('Trip log rejected:', response.message);
+        result.rejected += 1;
+      }
+      outcomes[trip.id] = { success: response.success, readings: [trip.start_odometer, trip.end_odometer] };
+    }
+
+    // Re-read so odometer edits made while uploading are sent next time
+    await updateTrips(driverId, async (trips) => trips.map(trip => {
+      const outcome = outcomes[trip.id];
+      if (!outcome || outcome.readings[0] !== trip.start_odometer || outcome.readings[1] !== trip.end_odometer) {
+        return trip;
+      }
+      return outcome.success
+        ? { ...trip, uploaded_at: new Date().toISOString() }
+        : { ...trip, upload_rejected: true };
+    }));
+
+    result.remaining = pending.length - result.sent - result.rejected;
+  } finally {
+    isFlushing = false;
+  }
+
+  return result;
+};
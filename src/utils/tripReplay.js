@@ -0,0 +1,212 @@
+/**
+ * tripReplay.js - Recorded Trip Replay
+ *
+ * Turns a trip's stored GPS trace (utils/tripRecorder) into what
+ * TripReplayScreen draws: the driven path split into empty and loaded legs,
+ * the points where the driver reached the pickup and the drop-off, stops of
+ * TRIP_REPLAY_CONFIG.STOP_MIN_MINUTES or longer, and the position at any
+ * moment for the time scrubber.
+ *
+ * The recorder skips fixes closer than its jitter threshold, so a parked
+ * vehicle shows up as a time gap between nearby points; detectStops() treats
+ * consecutive points within STOP_RADIUS_M of the first as one stop.
+ */
+
+import { GEOFENCE_CONFIG, TRIP_REPLAY_CONFIG } from './constants';
+import { STOP_TYPES, getJobCoordinate, distanceBetween } from './routePlanner';
+
+export const REPLAY_EVENTS = {
+  START: 'start',
+  PICKUP: 'pickup',
+  STOP: 'stop',
+  DROPOFF: 'dropoff',
+};
+
+/**
+ * Validate and time-order a trace
+ *
+ * @param {Array<Object>} trace - Points { latitude, longitude, timestamp, loaded }
+ * @returns {Array<Object>} Points with a numeric time (ms), oldest first
+ */
+export const prepareTrace = (trace = []) => trace
+  .map(point => ({ ...point, time: Date.parse(point.timestamp) }))
+  .filter(point => Number.isFinite(point.time)
+    && Number.isFinite(point.latitude)
+    && Number.isFinite(point.longitude))
+  .sort((a, b) => a.time - b.time);
+
+/**
+ * Split a trace into contiguous empty and loaded legs for drawing
+ *
+ * Consecutive legs share their boundary point so the line has no gap.
+ *
+ * @param {Array<Object>} trace - From prepareTrace
+ * @returns {Array<Object>} [{ loaded, coordinates: [{ latitude, longitude }] }]
+ */
+export const splitTraceByPhase = (trace = []) => trace.reduce((legs, point) => {
+  const coordinate = { latitude: point.latitude, longitude: point.longitude };
+  const current = legs[legs.length - 1];
+
+  if (current && current.loaded === !!point.loaded) {
+    current.coordinates.push(coordinate);
+  } else {
+    const previous = current ? current.coordinates[current.coordinates.length - 1] : null;
+    legs.push({ loaded: !!point.loaded, coordinates: previous ? [previous, coordinate] : [coordinate] });
+  }
+  return legs;
+}, []);
+
+/**
+ * Find stops along a trace
+ *
+ * @param {Array<Object>} trace - From prepareTrace
+ * @param {Object} [options]
+ * @param {number} [options.minMinutes] - Shortest stop reported
+ * @param {number} [options.radius] - Metres the vehicle may drift during a stop
+ * @returns {Array<Object>} [{ latitude, longitude, startIndex, endIndex, arrivedAt, departedAt, durationSeconds, loaded }]
+ */
+export const detectStops = (trace = [], {
+  minMinutes = TRIP_REPLAY_CONFIG.STOP_MIN_MINUTES,
+  radius = TRIP_REPLAY_CONFIG.STOP_RADIUS_M,
+} = {}) => {
+  const stops = [];
+  let i = 0;
+
+  while (i < trace.length - 1) {
+    let j = i;
+    while (j + 1 < trace.length && distanceBetween(trace[i], trace[j + 1]) <= radius) j += 1;
+
+    const durationSeconds = (trace[j].time - trace[i].time) / 1000;
+    if (j > i && durationSeconds >= minMinutes * 60) {
+      const cluster = trace.slice(i, j + 1);
+      stops.push({
+        latitude: cluster.reduce((sum, point) => sum + point.latitude, 0) / cluster.length,
+        longitude: cluster.reduce((sum, point) => sum + point.longitude, 0) / cluster.length,
+        startIndex: i,
+        endIndex: j,
+        arrivedAt: trace[i].time,
+        departedAt: trace[j].time,
+        durationSeconds: Math.round(durationSeconds),
+        loaded: !!trace[i].loaded,
+      });
+      i = j + 1;
+    } else {
+      i += 1;
+    }
+  }
+
+  return stops;
+};
+
+/**
+ * Find where the driver reached the pickup and the drop-off
+ *
+ * Uses the first point inside the stop's geofence radius when the job has
+ * coordinates; otherwise the last point before pickup and the last point of
+ * the trip.
+ *
+ * @param {Array<Object>} trace - From prepareTrace
+ * @param {Object} [job] - Job with pickup/drop-off coordinates
+ * @returns {Object} { pickup, dropoff } - each { index, latitude, longitude, time } or null
+ */
+export const findArrivalPoints = (trace = [], job = null) => {
+  const toArrival = (index) => (index >= 0 && trace[index]
+    ? { index, latitude: trace[index].latitude, longitude: trace[index].longitude, time: trace[index].time }
+    : null);
+
+  const firstLoaded = trace.findIndex(point => point.loaded);
+
+  const findWithin = (type, from, to) => {
+    const center = job ? getJobCoordinate(job, type) : null;
+    if (!center) return -1;
+    const radius = type === STOP_TYPES.PICKUP ? GEOFENCE_CONFIG.PICKUP_RADIUS_M : GEOFENCE_CONFIG.DROPOFF_RADIUS_M;
+    for (let index = from; index < to; index += 1) {
+      if (distanceBetween(trace[index], center) <= radius) return index;
+    }
+    return -1;
+  };
+
+  const pickupEnd = firstLoaded >= 0 ? firstLoaded + 1 : trace.length;
+  let pickupIndex = findWithin(STOP_TYPES.PICKUP, 0, pickupEnd);
+  if (pickupIndex < 0 && firstLoaded >= 0) pickupIndex = Math.max(0, firstLoaded - 1);
+
+  let dropoffIndex = -1;
+  if (firstLoaded >= 0) {
+    dropoffIndex = findWithin(STOP_TYPES.DROPOFF, firstLoaded, trace.length);
+    if (dropoffIndex < 0) dropoffIndex = trace.length - 1;
+  }
+
+  return { pickup: toArrival(pickupIndex), dropoff: toArrival(dropoffIndex) };
+};
+
+/**
+ * Interpolated position at a moment of the trip
+ *
+ * @param {Array<Object>} trace - From prepareTrace
+ * @param {number} time - Milliseconds
+ * @returns {Object|null} { latitude, longitude, time, index, loaded } - index of the last point at or before time
+ */
+export const positionAtTime = (trace = [], time) => {
+  if (trace.length === 0) return null;
+  if (time <= trace[0].time) return { ...trace[0], index: 0 };
+
+  const last = trace.length - 1;
+  if (time >= trace[last].time) return { ...trace[last], index: last };
+
+  let low = 0;
+  let high = last;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (trace[mid].time <= time) low = mid;
+    else high = mid;
+  }
+
+  const from = trace[low];
+  const to = trace[high];
+  const ratio = (time - from.time) / (to.time - from.time);
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+    longitude: from.longitude + (to.longitude - from.longitude) * ratio,
+    time,
+    index: low,
+    loaded: !!from.loaded,
+  };
+};
+
+/**
+ * Build everything the replay screen shows for a trip
+ *
+ * @param {Array<Object>} rawTrace - Stored trace from loadTripTrace
+ * @param {Object} [job] - Job with pickup/drop-off coordinates
+ * @returns {Object} { trace, legs, stops, arrivals, events, startTime, endTime }
+ */
+export const buildTripReplay = (rawTrace, job = null) => {
+  const trace = prepareTrace(rawTrace);
+  const stops = detectStops(trace);
+  const arrivals = findArrivalPoints(trace, job);
+
+  const events = [];
+  if (trace.length > 0) {
+    events.push({ type: REPLAY_EVENTS.START, time: trace[0].time, index: 0 });
+  }
+  if (arrivals.pickup) {
+    events.push({ type: REPLAY_EVENTS.PICKUP, time: arrivals.pickup.time, index: arrivals.pickup.index });
+  }
+  stops.forEach(stop => {
+    events.push({ type: REPLAY_EVENTS.STOP, time: stop.arrivedAt, index: stop.startIndex, stop });
+  });
+  if (arrivals.dropoff) {
+    events.push({ type: REPLAY_EVENTS.DROPOFF, time: arrivals.dropoff.time, index: arrivals.dropoff.index });
+  }
+  events.sort((a, b) => a.time - b.time);
+
+  return {
+    trace,
+    legs: splitTraceByPhase(trace),
+    stops,
+    arrivals,
+    events,
+    startTime: trace.length > 0 ? trace[0].time : null,
+    endTime: trace.length > 0 ? trace[trace.length - 1].time : null,
+  };
+};
@@ -3,6 +3,7 @@
  * 
  * This utility provides runtime type checking for objects to ensure
  * data consistency and early error detection in development.
+ * It also provides field validators for user-entered form values.
  */
 
 /**
@@ -160,4 +161,207 @@ export const dashboardSchema = {
     required: true,
     itemSchema: jobSchema,
   },
-};
\ No newline at end of file
+};
+
+/**
+ * Form Field Validators
+ * 
+ * Each validator returns { isValid, message } where message is a
+ * user-facing error (null when valid).
+ */
+
+// Minimum password length accepted by the backend
+export const PASSWORD_MIN_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate an email address
+ * 
+ * @param {string} email - Email entered by the user
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validateEmail = (email) => {
+  const value = (email || '').trim();
+
+  if (!value) {
+    return { isValid: false, message: 'Please enter your email address' };
+  }
+
+  if (!EMAIL_PATTERN.test(value)) {
+    return { isValid: false, message: 'Please enter a valid email address' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Validate a new password and its confirmation
+ * 
+ * @param {string} password - New password
+ * @param {string} [confirmPassword] - Confirmation (checked when provided)
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validatePassword = (password, confirmPassword) => {
+  if (!password) {
+    return { isValid: false, message: 'Please enter a password' };
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return { isValid: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+  }
+
+  if (confirmPassword !== undefined && password !== confirmPassword) {
+    return { isValid: false, message: 'Passwords do not match' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Validate a password reset code/token
+ * 
+ * @param {string} token - Reset token from the email or deep link
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validateResetToken = (token) => {
+  if (!(token || '').trim()) {
+    return { isValid: false, message: 'Please enter the reset code from your email' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Minimum number of proof-of-delivery photos
+ */
+export const POD_MIN_PHOTOS = 1;
+
+/**
+ * Minimum number of evidence photos for a delivery exception
+ */
+export const EXCEPTION_MIN_PHOTOS = 1;
+
+/**
+ * Validate proof of delivery before completing a job
+ * 
+ * @param {Object} proof - Captured proof
+ * @param {Array} proof.photos - Delivery photos
+ * @param {string} proof.recipientName - Recipient's printed name
+ * @param {string|null} proof.signature - Signature image (data URL)
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validateProofOfDelivery = ({ photos, recipientName, signature }) => {
+  if (!Array.isArray(photos) || photos.length < POD_MIN_PHOTOS) {
+    return { isValid: false, message: 'Please take at least one photo of the delivered shipment' };
+  }
+
+  if (!(recipientName || '').trim()) {
+    return { isValid: false, message: "Please enter the recipient's name" };
+  }
+
+  if (!signature) {
+    return { isValid: false, message: 'Please ask the recipient to sign' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Validate a pickup confirmation for LTL/FTL loads
+ * 
+ * @param {Object} pickup - Pickup confirmation
+ * @param {string} pickup.pieceCount - Pieces counted by the driver
+ * @param {string} pickup.totalWeight - Total weight entered by the driver
+ * @param {boolean} pickup.hasDiscrepancy - Counted load differs from the booking
+ * @param {string} pickup.discrepancyNote - Explanation of the discrepancy
+ * @param {Object|null} pickup.bolPhoto - Bill-of-lading photo
+ * @param {string} pickup.sealNumber - Trailer seal number
+ * @param {boolean} [pickup.requireSeal] - Seal number is mandatory (FTL)
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validatePickupConfirmation = ({
+  pieceCount,
+  totalWeight,
+  hasDiscrepancy,
+  discrepancyNote,
+  bolPhoto,
+  sealNumber,
+  requireSeal = false,
+}) => {
+  const pieces = Number(pieceCount);
+  if (!String(pieceCount || '').trim() || !Number.isInteger(pieces) || pieces <= 0) {
+    return { isValid: false, message: 'Please enter the number of pieces picked up' };
+  }
+
+  const weight = Number(totalWeight);
+  if (!String(totalWeight || '').trim() || Number.isNaN(weight) || weight <= 0) {
+    return { isValid: false, message: 'Please enter the total weight picked up' };
+  }
+
+  if (hasDiscrepancy && !(discrepancyNote || '').trim()) {
+    return { isValid: false, message: 'Please describe the discrepancy with the booking' };
+  }
+
+  if (!bolPhoto) {
+    return { isValid: false, message: 'Please take a photo of the bill of lading' };
+  }
+
+  if (requireSeal && !(sealNumber || '').trim()) {
+    return { isValid: false, message: 'Please enter the seal number' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Validate a job cancellation or rejection
+ * 
+ * A reason is always required; "other" also needs a note.
+ * 
+ * @param {Object} cancellation - Cancellation details
+ * @param {string|null} cancellation.reasonCode - Selected CANCELLATION_REASONS code
+ * @param {string} cancellation.note - Driver's note
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validateCancellation = ({ reasonCode, note }) => {
+  if (!reasonCode) {
+    return { isValid: false, message: 'Please select a reason' };
+  }
+
+  if (reasonCode === 'other' && !(note || '').trim()) {
+    return { isValid: false, message: 'Please describe the reason' };
+  }
+
+  return { isValid: true, message: null };
+};
+
+/**
+ * Validate a delivery exception report
+ * 
+ * @param {Object} report - Exception report
+ * @param {string|null} report.reasonCode - Selected DELIVERY_EXCEPTION_REASONS code
+ * @param {string} report.note - Driver's note
+ * @param {Array} report.photos - Evidence photos
+ * @param {Object|null} [report.reattempt] - { start: Date, end: Date } when a reattempt is scheduled
+ * @returns {Object} Validation result with isValid and message
+ */
+export const validateDeliveryException = ({ reasonCode, note, photos, reattempt }) => {
+  if (!reasonCode) {
+    return { isValid: false, message: 'Please select what prevented the delivery' };
+  }
+
+  if (reasonCode === 'other' && !(note || '').trim()) {
+    return { isValid: false, message: 'Please describe what prevented the delivery' };
+  }
+
+  if (!photos || photos.length < EXCEPTION_MIN_PHOTOS) {
+    return { isValid: false, message: 'Please take at least one photo as evidence' };
+  }
+
+  if (reattempt && (!(reattempt.end > reattempt.start) || reattempt.end <= new Date())) {
+    return { isValid: false, message: 'Please choose a reattempt window in the future' };
+  }
+
+  return { isValid: true, message: null };
+};